@@ -0,0 +1,259 @@
+<?php
+/**
+ * EyeTrip TTS Proxy (PHP stand-in for server/tts-proxy.js)
+ *
+ * Keeps the ElevenLabs API key on the server, limits generations per user and
+ * caches audio per survey combination (emotionalTone_focusArea_currentMood).
+ * The spoken text is built here from assets/affirmations.json, so the proxy
+ * only ever voices our own affirmations.
+ *
+ * Configuration lives OUTSIDE the web root so FTP deploys never publish it:
+ *   ../../eyetrip-tts-config.php  ->  <?php return ['api_key' => 'sk_...'];
+ * or the ELEVENLABS_API_KEY environment variable.
+ *
+ * Protocol (same as the Node proxy):
+ *   POST tts.php               { voiceId, voiceSettings, emotionalTone, focusArea, currentMood }
+ *                              -> audio/mpeg, X-Cache: HIT | MISS
+ *   GET  tts.php?action=voices -> [{ voice_id, name }]
+ *   GET  tts.php?action=usage  -> { character_count, character_limit, tier }
+ *   Errors are JSON { error, message } - 429 adds Retry-After
+ */
+
+$configFile = dirname(__DIR__, 2) . '/eyetrip-tts-config.php';
+$config = array_merge([
+    'api_key' => getenv('ELEVENLABS_API_KEY') ?: '',
+    'api_url' => 'https://api.elevenlabs.io/v1',
+    'model_id' => 'eleven_turbo_v2_5',
+    'cache_dir' => dirname(__DIR__, 2) . '/eyetrip-tts-cache',
+    'rate_limit_window' => 3600,  // Seconds
+    'rate_limit_max' => 10,       // Generations per user per window (cache hits are free)
+    'rate_limit_ip_max' => 30,    // Stops client-id rotation
+    // The default voices in TTSProviders.js
+    'voice_ids' => ['EXAVITQu4vr4xnSDxMaL', 'pNInz6obpgDQGcFmaJgB', '21m00Tcm4TlvDq8ikWAM'],
+    'allowed_origin' => '*'
+], is_file($configFile) ? (array) require $configFile : []);
+
+const AFFIRMATIONS_FILE = __DIR__ . '/../assets/affirmations.json';
+const AFFIRMATION_PAUSE = '.......... '; // Long runs of periods make ElevenLabs pause between affirmations
+const MAX_BODY_BYTES = 32768;
+
+header('Access-Control-Allow-Origin: ' . $config['allowed_origin']);
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-EyeTrip-Client');
+header('Access-Control-Expose-Headers: X-Cache, X-Cache-Key, Retry-After');
+header('Cache-Control: no-store');
+
+function send_json($status, $body) {
+    http_response_code($status);
+    header('Content-Type: application/json');
+    echo json_encode($body);
+    exit;
+}
+
+function send_error($status, $error, $message) {
+    send_json($status, ['error' => $error, 'message' => $message]);
+}
+
+function clamp01($value, $fallback) {
+    return is_int($value) || is_float($value) ? max(0, min(1, $value)) : $fallback;
+}
+
+function call_upstream($config, $path, $body = null) {
+    $headers = ['xi-api-key: ' . $config['api_key']];
+    $curl = curl_init(rtrim($config['api_url'], '/') . $path);
+    if ($body !== null) {
+        $headers[] = 'Content-Type: application/json';
+        $headers[] = 'Accept: audio/mpeg';
+        curl_setopt($curl, CURLOPT_POST, true);
+        curl_setopt($curl, CURLOPT_POSTFIELDS, json_encode($body));
+    }
+    curl_setopt_array($curl, [
+        CURLOPT_HTTPHEADER => $headers,
+        CURLOPT_RETURNTRANSFER => true,
+        CURLOPT_TIMEOUT => 30
+    ]);
+    $data = curl_exec($curl);
+    $status = curl_getinfo($curl, CURLINFO_HTTP_CODE);
+    $error = curl_error($curl);
+    curl_close($curl);
+
+    if ($data === false) {
+        send_error(504, 'generation-failed', 'ElevenLabs request failed: ' . $error);
+    }
+    if ($status < 200 || $status >= 300) {
+        send_error(502, 'upstream', "ElevenLabs error ($status): " . substr($data, 0, 300));
+    }
+    return $data;
+}
+
+/**
+ * Sliding-window limit per client id and per IP, stored in one locked JSON file
+ * Returns seconds until the next generation is allowed (0 = allowed, and recorded)
+ */
+function take_rate_limit($config) {
+    $ip = 'ip:' . ($_SERVER['REMOTE_ADDR'] ?? 'unknown');
+    $clientId = $_SERVER['HTTP_X_EYETRIP_CLIENT'] ?? '';
+    $user = preg_match('/^[A-Za-z0-9_-]{8,64}$/', $clientId) ? 'client:' . $clientId : $ip;
+
+    $file = fopen($config['cache_dir'] . '/ratelimit.json', 'c+');
+    flock($file, LOCK_EX);
+    $log = json_decode(stream_get_contents($file), true) ?: [];
+
+    $now = time();
+    $window = $config['rate_limit_window'];
+    foreach ($log as $key => $times) {
+        $log[$key] = array_values(array_filter($times, function ($time) use ($now, $window) {
+            return $now - $time < $window;
+        }));
+        if (!$log[$key]) unset($log[$key]);
+    }
+
+    $retryAfter = 0;
+    foreach ([[$user, $config['rate_limit_max']], [$ip, $config['rate_limit_ip_max']]] as [$key, $max]) {
+        $times = $log[$key] ?? [];
+        if (count($times) >= $max) {
+            $retryAfter = max($retryAfter, $times[0] + $window - $now);
+        }
+    }
+
+    if ($retryAfter === 0) {
+        foreach (array_unique([$user, $ip]) as $key) {
+            $log[$key][] = $now;
+        }
+    }
+
+    ftruncate($file, 0);
+    rewind($file);
+    fwrite($file, json_encode($log));
+    flock($file, LOCK_UN);
+    fclose($file);
+
+    return $retryAfter;
+}
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(204);
+    exit;
+}
+
+if (!is_dir($config['cache_dir']) && !mkdir($config['cache_dir'], 0750, true)) {
+    send_error(500, 'internal', 'Cache directory is not writable');
+}
+
+// Voices / quota lookups
+if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+    $action = $_GET['action'] ?? '';
+    if (!$config['api_key']) {
+        send_error(503, 'not-configured', 'ElevenLabs API key is not configured on the server');
+    }
+    if ($action === 'voices') {
+        $data = json_decode(call_upstream($config, '/voices'), true);
+        send_json(200, array_map(function ($voice) {
+            return ['voice_id' => $voice['voice_id'], 'name' => $voice['name']];
+        }, $data['voices'] ?? []));
+    }
+    if ($action === 'usage') {
+        // Quota only - account details stay on the server
+        $data = json_decode(call_upstream($config, '/user/subscription'), true);
+        send_json(200, [
+            'character_count' => $data['character_count'] ?? null,
+            'character_limit' => $data['character_limit'] ?? null,
+            'tier' => $data['tier'] ?? null
+        ]);
+    }
+    send_error(405, 'method-not-allowed', 'POST a survey combination to generate, or GET ?action=voices|usage');
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    send_error(405, 'method-not-allowed', 'POST a survey combination to generate, or GET ?action=voices|usage');
+}
+
+// ===== Generate =====
+
+$raw = file_get_contents('php://input', false, null, 0, MAX_BODY_BYTES + 1);
+if (strlen($raw) > MAX_BODY_BYTES) {
+    send_error(413, 'invalid-request', 'Request body too large');
+}
+$body = json_decode($raw, true);
+if (!is_array($body)) {
+    send_error(400, 'invalid-request', 'Body must be JSON');
+}
+
+$voiceId = $body['voiceId'] ?? null;
+if (!in_array($voiceId, $config['voice_ids'], true)) {
+    send_error(400, 'invalid-request', 'voiceId is not one of the affirmation voices');
+}
+
+$parts = [];
+foreach (['emotionalTone', 'focusArea', 'currentMood'] as $field) {
+    $part = strtolower((string) ($body[$field] ?? ''));
+    if (!preg_match('/^[a-z0-9-]{1,40}$/', $part)) {
+        send_error(400, 'invalid-request', 'emotionalTone, focusArea and currentMood are required (letters, digits, dashes)');
+    }
+    $parts[] = $part;
+}
+$cacheKey = implode('_', $parts);
+
+// Mood only personalizes the cache key - the texts depend on tone and focus
+$library = json_decode(file_get_contents(AFFIRMATIONS_FILE), true);
+$texts = $library[$parts[0] . '_' . $parts[1]] ?? null;
+if (!is_array($texts)) {
+    send_error(400, 'invalid-request', 'No affirmations for ' . $parts[0] . ' / ' . $parts[1]);
+}
+$text = implode(AFFIRMATION_PAUSE, $texts);
+// Another allowed voice, or an edited affirmations.json, regenerates the entry under the same key
+$textHash = hash('sha256', $voiceId . "\n" . $text);
+
+$audioPath = $config['cache_dir'] . '/' . $cacheKey . '.mp3';
+$metaPath = $config['cache_dir'] . '/' . $cacheKey . '.json';
+
+$meta = is_file($metaPath) ? json_decode(file_get_contents($metaPath), true) : null;
+if ($meta && ($meta['textHash'] ?? '') === $textHash && is_file($audioPath)) {
+    header('Content-Type: audio/mpeg');
+    header('Content-Length: ' . filesize($audioPath));
+    header('X-Cache: HIT');
+    header('X-Cache-Key: ' . $cacheKey);
+    readfile($audioPath);
+    exit;
+}
+
+$retryAfter = take_rate_limit($config);
+if ($retryAfter > 0) {
+    header('Retry-After: ' . $retryAfter);
+    send_json(429, [
+        'error' => 'rate-limited',
+        'message' => 'Too many new affirmation tracks - please try again later',
+        'retryAfter' => $retryAfter
+    ]);
+}
+
+if (!$config['api_key']) {
+    send_error(503, 'not-configured', 'ElevenLabs API key is not configured on the server');
+}
+
+$settings = is_array($body['voiceSettings'] ?? null) ? $body['voiceSettings'] : [];
+$audio = call_upstream($config, '/text-to-speech/' . $voiceId, [
+    'text' => $text,
+    'model_id' => $config['model_id'],
+    'output_format' => 'mp3_44100_128',
+    'voice_settings' => [
+        'stability' => clamp01($settings['stability'] ?? null, 0.7),
+        'similarity_boost' => clamp01($settings['similarity_boost'] ?? null, 0.8),
+        'style' => clamp01($settings['style'] ?? null, 0.2),
+        'use_speaker_boost' => ($settings['use_speaker_boost'] ?? true) !== false
+    ]
+]);
+
+file_put_contents($audioPath, $audio, LOCK_EX);
+file_put_contents($metaPath, json_encode([
+    'textHash' => $textHash,
+    'voiceId' => $voiceId,
+    'bytes' => strlen($audio),
+    'createdAt' => gmdate('c')
+], JSON_PRETTY_PRINT), LOCK_EX);
+
+header('Content-Type: audio/mpeg');
+header('Content-Length: ' . strlen($audio));
+header('X-Cache: MISS');
+header('X-Cache-Key: ' . $cacheKey);
+echo $audio;
@@ -59,6 +59,7 @@ mirror --reverse --delete --verbose --parallel=5 \\
     --exclude android/ \\
     --exclude ios/ \\
     --exclude capacitor/ \\
+    --exclude server/ \\
     --exclude .env \\
     --exclude .env.example \\
     --exclude .backup \\
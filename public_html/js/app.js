@@ -6,6 +6,7 @@ import { SceneManager } from './modules/SceneManager.js';
 import { WebXRHandler } from './modules/WebXRHandler.js';
 import { AchievementSystem } from './modules/AchievementSystem.js';
 import { ExperienceEnding } from './modules/ExperienceEnding.js';
+import { StoryRuntime } from './modules/StoryRuntime.js';
 
 // 🏆 Chroma Awards Features
 import { CollaborativeMode } from './modules/CollaborativeMode.js';
@@ -17,6 +18,7 @@ import { PerformanceMonitor } from './modules/PerformanceMonitor.js';
 import { PWASupport } from './modules/PWASupport.js';
 import { CinematicCamera } from './modules/CinematicCamera.js';
 import { AudioReactiveParticles } from './modules/AudioReactiveParticles.js';
+import { HotspotAuthoring } from './modules/HotspotAuthoring.js';
 
 /**
  * Main Application Class
@@ -32,6 +34,7 @@ class App {
         this.xrHandler = null;
         this.achievements = null;
         this.ending = null;
+        this.story = null; // Branching story (?story=<id>), drives the scenes when present
         this.isInitialized = false;
         this.initPromise = null; // Track initialization promise
         
@@ -45,6 +48,7 @@ class App {
         this.pwaSupport = null;
         this.cinematicCam = null;
         this.audioParticles = null;
+        this.authoring = null;
         
         // Bind methods
         this.init = this.init.bind(this);
@@ -133,10 +137,25 @@ class App {
             console.log('🏆 Initializing Chroma Awards features...');
             this.initializeChromaFeatures();
             
-            // Step 5: Load the first scene automatically (restored)
+            // Step 4.9: Branching story, if one was requested - it replaces the scene list
+            const storyId = new URLSearchParams(window.location.search).get('story') || sessionStorage.getItem('selectedStory');
+            if (storyId) {
+                console.log(`📖 Loading story ${storyId}...`);
+                this.story = new StoryRuntime(this.player, this.sceneManager, { achievements: this.achievements, ending: this.ending });
+                if (!(await this.story.load(storyId))) {
+                    this.story.dispose();
+                    this.story = null;
+                }
+            }
+            
+            // Step 5: Load the first scene automatically (restored), or start the story
             console.log('📦 Loading initial scene...');
             this.showLoading(true, 'Loading 360° Experience...');
-            await this.sceneManager.loadScene(0);
+            if (this.story) {
+                await this.story.start();
+            } else {
+                await this.sceneManager.loadScene(this.sceneManager.initialScene);
+            }
             
             // Step 6: Register service worker (only in production or non-localhost)
             if (location.hostname !== 'localhost') {
@@ -157,6 +176,16 @@ class App {
             // Show instructions
             this.showInstructions();
             
+            // Invite links (?room=CODE) drop the guest straight into the shared room
+            if (new URLSearchParams(window.location.search).has('room')) {
+                this.startCollaborative();
+            }
+            
+            // Content authors can open the hotspot editor straight away
+            if (this.authoring && new URLSearchParams(window.location.search).get('author') === '1') {
+                this.authoring.enable();
+            }
+            
         } catch (error) {
             this.handleError(error);
         }
@@ -218,15 +247,12 @@ class App {
                 this.player.audioContext
             );
             
-            // 9. Collaborative Mode (optional - requires room ID)
-            // Uncomment when ready to test multiplayer:
-            // console.log('🤝 Initializing Collaborative Mode...');
-            // this.collaborative = new CollaborativeMode(
-            //     this.player.scene,
-            //     this.player.camera,
-            //     'room_' + Math.random().toString(36).substr(2, 9)
-            // );
-            // this.collaborative.connect();
+            // 8.5 Hotspot Authoring (Shift+H or ?author=1)
+            console.log('✏️ Initializing Hotspot Authoring...');
+            this.authoring = new HotspotAuthoring(this.player);
+            
+            // 9. Collaborative Mode (optional) - started by an invite link (?room=CODE) or Shift+C
+            //    once the first scene has loaded, see startCollaborative()
             
             console.log('✅ All Chroma Awards features initialized!');
             
@@ -238,6 +264,36 @@ class App {
         }
     }
     
+    /**
+     * Join (or create) a collaborative room
+     * Room code and server come from the URL (?room=, ?collabServer=) when not given
+     */
+    startCollaborative(options = {}) {
+        if (this.collaborative) return this.collaborative;
+        
+        console.log('🤝 Initializing Collaborative Mode...');
+        this.collaborative = new CollaborativeMode(
+            this.player,
+            this.player.hotspotManager,
+            this.player.currentVideoName || 'default',
+            options
+        );
+        this.collaborative.connect();
+        
+        return this.collaborative;
+    }
+    
+    /**
+     * Leave the collaborative room
+     */
+    stopCollaborative() {
+        if (!this.collaborative) return;
+        
+        this.collaborative.leave();
+        this.collaborative = null;
+        console.log('🤝 Collaborative Mode stopped');
+    }
+    
     /**
      * Keyboard shortcuts for Chroma features
      */
@@ -291,6 +347,27 @@ class App {
                 }
             }
             
+            // Hotspot Authoring - Toggle
+            if (e.key.toLowerCase() === 'h' && e.shiftKey) {
+                if (this.authoring) {
+                    this.authoring.toggle();
+                }
+            }
+            
+            // Collaborative Mode - start a room / leave
+            if (e.key.toLowerCase() === 'c' && e.shiftKey) {
+                if (this.collaborative) {
+                    this.stopCollaborative();
+                } else {
+                    this.startCollaborative();
+                }
+            }
+            
+            // Watch party - follow the host's gaze
+            if (e.key.toLowerCase() === 'g' && e.shiftKey && this.collaborative) {
+                this.collaborative.setFollowGaze(!this.collaborative.followGaze);
+            }
+            
             // Haptic Test
             if (e.key === 't' && e.shiftKey) {
                 if (this.haptics) {
@@ -308,6 +385,9 @@ class App {
 • Shift+O: Toggle Orbit Camera
 • Shift+V: Toggle Audio Particles
 • Shift+T: Test Haptic Feedback
+• Shift+H: Toggle Hotspot Authoring
+• Shift+C: Start/Leave Collaborative Room
+• Shift+G: Follow Host Gaze (watch party)
         `);
     }
     
@@ -83,6 +83,13 @@ export class AchievementSystem {
         }
     }
     
+    /**
+     * Check whether an achievement has been unlocked (unknown ids never are)
+     */
+    isUnlocked(achievementId) {
+        return Boolean(this.achievements[achievementId]?.unlocked);
+    }
+    
     /**
      * Show achievement notification
      */
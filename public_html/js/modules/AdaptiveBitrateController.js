@@ -0,0 +1,321 @@
+/**
+ * AdaptiveBitrateController.js
+ * Picks the quality rung (preview / 720p / 1080p / 4k) for the playing video from
+ * measured download throughput and buffer health, with hysteresis so it doesn't flap.
+ * VideoStreamManager applies the decision: a variant switch for MSE streams,
+ * a seamless element hot-swap for MP4 rungs.
+ */
+
+import { ABR_CONFIG } from '../utils/constants.js';
+
+/**
+ * Throughput average weighted by sample duration, with a half-life in seconds
+ */
+function createAverage(halfLife) {
+    return { halfLife, value: 0, weight: 0 };
+}
+
+function addToAverage(average, bitsPerSecond, seconds) {
+    const alpha = Math.pow(0.5, seconds / average.halfLife);
+    average.value = bitsPerSecond * (1 - alpha) + alpha * average.value;
+    average.weight = (1 - alpha) + alpha * average.weight;
+}
+
+function readAverage(average) {
+    // Divide by the weight so the first samples aren't biased towards zero
+    return average.weight > 0 ? average.value / average.weight : 0;
+}
+
+export class AdaptiveBitrateController {
+    /**
+     * @param {VideoStreamManager} manager - provides the ladder and performs switches
+     * @param {Object} config - overrides for ABR_CONFIG
+     */
+    constructor(manager, config = {}) {
+        this.manager = manager;
+        this.config = { ...ABR_CONFIG, ...config };
+
+        this.timer = null;
+        this.video = null;
+        this.streamer = null;
+        this.switching = false;
+
+        this.fast = createAverage(this.config.fastHalfLife);
+        this.slow = createAverage(this.config.slowHalfLife);
+        this.samples = 0;
+
+        // Hysteresis state
+        this.upSince = null;
+        this.downSince = null;
+        this.lastSwitchAt = 0;
+        this.stalled = false;
+
+        // Progressive MP4 sampling baseline
+        this.lastBufferedEnd = null;
+        this.lastSampleAt = 0;
+
+        // Progressive MP4 probes of the next rung
+        this.probing = false;
+        this.lastProbeAt = 0;
+        this.probeUnsupported = false; // Server ignores Range - a probe would fetch the whole file
+
+        this.onWaiting = () => {
+            if (this.video && !this.video.seeking && this.video.currentTime > 0 && !this.switching) {
+                this.stalled = true;
+            }
+        };
+        this.onSeeking = () => {
+            this.lastBufferedEnd = null;
+        };
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.config.checkInterval);
+        console.log('📶 Adaptive bitrate enabled');
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.bindVideo(null);
+    }
+
+    /**
+     * New network (Wi-Fi <-> cellular) - old measurements no longer apply
+     */
+    reset() {
+        this.fast = createAverage(this.config.fastHalfLife);
+        this.slow = createAverage(this.config.slowHalfLife);
+        this.samples = 0;
+        this.upSince = null;
+        this.downSince = null;
+        this.lastBufferedEnd = null;
+        this.lastProbeAt = 0;
+    }
+
+    /**
+     * Follow the manager's current element - it changes on hot-swaps and video switches
+     */
+    bindVideo(video) {
+        if (video === this.video) return;
+
+        if (this.video) {
+            this.video.removeEventListener('waiting', this.onWaiting);
+            this.video.removeEventListener('seeking', this.onSeeking);
+        }
+        if (this.streamer) {
+            this.streamer.onSegmentLoaded = null;
+        }
+
+        this.video = video;
+        this.streamer = video ? this.manager.getStreamer(video) : null;
+        this.lastBufferedEnd = null;
+        this.stalled = false;
+        if (!video) return;
+
+        video.addEventListener('waiting', this.onWaiting);
+        video.addEventListener('seeking', this.onSeeking);
+        if (this.streamer) {
+            this.streamer.onSegmentLoaded = (bytes, seconds) => this.addSample(bytes, seconds);
+        }
+    }
+
+    /**
+     * weight: seconds the sample stands for in the averages (default: its download time)
+     */
+    addSample(bytes, seconds, weight = seconds) {
+        const bitsPerSecond = (bytes * 8) / seconds;
+        addToAverage(this.fast, bitsPerSecond, weight);
+        addToAverage(this.slow, bitsPerSecond, weight);
+        this.samples++;
+    }
+
+    /**
+     * Conservative bandwidth estimate (bps): the lower of the fast and slow averages,
+     * or the Network Information API's downlink before anything was measured
+     */
+    getEstimate() {
+        if (this.samples === 0) {
+            const downlink = navigator.connection?.downlink;
+            return downlink ? downlink * 1000000 : 0;
+        }
+        return Math.min(readAverage(this.fast), readAverage(this.slow));
+    }
+
+    /**
+     * Seconds buffered continuously from the playhead
+     */
+    getBufferAhead(video = this.video) {
+        if (!video) return 0;
+        const time = video.currentTime;
+        for (let i = 0; i < video.buffered.length; i++) {
+            if (time >= video.buffered.start(i) - 0.1 && time <= video.buffered.end(i)) {
+                return video.buffered.end(i) - time;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Progressive MP4 has no per-request timing - estimate throughput from how fast the buffered
+     * range grows (media seconds x rung bitrate). Only sampled while the buffer is still filling:
+     * past that the browser paces the download to the playback rate, which says nothing about
+     * the network - probe() measures headroom then.
+     */
+    sampleProgressive(now) {
+        const video = this.video;
+        const time = video.currentTime;
+        let bufferedEnd = null;
+        for (let i = 0; i < video.buffered.length; i++) {
+            if (time >= video.buffered.start(i) - 0.1 && time <= video.buffered.end(i)) {
+                bufferedEnd = video.buffered.end(i);
+            }
+        }
+
+        const filling = bufferedEnd !== null && bufferedEnd - time < this.config.upSwitchBuffer;
+        if (filling && this.lastBufferedEnd !== null && bufferedEnd > this.lastBufferedEnd) {
+            const seconds = (now - this.lastSampleAt) / 1000;
+            const bitrate = this.manager.qualities[video.dataset.quality]?.bitrate || 0;
+            if (seconds > 0 && bitrate > 0) {
+                this.addSample(((bufferedEnd - this.lastBufferedEnd) * bitrate) / 8, seconds);
+            }
+        }
+        this.lastBufferedEnd = bufferedEnd;
+        this.lastSampleAt = now;
+    }
+
+    /**
+     * Time a ranged fetch of a rung's MP4, from about where a switch would start reading it
+     * (also keeps an edge cache of the file's start from flattering the result)
+     */
+    async probe(rung, now) {
+        const videoName = this.manager.getCurrentVideoName();
+        if (!videoName) return;
+
+        this.probing = true;
+        this.lastProbeAt = now;
+        const offset = Math.floor((this.video.currentTime * rung.bitrate) / 8);
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.config.probeTimeout);
+        try {
+            const started = performance.now();
+            const response = await fetch(this.manager.getVideoURL(videoName, rung.quality), {
+                headers: { Range: `bytes=${offset}-${offset + this.config.probeBytes - 1}` },
+                cache: 'no-store',
+                signal: controller.signal
+            });
+            if (response.status !== 206) {
+                controller.abort();
+                if (response.ok) {
+                    this.probeUnsupported = true;
+                    console.warn('⚠️ ABR: server ignores Range requests - MP4 up-switches rely on buffer growth only');
+                }
+                return;
+            }
+            const bytes = (await response.arrayBuffer()).byteLength;
+            const seconds = (performance.now() - started) / 1000;
+            // The only measurement between probes, so it counts for the whole interval
+            if (bytes > 0 && seconds > 0) {
+                this.addSample(bytes, seconds, this.config.probeInterval / 1000);
+            }
+        } catch (error) {
+            // Timed out or offline - no sample; the panic and down-switch rules cover a slow network
+            console.log(`📶 ABR probe of ${rung.quality} failed: ${error.message}`);
+        } finally {
+            clearTimeout(timeout);
+            this.probing = false;
+        }
+    }
+
+    tick() {
+        this.bindVideo(this.manager.getCurrentVideo());
+        const video = this.video;
+        if (!video || this.switching || this.manager.pinnedQuality) return;
+
+        // Safari's native HLS adapts by itself
+        if (!this.streamer && !this.manager.qualities[video.dataset.quality]) return;
+
+        const now = performance.now();
+        if (!this.streamer) {
+            this.sampleProgressive(now);
+        }
+        if (video.paused || video.ended || video.seeking) return;
+
+        const ladder = this.manager.getLadder();
+        const index = ladder.findIndex(rung => rung.quality === this.manager.getCurrentQuality());
+        if (ladder.length < 2 || index === -1) return;
+
+        const estimate = this.getEstimate();
+        const bufferAhead = this.getBufferAhead();
+        const remaining = video.duration - video.currentTime;
+        const current = ladder[index];
+        const next = ladder[index + 1];
+
+        // Panic: stalled, or about to - don't wait for the hold timers
+        const starving = bufferAhead < this.config.panicBuffer && bufferAhead < remaining - 0.5 && estimate < current.bitrate;
+        if ((this.stalled || starving) && index > 0) {
+            const reason = this.stalled ? 'stall' : `buffer ${bufferAhead.toFixed(1)}s`;
+            this.stalled = false;
+            this.switchTo(ladder[index - 1], reason);
+            return;
+        }
+        this.stalled = false;
+
+        if (this.samples === 0) return;
+        const settled = now - this.lastSwitchAt >= this.config.minSwitchInterval;
+
+        // Down: throughput below the current rung for downSwitchHold
+        if (index > 0 && estimate < current.bitrate * this.config.downSwitchFactor) {
+            this.upSince = null;
+            this.downSince = this.downSince ?? now;
+            if (settled && now - this.downSince >= this.config.downSwitchHold) {
+                this.switchTo(ladder[index - 1], `${Math.round(estimate / 1000)} kbps`);
+            }
+            return;
+        }
+        this.downSince = null;
+
+        // Progressive MP4 with a full buffer: buffer growth has stopped measuring, so probe the next rung
+        if (next && !this.streamer && !this.probing && !this.probeUnsupported &&
+            bufferAhead >= Math.min(this.config.upSwitchBuffer, remaining) && now - this.lastProbeAt >= this.config.probeInterval) {
+            this.probe(next, now);
+        }
+
+        // Up: headroom over the next rung for upSwitchHold, with a healthy buffer
+        if (next && estimate >= next.bitrate * this.config.upSwitchFactor && bufferAhead >= Math.min(this.config.upSwitchBuffer, remaining)) {
+            this.upSince = this.upSince ?? now;
+            if (settled && now - this.upSince >= this.config.upSwitchHold) {
+                this.switchTo(next, `${Math.round(estimate / 1000)} kbps`);
+            }
+            return;
+        }
+        this.upSince = null;
+    }
+
+    async switchTo(rung, reason) {
+        console.log(`📶 ABR: ${this.manager.getCurrentQuality()} -> ${rung.quality} (${reason}, ${this.getBufferAhead().toFixed(1)}s buffered)`);
+        this.switching = true;
+        this.upSince = null;
+        this.downSince = null;
+        try {
+            await this.manager.switchQuality(rung.quality);
+        } finally {
+            this.switching = false;
+            this.lastSwitchAt = performance.now();
+        }
+    }
+
+    /**
+     * Snapshot for debugging overlays
+     */
+    getStats() {
+        return {
+            quality: this.manager.getCurrentQuality(),
+            estimate: Math.round(this.getEstimate()),
+            bufferAhead: Number(this.getBufferAhead().toFixed(1)),
+            samples: this.samples,
+            switching: this.switching
+        };
+    }
+}
@@ -13,7 +13,8 @@ export class AdaptiveDifficulty {
             hintFrequency: 'medium',     // 'low', 'medium', 'high'
             timeWindow: 120,             // Seconds hotspot stays visible (90 = harder, 150 = easier)
             audioVolume: 1.0,            // Hotspot audio volume (0.7 = harder, 1.2 = easier)
-            glowIntensity: 1.0           // Visual prominence (0.6 = harder, 1.4 = easier)
+            glowIntensity: 1.0,          // Visual prominence (0.6 = harder, 1.4 = easier)
+            dwellScale: 1.0              // Gaze dwell time on hotspots (1.4 = harder, 0.6 = easier)
         };
         
         // Performance tracking
@@ -197,6 +198,9 @@ export class AdaptiveDifficulty {
         // Reduce visual prominence
         this.adjustments.glowIntensity = Math.max(0.6, this.adjustments.glowIntensity * 0.85);
         
+        // Hold the gaze longer
+        this.adjustments.dwellScale = Math.min(1.4, this.adjustments.dwellScale * 1.1);
+        
         console.log('🎯 New difficulty:', this.getUserDifficultyLevel());
     }
     
@@ -228,6 +232,9 @@ export class AdaptiveDifficulty {
         // Increase audio volume
         this.adjustments.audioVolume = Math.min(1.3, this.adjustments.audioVolume * 1.1);
         
+        // Select with a shorter gaze
+        this.adjustments.dwellScale = Math.max(0.6, this.adjustments.dwellScale * 0.85);
+        
         console.log('🎯 New difficulty:', this.getUserDifficultyLevel());
     }
     
@@ -304,7 +311,8 @@ export class AdaptiveDifficulty {
             hintFrequency: 'medium',
             timeWindow: 120,
             audioVolume: 1.0,
-            glowIntensity: 1.0
+            glowIntensity: 1.0,
+            dwellScale: 1.0
         };
         
         this.sessionStats = {
@@ -0,0 +1,102 @@
+/**
+ * AffirmationJourneys.js
+ * "My affirmation journeys" - lists journeys saved in IndexedDB for replay
+ */
+
+import { escapeHTML, formatTime } from '../utils/helpers.js';
+
+export class AffirmationJourneys {
+    /**
+     * @param {ElevenLabsService} service - owns the affirmation store
+     * @param {HTMLElement} container - element to render into (hidden while empty)
+     * @param {Function} onReplay - called with the loaded journey (generateAffirmations() result)
+     */
+    constructor(service, container, onReplay) {
+        this.service = service;
+        this.container = container;
+        this.onReplay = onReplay;
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    /**
+     * Render the saved journeys (no-op when the store is empty or unavailable)
+     */
+    async render() {
+        const journeys = await this.service.listJourneys();
+        if (journeys.length === 0) {
+            this.container.style.display = 'none';
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const stats = await this.service.getCacheStats();
+        const usedMB = ((stats.bytes || 0) / (1024 * 1024)).toFixed(1);
+
+        this.container.style.display = 'block';
+        this.container.innerHTML = `
+            <div style="max-width: 1400px; margin: 2rem auto 0; background: rgba(255, 255, 255, 0.04); border: 1px solid rgba(255, 255, 255, 0.12); border-radius: 16px; padding: 1.5rem;">
+                <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 0.75rem; margin-bottom: 1rem;">
+                    <h3 style="margin: 0; font-size: 1.4rem; color: #ffd700;">🎧 My affirmation journeys</h3>
+                    <div style="display: flex; align-items: center; gap: 1rem; color: rgba(240, 248, 255, 0.6); font-size: 0.9rem;">
+                        <span>${journeys.length} saved • ${usedMB} MB on this device</span>
+                        <button data-action="clear" style="${this.buttonStyle('rgba(255, 255, 255, 0.08)')}">Clear all</button>
+                    </div>
+                </div>
+                <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); gap: 1rem;">
+                    ${journeys.map(journey => this.renderJourney(journey)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderJourney(journey) {
+        const { emotionalTone, focusArea, currentMood } = journey.responses;
+        const title = journey.experience?.title || 'Personalized journey';
+        const lastPlayed = new Date(journey.lastPlayedAt).toLocaleDateString();
+        const key = escapeHTML(journey.key);
+
+        return `
+            <div style="background: rgba(102, 126, 234, 0.1); border: 1px solid rgba(102, 126, 234, 0.3); border-radius: 12px; padding: 1rem;">
+                <div style="font-weight: 600; color: #fff; margin-bottom: 0.35rem;">${escapeHTML(title)}</div>
+                <div style="color: rgba(240, 248, 255, 0.75); font-size: 0.9rem; text-transform: capitalize;">
+                    ${escapeHTML(emotionalTone)} • ${escapeHTML(focusArea.replace(/-/g, ' '))} • feeling ${escapeHTML(currentMood)}
+                </div>
+                <div style="color: rgba(240, 248, 255, 0.5); font-size: 0.8rem; margin: 0.35rem 0 0.75rem;">
+                    ${journey.affirmations.length} affirmations • ${formatTime(journey.duration || 0)} • last played ${lastPlayed}
+                </div>
+                <div style="display: flex; gap: 0.5rem;">
+                    <button data-action="replay" data-key="${key}" style="${this.buttonStyle('linear-gradient(135deg, #667eea, #764ba2)')}">▶ Replay</button>
+                    <button data-action="delete" data-key="${key}" style="${this.buttonStyle('rgba(255, 255, 255, 0.08)')}">Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    buttonStyle(background) {
+        return `background: ${background}; color: white; border: 1px solid rgba(255, 255, 255, 0.2); padding: 0.45rem 1rem; border-radius: 8px; font-size: 0.9rem; cursor: pointer;`;
+    }
+
+    async handleClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        e.stopPropagation();
+
+        const { action, key } = button.dataset;
+        if (action === 'replay') {
+            const journey = await this.service.loadJourney(key);
+            if (journey) {
+                this.onReplay(journey);
+            } else {
+                console.warn('⚠️ Journey no longer available:', key);
+                this.render();
+            }
+        } else if (action === 'delete') {
+            await this.service.deleteJourney(key);
+            this.render();
+        } else if (action === 'clear' && confirm('Remove all saved affirmation journeys from this device?')) {
+            await this.service.clearCache();
+            this.render();
+        }
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * AffirmationStore.js
+ * Persists generated affirmation journeys (audio + time markers) in IndexedDB
+ * Keyed by survey responses and voice, evicted least-recently-played first when over budget
+ */
+
+import { AFFIRMATION_STORE_CONFIG } from '../utils/constants.js';
+
+/**
+ * Promise wrapper for an IDBRequest
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class AffirmationStore {
+    constructor(config = AFFIRMATION_STORE_CONFIG) {
+        this.config = config;
+        this.dbPromise = null;
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create/upgrade) the database once
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.isSupported()) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.config.dbName, this.config.dbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.config.storeName)) {
+                        const store = db.createObjectStore(this.config.storeName, { keyPath: 'key' });
+                        store.createIndex('lastPlayedAt', 'lastPlayedAt');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Affirmation store is blocked by another tab'));
+            });
+
+            // Let a later call retry (e.g. after private mode refused the first open)
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, callback) {
+        const db = await this.open();
+        const tx = db.transaction(this.config.storeName, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+        const result = await callback(tx.objectStore(this.config.storeName));
+        await done;
+        return result;
+    }
+
+    async get(key) {
+        return this.transaction('readonly', store => requestToPromise(store.get(key)));
+    }
+
+    /**
+     * All journeys, most recently played first
+     */
+    async list() {
+        const records = await this.transaction('readonly', store => requestToPromise(store.getAll()));
+        return records.sort((a, b) => b.lastPlayedAt - a.lastPlayedAt);
+    }
+
+    /**
+     * Save a journey, evicting old ones first so it fits the entry/byte/quota budget
+     * record: { key, audio: Blob, ... } - size and timestamps are filled in here
+     */
+    async put(record) {
+        const now = Date.now();
+        const existing = await this.get(record.key);
+        const entry = {
+            createdAt: existing?.createdAt || now,
+            playCount: existing?.playCount || 0,
+            ...record,
+            size: record.audio?.size || 0,
+            lastPlayedAt: now
+        };
+
+        await this.makeRoom(entry);
+
+        try {
+            await this.transaction('readwrite', store => requestToPromise(store.put(entry)));
+        } catch (error) {
+            if (error?.name !== 'QuotaExceededError') throw error;
+
+            // Browser quota was tighter than the estimate - drop the oldest journey and retry once
+            console.warn('⚠️ Affirmation store over quota, evicting oldest journey and retrying');
+            const [oldest] = (await this.list()).reverse().filter(r => r.key !== entry.key);
+            if (!oldest) throw error;
+            await this.delete(oldest.key);
+            await this.transaction('readwrite', store => requestToPromise(store.put(entry)));
+        }
+        return entry;
+    }
+
+    /**
+     * Update fields of a stored journey (experience, play stats) without touching the audio
+     */
+    async update(key, changes) {
+        return this.transaction('readwrite', async store => {
+            const record = await requestToPromise(store.get(key));
+            if (!record) return null;
+            const updated = { ...record, ...changes };
+            await requestToPromise(store.put(updated));
+            return updated;
+        });
+    }
+
+    /**
+     * Mark a journey as replayed (keeps it at the front of the eviction order)
+     */
+    async touch(key) {
+        const record = await this.get(key);
+        if (!record) return null;
+        return this.update(key, { lastPlayedAt: Date.now(), playCount: (record.playCount || 0) + 1 });
+    }
+
+    async delete(key) {
+        return this.transaction('readwrite', store => requestToPromise(store.delete(key)));
+    }
+
+    async clear() {
+        return this.transaction('readwrite', store => requestToPromise(store.clear()));
+    }
+
+    /**
+     * Evict least-recently-played journeys until `incoming` fits every limit
+     */
+    async makeRoom(incoming) {
+        const others = (await this.list()).filter(r => r.key !== incoming.key);
+        let bytes = others.reduce((sum, r) => sum + (r.size || 0), 0);
+
+        // Origin-wide budget: whatever else the site stores counts against the quota too
+        let quotaRoom = Infinity;
+        const estimate = await this.estimate();
+        if (estimate?.quota) {
+            quotaRoom = estimate.quota * this.config.quotaUsage - estimate.usage;
+        }
+
+        const evicted = [];
+        while (others.length > 0 && (
+            others.length + 1 > this.config.maxEntries ||
+            bytes + incoming.size > this.config.maxBytes ||
+            incoming.size > quotaRoom
+        )) {
+            const oldest = others.pop();
+            await this.delete(oldest.key);
+            bytes -= oldest.size || 0;
+            quotaRoom += oldest.size || 0;
+            evicted.push(oldest.key);
+        }
+
+        if (evicted.length > 0) {
+            console.log(`🧹 Evicted ${evicted.length} old affirmation journey(s):`, evicted);
+        }
+        return evicted;
+    }
+
+    async estimate() {
+        try {
+            return await navigator.storage?.estimate?.() || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<Object>} { entries, bytes, keys, usage, quota }
+     */
+    async getStats() {
+        const records = await this.list();
+        const estimate = await this.estimate();
+        return {
+            entries: records.length,
+            bytes: records.reduce((sum, r) => sum + (r.size || 0), 0),
+            keys: records.map(r => r.key),
+            usage: estimate?.usage ?? null,
+            quota: estimate?.quota ?? null
+        };
+    }
+}
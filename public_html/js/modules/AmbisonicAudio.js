@@ -0,0 +1,286 @@
+/**
+ * AmbisonicAudio.js
+ * First-order ambisonic (AmbiX: ACN channel order W, Y, Z, X with SN3D normalisation) soundtracks.
+ * The 4-channel track - the video's own audio, or a sidecar file kept in sync with it - is decoded
+ * to a cube of virtual speakers, each an HRTF panner around the shared THREE.AudioListener.
+ * The listener follows the camera (and the headset pose in WebXR); the decoder is re-weighted
+ * whenever the sphere turns (lon/lat in VR), so the sound field stays anchored to the picture.
+ *
+ * info.json / gallery entry:
+ *   "ambisonic": true              - the video's audio track has the 4 AmbiX channels
+ *   "ambisonic": "ambix.m4a"       - sidecar file next to the video's info.json
+ */
+
+import * as THREE from 'three';
+import { AMBISONIC_CONFIG } from '../utils/constants.js';
+
+// Virtual speakers on the corners of a cube, in scene coordinates
+const SPEAKER_DIRECTIONS = [
+    [1, 1, 1], [1, 1, -1], [1, -1, 1], [1, -1, -1],
+    [-1, 1, 1], [-1, 1, -1], [-1, -1, 1], [-1, -1, -1]
+].map(direction => new THREE.Vector3(...direction).normalize());
+
+// First-order gain of a basic SN3D decoder (3) with max-rE weighting (1/√3)
+const DIPOLE_WEIGHT = Math.sqrt(3);
+
+// AmbiX channels by ACN index
+const CHANNEL = { W: 0, Y: 1, Z: 2, X: 3 };
+
+const VIDEO_EVENTS = ['play', 'pause', 'seeked', 'ratechange', 'volumechange'];
+
+// A media element can only ever feed one source node - reuse it when the element is attached again
+const elementSources = new WeakMap();
+
+function getElementSource(context, element) {
+    if (!elementSources.has(element)) {
+        elementSources.set(element, context.createMediaElementSource(element));
+    }
+    return elementSources.get(element);
+}
+
+/**
+ * Where a processed video's ambisonic track is: 'embedded', a sidecar URL, or null (plain stereo)
+ * @param {Object} info - info.json (takes precedence)
+ * @param {Object} entry - gallery entry
+ * @param {string} baseURL - the video's folder, for sidecar files
+ */
+export function resolveAmbisonicSource(info, entry, baseURL) {
+    const value = [info, entry].find(source => source && source.ambisonic != null)?.ambisonic;
+    if (!value) return null;
+    if (value === true || value === 'embedded') return 'embedded';
+    return /^(https?:)?\//.test(value) ? value : baseURL + value;
+}
+
+export class AmbisonicAudio {
+    /**
+     * @param {THREE.AudioListener} listener - shared with hotspot audio, attached to the camera
+     */
+    constructor(listener) {
+        this.listener = listener;
+        this.context = listener.context;
+
+        this.video = null;
+        this.sidecar = null; // <audio> playing the sidecar file in sync with the video
+        this.sidecarURL = null;
+        this.videoSource = null; // The video's own audio, silenced while a sidecar plays
+        this.videoGain = null;
+        this.fieldSource = null; // The 4-channel input being decoded
+
+        this.orientation = new THREE.Quaternion(0, 0, 0, 0); // Not a rotation - the first update() always decodes
+        this.sphereQuaternion = new THREE.Quaternion();
+        this.direction = new THREE.Vector3();
+        this.listenerPosition = new THREE.Vector3();
+
+        this.createDecoder();
+        this.handleVideoEvent = this.handleVideoEvent.bind(this);
+    }
+
+    get active() {
+        return this.video !== null;
+    }
+
+    /**
+     * Splitter -> per-speaker gains for X/Y/Z (W is shared) -> HRTF panners -> listener
+     */
+    createDecoder() {
+        const context = this.context;
+        this.splitter = context.createChannelSplitter(4);
+        this.wGain = context.createGain();
+        this.wGain.gain.value = 1 / SPEAKER_DIRECTIONS.length;
+        this.splitter.connect(this.wGain, CHANNEL.W);
+
+        this.speakers = SPEAKER_DIRECTIONS.map(direction => {
+            const panner = context.createPanner();
+            panner.panningModel = 'HRTF';
+            panner.distanceModel = 'inverse';
+            panner.rolloffFactor = 0; // Direction only - the field is infinitely far
+            panner.channelCount = 1;
+            panner.channelCountMode = 'explicit';
+
+            const gains = {};
+            ['X', 'Y', 'Z'].forEach(axis => {
+                gains[axis] = context.createGain();
+                this.splitter.connect(gains[axis], CHANNEL[axis]);
+                gains[axis].connect(panner);
+            });
+            this.wGain.connect(panner);
+            panner.connect(this.listener.getInput());
+
+            return { direction, panner, gains };
+        });
+    }
+
+    /**
+     * Decode `video`'s soundtrack - its own 4 channels, or `sidecarURL` played alongside it
+     */
+    attach(video, sidecarURL = null) {
+        this.detach();
+        this.video = video;
+        this.sidecarURL = sidecarURL;
+
+        this.videoSource = getElementSource(this.context, video);
+        this.videoGain = this.context.createGain();
+        this.videoSource.connect(this.videoGain);
+
+        if (sidecarURL) {
+            this.sidecar = this.createSidecar(sidecarURL);
+            this.fieldSource = getElementSource(this.context, this.sidecar);
+            // The video's stereo mix only plays if the sidecar can't
+            this.videoGain.gain.value = 0;
+            this.videoGain.connect(this.listener.getInput());
+        } else {
+            this.fieldSource = this.videoGain;
+        }
+        this.fieldSource.connect(this.splitter);
+
+        VIDEO_EVENTS.forEach(type => video.addEventListener(type, this.handleVideoEvent));
+        this.handleVideoEvent({ type: 'volumechange' });
+        if (!video.paused) this.handleVideoEvent({ type: 'play' });
+        console.log(`🎧 Ambisonic soundtrack: ${sidecarURL || 'embedded'}`);
+    }
+
+    /**
+     * ABR replaced the video element (already playing in sync) - follow it without restarting a sidecar
+     */
+    setVideo(video) {
+        if (!this.video || video === this.video) return;
+        if (!this.sidecar) {
+            this.attach(video);
+            return;
+        }
+
+        VIDEO_EVENTS.forEach(type => this.video.removeEventListener(type, this.handleVideoEvent));
+        this.videoSource.disconnect();
+        this.video = video;
+        this.videoSource = getElementSource(this.context, video);
+        this.videoSource.connect(this.videoGain);
+        VIDEO_EVENTS.forEach(type => video.addEventListener(type, this.handleVideoEvent));
+    }
+
+    createSidecar(url) {
+        const audio = document.createElement('audio');
+        audio.crossOrigin = 'anonymous';
+        audio.preload = 'auto';
+        audio.src = url;
+        audio.addEventListener('error', () => {
+            if (this.sidecar !== audio) return;
+            console.warn(`⚠️ Ambisonic track failed to load (${url}) - playing the video's own audio`);
+            this.fieldSource.disconnect();
+            this.videoGain.gain.value = 1;
+        }, { once: true });
+        return audio;
+    }
+
+    /**
+     * Sidecar follows the video's transport and volume; the context starts with the first play (autoplay policy)
+     */
+    handleVideoEvent(event) {
+        const video = this.video;
+        if (event.type === 'play' && this.context.state === 'suspended') {
+            this.context.resume().catch(error => console.warn('⚠️ Audio context not resumed:', error.message));
+        }
+        if (!this.sidecar) return;
+
+        switch (event.type) {
+            case 'play':
+                this.sidecar.currentTime = video.currentTime;
+                this.sidecar.play().catch(error => console.warn('⚠️ Ambisonic track playback blocked:', error.message));
+                break;
+            case 'pause':
+                this.sidecar.pause();
+                break;
+            case 'seeked':
+                this.sidecar.currentTime = video.currentTime;
+                break;
+            case 'ratechange':
+                this.sidecar.playbackRate = video.playbackRate;
+                break;
+            case 'volumechange':
+                this.sidecar.volume = video.volume;
+                this.sidecar.muted = video.muted;
+                break;
+        }
+    }
+
+    /**
+     * Per frame: keep the speakers around the listener, re-weight them when the sphere has turned,
+     * and pull a drifting sidecar back to the video
+     * @param {THREE.Object3D} sphere - the video sphere (rotates with lon/lat in VR)
+     */
+    update(sphere) {
+        if (!this.video) return;
+
+        if (this.sidecar && !this.video.paused && !this.sidecar.paused &&
+            Math.abs(this.sidecar.currentTime - this.video.currentTime) > AMBISONIC_CONFIG.syncTolerance) {
+            this.sidecar.currentTime = this.video.currentTime;
+        }
+
+        // Same ramp as THREE.AudioListener uses for its own position
+        const endTime = this.context.currentTime + this.listener.timeDelta;
+        this.listener.getWorldPosition(this.listenerPosition);
+        this.speakers.forEach(({ direction, panner }) => {
+            this.direction.copy(direction).multiplyScalar(AMBISONIC_CONFIG.speakerDistance).add(this.listenerPosition);
+            panner.positionX.linearRampToValueAtTime(this.direction.x, endTime);
+            panner.positionY.linearRampToValueAtTime(this.direction.y, endTime);
+            panner.positionZ.linearRampToValueAtTime(this.direction.z, endTime);
+        });
+
+        if (sphere) {
+            sphere.getWorldQuaternion(this.sphereQuaternion);
+            if (!this.sphereQuaternion.equals(this.orientation)) {
+                this.orientation.copy(this.sphereQuaternion);
+                this.decode(this.sphereQuaternion.invert());
+            }
+        }
+    }
+
+    /**
+     * Speaker gains for a sound field turned by the sphere. Each speaker samples the field in its direction
+     * in sphere space, where the frame centre (ambisonic front) is +X, its left +Z and up +Y.
+     * @param {THREE.Quaternion} inverse - world to sphere space
+     */
+    decode(inverse) {
+        const now = this.context.currentTime;
+        this.speakers.forEach(({ direction, gains }) => {
+            this.direction.copy(direction).applyQuaternion(inverse);
+            const weights = { X: this.direction.x, Y: this.direction.z, Z: this.direction.y };
+            Object.entries(weights).forEach(([axis, weight]) => {
+                gains[axis].gain.setTargetAtTime(DIPOLE_WEIGHT * weight / SPEAKER_DIRECTIONS.length, now, AMBISONIC_CONFIG.rotationSmoothing);
+            });
+        });
+    }
+
+    /**
+     * Stop decoding - the video's element source stays silenced (it is being released)
+     */
+    detach() {
+        if (!this.video) return;
+
+        VIDEO_EVENTS.forEach(type => this.video.removeEventListener(type, this.handleVideoEvent));
+        this.videoSource.disconnect();
+        this.videoGain.disconnect();
+        if (this.fieldSource !== this.videoGain) this.fieldSource.disconnect();
+        if (this.sidecar) {
+            this.sidecar.pause();
+            this.sidecar.removeAttribute('src');
+            this.sidecar.load();
+            this.sidecar = null;
+        }
+
+        this.video = null;
+        this.sidecarURL = null;
+        this.videoSource = null;
+        this.videoGain = null;
+        this.fieldSource = null;
+    }
+
+    dispose() {
+        this.detach();
+        this.splitter.disconnect();
+        this.wGain.disconnect();
+        this.speakers.forEach(({ panner, gains }) => {
+            panner.disconnect();
+            Object.values(gains).forEach(gain => gain.disconnect());
+        });
+    }
+}
@@ -0,0 +1,305 @@
+/**
+ * CaptionSystem.js
+ * Captions for what can only be heard. Timed tracks follow a media element's clock - a video's WebVTT
+ * file, or an affirmation set's track on each of its segment <audio> elements - and one-off cues stay up
+ * for their reading time (narrative text in the headset, "[metallic scrape, left]" when a hotspot is found).
+ * Flat screens get a DOM overlay above the controls, announced to screen readers; while presenting, the
+ * same lines go on a three-mesh-ui panel that is head-locked (trails the view) or world-anchored
+ * (stays where the viewer was looking when the caption appeared).
+ */
+
+import * as THREE from 'three';
+import ThreeMeshUI from 'https://unpkg.com/three-mesh-ui@6.5.4/build/three-mesh-ui.module.js';
+import { CAPTION_CONFIG } from '../utils/constants.js';
+import { stripCueTags } from '../utils/webvtt.js';
+
+export const CAPTION_PLACEMENTS = ['head-locked', 'world-anchored'];
+
+const STORAGE_KEY = 'eyetripvr_captions';
+
+const PANEL_WIDTH = 1.4;
+const PANEL_HEIGHT = 0.42;
+
+export class CaptionSystem {
+    /**
+     * @param {THREE.Scene} scene - holds the VR panel
+     * @param {THREE.Camera} camera - the viewer (follows the headset pose in WebXR)
+     * @param {THREE.WebGLRenderer} renderer
+     */
+    constructor(scene, camera, renderer) {
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+
+        this.tracks = []; // { element, cues, whilePaused }
+        this.notices = []; // One-off cues: { text, kind, start, end } in performance.now() ms
+        this.text = ''; // What is showing, one line per cue
+        this.presenting = false;
+
+        const settings = this.loadSettings();
+        this.enabled = settings.enabled;
+        this.placement = settings.placement;
+        this.onChange = null; // () - enabled or placement changed (buttons showing them can refresh)
+
+        this.overlay = this.createOverlay();
+        this.panel = null; // Created the first time a caption shows in the headset
+        this.panelText = null;
+        this.panelPlaced = false;
+
+        this.viewPosition = new THREE.Vector3();
+        this.viewQuaternion = new THREE.Quaternion();
+        this.target = new THREE.Vector3();
+        this.offset = new THREE.Vector3();
+    }
+
+    /**
+     * Caption `element` with WebVTT cues timed against its currentTime (replaces its previous track)
+     * options.whilePaused: keep the current cue up while paused (false for clips that pause when they end)
+     */
+    attachTrack(element, cues, { whilePaused = true } = {}) {
+        this.detachTrack(element);
+        this.tracks.push({ element, cues, whilePaused });
+    }
+
+    detachTrack(element) {
+        this.tracks = this.tracks.filter(track => track.element !== element);
+    }
+
+    /**
+     * ABR replaced `previous` with `element`, already playing in sync - its track carries over
+     */
+    setElement(previous, element) {
+        this.tracks.forEach(track => {
+            if (track.element === previous) track.element = element;
+        });
+    }
+
+    /**
+     * Show `text` for its reading time (or options.duration seconds). Cues of the same kind follow
+     * one another rather than replacing each other
+     */
+    showCue(text, { kind = 'description', duration = null } = {}) {
+        const now = performance.now();
+        const previous = this.notices.filter(notice => notice.kind === kind).pop();
+        const start = previous ? Math.max(now, previous.end) : now;
+        const seconds = duration ?? Math.max(CAPTION_CONFIG.minCueDuration, text.split(/\s+/).length * CAPTION_CONFIG.secondsPerWord);
+        this.notices.push({ text, kind, start, end: start + seconds * 1000 });
+    }
+
+    /**
+     * Drop pending one-off cues (all, or one kind) - e.g. when the scene changes
+     */
+    clearCues(kind = null) {
+        this.notices = kind ? this.notices.filter(notice => notice.kind !== kind) : [];
+    }
+
+    /**
+     * Where a world position is from the viewer: 'ahead', 'behind', 'left', 'right', 'above' or 'below'
+     */
+    describeDirection(position) {
+        this.camera.getWorldPosition(this.viewPosition);
+        this.camera.getWorldQuaternion(this.viewQuaternion);
+        // View space: -Z ahead, +X right, +Y up
+        const local = this.offset.copy(position).sub(this.viewPosition).applyQuaternion(this.viewQuaternion.invert());
+
+        const elevation = THREE.MathUtils.radToDeg(Math.atan2(local.y, Math.hypot(local.x, local.z)));
+        if (elevation > 45) return 'above';
+        if (elevation < -45) return 'below';
+
+        const azimuth = THREE.MathUtils.radToDeg(Math.atan2(local.x, -local.z));
+        if (Math.abs(azimuth) <= 30) return 'ahead';
+        if (Math.abs(azimuth) >= 150) return 'behind';
+        return azimuth > 0 ? 'right' : 'left';
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.saveSettings();
+        console.log(`💬 Captions ${enabled ? 'on' : 'off'}`);
+        if (this.onChange) this.onChange();
+    }
+
+    toggle() {
+        this.setEnabled(!this.enabled);
+    }
+
+    /**
+     * Switch the VR panel between head-locked and world-anchored
+     */
+    togglePlacement() {
+        const index = CAPTION_PLACEMENTS.indexOf(this.placement);
+        this.placement = CAPTION_PLACEMENTS[(index + 1) % CAPTION_PLACEMENTS.length];
+        this.panelPlaced = false;
+        this.saveSettings();
+        console.log(`💬 VR captions ${this.placement}`);
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Lines due now: each track's current cues, then one-off cues, newest kept when there are too many
+     */
+    getActiveLines() {
+        const lines = [];
+        this.tracks.forEach(({ element, cues, whilePaused }) => {
+            if (element.ended || (element.paused && !whilePaused)) return;
+            const time = element.currentTime;
+            cues.filter(cue => cue.start <= time && time < cue.end)
+                .forEach(cue => lines.push(stripCueTags(cue.text)));
+        });
+
+        const now = performance.now();
+        this.notices = this.notices.filter(notice => notice.end > now);
+        this.notices.filter(notice => notice.start <= now)
+            .forEach(notice => lines.push(notice.text));
+
+        return lines.slice(-CAPTION_CONFIG.maxLines);
+    }
+
+    /**
+     * Per frame, from PanoramaPlayer.animate()
+     */
+    update() {
+        const text = this.enabled ? this.getActiveLines().join('\n') : '';
+        const presenting = this.renderer.xr.isPresenting;
+        if (text !== this.text || presenting !== this.presenting) {
+            this.presenting = presenting;
+            this.render(text);
+        }
+
+        if (this.panel && this.panel.visible) {
+            this.placePanel();
+            ThreeMeshUI.update();
+        }
+    }
+
+    render(text) {
+        const shown = this.text !== '';
+        this.text = text;
+
+        this.overlay.replaceChildren(...text.split('\n').filter(Boolean).map(line => {
+            const element = document.createElement('div');
+            element.textContent = line;
+            element.style.cssText = `
+                background: rgba(0, 0, 0, 0.8);
+                color: #fff;
+                font-size: 20px;
+                line-height: 1.4;
+                padding: 4px 12px;
+                border-radius: 6px;
+            `;
+            return element;
+        }));
+        this.overlay.style.display = text ? 'flex' : 'none';
+
+        if (!this.presenting || !text) {
+            if (this.panel) this.panel.visible = false;
+            this.panelPlaced = false;
+            return;
+        }
+        if (!this.panel) this.createPanel();
+        this.panelText.set({ content: text });
+        this.panel.visible = true;
+        // A fresh caption (nothing was showing) goes where the viewer is looking now
+        if (!shown) this.panelPlaced = false;
+    }
+
+    createOverlay() {
+        const overlay = document.createElement('div');
+        overlay.id = 'caption-overlay';
+        overlay.setAttribute('aria-live', 'polite');
+        overlay.style.cssText = `
+            position: fixed;
+            left: 50%;
+            bottom: 96px;
+            transform: translateX(-50%);
+            max-width: min(90vw, 900px);
+            display: none;
+            flex-direction: column;
+            align-items: center;
+            gap: 4px;
+            text-align: center;
+            pointer-events: none;
+            z-index: 14000;
+        `;
+        // Inside the element the fullscreen button enlarges, so captions stay visible there
+        (document.getElementById('container') || document.body).appendChild(overlay);
+        return overlay;
+    }
+
+    createPanel() {
+        this.panel = new ThreeMeshUI.Block({
+            width: PANEL_WIDTH,
+            height: PANEL_HEIGHT,
+            padding: 0.03,
+            justifyContent: 'center',
+            textAlign: 'center',
+            backgroundOpacity: 0.75,
+            backgroundColor: new THREE.Color(0x000000),
+            borderRadius: 0.03,
+            fontFamily: './fonts/Roboto-msdf.json',
+            fontTexture: './fonts/Roboto-msdf.png'
+        });
+        this.panelText = new ThreeMeshUI.Text({
+            content: '',
+            fontSize: 0.055,
+            fontColor: new THREE.Color(0xffffff)
+        });
+        this.panel.add(this.panelText);
+        this.panel.visible = false;
+        this.scene.add(this.panel);
+    }
+
+    /**
+     * Below the line of sight, facing the viewer. Head-locked eases after the view every frame;
+     * world-anchored is placed once per caption and left there
+     */
+    placePanel() {
+        if (this.placement === 'world-anchored' && this.panelPlaced) return;
+
+        this.camera.getWorldPosition(this.viewPosition);
+        this.camera.getWorldQuaternion(this.viewQuaternion);
+        this.target.set(0, -CAPTION_CONFIG.panelDrop, -CAPTION_CONFIG.panelDistance)
+            .applyQuaternion(this.viewQuaternion)
+            .add(this.viewPosition);
+
+        if (this.panelPlaced) {
+            this.panel.position.lerp(this.target, CAPTION_CONFIG.followSmoothing);
+            this.panel.quaternion.slerp(this.viewQuaternion, CAPTION_CONFIG.followSmoothing);
+        } else {
+            this.panel.position.copy(this.target);
+            this.panel.quaternion.copy(this.viewQuaternion);
+            this.panelPlaced = true;
+        }
+    }
+
+    loadSettings() {
+        const defaults = { enabled: CAPTION_CONFIG.enabled, placement: CAPTION_CONFIG.vrPlacement };
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                return {
+                    enabled: typeof saved.enabled === 'boolean' ? saved.enabled : defaults.enabled,
+                    placement: CAPTION_PLACEMENTS.includes(saved.placement) ? saved.placement : defaults.placement
+                };
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable caption settings:', error);
+        }
+        return defaults;
+    }
+
+    saveSettings() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ enabled: this.enabled, placement: this.placement }));
+    }
+
+    dispose() {
+        this.tracks = [];
+        this.notices = [];
+        this.overlay.remove();
+        if (this.panel) {
+            this.scene.remove(this.panel);
+            this.panel = null;
+            this.panelText = null;
+        }
+    }
+}
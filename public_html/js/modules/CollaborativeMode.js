@@ -1,23 +1,41 @@
 import * as THREE from 'three';
+import { COLLAB_CONFIG } from '../utils/constants.js';
+import { escapeHTML } from '../utils/helpers.js';
 
 /**
  * CollaborativeMode - Real-time multiplayer discovery experience
- * Share camera positions, discoveries, and compete with others
+ * Share camera positions, discoveries, and compete with others.
+ * Watch party: the room host drives play/pause/seek and guests stay in sync.
+ * Room modes: free explore, co-op (shared finds) or race (first finder claims).
  */
 export class CollaborativeMode {
-    constructor(panoramaPlayer, hotspotManager, videoId) {
+    /**
+     * options: { serverUrl, roomCode, playerName, mode } - each falls back to URL params
+     * (?collabServer=, ?room=, ?mode=), saved preferences, then defaults
+     */
+    constructor(panoramaPlayer, hotspotManager, videoId, options = {}) {
         this.panoramaPlayer = panoramaPlayer;
         this.hotspotManager = hotspotManager;
         this.videoId = videoId;
         
-        // WebSocket connection (using public echo server for demo)
+        // WebSocket connection (server/collab-server.js or compatible relay)
         this.socket = null;
         this.isConnected = false;
+        this.serverUrl = this.resolveServerURL(options.serverUrl);
+        
+        // Reconnect with exponential backoff unless we left on purpose
+        this.shouldReconnect = true;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatInterval = null;
+        this.lastHeartbeatAck = 0;
         
-        // Room management
-        this.roomId = `eyetrip_${videoId}_${Math.floor(Date.now() / 60000)}`; // 1min rooms
-        this.playerId = this.generatePlayerId();
-        this.playerName = this.generatePlayerName();
+        // Room management - shareable code, joined via invite link (?room=CODE)
+        this.roomCode = this.resolveRoomCode(options.roomCode);
+        this.roomId = `eyetrip_${this.roomCode}`;
+        this.playerId = this.generatePlayerId(); // Local stand-in until the relay assigns ours
+        this.resumeToken = this.loadResumeToken(); // Lets a reconnect take our old id back
+        this.playerName = options.playerName || this.generatePlayerName();
         
         // Player tracking
         this.players = new Map();
@@ -26,46 +44,276 @@ export class CollaborativeMode {
         // Stats
         this.leaderboard = [];
         
-        console.log(`👥 CollaborativeMode initialized - Room: ${this.roomId}, Player: ${this.playerName}`);
+        // Watch party - host drives the shared timeline, guests follow it
+        this.hostId = null;
+        this.hostPlayback = null; // Last 'playback-state' from the host (with serverTime)
+        this.followPlayback = options.followPlayback !== false;
+        this.followGaze = false;
+        this.serverClockOffset = 0; // Server clock minus ours, estimated from heartbeats
+        this.hasClockSample = false;
+        this.playbackInterval = null;
+        this.lastPlaybackBroadcast = 0;
+        this.isNudgingRate = false;
+        this.boundVideo = null;
+        this.lastGazeTarget = null;
+        this.lastControlNotice = 0;
+        this.warnedVideoMismatch = false;
+        this.onVideoPlaybackEvent = this.onVideoPlaybackEvent.bind(this);
+        this.stopFollowingGaze = () => this.setFollowGaze(false);
+        
+        // Discovery rules - the host picks the mode, the relay decides who found each hotspot first
+        this.roomMode = this.resolveRoomMode(options.mode);
+        this.roundId = null;
+        this.roundFinds = new Map(); // 'videoId:hotspotId' -> { videoId, hotspotId, hotspotLabel, playerId, playerName }
+        this.roundManager = null; // HotspotManager (and hotspot count) the round was last applied to
+        this.roundHotspotCount = 0;
+        
+        console.log(`👥 CollaborativeMode initialized - Room: ${this.roomCode}, Player: ${this.playerName}, Server: ${this.serverUrl}`);
+    }
+    
+    /**
+     * Server URL: explicit option > ?collabServer= (remembered) > saved > window.EYETRIP_COLLAB_SERVER > same host
+     */
+    resolveServerURL(serverUrl) {
+        const params = new URLSearchParams(window.location.search);
+        const fromParam = params.get('collabServer');
+        
+        if (fromParam) {
+            try {
+                localStorage.setItem('eyetrip_collab_server', fromParam);
+            } catch (e) {
+                // Private mode - just use it for this session
+            }
+        }
+        
+        let saved = null;
+        try {
+            saved = localStorage.getItem('eyetrip_collab_server');
+        } catch (e) {
+            saved = null;
+        }
+        
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const host = window.location.hostname || 'localhost';
+        
+        return serverUrl || fromParam || saved || window.EYETRIP_COLLAB_SERVER ||
+            `${protocol}//${host}:${COLLAB_CONFIG.defaultPort}`;
+    }
+    
+    /**
+     * Room code: explicit option > ?room= > new random code
+     */
+    resolveRoomCode(roomCode) {
+        const fromParam = new URLSearchParams(window.location.search).get('room');
+        const code = (roomCode || fromParam || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return code || CollaborativeMode.generateRoomCode();
+    }
+    
+    /**
+     * Room mode: explicit option > ?mode= > default (the room's existing mode wins on join)
+     */
+    resolveRoomMode(mode) {
+        const requested = mode || new URLSearchParams(window.location.search).get('mode');
+        return COLLAB_CONFIG.roomModes[requested] ? requested : COLLAB_CONFIG.defaultRoomMode;
+    }
+    
+    /**
+     * Generate a short, unambiguous room code (e.g. "K7QX2M")
+     */
+    static generateRoomCode() {
+        const alphabet = COLLAB_CONFIG.roomCodeAlphabet;
+        const values = new Uint32Array(COLLAB_CONFIG.roomCodeLength);
+        crypto.getRandomValues(values);
+        return Array.from(values, v => alphabet[v % alphabet.length]).join('');
+    }
+    
+    /**
+     * Shareable link that opens this page in the same room
+     */
+    getInviteLink() {
+        const url = new URL(window.location.href);
+        url.searchParams.set('room', this.roomCode);
+        if (this.roomMode !== COLLAB_CONFIG.defaultRoomMode) {
+            url.searchParams.set('mode', this.roomMode);
+        }
+        // Only carry the server along when it isn't the default one the guest would pick anyway
+        if (this.serverUrl !== this.resolveDefaultServerURL()) {
+            url.searchParams.set('collabServer', this.serverUrl);
+        }
+        return url.toString();
+    }
+    
+    resolveDefaultServerURL() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.hostname || 'localhost'}:${COLLAB_CONFIG.defaultPort}`;
+    }
+    
+    /**
+     * Copy invite link to clipboard
+     */
+    async copyInviteLink() {
+        const link = this.getInviteLink();
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showNotification('Invite link copied!', '#00ff88');
+        } catch (e) {
+            console.log(`🔗 Invite link: ${link}`);
+            this.showNotification(`Room code: ${this.roomCode}`, '#00ff88');
+        }
+        return link;
     }
     
     /**
      * Connect to WebSocket server
      */
     async connect() {
+        this.shouldReconnect = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        
         try {
-            // Using public WebSocket echo server for demo
-            // In production, use your own Socket.io server
-            this.socket = new WebSocket('wss://echo.websocket.org');
-            
-            this.socket.addEventListener('open', () => {
-                console.log('✅ Connected to collaborative server');
-                this.isConnected = true;
-                this.joinRoom();
-                this.startBroadcasting();
-            });
-            
-            this.socket.addEventListener('message', (event) => {
-                try {
-                    const data = JSON.parse(event.data);
-                    this.handleMessage(data);
-                } catch (e) {
-                    // Echo server returns raw messages, filter our own
-                }
-            });
-            
-            this.socket.addEventListener('close', () => {
-                console.log('❌ Disconnected from collaborative server');
-                this.isConnected = false;
-                this.cleanup();
-            });
-            
-            this.socket.addEventListener('error', (error) => {
-                console.error('❌ WebSocket error:', error);
-            });
-            
+            this.socket = new WebSocket(this.serverUrl);
         } catch (error) {
             console.error('❌ Failed to connect:', error);
+            this.scheduleReconnect();
+            return;
+        }
+        
+        const socket = this.socket;
+        
+        socket.addEventListener('open', () => {
+            console.log(`✅ Connected to collaborative server ${this.serverUrl}`);
+            const isReconnect = this.reconnectAttempts > 0;
+            this.isConnected = true;
+            this.reconnectAttempts = 0;
+            this.joinRoom(isReconnect);
+            this.startBroadcasting();
+            this.startHeartbeat();
+            this.startPlaybackSync();
+        });
+        
+        socket.addEventListener('message', (event) => {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (e) {
+                console.warn('⚠️ Ignoring non-JSON message from collaborative server');
+                return;
+            }
+            this.handleMessage(data);
+        });
+        
+        socket.addEventListener('close', (event) => {
+            // A newer socket already replaced this one
+            if (socket !== this.socket) return;
+            
+            console.log(`❌ Disconnected from collaborative server (${event.code}${event.reason ? `: ${event.reason}` : ''})`);
+            this.isConnected = false;
+            this.stopTimers();
+            this.clearPlayers();
+            
+            if (this.shouldReconnect) {
+                this.scheduleReconnect();
+            }
+        });
+        
+        socket.addEventListener('error', (error) => {
+            console.error('❌ WebSocket error:', error);
+        });
+    }
+    
+    /**
+     * Retry with exponential backoff + jitter (1s, 2s, 4s ... capped)
+     */
+    scheduleReconnect() {
+        if (!this.shouldReconnect || this.reconnectTimer) return;
+        
+        const delay = Math.min(
+            COLLAB_CONFIG.reconnectMaxDelay,
+            COLLAB_CONFIG.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts)
+        ) * (0.8 + Math.random() * 0.4);
+        this.reconnectAttempts++;
+        
+        console.log(`🔁 Reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${this.reconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+    
+    /**
+     * Keep presence alive - the server drops silent players
+     */
+    startHeartbeat() {
+        clearInterval(this.heartbeatInterval);
+        this.lastHeartbeatAck = Date.now();
+        
+        this.heartbeatInterval = setInterval(() => {
+            // No ack for 3 intervals - the connection is dead even if the socket hasn't noticed
+            if (Date.now() - this.lastHeartbeatAck > COLLAB_CONFIG.heartbeatInterval * 3) {
+                console.warn('⚠️ Collaborative server stopped responding, reconnecting...');
+                this.socket.close();
+                return;
+            }
+            this.send({ type: 'heartbeat', timestamp: Date.now() });
+        }, COLLAB_CONFIG.heartbeatInterval);
+    }
+    
+    stopTimers() {
+        clearInterval(this.broadcastInterval);
+        clearInterval(this.heartbeatInterval);
+        clearInterval(this.playbackInterval);
+        this.broadcastInterval = null;
+        this.heartbeatInterval = null;
+        this.playbackInterval = null;
+    }
+    
+    /**
+     * Estimate server clock offset from a heartbeat round trip (NTP-style midpoint)
+     */
+    updateClockOffset(data) {
+        if (!data.clientTimestamp) return;
+        
+        const now = Date.now();
+        const roundTrip = now - data.clientTimestamp;
+        const offset = data.timestamp - (data.clientTimestamp + roundTrip / 2);
+        
+        // Smooth out jitter once we have a first sample
+        this.serverClockOffset = this.hasClockSample ?
+            this.serverClockOffset * 0.8 + offset * 0.2 : offset;
+        this.hasClockSample = true;
+    }
+    
+    /**
+     * Resume token per browser tab, so reconnects and reloads rejoin as the same player
+     */
+    loadResumeToken() {
+        try {
+            return sessionStorage.getItem('eyetrip_collab_resume');
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    /**
+     * Take the id the relay gave us (it ignores ids in our messages) - own stats move with it
+     */
+    setPlayerId(playerId, resumeToken) {
+        if (playerId && playerId !== this.playerId) {
+            const myStats = this.players.get(this.playerId);
+            if (myStats) {
+                this.players.delete(this.playerId);
+                this.players.set(playerId, myStats);
+            }
+            this.playerId = playerId;
+        }
+        if (resumeToken) {
+            this.resumeToken = resumeToken;
+            try {
+                sessionStorage.setItem('eyetrip_collab_resume', resumeToken);
+            } catch (e) {
+                // Private mode - reconnects within this page still resume
+            }
         }
     }
     
@@ -92,22 +340,29 @@ export class CollaborativeMode {
     /**
      * Join a room
      */
-    joinRoom() {
+    joinRoom(isReconnect = false) {
         this.send({
             type: 'join-room',
             roomId: this.roomId,
-            playerId: this.playerId,
+            resumeToken: this.resumeToken,
             playerName: this.playerName,
+            videoId: this.videoId,
             timestamp: Date.now()
         });
         
-        this.showJoinNotification();
+        if (isReconnect) {
+            this.showNotification('Reconnected to session', '#00ff88');
+        } else {
+            this.showJoinNotification();
+        }
     }
     
     /**
      * Start broadcasting camera position
      */
     startBroadcasting() {
+        clearInterval(this.broadcastInterval);
+        
         // Broadcast camera position every 200ms
         this.broadcastInterval = setInterval(() => {
             if (!this.isConnected || !this.panoramaPlayer) return;
@@ -139,6 +394,37 @@ export class CollaborativeMode {
      * Handle incoming messages
      */
     handleMessage(data) {
+        // Server-level messages - the relay stamps a playerId on everything it forwards from players,
+        // and never on its own, so one carrying a playerId is a player's forgery
+        switch ('playerId' in data ? null : data.type) {
+            case 'heartbeat-ack':
+                this.lastHeartbeatAck = Date.now();
+                this.updateClockOffset(data);
+                return;
+            case 'host-changed':
+                this.handleHostChanged(data.hostId, data.hostName);
+                return;
+            case 'welcome':
+                this.setPlayerId(data.assignedPlayerId);
+                return;
+            case 'room-state':
+                this.handleRoomState(data);
+                return;
+            case 'round-started':
+                this.resetRound(data.roundId, data.mode);
+                return;
+            case 'discovery-ack':
+                this.handleDiscoveryAck(data);
+                return;
+            case 'error':
+                console.warn(`⚠️ Collaborative server error (${data.code}): ${data.message}`);
+                if (data.code === 'room-full') {
+                    this.showNotification('That room is full', '#ff6b6b');
+                    this.shouldReconnect = false;
+                }
+                return;
+        }
+        
         if (data.roomId !== this.roomId) return; // Not our room
         if (data.playerId === this.playerId) return; // Our own message
         
@@ -152,16 +438,65 @@ export class CollaborativeMode {
             case 'hotspot-discovered':
                 this.handleHotspotDiscovered(data);
                 break;
+            case 'playback-state':
+                this.handlePlaybackState(data);
+                break;
+            case 'round-start':
+                this.resetRound(data.roundId, data.mode, { startedBy: data.playerName });
+                break;
             case 'leave-room':
                 this.handlePlayerLeft(data);
                 break;
         }
     }
     
+    /**
+     * Presence snapshot sent by the server when we (re)join
+     */
+    handleRoomState(data) {
+        this.setPlayerId(data.assignedPlayerId, data.resumeToken);
+        this.clearPlayers();
+        data.players.forEach(player => this.handlePlayerJoined({
+            playerId: player.playerId,
+            playerName: player.playerName,
+            timestamp: player.joinTime
+        }, { silent: true }));
+        
+        console.log(`👥 Room ${this.roomCode}: ${data.players.length} other player(s) here`);
+        this.updateLeaderboard();
+        
+        // Late joiners catch up to wherever the host is now
+        const host = data.players.find(player => player.playerId === data.hostId);
+        this.handleHostChanged(data.hostId, host ? host.playerName : this.playerName, { silent: true });
+        if (data.playback && data.hostId !== this.playerId) {
+            this.handlePlaybackState(data.playback);
+        }
+        
+        if (data.round) {
+            // A room we just created starts in the mode we asked for; otherwise adopt the room's
+            const isNewRoom = this.isHost && data.players.length === 0 && data.round.finds.length === 0;
+            if (isNewRoom && data.round.mode !== this.roomMode) {
+                this.startRound(this.roomMode);
+            } else {
+                this.loadRound(data.round);
+            }
+        }
+    }
+    
+    /**
+     * Forget remote players (disconnect or fresh room-state)
+     */
+    clearPlayers() {
+        [...this.playerCursors.keys()].forEach(playerId => this.removePlayerCursor(playerId));
+        [...this.players.keys()].forEach(playerId => {
+            if (playerId !== this.playerId) this.players.delete(playerId);
+        });
+    }
+    
     /**
      * Handle player joined
      */
-    handlePlayerJoined(data) {
+    handlePlayerJoined(data, options = {}) {
         if (!this.players.has(data.playerId)) {
             this.players.set(data.playerId, {
                 name: data.playerName,
@@ -173,7 +508,9 @@ export class CollaborativeMode {
             this.createPlayerCursor(data.playerId, data.playerName);
             
             // Show notification
-            this.showNotification(`${data.playerName} joined the session`, '#00ff88');
+            if (!options.silent) {
+                this.showNotification(`${data.playerName} joined the session`, '#00ff88');
+            }
             
             console.log(`👋 Player joined: ${data.playerName}`);
         }
@@ -189,12 +526,22 @@ export class CollaborativeMode {
         
         // Update player cursor position
         this.updatePlayerCursor(data.playerId, data.lon, data.lat);
+        
+        if (this.followGaze && data.playerId === this.hostId) {
+            this.followHostGaze(data.lon, data.lat);
+        }
     }
     
     /**
      * Handle hotspot discovered by another player
      */
     handleHotspotDiscovered(data) {
+        // Co-op/race: the relay tells us who got there first
+        if (this.roomMode !== 'free' && data.firstFinderId) {
+            this.handleRoundFind(data);
+            return;
+        }
+        
         // Update player stats
         const player = this.players.get(data.playerId);
         if (player) {
@@ -217,8 +564,568 @@ export class CollaborativeMode {
     handlePlayerLeft(data) {
         this.players.delete(data.playerId);
         this.removePlayerCursor(data.playerId);
+        this.updateLeaderboard();
+        
+        const reason = data.reason === 'timeout' ? ' (connection lost)' : '';
+        this.showNotification(`${data.playerName} left the session${reason}`, '#ff6b6b');
+    }
+    
+    // ===== Watch party =====
+    
+    get isHost() {
+        return this.hostId !== null && this.hostId === this.playerId;
+    }
+    
+    /**
+     * Server picked a (new) host - first player in, or the longest-present one after the host leaves
+     */
+    handleHostChanged(hostId, hostName, options = {}) {
+        const wasHost = this.isHost;
+        this.hostId = hostId;
+        
+        if (this.isHost) {
+            // Taking over: our timeline becomes the shared one
+            this.restorePlaybackRate();
+            this.setFollowGaze(false);
+            this.broadcastPlayback('host');
+            if (!wasHost && !options.silent) {
+                this.showNotification('You are now hosting the watch party', '#ffd700');
+            }
+        } else if (!options.silent) {
+            this.showNotification(`${hostName} is now hosting`, '#ffd700');
+        }
+        
+        console.log(`👑 Host: ${this.isHost ? 'you' : hostName}`);
+        this.updateWatchPartyControls();
+    }
+    
+    /**
+     * Host broadcasts its timeline periodically; guests correct drift on the same tick
+     */
+    startPlaybackSync() {
+        clearInterval(this.playbackInterval);
+        
+        this.playbackInterval = setInterval(() => {
+            this.bindVideoEvents();
+            
+            this.syncRoundToHotspots();
+            
+            if (this.isHost) {
+                if (Date.now() - this.lastPlaybackBroadcast >= COLLAB_CONFIG.playbackBroadcastInterval) {
+                    this.broadcastPlayback('tick');
+                }
+            } else {
+                this.applyHostPlayback();
+            }
+        }, 1000);
+        
+        this.createWatchPartyControls();
+    }
+    
+    /**
+     * PanoramaPlayer swaps <video> elements between scenes - keep listeners on the current one
+     */
+    bindVideoEvents() {
+        const video = this.panoramaPlayer.video;
+        if (video === this.boundVideo) return;
+        
+        this.unbindVideoEvents();
+        if (!video) return;
+        
+        ['play', 'pause', 'seeked'].forEach(type => video.addEventListener(type, this.onVideoPlaybackEvent));
+        this.boundVideo = video;
+    }
+    
+    unbindVideoEvents() {
+        if (!this.boundVideo) return;
+        ['play', 'pause', 'seeked'].forEach(type => this.boundVideo.removeEventListener(type, this.onVideoPlaybackEvent));
+        this.boundVideo = null;
+    }
+    
+    /**
+     * Local play/pause/seek: the host shares it, a following guest is pulled back to the host
+     */
+    onVideoPlaybackEvent(event) {
+        if (this.isHost) {
+            this.broadcastPlayback(event.type);
+            return;
+        }
+        
+        if (!this.followPlayback || !this.hostPlayback) return;
+        
+        // Our own corrections land here too - only react if we're now off the shared timeline
+        const video = this.boundVideo;
+        const drift = Math.abs(video.currentTime - this.getHostTime(this.hostPlayback));
+        const pausedMismatch = video.paused !== this.hostPlayback.paused;
+        if (!pausedMismatch && drift <= COLLAB_CONFIG.syncHardSeekThreshold) return;
+        
+        if (Date.now() - this.lastControlNotice > 5000) {
+            this.lastControlNotice = Date.now();
+            this.showNotification('Playback is controlled by the host', '#ffd700');
+        }
+        this.applyHostPlayback();
+    }
+    
+    /**
+     * Send our timeline to the room (host only - the server rejects it from guests)
+     */
+    broadcastPlayback(action) {
+        const video = this.panoramaPlayer.video;
+        if (!this.isHost || !video) return;
+        
+        this.send({
+            type: 'playback-state',
+            roomId: this.roomId,
+            playerId: this.playerId,
+            playerName: this.playerName,
+            action,
+            videoId: this.getCurrentVideoId(),
+            currentTime: video.currentTime,
+            paused: video.paused,
+            playbackRate: video.playbackRate || 1,
+            timestamp: Date.now()
+        });
+        this.lastPlaybackBroadcast = Date.now();
+    }
+    
+    /**
+     * Host timeline update (also replayed from room-state for late joiners)
+     */
+    handlePlaybackState(data) {
+        this.hostPlayback = data;
+        
+        if (data.action && data.action !== 'tick') {
+            console.log(`📺 Host ${data.action} at ${data.currentTime.toFixed(1)}s`);
+        }
+        
+        this.applyHostPlayback();
+    }
+    
+    /**
+     * Where the host's video is right now, extrapolated from its last report
+     */
+    getHostTime(state) {
+        if (state.paused) return state.currentTime;
+        
+        const serverNow = Date.now() + this.serverClockOffset;
+        const elapsed = Math.max(0, (serverNow - (state.serverTime || state.timestamp)) / 1000);
+        return state.currentTime + elapsed * (state.playbackRate || 1);
+    }
+    
+    /**
+     * Match the host's play/pause state and keep currentTime within tolerance:
+     * small drift is nudged away with playbackRate, large drift is seeked
+     */
+    applyHostPlayback() {
+        const state = this.hostPlayback;
+        const video = this.panoramaPlayer.video;
+        if (this.isHost || !this.followPlayback || !state || !video || video.readyState < 1) return;
+        
+        const currentVideo = this.getCurrentVideoId();
+        if (state.videoId && currentVideo && state.videoId !== currentVideo) {
+            if (!this.warnedVideoMismatch) {
+                this.warnedVideoMismatch = true;
+                this.showNotification(`Host is watching "${state.videoId}" - open it to sync`, '#ff6b6b');
+            }
+            return;
+        }
+        this.warnedVideoMismatch = false;
+        
+        const duration = isFinite(video.duration) ? video.duration : Infinity;
+        const target = Math.max(0, Math.min(duration, this.getHostTime(state)));
+        const drift = video.currentTime - target; // + ahead of host, - behind
+        const baseRate = state.playbackRate || 1;
+        
+        if (Math.abs(drift) > COLLAB_CONFIG.syncHardSeekThreshold ||
+            (state.paused && Math.abs(drift) > COLLAB_CONFIG.syncTolerance)) {
+            console.log(`⏩ Syncing to host: ${drift > 0 ? 'ahead' : 'behind'} by ${Math.abs(drift).toFixed(2)}s, seeking to ${target.toFixed(1)}s`);
+            video.currentTime = target;
+            this.restorePlaybackRate(baseRate);
+        } else if (!state.paused && Math.abs(drift) > COLLAB_CONFIG.syncTolerance) {
+            const adjust = Math.max(-COLLAB_CONFIG.syncMaxRateAdjust,
+                Math.min(COLLAB_CONFIG.syncMaxRateAdjust, -drift * 0.1));
+            video.playbackRate = baseRate * (1 + adjust);
+            this.isNudgingRate = true;
+        } else if (this.isNudgingRate && Math.abs(drift) < COLLAB_CONFIG.syncTolerance / 3) {
+            this.restorePlaybackRate(baseRate);
+        } else if (!this.isNudgingRate && video.playbackRate !== baseRate) {
+            video.playbackRate = baseRate;
+        }
+        
+        if (state.paused && !video.paused) {
+            video.pause();
+        } else if (!state.paused && video.paused) {
+            video.play().catch(() => {
+                // Autoplay policy - needs a tap before we can follow the host
+                if (Date.now() - this.lastControlNotice > 5000) {
+                    this.lastControlNotice = Date.now();
+                    this.showNotification('Tap play to join the host', '#ffd700');
+                }
+            });
+        }
+    }
+    
+    restorePlaybackRate(rate = 1) {
+        this.isNudgingRate = false;
+        const video = this.panoramaPlayer.video;
+        if (video) video.playbackRate = rate;
+    }
+    
+    /**
+     * Follow (or stop following) the host's shared timeline
+     */
+    setFollowPlayback(enabled) {
+        this.followPlayback = enabled;
+        if (enabled) {
+            this.applyHostPlayback();
+        } else {
+            this.restorePlaybackRate();
+        }
+        this.updateWatchPartyControls();
+    }
+    
+    /**
+     * Turn the camera wherever the host is looking (desktop/mobile; never forced in VR)
+     */
+    setFollowGaze(enabled) {
+        if (enabled && this.isHost) return;
+        this.followGaze = enabled;
+        this.lastGazeTarget = null;
+        
+        // Grabbing the view yourself hands control back
+        const canvas = this.panoramaPlayer.renderer?.domElement;
+        if (canvas) {
+            canvas.removeEventListener('mousedown', this.stopFollowingGaze);
+            canvas.removeEventListener('touchstart', this.stopFollowingGaze);
+            if (enabled) {
+                canvas.addEventListener('mousedown', this.stopFollowingGaze);
+                canvas.addEventListener('touchstart', this.stopFollowingGaze, { passive: true });
+            }
+        }
+        
+        if (enabled) {
+            const hostCursor = this.playerCursors.get(this.hostId);
+            if (hostCursor?.userData.lon !== undefined) {
+                this.followHostGaze(hostCursor.userData.lon, hostCursor.userData.lat);
+            }
+        } else if (window.app?.cinematicCam?.isAnimating) {
+            window.app.cinematicCam.stop();
+        }
+        
+        this.updateWatchPartyControls();
+    }
+    
+    followHostGaze(lon, lat) {
+        const player = this.panoramaPlayer;
+        if (this.isHost || player.renderer?.xr?.isPresenting) return;
+        
+        // Unwrap so we turn the short way round
+        const targetLon = player.lon + ((((lon - player.lon) % 360) + 540) % 360) - 180;
+        const threshold = COLLAB_CONFIG.gazeFollowThreshold;
+        if (Math.hypot(targetLon - player.lon, lat - player.lat) < threshold) return;
+        
+        const cinematic = window.app?.cinematicCam;
+        if (cinematic) {
+            // Let an in-flight transition finish unless the host has moved on noticeably
+            const last = this.lastGazeTarget;
+            if (cinematic.isAnimating && last && Math.hypot(targetLon - last.lon, lat - last.lat) < threshold) return;
+            cinematic.transitionTo(lat, targetLon, 'fast');
+        } else {
+            player.lon = targetLon;
+            player.lat = lat;
+        }
+        this.lastGazeTarget = { lon: targetLon, lat };
+    }
+    
+    /**
+     * Small bar showing the host and the follow toggles
+     */
+    createWatchPartyControls() {
+        if (document.getElementById('collaborative-watch-party')) return;
+        
+        const bar = document.createElement('div');
+        bar.id = 'collaborative-watch-party';
+        bar.style.cssText = `
+            position: fixed;
+            bottom: 90px;
+            left: 20px;
+            display: flex;
+            gap: 8px;
+            align-items: center;
+            background: rgba(0, 0, 0, 0.85);
+            color: white;
+            padding: 8px 12px;
+            border-radius: 12px;
+            font-size: 13px;
+            z-index: 1000;
+            backdrop-filter: blur(10px);
+            border: 1px solid rgba(255, 255, 255, 0.2);
+        `;
+        bar.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (action === 'gaze') this.setFollowGaze(!this.followGaze);
+            else if (action === 'sync') this.setFollowPlayback(!this.followPlayback);
+            else if (action === 'invite') this.copyInviteLink();
+            else if (action === 'mode') this.cycleRoomMode();
+        });
+        
+        document.body.appendChild(bar);
+        this.updateWatchPartyControls();
+    }
+    
+    updateWatchPartyControls() {
+        const bar = document.getElementById('collaborative-watch-party');
+        if (!bar) return;
+        
+        const buttonStyle = (active) => `
+            background: ${active ? 'rgba(255, 215, 0, 0.3)' : 'rgba(255, 255, 255, 0.12)'};
+            color: white;
+            border: 1px solid ${active ? '#ffd700' : 'rgba(255, 255, 255, 0.3)'};
+            border-radius: 8px;
+            padding: 4px 10px;
+            font-size: 12px;
+            cursor: pointer;
+        `;
+        
+        const host = this.players.get(this.hostId);
+        const hostLabel = this.isHost ? 'You are hosting' : `Host: ${host ? host.name : '…'}`;
+        const mode = COLLAB_CONFIG.roomModes[this.roomMode];
+        
+        bar.innerHTML = `
+            <span>👑 <span class="host-name"></span></span>
+            ${this.isHost ?
+                `<button data-action="mode" title="Change room mode (starts a new round)" style="${buttonStyle(this.roomMode !== 'free')}">${mode.icon} ${mode.label}</button>` :
+                `<span>${mode.icon} ${mode.label}</span>`}
+            ${this.isHost ? '' : `
+                <button data-action="sync" style="${buttonStyle(this.followPlayback)}">📺 Sync ${this.followPlayback ? 'on' : 'off'}</button>
+                <button data-action="gaze" style="${buttonStyle(this.followGaze)}">👁 Follow gaze</button>
+            `}
+            <button data-action="invite" style="${buttonStyle(false)}">🔗 ${this.roomCode}</button>
+        `;
+        bar.querySelector('.host-name').textContent = hostLabel;
+    }
+    
+    // ===== Co-op / race rounds =====
+    
+    getCurrentVideoId() {
+        return this.panoramaPlayer.currentVideoName || this.videoId;
+    }
+    
+    /**
+     * PanoramaPlayer builds a new HotspotManager per video - always use the live one
+     */
+    getHotspotManager() {
+        return this.panoramaPlayer.hotspotManager || this.hotspotManager;
+    }
+    
+    /**
+     * Host only: start a fresh round (new mode, or a replay) - the relay clears everyone's claims
+     */
+    startRound(mode = this.roomMode) {
+        if (!this.isHost || !COLLAB_CONFIG.roomModes[mode]) return false;
+        
+        this.send({
+            type: 'round-start',
+            roomId: this.roomId,
+            playerId: this.playerId,
+            playerName: this.playerName,
+            mode,
+            videoId: this.getCurrentVideoId(),
+            timestamp: Date.now()
+        });
+        return true;
+    }
+    
+    cycleRoomMode() {
+        const modes = Object.keys(COLLAB_CONFIG.roomModes);
+        this.startRound(modes[(modes.indexOf(this.roomMode) + 1) % modes.length]);
+    }
+    
+    /**
+     * Adopt the room's round on join (late joiners get every find so far)
+     */
+    loadRound(round) {
+        this.roomMode = round.mode;
+        this.roundId = round.id;
+        this.roundFinds = new Map(round.finds.map(find => [`${find.videoId}:${find.hotspotId}`, find]));
+        this.syncRoundToHotspots(true);
+        this.updateLeaderboard();
+        this.updateWatchPartyControls();
+    }
+    
+    /**
+     * New round from the host - drop claims and points
+     */
+    resetRound(roundId, mode, options = {}) {
+        this.roomMode = mode;
+        this.roundId = roundId;
+        this.roundFinds.clear();
+        this.syncRoundToHotspots(true);
+        this.updateLeaderboard();
+        this.updateWatchPartyControls();
         
-        this.showNotification(`${data.playerName} left the session`, '#ff6b6b');
+        const { icon, label } = COLLAB_CONFIG.roomModes[mode];
+        console.log(`🏁 New ${label} round (${roundId})`);
+        this.showNotification(
+            options.startedBy ? `${icon} ${options.startedBy} started a ${label} round` : `${icon} ${label} round started`,
+            '#ffd700'
+        );
+    }
+    
+    /**
+     * Apply the round's finds to the current video's hotspots
+     * (re-run when the video - and so the HotspotManager - changes, or its hotspots finish loading)
+     */
+    syncRoundToHotspots(force = false) {
+        const manager = this.getHotspotManager();
+        if (!manager) return;
+        if (!force && manager === this.roundManager && manager.hotspots.length === this.roundHotspotCount) return;
+        
+        this.roundManager = manager;
+        this.roundHotspotCount = manager.hotspots.length;
+        
+        manager.hotspots.forEach(hotspot => manager.setHotspotClaimed(hotspot, null));
+        this.getCurrentFinds().forEach(find => this.applyFind(find));
+    }
+    
+    getCurrentFinds() {
+        const videoId = this.getCurrentVideoId();
+        return [...this.roundFinds.values()].filter(find => find.videoId === videoId);
+    }
+    
+    /**
+     * Co-op: a teammate's find reveals the hotspot for us. Race: it's theirs - grey it out
+     */
+    applyFind(find) {
+        if (find.playerId === this.playerId || find.videoId !== this.getCurrentVideoId()) return;
+        
+        const manager = this.getHotspotManager();
+        const hotspot = manager?.hotspots.find(h => h.id === find.hotspotId);
+        if (!hotspot || hotspot.discovered) return;
+        
+        if (this.roomMode === 'coop') {
+            manager.discoverHotspot(hotspot, { foundBy: find.playerName });
+        } else if (this.roomMode === 'race') {
+            manager.setHotspotClaimed(hotspot, find.playerName);
+        }
+    }
+    
+    /**
+     * Remember the first finder of a hotspot; returns false for stale rounds or repeats
+     */
+    recordFind(data) {
+        if (data.roundId && this.roundId && data.roundId !== this.roundId) return false;
+        
+        const key = `${data.videoId}:${data.hotspotId}`;
+        if (this.roundFinds.has(key)) return false;
+        
+        this.roundFinds.set(key, {
+            videoId: data.videoId,
+            hotspotId: data.hotspotId,
+            hotspotLabel: data.hotspotLabel,
+            playerId: data.firstFinderId,
+            playerName: data.firstFinderName
+        });
+        return true;
+    }
+    
+    /**
+     * Another player's discovery in a co-op/race round
+     */
+    handleRoundFind(data) {
+        if (!this.recordFind(data)) return;
+        
+        const find = this.roundFinds.get(`${data.videoId}:${data.hotspotId}`);
+        this.applyFind(find);
+        this.updateLeaderboard();
+        
+        // A late finder's message still carries the winner - only announce the actual claim
+        if (data.firstFinderId !== data.playerId) return;
+        
+        if (this.roomMode === 'race') {
+            this.showNotification(`🏁 ${data.playerName} claimed ${data.hotspotLabel}`, '#ff6b6b');
+        } else {
+            this.showNotification(`🤝 ${data.playerName} found ${data.hotspotLabel} for the team`, '#00ff88');
+        }
+        console.log(`🎯 ${data.playerName} ${this.roomMode === 'race' ? 'claimed' : 'found'} ${data.hotspotLabel}`);
+    }
+    
+    /**
+     * Relay's verdict on our own discovery
+     */
+    handleDiscoveryAck(data) {
+        if (this.roomMode === 'free' || !this.recordFind(data)) return;
+        
+        if (data.firstFinderId === this.playerId) {
+            if (this.roomMode === 'race') {
+                this.showNotification(`🏁 You claimed ${data.hotspotLabel}!`, '#00ff88');
+            }
+        } else if (this.roomMode === 'race') {
+            this.showNotification(`${data.firstFinderName} got to ${data.hotspotLabel} first`, '#ff6b6b');
+        }
+        this.updateLeaderboard();
+    }
+    
+    /**
+     * Points per player this round (first finds on the current video)
+     */
+    getRoundStandings() {
+        const standings = new Map();
+        const entry = (playerId, name) => {
+            if (!standings.has(playerId)) {
+                standings.set(playerId, { id: playerId, name, points: 0, isYou: playerId === this.playerId });
+            }
+            return standings.get(playerId);
+        };
+        
+        entry(this.playerId, this.playerName);
+        this.players.forEach((player, playerId) => {
+            if (playerId !== this.playerId) entry(playerId, player.name);
+        });
+        // Players who left mid-round keep their points
+        this.getCurrentFinds().forEach(find => entry(find.playerId, find.playerName).points++);
+        
+        return [...standings.values()].sort((a, b) => b.points - a.points);
+    }
+    
+    /**
+     * End-of-round summary for ExperienceEnding / VREndScreen (null in free explore)
+     */
+    getRoundSummary() {
+        if (this.roomMode === 'free') return null;
+        
+        const { icon, label } = COLLAB_CONFIG.roomModes[this.roomMode];
+        const manager = this.getHotspotManager();
+        const total = manager ? manager.totalHotspots : 0;
+        const found = this.getCurrentFinds().length;
+        const standings = this.getRoundStandings();
+        
+        let headline;
+        if (this.roomMode === 'coop') {
+            headline = found === total && total > 0 ?
+                `Team found all ${total} sounds!` : `Team found ${found}/${total} sounds`;
+        } else {
+            const [first, second] = standings;
+            if (!first || first.points === 0) {
+                headline = 'No sounds claimed';
+            } else if (second && second.points === first.points) {
+                headline = `Tie at ${first.points} sound${first.points === 1 ? '' : 's'}!`;
+            } else {
+                headline = `${first.isYou ? 'You win' : `${first.name} wins`} with ${first.points} sound${first.points === 1 ? '' : 's'}!`;
+            }
+        }
+        
+        return {
+            mode: this.roomMode,
+            icon,
+            label,
+            roomCode: this.roomCode,
+            videoId: this.getCurrentVideoId(),
+            found,
+            total,
+            headline,
+            standings
+        };
     }
     
     /**
@@ -230,12 +1137,14 @@ export class CollaborativeMode {
             roomId: this.roomId,
             playerId: this.playerId,
             playerName: this.playerName,
+            videoId: this.getCurrentVideoId(),
+            hotspotId: hotspot.id,
             hotspotLabel: hotspot.label,
             timestamp: Date.now()
         });
         
-        // Update own stats
-        const myStats = this.players.get(this.playerId) || { discoveries: 0 };
+        // Update own stats (co-op/race points come from the relay's discovery-ack)
+        const myStats = this.players.get(this.playerId) || { name: `${this.playerName} (you)`, discoveries: 0 };
         myStats.discoveries++;
         this.players.set(this.playerId, myStats);
         this.updateLeaderboard();
@@ -285,6 +1194,9 @@ export class CollaborativeMode {
         const cursor = this.playerCursors.get(playerId);
         if (!cursor) return;
         
+        cursor.userData.lon = lon;
+        cursor.userData.lat = lat;
+        
         // Convert lon/lat to 3D position on sphere
         const phi = THREE.MathUtils.degToRad(90 - lat);
         const theta = THREE.MathUtils.degToRad(lon);
@@ -380,6 +1292,17 @@ export class CollaborativeMode {
      * Update leaderboard
      */
     updateLeaderboard() {
+        if (this.roomMode !== 'free') {
+            // Co-op/race count first finds this round
+            this.leaderboard = this.getRoundStandings().map(player => ({
+                id: player.id,
+                name: player.isYou ? `${player.name} (you)` : player.name,
+                discoveries: player.points
+            }));
+            this.displayLeaderboard();
+            return;
+        }
+        
         // Sort players by discoveries
         this.leaderboard = Array.from(this.players.entries())
             .map(([id, data]) => ({
@@ -418,15 +1341,23 @@ export class CollaborativeMode {
             document.body.appendChild(board);
         }
         
+        let title = '🏆 Leaderboard';
+        if (this.roomMode === 'coop') {
+            const manager = this.getHotspotManager();
+            title = `🤝 Team: ${this.getCurrentFinds().length}/${manager ? manager.totalHotspots : 0}`;
+        } else if (this.roomMode === 'race') {
+            title = '🏁 Race';
+        }
+        
         const html = `
             <div style="font-size: 14px; font-weight: bold; margin-bottom: 10px; text-align: center; color: #ffd700;">
-                🏆 Leaderboard
+                ${title}
             </div>
             ${this.leaderboard.slice(0, 5).map((player, i) => `
                 <div style="display: flex; justify-content: space-between; margin: 8px 0; padding: 6px; background: rgba(255, 255, 255, 0.05); border-radius: 6px; ${player.id === this.playerId ? 'border: 1px solid #00ff88;' : ''}">
                     <span style="font-size: 12px;">
                         ${i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `${i + 1}.`}
-                        ${player.name}
+                        ${escapeHTML(player.name)}
                     </span>
                     <span style="font-size: 12px; font-weight: bold; color: #ffd700;">
                         ${player.discoveries}🎵
@@ -494,23 +1425,35 @@ export class CollaborativeMode {
                 <div style="font-size: 24px; margin-bottom: 5px;">🌐</div>
                 <div>Collaborative Mode Active</div>
                 <div style="font-size: 12px; opacity: 0.9; margin-top: 5px;">
-                    Compete with others in real-time!
+                    Room code: <span style="font-family: monospace; font-size: 16px; letter-spacing: 2px;">${this.roomCode}</span>
                 </div>
+                <button class="collab-invite-btn" style="
+                    margin-top: 10px;
+                    background: rgba(255, 255, 255, 0.2);
+                    color: white;
+                    border: 1px solid rgba(255, 255, 255, 0.4);
+                    border-radius: 8px;
+                    padding: 6px 14px;
+                    font-size: 13px;
+                    cursor: pointer;
+                ">🔗 Copy invite link</button>
             </div>
         `;
+        notification.querySelector('.collab-invite-btn').addEventListener('click', () => this.copyInviteLink());
         
         document.body.appendChild(notification);
         
         setTimeout(() => {
             notification.style.animation = 'fadeOut 0.5s ease-in';
             setTimeout(() => notification.remove(), 500);
-        }, 4000);
+        }, 8000);
     }
     
     /**
      * Leave room
      */
     leave() {
+        this.shouldReconnect = false;
         this.send({
             type: 'leave-room',
             roomId: this.roomId,
@@ -526,23 +1469,31 @@ export class CollaborativeMode {
      * Cleanup
      */
     cleanup() {
-        if (this.broadcastInterval) {
-            clearInterval(this.broadcastInterval);
-        }
+        this.shouldReconnect = false;
+        this.stopTimers();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
         
         if (this.socket) {
             this.socket.close();
+            this.socket = null;
         }
+        this.isConnected = false;
         
         // Remove all player cursors
-        this.playerCursors.forEach((cursor, playerId) => {
-            this.removePlayerCursor(playerId);
-        });
+        this.clearPlayers();
         
         // Remove leaderboard
         const board = document.getElementById('collaborative-leaderboard');
         if (board) board.remove();
         
+        // Stop following the watch party
+        this.setFollowGaze(false);
+        this.unbindVideoEvents();
+        if (!this.isHost && this.isNudgingRate) this.restorePlaybackRate();
+        const watchParty = document.getElementById('collaborative-watch-party');
+        if (watchParty) watchParty.remove();
+        
         console.log('🧹 CollaborativeMode cleaned up');
     }
 }
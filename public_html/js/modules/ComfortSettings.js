@@ -0,0 +1,216 @@
+/**
+ * ComfortSettings.js
+ * How the thumbstick turns the view in the headset. Turning moves the world while the body stays still,
+ * which is what unsettles people, so the default is snap turning: each flick of the stick jumps the view
+ * by a set angle. Smooth turning is still there, with a vignette that closes in while the view turns.
+ * Recenter brings whatever the viewer is looking at round to the headset's forward direction and levels
+ * the horizon - for seated viewers who have twisted round in their chair.
+ * Reached from the VR menu; remembered per browser.
+ */
+
+import * as THREE from 'three';
+import { COMFORT_CONFIG } from '../utils/constants.js';
+
+export const TURN_MODES = ['snap', 'smooth'];
+export const SNAP_ANGLES = [30, 45, 90];
+
+const STORAGE_KEY = 'eyetripvr_comfort';
+
+// Vignette aperture as a share of the plane: wide open (edges out of view) to fully closed in
+const VIGNETTE_OPEN_SCALE = 1.8;
+const VIGNETTE_CLOSED_SCALE = 1.0;
+
+export class ComfortSettings {
+    /**
+     * @param {PanoramaPlayer} player - turning changes its lon/lat; camera and scene hold the vignette
+     */
+    constructor(player) {
+        this.player = player;
+
+        const settings = this.loadSettings();
+        this.turnMode = settings.turnMode;
+        this.snapAngle = settings.snapAngle;
+        this.vignette = settings.vignette;
+        this.onChange = null; // () - a setting changed (the VR menu buttons showing them can refresh)
+
+        this.snapArmed = true; // Stick back near centre since the last snap
+        this.lastTurnTime = null;
+        this.vignetteStrength = 0; // 0 (clear) to 1 (closed in), eased towards the turn speed
+        this.vignetteMesh = null; // Created the first time a smooth turn needs it
+
+        this.viewPosition = new THREE.Vector3();
+        this.viewDirection = new THREE.Vector3();
+    }
+
+    /**
+     * Per frame in the headset, with the stick's sideways deflection (-1 left to 1 right, 0 at rest)
+     */
+    turn(x) {
+        const now = performance.now();
+        const seconds = this.lastTurnTime === null ? 0 : Math.min(0.1, (now - this.lastTurnTime) / 1000);
+        this.lastTurnTime = now;
+
+        let speed = 0;
+        if (this.turnMode === 'snap') {
+            if (Math.abs(x) < COMFORT_CONFIG.snapRelease) {
+                this.snapArmed = true;
+            } else if (this.snapArmed && Math.abs(x) >= COMFORT_CONFIG.snapThreshold) {
+                this.snapArmed = false;
+                this.player.lon += Math.sign(x) * this.snapAngle;
+                console.log(`🧭 Snap turn ${Math.sign(x) > 0 ? 'right' : 'left'} ${this.snapAngle}°`);
+            }
+        } else if (Math.abs(x) > COMFORT_CONFIG.deadzone) {
+            this.player.lon += x * COMFORT_CONFIG.smoothSpeed * seconds;
+            speed = Math.abs(x);
+        }
+
+        this.updateVignette(this.vignette ? speed : 0);
+    }
+
+    /**
+     * Left the headset - drop any turn in progress and clear the vignette
+     */
+    stopTurning() {
+        this.snapArmed = true;
+        this.lastTurnTime = null;
+        this.vignetteStrength = 0;
+        if (this.vignetteMesh) this.vignetteMesh.visible = false;
+    }
+
+    /**
+     * What the viewer looks at now goes straight ahead of the headset's forward direction, horizon level.
+     * On a flat screen, where the view itself turns, only the horizon is levelled
+     */
+    recenter() {
+        const player = this.player;
+        player.lat = 0;
+
+        if (player.renderer.xr.isPresenting) {
+            // The view shows the video at (head heading + lon); forward in the headset is -Z, heading 180°
+            player.camera.getWorldDirection(this.viewDirection);
+            const heading = THREE.MathUtils.radToDeg(Math.atan2(this.viewDirection.x, this.viewDirection.z));
+            const lon = player.lon + heading - 180;
+            player.lon = THREE.MathUtils.euclideanModulo(lon + 180, 360) - 180; // Kept within ±180°
+        }
+
+        console.log(`🧭 View recentered (lon ${player.lon.toFixed(1)})`);
+        if (window.trackVREvent) {
+            window.trackVREvent('comfort_recenter', player.renderer.xr.isPresenting ? 'vr' : 'screen');
+        }
+    }
+
+    /**
+     * Next snap angle, then smooth turning, then back to the smallest snap
+     */
+    cycleTurnMode() {
+        const index = this.turnMode === 'snap' ? SNAP_ANGLES.indexOf(this.snapAngle) : -1;
+        if (this.turnMode === 'snap' && index < SNAP_ANGLES.length - 1) {
+            this.snapAngle = SNAP_ANGLES[index + 1];
+        } else if (this.turnMode === 'snap') {
+            this.turnMode = 'smooth';
+        } else {
+            this.turnMode = 'snap';
+            this.snapAngle = SNAP_ANGLES[0];
+        }
+        this.changed();
+        console.log(`🧭 Turning: ${this.describeTurnMode()}`);
+    }
+
+    toggleVignette() {
+        this.vignette = !this.vignette;
+        this.changed();
+        console.log(`🧭 Turn vignette ${this.vignette ? 'on' : 'off'}`);
+    }
+
+    describeTurnMode() {
+        return this.turnMode === 'snap' ? `Snap ${this.snapAngle}°` : 'Smooth Turn';
+    }
+
+    changed() {
+        this.saveSettings();
+        if (window.trackVREvent) {
+            window.trackVREvent('comfort_settings', `${this.turnMode}:${this.snapAngle}:${this.vignette ? 'vignette' : 'clear'}`);
+        }
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Ease the vignette towards `speed` (0-1) and keep it in front of the eyes
+     */
+    updateVignette(speed) {
+        this.vignetteStrength += (speed - this.vignetteStrength) * COMFORT_CONFIG.vignetteSmoothing;
+        if (this.vignetteStrength < 0.01) {
+            this.vignetteStrength = 0;
+            if (this.vignetteMesh) this.vignetteMesh.visible = false;
+            return;
+        }
+        if (!this.vignetteMesh) this.createVignette();
+
+        const camera = this.player.camera;
+        camera.getWorldPosition(this.viewPosition);
+        camera.getWorldDirection(this.viewDirection);
+        this.vignetteMesh.position.copy(this.viewPosition).addScaledVector(this.viewDirection, COMFORT_CONFIG.vignetteDistance);
+        camera.getWorldQuaternion(this.vignetteMesh.quaternion);
+        this.vignetteMesh.scale.setScalar(THREE.MathUtils.lerp(VIGNETTE_OPEN_SCALE, VIGNETTE_CLOSED_SCALE, this.vignetteStrength));
+        this.vignetteMesh.material.opacity = this.vignetteStrength;
+        this.vignetteMesh.visible = true;
+    }
+
+    /**
+     * A plane filling the view, clear in the middle and black towards the edges
+     */
+    createVignette() {
+        const size = 256;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = size;
+        const context = canvas.getContext('2d');
+        const gradient = context.createRadialGradient(size / 2, size / 2, size * 0.15, size / 2, size / 2, size / 2);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, size, size);
+
+        // Wide enough at vignetteDistance to cover a headset's field of view
+        const width = COMFORT_CONFIG.vignetteDistance * 4;
+        this.vignetteMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(width, width),
+            new THREE.MeshBasicMaterial({
+                map: new THREE.CanvasTexture(canvas),
+                transparent: true,
+                opacity: 0,
+                depthTest: false,
+                depthWrite: false
+            })
+        );
+        this.vignetteMesh.renderOrder = 998; // Over the scene, under the gaze reticle
+        this.vignetteMesh.visible = false;
+        this.player.scene.add(this.vignetteMesh);
+    }
+
+    loadSettings() {
+        const settings = { turnMode: COMFORT_CONFIG.turnMode, snapAngle: COMFORT_CONFIG.snapAngle, vignette: COMFORT_CONFIG.vignette };
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && TURN_MODES.includes(saved.turnMode)) settings.turnMode = saved.turnMode;
+            if (saved && SNAP_ANGLES.includes(saved.snapAngle)) settings.snapAngle = saved.snapAngle;
+            if (saved && typeof saved.vignette === 'boolean') settings.vignette = saved.vignette;
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable comfort settings:', error);
+        }
+        return settings;
+    }
+
+    saveSettings() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ turnMode: this.turnMode, snapAngle: this.snapAngle, vignette: this.vignette }));
+    }
+
+    dispose() {
+        if (this.vignetteMesh) {
+            this.player.scene?.remove(this.vignetteMesh);
+            this.vignetteMesh.geometry.dispose();
+            this.vignetteMesh.material.map.dispose();
+            this.vignetteMesh.material.dispose();
+            this.vignetteMesh = null;
+        }
+    }
+}
@@ -1,19 +1,34 @@
 /**
  * ElevenLabsService.js
- * Integrates with ElevenLabs API for AI voice generation
  * Generates personalized affirmations based on user survey responses
+ * Speech comes from a pluggable TTS provider (see TTSProviders.js) - ElevenLabs through
+ * our TTS proxy by default, or the browser's SpeechSynthesis, or an offline mock
  */
 
+import { ElevenLabsProvider, TTSProvider, TTS_PROVIDERS, createTTSProvider } from './TTSProviders.js';
+import { AffirmationStore } from './AffirmationStore.js';
+import { buildWebVTT } from '../utils/webvtt.js';
+import { TTS_CONFIG } from '../utils/constants.js';
+
 export class ElevenLabsService {
-    constructor() {
-        this.apiKey = 'sk_7ba71d78f96f3f7f529102f3f89bd7c8c9ef94dd9d670763';
-        this.baseUrl = 'https://api.elevenlabs.io/v1';
+    /**
+     * options: { provider, voices, endpoint, testMode }
+     * provider: 'elevenlabs' | 'speech' | 'mock' or a TTSProvider instance (falls back to ?tts=)
+     * voices: per-provider tone -> voice overrides, e.g. { speech: { calming: 'Samantha' } }
+     * endpoint: ElevenLabs proxy URL (falls back to ?ttsEndpoint=, window.EYETRIP_TTS_ENDPOINT, then the defaults)
+     * persistent: keep generated journeys in IndexedDB (default true)
+     */
+    constructor(options = {}) {
+        this.providerOptions = { voices: options.voices || {}, endpoint: options.endpoint };
+        this.setProvider(options.provider || this.getProviderFromURL());
         
         // DEBUG MODE - Set to true for testing without API calls
-        this.TEST_MODE = false;  // ← DISABLED - Using real ElevenLabs API now
+        this.TEST_MODE = options.testMode ?? false;
         
-        // Cache for generated audio to avoid regeneration
+        // Cache for generated audio to avoid regeneration - memory for this page,
+        // IndexedDB (AffirmationStore) across visits
         this.audioCache = new Map();
+        this.store = options.persistent === false ? null : new AffirmationStore();
         
         // Rate limiting
         this.lastRequestTime = 0;
@@ -29,19 +44,62 @@ export class ElevenLabsService {
         // AudioContext will be created lazily on first use (during user gesture)
         this.audioContext = null;
         
-        // Voice IDs for different emotional tones (ALL FEMALE VOICES)
-        this.voiceIds = {
-            calming: 'EXAVITQu4vr4xnSDxMaL',      // Sarah - calm, soothing (female)
-            grounding: 'pNInz6obpgDQGcFmaJgB',    // Charlotte - steady, grounding (female)
-            energizing: '21m00Tcm4TlvDq8ikWAM',   // Rachel - energetic, confident (female)
-            uplifting: '21m00Tcm4TlvDq8ikWAM',    // Rachel - energetic, confident (female)
-            meditative: 'EXAVITQu4vr4xnSDxMaL',   // Sarah - calm, soothing (female)
-            transformative: 'pNInz6obpgDQGcFmaJgB' // Charlotte - steady, grounding (female)
-        };
+        // Affirmation library: 7 tones × 4 focus areas = 28 combinations of 10 affirmations,
+        // fetched from TTS_CONFIG.libraryURL on first use
+        this.affirmationLibrary = null;
+    }
+    
+    /**
+     * ?tts= provider name - a typo or stale link falls back to ElevenLabs rather than throwing
+     */
+    getProviderFromURL() {
+        const name = new URLSearchParams(window.location.search).get('tts');
+        if (!name) return 'elevenlabs';
+        if (!Object.hasOwn(TTS_PROVIDERS, name)) {
+            console.warn(`⚠️ Unknown ?tts= provider "${name}" - using elevenlabs`);
+            return 'elevenlabs';
+        }
+        return name;
+    }
+    
+    /**
+     * Switch TTS provider by name or instance (unknown names throw)
+     */
+    setProvider(provider) {
+        if (provider instanceof TTSProvider) {
+            this.provider = provider;
+        } else {
+            this.provider = createTTSProvider(provider, {
+                voices: this.providerOptions.voices[provider],
+                endpoint: this.providerOptions.endpoint
+            });
+        }
         
-        // Affirmation library: 4 tones × 4 focus areas = 16 combinations
-        // Each combination has 10 affirmations
-        this.affirmationLibrary = this.buildAffirmationLibrary();
+        console.log(`🗣️ TTS provider: ${this.provider.describe()}`);
+        return this.provider;
+    }
+    
+    /**
+     * Set the voice used for one tone by the current provider
+     */
+    setVoice(tone, voice) {
+        this.provider.setVoice(tone, voice);
+    }
+    
+    /**
+     * Cache key: survey responses + provider + voice, so a voice change never serves old audio
+     */
+    getCacheKey(responses) {
+        const voice = this.provider.getVoice(responses.emotionalTone);
+        const voiceKey = Array.isArray(voice) ? voice.join('|') : voice;
+        return `${this.provider.name}:${voiceKey}:${responses.emotionalTone}_${responses.focusArea}_${responses.currentMood}`;
+    }
+    
+    /**
+     * ElevenLabs proxy URL (null for other providers)
+     */
+    get endpoint() {
+        return this.provider instanceof ElevenLabsProvider ? this.provider.endpoint : null;
     }
     
     /**
@@ -72,7 +130,7 @@ export class ElevenLabsService {
         console.log('💾 Cache size:', this.audioCache.size, 'entries');
         
         // Check cache first
-        const cacheKey = `${responses.emotionalTone}_${responses.focusArea}_${responses.currentMood}`;
+        const cacheKey = this.getCacheKey(responses);
         console.log('🔑 Cache key:', cacheKey);
         
         if (this.audioCache.has(cacheKey)) {
@@ -89,10 +147,18 @@ export class ElevenLabsService {
             return this.generateMockAffirmations(responses);
         }
         
+        // Previously generated journey saved in IndexedDB?
+        const stored = await this.loadJourney(cacheKey);
+        if (stored) {
+            console.log('✅ PERSISTENT CACHE HIT! Returning saved journey');
+            this.updateProgress('Loading your saved affirmations...', 100);
+            return stored;
+        }
+        
         try {
             // Step 1: Get affirmation texts
             this.updateProgress('Selecting affirmations...', 10);
-            const affirmationTexts = this.getAffirmations(
+            const affirmationTexts = await this.getAffirmations(
                 responses.emotionalTone,
                 responses.focusArea,
                 responses.currentMood
@@ -103,26 +169,20 @@ export class ElevenLabsService {
                 console.log(`   ${i + 1}. ${text.substring(0, 50)}...`);
             });
             
-            // Step 2: Get voice ID
-            const voiceId = this.voiceIds[responses.emotionalTone];
-            console.log(`🎙️ Voice ID: ${voiceId} (${responses.emotionalTone})`);
-            
-            // Step 3: Generate ALL 10 affirmations in one combined text
-            console.log('🎤 Generating ALL 10 affirmations with ElevenLabs API');
-            
-            // Combine all affirmations with LONG pauses between them
-            // Using multiple periods to create longer pauses in TTS
-            const combinedText = affirmationTexts.join('.......... '); // Longer pause between affirmations
+            // Step 2: Get the provider's voice for this tone
+            const providerName = this.provider.name;
+            const voiceId = this.provider.getVoice(responses.emotionalTone);
+            console.log(`🎙️ Voice: ${voiceId} (${responses.emotionalTone}, ${providerName})`);
             
+            // Step 3: Generate ALL 10 affirmations as one clip
+            console.log(`🎤 Generating ALL 10 affirmations with ${this.provider.describe()}`);
             this.updateProgress('Generating 10 personalized affirmations...', 30);
-            console.log(`📄 Combined text: ${affirmationTexts.length} affirmations`);
-            console.log(`📏 Total text length: ${combinedText.length} characters`);
             
-            // Step 4: Generate audio with retry logic
-            const audioBuffer = await this.generateAudioWithRetry(
-                combinedText,
+            // Step 4: Generate audio with retry logic (the ElevenLabs proxy caches by the same key)
+            const { data: audioBuffer, mimeType, segments } = await this.generateAudioWithRetry(
+                affirmationTexts,
                 voiceId,
-                responses.emotionalTone
+                responses
             );
             
             console.log('✅ Audio generated successfully!');
@@ -137,14 +197,15 @@ export class ElevenLabsService {
                 throw new Error(`Audio buffer too small (${audioBuffer.byteLength} bytes) - likely an error response`);
             }
             
-            // Check if it looks like MP3 data (starts with ID3 or 0xFF)
-            const dataView = new DataView(audioBuffer);
-            const firstByte = dataView.getUint8(0);
-            console.log('🔍 First byte of audio:', '0x' + firstByte.toString(16));
-            
-            if (firstByte !== 0xFF && firstByte !== 0x49) { // 0xFF = MP3, 0x49 = 'I' (ID3)
-                console.warn('⚠️ Audio data does not start with expected MP3 header');
-                console.warn('⚠️ First 20 bytes:', new Uint8Array(audioBuffer.slice(0, 20)));
+            // Check if MP3 data looks like MP3 (starts with ID3 or 0xFF)
+            if (mimeType === 'audio/mpeg') {
+                const firstByte = new DataView(audioBuffer).getUint8(0);
+                console.log('🔍 First byte of audio:', '0x' + firstByte.toString(16));
+                
+                if (firstByte !== 0xFF && firstByte !== 0x49) { // 0xFF = MP3, 0x49 = 'I' (ID3)
+                    console.warn('⚠️ Audio data does not start with expected MP3 header');
+                    console.warn('⚠️ First 20 bytes:', new Uint8Array(audioBuffer.slice(0, 20)));
+                }
             }
             
             // Step 5: Decode audio using AudioContext (created during user gesture)
@@ -227,7 +288,7 @@ export class ElevenLabsService {
                 // Fallback: Return raw audio for each affirmation (no splitting)
                 console.log('⚠️ Falling back to raw audio (no splitting) for all affirmations');
                 
-                const blob = new Blob([audioBuffer], { type: 'audio/mpeg' });
+                const blob = new Blob([audioBuffer], { type: mimeType });
                 const url = URL.createObjectURL(blob);
                 
                 // Create all 10 affirmations with the same full audio
@@ -260,6 +321,7 @@ export class ElevenLabsService {
                         mood: responses.currentMood,
                         focus: responses.focusArea,
                         voiceId: voiceId,
+                        provider: providerName,
                         generatedAt: new Date().toISOString(),
                         testMode: false,
                         totalAffirmations: affirmationTexts.length,
@@ -269,6 +331,7 @@ export class ElevenLabsService {
                 };
                 
                 this.audioCache.set(cacheKey, result);
+                await this.saveJourney(cacheKey, responses, result, mimeType);
                 this.updateProgress('Complete (decode failed, but audio available)', 100);
                 return result;
             }
@@ -279,21 +342,24 @@ export class ElevenLabsService {
             const totalDuration = decodedBuffer.duration;
             const segmentDuration = totalDuration / affirmationTexts.length;
             
+            // Providers that know where each affirmation falls (SpeechSynthesis, mock) report segments
+            const hasSegments = Array.isArray(segments) && segments.length === affirmationTexts.length;
+            
             console.log(`📍 Creating time markers for affirmations:`);
             console.log(`   Total duration: ${totalDuration.toFixed(2)}s`);
-            console.log(`   Segments: ${affirmationTexts.length}`);
+            console.log(`   Segments: ${affirmationTexts.length} (${hasSegments ? 'from provider' : 'split evenly'})`);
             console.log(`   Segment duration: ${segmentDuration.toFixed(2)}s`);
             
             // Convert full audio to blob once
-            const fullBlob = new Blob([audioBuffer], { type: 'audio/mpeg' });
+            const fullBlob = new Blob([audioBuffer], { type: mimeType });
             const fullUrl = URL.createObjectURL(fullBlob);
             
             const affirmations = [];
             
             for (let i = 0; i < affirmationTexts.length; i++) {
                 // Calculate clean time boundaries (no overlap)
-                const startTime = i * segmentDuration;
-                const endTime = (i + 1) * segmentDuration;
+                const startTime = hasSegments ? segments[i].startTime : i * segmentDuration;
+                const endTime = hasSegments ? Math.min(segments[i].endTime, totalDuration) : (i + 1) * segmentDuration;
                 
                 affirmations.push({
                     id: i + 1,
@@ -303,7 +369,7 @@ export class ElevenLabsService {
                     blob: fullBlob, // All reference the same blob
                     startTime: startTime,
                     endTime: endTime,
-                    duration: segmentDuration,
+                    duration: endTime - startTime,
                     tone: responses.emotionalTone,
                     mood: responses.currentMood,
                     focus: responses.focusArea,
@@ -317,6 +383,7 @@ export class ElevenLabsService {
             
             const result = {
                 affirmations: affirmations, // All 10 affirmations
+                captions: this.createCaptions(affirmations), // WebVTT for the full audio
                 fullAudio: {
                     buffer: decodedBuffer,
                     blob: fullBlob,
@@ -329,6 +396,7 @@ export class ElevenLabsService {
                     mood: responses.currentMood,
                     focus: responses.focusArea,
                     voiceId: voiceId,
+                    provider: providerName,
                     generatedAt: new Date().toISOString(),
                     testMode: false,
                     totalAffirmations: affirmationTexts.length
@@ -337,6 +405,7 @@ export class ElevenLabsService {
             
             // Cache the result
             this.audioCache.set(cacheKey, result);
+            await this.saveJourney(cacheKey, responses, result, mimeType);
             console.log('💾 Result cached with key:', cacheKey);
             
             this.updateProgress('Complete!', 100);
@@ -434,6 +503,7 @@ export class ElevenLabsService {
         
         return {
             affirmations: mockAffirmations,
+            captions: this.createCaptions(mockAffirmations),
             fullAudio: {
                 buffer: audioBuffer,
                 blob: blob,
@@ -453,8 +523,9 @@ export class ElevenLabsService {
     
     /**
      * Generate audio with retry logic
+     * Rate limits and rejected requests aren't retried - only network/server failures are
      */
-    async generateAudioWithRetry(text, voiceId, tone, attempt = 1) {
+    async generateAudioWithRetry(texts, voice, responses, attempt = 1) {
         console.log(`🔄 Attempt ${attempt}/${this.maxRetries}`);
         
         try {
@@ -469,19 +540,28 @@ export class ElevenLabsService {
             
             this.lastRequestTime = Date.now();
             
-            const audioBuffer = await this.textToSpeech(text, voiceId, tone);
+            const audio = await this.provider.synthesize({
+                texts,
+                tone: responses.emotionalTone,
+                voice,
+                responses
+            });
             console.log(`✅ Attempt ${attempt} succeeded`);
-            return audioBuffer;
+            return audio;
             
         } catch (error) {
             console.error(`❌ Attempt ${attempt} failed:`, error.message);
             
+            if (error.retryable === false) {
+                throw error;
+            }
+            
             if (attempt < this.maxRetries) {
                 const delay = this.retryDelay * attempt; // Exponential backoff
                 console.log(`⏳ Retrying in ${delay}ms...`);
                 this.updateProgress(`Retry ${attempt}/${this.maxRetries} in ${delay/1000}s...`, 30 + (attempt * 10));
                 await this.sleep(delay);
-                return this.generateAudioWithRetry(text, voiceId, tone, attempt + 1);
+                return this.generateAudioWithRetry(texts, voice, responses, attempt + 1);
             }
             
             throw new Error(`Failed after ${this.maxRetries} attempts: ${error.message}`);
@@ -513,20 +593,170 @@ export class ElevenLabsService {
     }
     
     /**
-     * Clear cache
+     * WebVTT caption track for the full audio - one cue per affirmation at its time markers
      */
-    clearCache() {
-        console.log(`🗑️ Clearing cache (${this.audioCache.size} entries)`);
+    createCaptions(affirmations) {
+        return buildWebVTT(affirmations.map(aff => ({
+            id: aff.id,
+            start: aff.startTime,
+            end: aff.endTime,
+            text: aff.text
+        })));
+    }
+    
+    /**
+     * Save a generated journey to IndexedDB - failures only cost the cross-visit cache
+     * Sets metadata.journeyKey/persisted so pages can hand the key over instead of the audio
+     */
+    async saveJourney(key, responses, result, mimeType) {
+        result.metadata.journeyKey = key;
+        result.metadata.persisted = false;
+        if (!this.store) return false;
+        
+        try {
+            await this.store.put({
+                key,
+                responses: { ...responses },
+                affirmations: result.affirmations.map(aff => ({
+                    id: aff.id,
+                    text: aff.text,
+                    startTime: aff.startTime,
+                    endTime: aff.endTime,
+                    duration: aff.duration
+                })),
+                audio: result.fullAudio.blob,
+                captions: result.captions || null,
+                mimeType,
+                duration: result.fullAudio.duration,
+                metadata: { ...result.metadata, persisted: true },
+                experience: null // Filled in by the page that picks the video (updateJourney)
+            });
+            result.metadata.persisted = true;
+            console.log('💾 Journey saved to IndexedDB:', key);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not save journey to IndexedDB:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load a saved journey as a generateAffirmations() result (null if missing)
+     */
+    async loadJourney(key) {
+        if (!this.store) return null;
+        
+        let record;
+        try {
+            record = await this.store.touch(key);
+        } catch (error) {
+            console.warn('⚠️ Could not read affirmation store:', error);
+            return null;
+        }
+        if (!record?.audio) return null;
+        
+        const blob = record.audio;
+        const url = URL.createObjectURL(blob);
+        const result = {
+            affirmations: record.affirmations.map(aff => ({
+                ...aff,
+                audioBuffer: null,
+                url,
+                blob,
+                tone: record.responses.emotionalTone,
+                mood: record.responses.currentMood,
+                focus: record.responses.focusArea,
+                playCount: 0,
+                cached: true,
+                useTimeMarkers: true
+            })),
+            captions: record.captions || null,
+            fullAudio: {
+                buffer: null,
+                blob,
+                url,
+                duration: record.duration
+            },
+            metadata: { ...record.metadata, journeyKey: key, persisted: true },
+            experience: record.experience
+        };
+        
+        this.audioCache.set(key, result);
+        return result;
+    }
+    
+    /**
+     * Store extra details on a saved journey (e.g. { experience } for replaying the same video)
+     */
+    async updateJourney(key, changes) {
+        if (!this.store) return null;
+        try {
+            return await this.store.update(key, changes);
+        } catch (error) {
+            console.warn('⚠️ Could not update journey:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * "My affirmation journeys" - saved journeys, most recently played first (without audio)
+     */
+    async listJourneys() {
+        if (!this.store) return [];
+        try {
+            const records = await this.store.list();
+            return records.map(({ audio, ...journey }) => journey);
+        } catch (error) {
+            console.warn('⚠️ Could not list journeys:', error);
+            return [];
+        }
+    }
+    
+    async deleteJourney(key) {
+        this.audioCache.delete(key);
+        if (this.store) {
+            await this.store.delete(key);
+        }
+    }
+    
+    /**
+     * Clear cache (memory and saved journeys)
+     */
+    async clearCache() {
+        console.log(`🗑️ Clearing cache (${this.audioCache.size} in memory)`);
         this.audioCache.clear();
+        if (this.store) {
+            try {
+                await this.store.clear();
+            } catch (error) {
+                console.warn('⚠️ Could not clear affirmation store:', error);
+            }
+        }
     }
     
     /**
-     * Get cache statistics
+     * Get cache statistics (saved journeys when IndexedDB is available)
+     * @returns {Promise<Object>} { size, keys, bytes, usage, quota, memoryEntries, persistent }
      */
-    getCacheStats() {
+    async getCacheStats() {
+        const memoryKeys = Array.from(this.audioCache.keys());
+        let stats = null;
+        if (this.store) {
+            try {
+                stats = await this.store.getStats();
+            } catch (error) {
+                console.warn('⚠️ Could not read affirmation store stats:', error);
+            }
+        }
+        
         return {
-            size: this.audioCache.size,
-            keys: Array.from(this.audioCache.keys())
+            size: stats ? stats.entries : memoryKeys.length,
+            keys: stats ? stats.keys : memoryKeys,
+            bytes: stats?.bytes ?? null,
+            usage: stats?.usage ?? null,
+            quota: stats?.quota ?? null,
+            memoryEntries: memoryKeys.length,
+            persistent: Boolean(stats)
         };
     }
     
@@ -591,548 +821,46 @@ export class ElevenLabsService {
         return new Blob([buffer], { type: 'audio/wav' });
     }
     
-    /**
-     * Convert text to speech using ElevenLabs API
-     * @param {string} text - Text to convert
-     * @param {string} voiceId - Voice ID to use
-     * @param {string} tone - Emotional tone for voice settings
-     * @returns {Promise<ArrayBuffer>} Audio data
-     */
-    async textToSpeech(text, voiceId, tone) {
-        console.log('🎙️ Calling ElevenLabs API...');
-        console.log('📄 Text length:', text.length, 'characters');
-        console.log('🎤 Voice ID:', voiceId);
-        console.log('🎵 Tone:', tone);
-        
-        // Voice settings based on emotional tone
-        const voiceSettings = {
-            calming: {
-                stability: 0.7,
-                similarity_boost: 0.8,
-                style: 0.2,
-                use_speaker_boost: true
-            },
-            grounding: {
-                stability: 0.75,
-                similarity_boost: 0.8,
-                style: 0.4,
-                use_speaker_boost: true
-            },
-            energizing: {
-                stability: 0.5,
-                similarity_boost: 0.75,
-                style: 0.6,
-                use_speaker_boost: true
-            },
-            uplifting: {
-                stability: 0.5,
-                similarity_boost: 0.75,
-                style: 0.6,
-                use_speaker_boost: true
-            },
-            meditative: {
-                stability: 0.7,
-                similarity_boost: 0.8,
-                style: 0.2,
-                use_speaker_boost: true
-            },
-            transformative: {
-                stability: 0.75,
-                similarity_boost: 0.8,
-                style: 0.4,
-                use_speaker_boost: true
-            }
-        };
-        
-        const url = `${this.baseUrl}/text-to-speech/${voiceId}`;
-        const requestBody = {
-            text: text,
-            model_id: 'eleven_turbo_v2_5',  // Latest model with better quality
-            output_format: 'mp3_44100_128',  // High quality 128kbps MP3
-            voice_settings: voiceSettings[tone] || voiceSettings.calming
-        };
-        
-        console.log('📡 API URL:', url);
-        console.log('📦 Request body:', JSON.stringify(requestBody).substring(0, 200) + '...');
-        
-        try {
-            // Add timeout to prevent hanging
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => {
-                console.error('⏱️ API request timeout after 30 seconds');
-                controller.abort();
-            }, 30000); // 30 second timeout
-            
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Accept': 'audio/mpeg',
-                    'xi-api-key': this.apiKey,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-            
-            console.log('📨 API Response status:', response.status, response.statusText);
-            console.log('📨 Response headers:', Object.fromEntries(response.headers.entries()));
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('❌ API error response:', errorText);
-                throw new Error(`ElevenLabs API error (${response.status}): ${errorText}`);
-            }
-            
-            const arrayBuffer = await response.arrayBuffer();
-            console.log('✅ Received audio data:', arrayBuffer.byteLength, 'bytes');
-            
-            return arrayBuffer;
-            
-        } catch (error) {
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out after 30 seconds. Please check your internet connection and try again.');
-            }
-            console.error('❌ Fetch error:', error);
-            throw error;
-        }
-    }
-    
     /**
      * Get 10 affirmations for the given combination
      * @param {string} tone - Emotional tone
      * @param {string} focus - Focus area
      * @param {string} mood - Current mood (for customization)
-     * @returns {Array<string>} 10 affirmation texts
+     * @returns {Promise<Array<string>>} 10 affirmation texts
      */
-    getAffirmations(tone, focus, mood) {
+    async getAffirmations(tone, focus, mood) {
+        if (!this.affirmationLibrary) {
+            this.affirmationLibrary = this.loadAffirmationLibrary().catch(error => {
+                this.affirmationLibrary = null; // Let the next generation try again
+                throw error;
+            });
+        }
+        const library = await this.affirmationLibrary;
         const key = `${tone}_${focus}`;
-        return this.affirmationLibrary[key] || this.affirmationLibrary['calming_self-love'];
+        return library[key] || library['calming_self-love'];
     }
     
     /**
-     * Build the complete affirmation library
-     * 6 emotional tones × 4 focus areas × 10 affirmations = 240 total affirmations
+     * Fetch the affirmation library - the TTS proxies read the same file, so the
+     * texts on screen are the ones that were spoken
      */
-    buildAffirmationLibrary() {
-        return {
-            // CALMING × SELF-LOVE
-            'calming_self-love': [
-                "You are enough, exactly as you are in this moment.",
-                "Your worth is inherent and cannot be diminished.",
-                "You deserve peace, love, and gentle kindness.",
-                "Be patient with yourself, you are growing every day.",
-                "Your heart is beautiful, and you are deeply loved.",
-                "You are worthy of rest, care, and tenderness.",
-                "Accept yourself completely, flaws and all.",
-                "You are a precious soul deserving of compassion.",
-                "Your value does not depend on productivity or perfection.",
-                "You are learning to love yourself more each day."
-            ],
-            
-            // CALMING × CONFIDENCE
-            'calming_confidence': [
-                "Trust yourself, you know your path forward.",
-                "Your intuition is wise and worth listening to.",
-                "You have everything you need within you right now.",
-                "Believe in your unique journey and timing.",
-                "Your voice matters and deserves to be heard.",
-                "You are capable of making good decisions for yourself.",
-                "Confidence grows from self-acceptance, not perfection.",
-                "You trust your abilities and honor your pace.",
-                "Your quiet strength is powerful and valid.",
-                "You are becoming more confident with each breath."
-            ],
-            
-            // CALMING × GRATITUDE
-            'calming_gratitude': [
-                "You are grateful for this peaceful moment of stillness.",
-                "Abundance flows to you in gentle, perfect ways.",
-                "You appreciate the simple beauty around you.",
-                "Gratitude fills your heart with warmth and light.",
-                "You are thankful for your breath and your life.",
-                "Small joys surround you when you pause to notice.",
-                "You receive life's gifts with an open, grateful heart.",
-                "Peace and gratitude expand within you now.",
-                "You are blessed, and you recognize your blessings.",
-                "Thankfulness brings you serenity and contentment."
-            ],
-            
-            // CALMING × RESILIENCE
-            'calming_resilience': [
-                "You have survived every difficult day so far.",
-                "You are stronger than you realize, one step at a time.",
-                "Healing unfolds gently in its own perfect timing.",
-                "You bend but do not break, like a willow in the wind.",
-                "Rest is part of resilience, not separate from it.",
-                "You have the courage to begin again, peacefully.",
-                "Challenges pass, and you remain steady at your core.",
-                "You trust the process of your healing and growth.",
-                "Your resilience grows quietly, like roots deepening.",
-                "You are allowed to heal at your own gentle pace."
-            ],
-            
-            // ENERGIZING × SELF-LOVE
-            'energizing_self-love': [
-                "You are amazing, powerful, and absolutely worthy!",
-                "You radiate confidence and self-love today!",
-                "You celebrate who you are with joy and pride!",
-                "You are unstoppable when you believe in yourself!",
-                "Your energy is magnetic and your spirit is bright!",
-                "You honor yourself by showing up fully today!",
-                "You are fierce, fabulous, and unapologetically you!",
-                "You embrace your uniqueness with enthusiasm!",
-                "You are worthy of celebrating yourself every day!",
-                "You shine brightest when you love yourself boldly!"
-            ],
-            
-            // ENERGIZING × CONFIDENCE
-            'energizing_confidence': [
-                "You are powerful and ready to conquer your goals!",
-                "Today you will show the world what you're made of!",
-                "Your potential is limitless, and you're claiming it now!",
-                "You were born to stand out and make an impact!",
-                "Success flows naturally to you when you take action!",
-                "You trust yourself completely and move forward boldly!",
-                "You are a force of nature, unstoppable and strong!",
-                "Confidence is your superpower, and you're using it today!",
-                "You speak your truth with clarity and conviction!",
-                "You are ready to rise, shine, and absolutely thrive!"
-            ],
-            
-            // ENERGIZING × GRATITUDE
-            'energizing_gratitude': [
-                "You are bursting with gratitude for all you have!",
-                "Life is amazing, and you celebrate it fully today!",
-                "You attract abundance by appreciating what's already here!",
-                "Every moment is a gift, and you're unwrapping it with joy!",
-                "You are thankful for your strength, energy, and vitality!",
-                "Gratitude fuels your passion and lights your path!",
-                "You radiate appreciation and attract even more blessings!",
-                "You count your wins and celebrate every victory!",
-                "Life is generous with you, and you notice all the good!",
-                "You are grateful, energized, and ready for greatness!"
-            ],
-            
-            // ENERGIZING × RESILIENCE
-            'energizing_resilience': [
-                "You bounce back stronger from every challenge!",
-                "Obstacles are just opportunities in disguise for you!",
-                "You are unbreakable, unstoppable, and always rising!",
-                "Setbacks fuel your comeback story every single time!",
-                "You transform difficulties into rocket fuel for success!",
-                "You are a warrior, and challenges make you fiercer!",
-                "Nothing can hold you down when you're determined to rise!",
-                "You thrive under pressure and grow through adversity!",
-                "Your resilience is legendary, and you prove it daily!",
-                "You turn struggles into stepping stones to greatness!"
-            ],
-            
-            // COMPASSIONATE × SELF-LOVE
-            'compassionate_self-love': [
-                "You are deeply loved, exactly as you are today.",
-                "Your heart deserves the same kindness you give others.",
-                "You hold yourself with tenderness and understanding.",
-                "You are worthy of unconditional love and belonging.",
-                "Be gentle with yourself, dear one, you're doing your best.",
-                "You are cherished, valued, and irreplaceable.",
-                "Your imperfections make you beautifully human.",
-                "You extend compassion to yourself in every moment.",
-                "You are loved for who you are, not what you do.",
-                "You wrap yourself in warmth, care, and self-acceptance."
-            ],
-            
-            // COMPASSIONATE × CONFIDENCE
-            'compassionate_confidence': [
-                "You trust yourself with loving kindness and patience.",
-                "Your voice is valuable, and sharing it is brave.",
-                "You honor your needs and boundaries with compassion.",
-                "You are learning, growing, and that's more than enough.",
-                "You give yourself permission to take up space.",
-                "Your journey is yours alone, and it's perfectly valid.",
-                "You believe in yourself with gentle, steady faith.",
-                "You are capable, and you're allowed to be imperfect too.",
-                "You speak to yourself with love, not criticism.",
-                "Confidence blooms when you're kind to yourself first."
-            ],
-            
-            // COMPASSIONATE × GRATITUDE
-            'compassionate_gratitude': [
-                "You appreciate the love that surrounds and holds you.",
-                "You are grateful for the people who care for you.",
-                "Your heart is full of thankfulness and warmth.",
-                "You receive kindness with grace and appreciation.",
-                "You notice the gentle gifts life offers you daily.",
-                "Gratitude for connection fills you with belonging.",
-                "You cherish the relationships that nourish your soul.",
-                "You are thankful for every act of love in your life.",
-                "You hold gratitude softly, like a precious treasure.",
-                "Appreciation for yourself and others lights your way."
-            ],
-            
-            // COMPASSIONATE × RESILIENCE
-            'compassionate_resilience': [
-                "You are healing, one compassionate moment at a time.",
-                "You've been through so much, and you're still here.",
-                "Your wounds are becoming wisdom, gently and beautifully.",
-                "You honor your pain while trusting in your recovery.",
-                "Resilience doesn't mean you don't hurt, it means you endure.",
-                "You are tender with yourself as you move through hardship.",
-                "Your scars tell a story of survival and courage.",
-                "You allow yourself to rest, recover, and restore.",
-                "Healing is not linear, and you accept that with grace.",
-                "You are strong enough to be vulnerable and keep going."
-            ],
-            
-            // GROUNDING × SELF-LOVE
-            'grounding_self-love': [
-                "You are rooted in your inherent worth and value.",
-                "You stand firm in the knowledge that you are enough.",
-                "Your foundation is built on self-acceptance and truth.",
-                "You are solidly, unshakably worthy of love.",
-                "You plant your feet and claim your right to exist fully.",
-                "Your sense of self is strong, stable, and centered.",
-                "You are anchored in self-love that cannot be moved.",
-                "You know who you are, and that is powerful.",
-                "Your worth is not up for debate or negotiation.",
-                "You are grounded in the truth of your own value."
-            ],
-            
-            // GROUNDING × CONFIDENCE
-            'grounding_confidence': [
-                "You trust your decisions and stand by them firmly.",
-                "You are steady, focused, and clear on your path.",
-                "Your confidence is built on a solid foundation of self-trust.",
-                "You move forward with purpose and unwavering belief.",
-                "You are certain of your abilities and your direction.",
-                "Your power comes from being grounded in who you are.",
-                "You speak with authority because you know your truth.",
-                "You are unshaken by doubt because you trust yourself.",
-                "Your confidence is deep-rooted and unbreakable.",
-                "You stand tall, grounded in your own strength."
-            ],
-            
-            // GROUNDING × GRATITUDE
-            'grounding_gratitude': [
-                "You are grateful for the solid ground beneath your feet.",
-                "You appreciate the stability and security in your life.",
-                "You are thankful for your roots and your foundation.",
-                "Gratitude anchors you to the present moment.",
-                "You recognize and honor what sustains you daily.",
-                "You are grounded in appreciation for what is.",
-                "Thankfulness connects you deeply to the earth and life.",
-                "You are present, grateful, and firmly here now.",
-                "You appreciate the reliable support around you.",
-                "Gratitude roots you in abundance and stability."
-            ],
-            
-            // GROUNDING × RESILIENCE
-            'grounding_resilience': [
-                "You are exactly where you need to be right now.",
-                "You trust the journey, even when the path is unclear.",
-                "Your roots run deep, and storms cannot uproot you.",
-                "You stand firm through change, anchored in your core.",
-                "You have weathered challenges before, and you will again.",
-                "Your resilience is rooted in your unshakable spirit.",
-                "You remain steady through uncertainty and upheaval.",
-                "You are grounded in your capacity to endure and overcome.",
-                "You plant your feet and face what comes with courage.",
-                "Your foundation is strong enough to support your growth."
-            ],
-            
-            // UPLIFTING × SELF-LOVE
-            'uplifting_self-love': [
-                "You are amazing, powerful, and absolutely worthy!",
-                "You radiate confidence and self-love today!",
-                "You celebrate who you are with joy and pride!",
-                "You are unstoppable when you believe in yourself!",
-                "Your energy is magnetic and your spirit is bright!",
-                "You honor yourself by showing up fully today!",
-                "You are fierce, fabulous, and unapologetically you!",
-                "You embrace your uniqueness with enthusiasm!",
-                "You are worthy of celebrating yourself every day!",
-                "You shine brightest when you love yourself boldly!"
-            ],
-            
-            // UPLIFTING × CONFIDENCE
-            'uplifting_confidence': [
-                "You are powerful and ready to conquer your goals!",
-                "Today you will show the world what you're made of!",
-                "Your potential is limitless, and you're claiming it now!",
-                "You were born to stand out and make an impact!",
-                "Success flows naturally to you when you take action!",
-                "You trust yourself completely and move forward boldly!",
-                "You are a force of nature, unstoppable and strong!",
-                "Confidence is your superpower, and you're using it today!",
-                "You speak your truth with clarity and conviction!",
-                "You are ready to rise, shine, and absolutely thrive!"
-            ],
-            
-            // UPLIFTING × GRATITUDE
-            'uplifting_gratitude': [
-                "You are bursting with gratitude for all you have!",
-                "Life is amazing, and you celebrate it fully today!",
-                "You attract abundance by appreciating what's already here!",
-                "Every moment is a gift, and you're unwrapping it with joy!",
-                "You are thankful for your strength, energy, and vitality!",
-                "Gratitude fuels your passion and lights your path!",
-                "You radiate appreciation and attract even more blessings!",
-                "You count your wins and celebrate every victory!",
-                "Life is generous with you, and you notice all the good!",
-                "You are grateful, energized, and ready for greatness!"
-            ],
-            
-            // UPLIFTING × RESILIENCE
-            'uplifting_resilience': [
-                "You bounce back stronger from every challenge!",
-                "Obstacles are just opportunities in disguise for you!",
-                "You are unbreakable, unstoppable, and always rising!",
-                "Setbacks fuel your comeback story every single time!",
-                "You transform difficulties into rocket fuel for success!",
-                "You are a warrior, and challenges make you fiercer!",
-                "Nothing can hold you down when you're determined to rise!",
-                "You thrive under pressure and grow through adversity!",
-                "Your resilience is legendary, and you prove it daily!",
-                "You turn struggles into stepping stones to greatness!"
-            ],
-            
-            // MEDITATIVE × SELF-LOVE
-            'meditative_self-love': [
-                "You are enough, exactly as you are in this moment.",
-                "Your worth is inherent and cannot be diminished.",
-                "You deserve peace, love, and gentle kindness.",
-                "Be patient with yourself, you are growing every day.",
-                "Your heart is beautiful, and you are deeply loved.",
-                "You are worthy of rest, care, and tenderness.",
-                "Accept yourself completely, flaws and all.",
-                "You are a precious soul deserving of compassion.",
-                "Your value does not depend on productivity or perfection.",
-                "You are learning to love yourself more each day."
-            ],
-            
-            // MEDITATIVE × CONFIDENCE
-            'meditative_confidence': [
-                "Trust yourself, you know your path forward.",
-                "Your intuition is wise and worth listening to.",
-                "You have everything you need within you right now.",
-                "Believe in your unique journey and timing.",
-                "Your voice matters and deserves to be heard.",
-                "You are capable of making good decisions for yourself.",
-                "Confidence grows from self-acceptance, not perfection.",
-                "You trust your abilities and honor your pace.",
-                "Your quiet strength is powerful and valid.",
-                "You are becoming more confident with each breath."
-            ],
-            
-            // MEDITATIVE × GRATITUDE
-            'meditative_gratitude': [
-                "You are grateful for this peaceful moment of stillness.",
-                "Abundance flows to you in gentle, perfect ways.",
-                "You appreciate the simple beauty around you.",
-                "Gratitude fills your heart with warmth and light.",
-                "You are thankful for your breath and your life.",
-                "Small joys surround you when you pause to notice.",
-                "You receive life's gifts with an open, grateful heart.",
-                "Peace and gratitude expand within you now.",
-                "You are blessed, and you recognize your blessings.",
-                "Thankfulness brings you serenity and contentment."
-            ],
-            
-            // MEDITATIVE × RESILIENCE
-            'meditative_resilience': [
-                "You have survived every difficult day so far.",
-                "You are stronger than you realize, one step at a time.",
-                "Healing unfolds gently in its own perfect timing.",
-                "You bend but do not break, like a willow in the wind.",
-                "Rest is part of resilience, not separate from it.",
-                "You have the courage to begin again, peacefully.",
-                "Challenges pass, and you remain steady at your core.",
-                "You trust the process of your healing and growth.",
-                "Your resilience grows quietly, like roots deepening.",
-                "You are allowed to heal at your own gentle pace."
-            ],
-            
-            // TRANSFORMATIVE × SELF-LOVE
-            'transformative_self-love': [
-                "You are evolving into your most authentic self.",
-                "Your transformation is powerful and unstoppable.",
-                "You embrace change as a path to deeper self-love.",
-                "You are worthy of the magnificent life you're creating.",
-                "Your growth is a testament to your strength and courage.",
-                "You honor who you were while becoming who you're meant to be.",
-                "You are shedding what no longer serves you with grace.",
-                "Your journey of transformation is beautiful and valid.",
-                "You love yourself through every stage of change.",
-                "You are becoming more fully yourself every day."
-            ],
-            
-            // TRANSFORMATIVE × CONFIDENCE
-            'transformative_confidence': [
-                "You are powerful enough to create the life you want.",
-                "Your bold steps forward are reshaping your reality.",
-                "You trust yourself to navigate major life changes.",
-                "You are becoming the confident person you're meant to be.",
-                "Your transformation requires courage, and you have it.",
-                "You believe in your ability to reinvent yourself.",
-                "You are breaking through old limits with strength.",
-                "Your confidence grows with each transformative step.",
-                "You embrace the unknown with trust and determination.",
-                "You are ready to step into your power fully."
-            ],
-            
-            // TRANSFORMATIVE × GRATITUDE
-            'transformative_gratitude': [
-                "You are grateful for the lessons that shaped you.",
-                "You appreciate every experience that led you here.",
-                "Gratitude transforms your perspective and your life.",
-                "You are thankful for the courage to change and grow.",
-                "You recognize the blessings hidden in challenges.",
-                "You appreciate the journey as much as the destination.",
-                "Gratitude fuels your transformation and expansion.",
-                "You are thankful for who you're becoming.",
-                "You celebrate the evolution of your spirit.",
-                "You are grateful for the opportunity to transform."
-            ],
-            
-            // TRANSFORMATIVE × RESILIENCE
-            'transformative_resilience': [
-                "You are becoming stronger through transformation.",
-                "Every challenge refines you into who you're meant to be.",
-                "You embrace change as an opportunity to evolve.",
-                "Your resilience transforms obstacles into breakthroughs.",
-                "You rise from every setback more powerful than before.",
-                "You are forged in fire and emerge unbreakable.",
-                "Transformation requires courage, and you embody it.",
-                "You adapt, evolve, and thrive through all changes.",
-                "Your spirit is both flexible and unshakeable.",
-                "You transform pain into purpose and power."
-            ]
-        };
+    async loadAffirmationLibrary() {
+        const response = await fetch(TTS_CONFIG.libraryURL);
+        if (!response.ok) {
+            throw new Error(`Could not load affirmations (${response.status})`);
+        }
+        return response.json();
     }
     
     /**
-     * Get available voices from ElevenLabs API
-     * @returns {Promise<Array>} List of available voices
+     * Get the current provider's available voices
+     * @returns {Promise<Array>} List of available voices ({ voice_id, name })
      */
     async getAvailableVoices() {
         try {
-            const response = await fetch(
-                `${this.baseUrl}/voices`,
-                {
-                    headers: {
-                        'xi-api-key': this.apiKey
-                    }
-                }
-            );
-            
-            if (!response.ok) {
-                throw new Error(`Failed to fetch voices: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            console.log('🎤 Available voices:', data.voices);
-            return data.voices;
+            const voices = await this.provider.getVoices();
+            console.log('🎤 Available voices:', voices);
+            return voices;
             
         } catch (error) {
             console.error('❌ Error fetching voices:', error);
@@ -1141,25 +869,16 @@ export class ElevenLabsService {
     }
     
     /**
-     * Get user info from ElevenLabs API
-     * @returns {Promise<Object>} User subscription info
+     * Get ElevenLabs character quota through the TTS proxy (null for other providers)
+     * @returns {Promise<Object>} { character_count, character_limit, tier }
      */
     async getUserInfo() {
+        if (!this.provider.getUsage) {
+            return null;
+        }
+        
         try {
-            const response = await fetch(
-                `${this.baseUrl}/user`,
-                {
-                    headers: {
-                        'xi-api-key': this.apiKey
-                    }
-                }
-            );
-            
-            if (!response.ok) {
-                throw new Error(`Failed to fetch user info: ${response.status}`);
-            }
-            
-            const data = await response.json();
+            const data = await this.provider.getUsage();
             console.log('👤 User info:', data);
             return data;
             
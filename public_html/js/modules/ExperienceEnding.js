@@ -3,6 +3,9 @@
  * Handles graceful endings and transitions between experiences
  */
 
+import { escapeHTML } from '../utils/helpers.js';
+import { AffirmationStore } from './AffirmationStore.js';
+
 export class ExperienceEnding {
     constructor(player, achievements) {
         this.player = player;
@@ -62,13 +65,23 @@ export class ExperienceEnding {
         });
         
         this.videoListenerAttached = true;
+        
+        // Adaptive quality swaps in a new element mid-playback - follow it
+        window.addEventListener('mainVideoSwapped', (e) => {
+            e.detail.video.addEventListener('timeupdate', () => {
+                this.checkVideoCompletion();
+            });
+        });
     }
     
     /**
      * Check if video is near completion
      */
     checkVideoCompletion() {
-        if (!this.player.video || this.isShowing) return;
+        // Looping media (a photo scene's ambient track) never completes
+        if (!this.player.video || this.player.video.loop || this.isShowing) return;
+        // Branching stories end at an ending node (StoryRuntime shows this screen), not at the end of a video
+        if (window.app?.story?.active) return;
         
         const timeRemaining = this.player.video.duration - this.player.video.currentTime;
         
@@ -153,6 +166,8 @@ export class ExperienceEnding {
                     </div>
                 </div>
                 
+                ${this.getRoundSummaryContent()}
+                
                 ${hasAffirmations ? `
                     <div class="ending-download">
                         <button class="ending-btn download" id="downloadAffirmationsBtn">
@@ -191,6 +206,29 @@ export class ExperienceEnding {
         `;
     }
     
+    /**
+     * Co-op/race round results when playing in a collaborative room
+     */
+    getRoundSummaryContent() {
+        const summary = window.app?.collaborative?.getRoundSummary();
+        if (!summary) return '';
+        
+        return `
+            <div class="ending-round">
+                <h3>${summary.icon} ${summary.label} Round · Room ${summary.roomCode}</h3>
+                <p class="round-headline">${escapeHTML(summary.headline)}</p>
+                <ol class="round-standings">
+                    ${summary.standings.map(player => `
+                        <li class="${player.isYou ? 'is-you' : ''}">
+                            <span class="round-player">${escapeHTML(player.name)}${player.isYou ? ' (you)' : ''}</span>
+                            <span class="round-points">${player.points}🎵</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `;
+    }
+    
     /**
      * Get manual exit content
      */
@@ -273,12 +311,13 @@ export class ExperienceEnding {
             
             const parsed = JSON.parse(data);
             console.log('📦 Parsed data:', {
+                journeyKey: parsed.journeyKey || null,
                 hasFullAudio: !!parsed.fullAudio,
                 hasAudioDataBase64: !!(parsed.fullAudio && parsed.fullAudio.audioDataBase64),
                 hasBase64: !!(parsed.fullAudio && parsed.fullAudio.base64),
                 hasUrl: !!(parsed.fullAudio && parsed.fullAudio.url)
             });
-            return !!(parsed.fullAudio && (parsed.fullAudio.audioDataBase64 || parsed.fullAudio.base64 || parsed.fullAudio.url));
+            return !!(parsed.journeyKey || (parsed.fullAudio && (parsed.fullAudio.audioDataBase64 || parsed.fullAudio.base64 || parsed.fullAudio.url)));
         } catch (e) {
             console.error('Error checking for affirmation audio:', e);
             return false;
@@ -308,9 +347,13 @@ export class ExperienceEnding {
             
             let audioBlob;
             
-            // Check if we have base64 data (stored as audioDataBase64 or base64)
+            // Saved journeys keep their audio in IndexedDB; otherwise check for base64 data (stored as audioDataBase64 or base64)
             const base64Data = fullAudio.audioDataBase64 || fullAudio.base64;
-            if (base64Data) {
+            const journey = parsed.journeyKey ? await new AffirmationStore().get(parsed.journeyKey) : null;
+            if (journey?.audio) {
+                console.log('💾 Using saved journey audio from IndexedDB...');
+                audioBlob = journey.audio;
+            } else if (base64Data) {
                 console.log('📦 Converting base64 to blob...');
                 const base64Content = base64Data.split(',')[1];
                 const binaryData = atob(base64Content);
@@ -370,12 +413,17 @@ export class ExperienceEnding {
         
         this.isShowing = false;
         
-        // Reset video to beginning
-        if (this.player.video) {
+        // Reset video to beginning - or a story to its first node
+        if (window.app?.story?.active) {
+            window.app.story.restart();
+        } else if (this.player.video) {
             this.player.video.currentTime = 0;
             this.player.video.play();
         }
         
+        // Hosts replaying a co-op/race room start the next round
+        window.app?.collaborative?.startRound();
+        
         // Track replay
         if (window.trackVREvent) {
             window.trackVREvent('experience_replayed', 'user_action', 1);
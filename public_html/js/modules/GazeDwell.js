@@ -0,0 +1,270 @@
+/**
+ * GazeDwell.js
+ * Dwell-to-select for viewers without a pointer: 3DoF headsets and cardboard viewers, and anyone whose
+ * hands are busy. A reticle sits in the middle of the view; resting it on a hotspot or a VRMenu/VREndScreen
+ * button fills its ring, and a full ring selects - the same as a click, tap or trigger.
+ * 'auto' mode turns it on in XR sessions without a tracked controller; 'on' also works on a flat screen.
+ * Mode and dwell time are set from the VR menu and the controls bar and remembered per browser;
+ * ?gaze=on|off|auto and ?dwell=<ms> override them for testing.
+ */
+
+import * as THREE from 'three';
+import { DWELL_CONFIG } from '../utils/constants.js';
+
+export const GAZE_MODES = ['auto', 'on', 'off'];
+export const DWELL_TIMES = [1000, 1500, 2000, 3000];
+
+const STORAGE_KEY = 'eyetripvr_gaze';
+
+// Progress ring resolution - the ring fills one segment at a time
+const RING_SEGMENTS = 48;
+
+export class GazeDwell {
+    /**
+     * @param {PanoramaPlayer} player - camera, hotspotManager, vrMenu and vrEndScreen are read live
+     */
+    constructor(player) {
+        this.player = player;
+
+        const settings = this.loadSettings();
+        this.mode = settings.mode;
+        this.dwellTime = settings.dwellTime;
+        this.onChange = null; // () - mode or dwell time changed (the VR menu and controls bar can refresh)
+
+        this.active = false;
+        this.target = null; // { kind: 'hotspot' | 'menu' | 'endScreen', object }
+        this.dwellStart = 0;
+        this.spent = null; // Just selected - look away before it can be selected again
+
+        this.origin = new THREE.Vector3();
+        this.direction = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+
+        this.reticle = this.createReticle();
+        player.scene.add(this.reticle);
+    }
+
+    /**
+     * Centre dot, a faint track and the progress ring drawn over it
+     */
+    createReticle() {
+        const material = (opacity) => new THREE.MeshBasicMaterial({
+            color: DWELL_CONFIG.reticleColor,
+            transparent: true,
+            opacity,
+            side: THREE.DoubleSide,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        const reticle = new THREE.Group();
+        reticle.add(new THREE.Mesh(new THREE.CircleGeometry(0.006, 16), material(0.9)));
+        reticle.add(new THREE.Mesh(new THREE.RingGeometry(0.018, 0.026, RING_SEGMENTS), material(0.25)));
+        // Clockwise from the top; indices run segment by segment, so the draw range is the fill
+        this.progressRing = new THREE.Mesh(new THREE.RingGeometry(0.018, 0.026, RING_SEGMENTS, 1, Math.PI / 2, -Math.PI * 2), material(0.9));
+        reticle.add(this.progressRing);
+
+        reticle.children.forEach(mesh => { mesh.renderOrder = 999; });
+        reticle.visible = false;
+        this.setProgress(0);
+        return reticle;
+    }
+
+    /**
+     * 'on'/'off' as set; 'auto' only when nothing can point - a presenting XR session whose inputs are
+     * all gaze or screen rays. Outside XR a tap or click already selects
+     */
+    isWanted() {
+        if (this.mode !== 'auto') return this.mode === 'on';
+
+        const xr = this.player.renderer.xr;
+        const session = xr.getSession();
+        if (!session || !xr.isPresenting) return false;
+        return !Array.from(session.inputSources).some(source => source.targetRayMode === 'tracked-pointer');
+    }
+
+    /**
+     * Per frame, from PanoramaPlayer.animate() once the camera has its pose for the frame
+     */
+    update() {
+        const active = this.isWanted();
+        if (active !== this.active) {
+            this.active = active;
+            this.reticle.visible = active;
+            console.log(`👁️ Gaze dwell selection ${active ? 'on' : 'off'}`);
+        }
+        if (!active) {
+            this.setTarget(null);
+            return;
+        }
+
+        const camera = this.player.camera;
+        camera.getWorldPosition(this.origin);
+        camera.getWorldQuaternion(this.quaternion);
+        this.direction.set(0, 0, -1).applyQuaternion(this.quaternion);
+        this.reticle.position.copy(this.direction).multiplyScalar(DWELL_CONFIG.reticleDistance).add(this.origin);
+        this.reticle.quaternion.copy(this.quaternion);
+
+        const target = this.findTarget();
+        if (target?.object !== this.target?.object) {
+            this.setTarget(target);
+        }
+        if (!this.target || this.target.object === this.spent) {
+            this.setProgress(0);
+            return;
+        }
+
+        const progress = Math.min(1, (performance.now() - this.dwellStart) / this.getDwellTime(this.target));
+        this.setProgress(progress);
+        if (progress >= 1) {
+            this.select(this.target);
+        }
+    }
+
+    /**
+     * What the reticle rests on - open panels first, since they float in front of the hotspots
+     */
+    findTarget() {
+        const { camera, vrEndScreen, vrMenu, hotspotManager } = this.player;
+
+        if (vrEndScreen && this.player.vrEndScreenVisible) {
+            const button = vrEndScreen.checkIntersection(camera);
+            if (button) return { kind: 'endScreen', object: button };
+        }
+        if (vrMenu && this.player.vrMenuVisible) {
+            const button = vrMenu.checkIntersection(camera);
+            if (button) return { kind: 'menu', object: button };
+        }
+        if (hotspotManager) {
+            const hotspot = hotspotManager.checkInteraction(this.origin, this.direction);
+            if (hotspot) return { kind: 'hotspot', object: hotspot };
+        }
+        return null;
+    }
+
+    /**
+     * Hotspots take longer or shorter with AdaptiveDifficulty; buttons always take the configured time
+     */
+    getDwellTime(target) {
+        if (target.kind !== 'hotspot') return this.dwellTime;
+        return this.dwellTime * (window.app?.adaptiveDiff?.adjustments?.dwellScale ?? 1);
+    }
+
+    setTarget(target) {
+        const previous = this.target;
+        if (previous && previous.kind !== 'hotspot') {
+            this.getPanel(previous).unhighlightButton(previous.object);
+        }
+
+        this.target = target;
+        this.dwellStart = performance.now();
+        if (!target || target.object !== this.spent) {
+            this.spent = null;
+        }
+        if (target && target.kind !== 'hotspot') {
+            this.getPanel(target).highlightButton(target.object);
+        }
+    }
+
+    getPanel(target) {
+        return target.kind === 'menu' ? this.player.vrMenu : this.player.vrEndScreen;
+    }
+
+    select(target) {
+        this.spent = target.object;
+        this.setProgress(0);
+
+        if (target.kind === 'hotspot') {
+            console.log(`👁️ Hotspot selected by gaze: ${target.object.label}`);
+            this.player.hotspotManager.discoverHotspot(target.object);
+        } else {
+            this.getPanel(target).selectButton(target.object);
+        }
+
+        if (navigator.vibrate) {
+            navigator.vibrate(50);
+        }
+        if (window.trackVREvent) {
+            window.trackVREvent('gaze_select', target.kind);
+        }
+    }
+
+    setProgress(progress) {
+        const segments = Math.round(progress * RING_SEGMENTS);
+        this.progressRing.geometry.setDrawRange(0, segments * 6);
+        this.progressRing.visible = segments > 0;
+    }
+
+    setMode(mode) {
+        if (!GAZE_MODES.includes(mode)) return;
+        this.mode = mode;
+        this.changed();
+        console.log(`👁️ Gaze dwell mode: ${mode}`);
+    }
+
+    setDwellTime(ms) {
+        if (!(ms > 0)) return;
+        this.dwellTime = ms;
+        this.changed();
+        console.log(`👁️ Dwell time: ${ms}ms`);
+    }
+
+    cycleMode() {
+        this.setMode(GAZE_MODES[(GAZE_MODES.indexOf(this.mode) + 1) % GAZE_MODES.length]);
+    }
+
+    /**
+     * Next longer preset, wrapping round to the shortest (a ?dwell= time off the list goes to the next one up)
+     */
+    cycleDwellTime() {
+        this.setDwellTime(DWELL_TIMES.find(ms => ms > this.dwellTime) ?? DWELL_TIMES[0]);
+    }
+
+    describeMode() {
+        return { auto: 'Gaze Auto', on: 'Gaze On', off: 'Gaze Off' }[this.mode];
+    }
+
+    describeDwellTime() {
+        return `Dwell ${this.dwellTime / 1000}s`;
+    }
+
+    changed() {
+        this.saveSettings();
+        if (window.trackVREvent) {
+            window.trackVREvent('gaze_settings', `${this.mode}:${this.dwellTime}`);
+        }
+        if (this.onChange) this.onChange();
+    }
+
+    loadSettings() {
+        const settings = { mode: DWELL_CONFIG.mode, dwellTime: DWELL_CONFIG.dwellTime };
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && GAZE_MODES.includes(saved.mode)) settings.mode = saved.mode;
+            if (saved && saved.dwellTime > 0) settings.dwellTime = saved.dwellTime;
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable gaze settings:', error);
+        }
+
+        // Testing overrides - not saved
+        const params = new URLSearchParams(window.location.search);
+        if (GAZE_MODES.includes(params.get('gaze'))) settings.mode = params.get('gaze');
+        if (Number(params.get('dwell')) > 0) settings.dwellTime = Number(params.get('dwell'));
+        return settings;
+    }
+
+    saveSettings() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ mode: this.mode, dwellTime: this.dwellTime }));
+    }
+
+    dispose() {
+        this.setTarget(null);
+        this.player.scene.remove(this.reticle);
+        this.reticle.traverse(object => {
+            if (object.isMesh) {
+                object.geometry.dispose();
+                object.material.dispose();
+            }
+        });
+    }
+}
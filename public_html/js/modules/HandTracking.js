@@ -0,0 +1,328 @@
+/**
+ * HandTracking.js
+ * Articulated hands in the headset (WebXR 'hand-tracking' - Meta Quest with the controllers put down).
+ * Each tracked hand is drawn as joint spheres and points with a ray from the system's aim pose:
+ *   - pinch: the ray brightens; drag it onto a hotspot or VRMenu/VREndScreen button and let go to select
+ *   - poke: an index fingertip pressing a menu button selects it
+ *   - palm up: holding a palm facing up opens the VR menu small and within reach, for poking
+ * Hands and controllers share the two XR input slots, so picking a controller back up swaps that slot's
+ * visuals back to the controller ray, and the trigger takes over from the pinch.
+ * Set up by WebXRHandler.setupHandTracking(), updated every frame from PanoramaPlayer.animate().
+ */
+
+import * as THREE from 'three';
+import { HAND_CONFIG } from '../utils/constants.js';
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+// Joint spheres stand in for this radius until the runtime reports one
+const DEFAULT_JOINT_RADIUS = 0.008;
+
+// Palm-up re-arms once the palm has turned at least this far away from up
+const PALM_REARM_THRESHOLD = 0.4;
+
+export class HandTracking {
+    /**
+     * @param {PanoramaPlayer} player - scene, camera, renderer, hotspotManager, vrMenu and vrEndScreen are read live
+     */
+    constructor(player) {
+        this.player = player;
+        this.renderer = player.renderer;
+
+        this.jointGeometry = new THREE.SphereGeometry(1, 10, 8);
+        this.jointMaterial = new THREE.MeshBasicMaterial({ color: HAND_CONFIG.jointColor, transparent: true, opacity: 0.7 });
+
+        this.probe = new THREE.Object3D(); // Stand-in pointer for checkIntersection() when a fingertip nears a panel
+        this.tip = new THREE.Vector3();
+        this.panelPosition = new THREE.Vector3();
+        this.panelQuaternion = new THREE.Quaternion();
+        this.normal = new THREE.Vector3();
+        this.offset = new THREE.Vector3();
+        this.palm = new THREE.Vector3();
+        this.origin = new THREE.Vector3();
+        this.direction = new THREE.Vector3();
+        this.rotation = new THREE.Matrix4();
+        this.quaternion = new THREE.Quaternion();
+
+        this.hands = [0, 1].map(index => this.setupHand(index));
+    }
+
+    /**
+     * Slot `index`: its hand joints, its target ray (the pointer) and the pinch ray drawn along it
+     */
+    setupHand(index) {
+        const hand = this.renderer.xr.getHand(index);
+        const pointer = this.renderer.xr.getController(index);
+
+        const ray = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1)]),
+            new THREE.LineBasicMaterial({ color: HAND_CONFIG.jointColor, transparent: true, opacity: 0.3 })
+        );
+        ray.name = 'handRay';
+        ray.scale.z = HAND_CONFIG.rayLength;
+        ray.visible = false;
+        pointer.add(ray);
+        this.player.scene.add(hand);
+
+        const state = {
+            index,
+            hand,
+            pointer,
+            ray,
+            tracked: false,
+            pinching: false,
+            pokeTarget: null, // { panel, button } under the fingertip
+            pokePressed: false, // Pressed - pull back before it presses again
+            palmUpSince: null,
+            palmArmed: true
+        };
+
+        // Slots report hands and controllers alike - the input source says which
+        pointer.addEventListener('connected', (event) => {
+            if (event.data.hand) {
+                this.onHandConnected(state);
+            } else {
+                this.onControllerConnected(state);
+            }
+        });
+        pointer.addEventListener('disconnected', () => {
+            if (state.tracked) this.onHandLost(state);
+        });
+        hand.addEventListener('pinchstart', () => this.onPinchStart(state));
+        hand.addEventListener('pinchend', () => this.onPinchEnd(state));
+
+        return state;
+    }
+
+    onHandConnected(state) {
+        state.tracked = true;
+        state.palmArmed = true;
+
+        // three.js creates the joints before announcing the hand
+        Object.values(state.hand.joints).forEach(joint => {
+            if (joint.userData.sphere) return;
+            joint.userData.sphere = new THREE.Mesh(this.jointGeometry, this.jointMaterial);
+            joint.add(joint.userData.sphere);
+        });
+
+        this.showPointerVisuals(state, true);
+        console.log(`✋ Hand tracked in slot ${state.index} - pinch to select, palm up for the menu`);
+        if (window.trackVREvent) {
+            window.trackVREvent('hand_tracking', 'connected', state.index);
+        }
+    }
+
+    /**
+     * A controller took the slot over - its ray and model come back, the hand's state goes
+     */
+    onControllerConnected(state) {
+        if (state.tracked) this.onHandLost(state);
+        this.showPointerVisuals(state, false);
+    }
+
+    onHandLost(state) {
+        state.tracked = false;
+        state.pinching = false;
+        state.palmUpSince = null;
+        state.ray.visible = false;
+        this.setPokeTarget(state, null);
+        console.log(`✋ Hand in slot ${state.index} no longer tracked`);
+    }
+
+    /**
+     * The pointer also carries the controller ray and model (PanoramaPlayer, WebXRHandler) - only one
+     * set shows: the pinch ray for a hand, the rest for a controller
+     */
+    showPointerVisuals(state, isHand) {
+        state.pointer.children.forEach(child => {
+            child.visible = child === state.ray ? isHand : !isHand;
+        });
+    }
+
+    onPinchStart(state) {
+        if (!state.tracked) return;
+        state.pinching = true;
+        state.ray.material.opacity = 0.9;
+    }
+
+    /**
+     * Letting go selects whatever the ray ended up on
+     */
+    onPinchEnd(state) {
+        if (!state.pinching) return;
+        state.pinching = false;
+        state.ray.material.opacity = 0.3;
+
+        const target = this.findTarget(state.pointer);
+        if (target) this.select(target, 'hand_select');
+    }
+
+    /**
+     * Per frame, from PanoramaPlayer.animate()
+     */
+    update() {
+        if (!this.renderer.xr.isPresenting) return;
+
+        this.hands.forEach(state => {
+            if (!state.tracked) return;
+            // Joint poses arrive as local matrices - bring world matrices up to date before testing them
+            state.hand.updateMatrixWorld(true);
+            state.pointer.updateMatrixWorld(true);
+
+            Object.values(state.hand.joints).forEach(joint => {
+                joint.userData.sphere?.scale.setScalar(joint.jointRadius || DEFAULT_JOINT_RADIUS);
+            });
+            this.updatePoke(state);
+            this.updatePalm(state);
+        });
+    }
+
+    /**
+     * What the ray points at - open panels first, since they float in front of the hotspots
+     */
+    findTarget(pointer) {
+        const { vrEndScreen, vrMenu, hotspotManager } = this.player;
+
+        if (vrEndScreen && this.player.vrEndScreenVisible) {
+            const button = vrEndScreen.checkIntersection(pointer);
+            if (button) return { kind: 'endScreen', panel: vrEndScreen, object: button };
+        }
+        if (vrMenu && this.player.vrMenuVisible) {
+            const button = vrMenu.checkIntersection(pointer);
+            if (button) return { kind: 'menu', panel: vrMenu, object: button };
+        }
+        if (hotspotManager) {
+            this.rotation.extractRotation(pointer.matrixWorld);
+            this.origin.setFromMatrixPosition(pointer.matrixWorld);
+            this.direction.set(0, 0, -1).applyMatrix4(this.rotation);
+            const hotspot = hotspotManager.checkInteraction(this.origin, this.direction);
+            if (hotspot) return { kind: 'hotspot', object: hotspot };
+        }
+        return null;
+    }
+
+    select(target, action) {
+        if (target.kind === 'hotspot') {
+            console.log(`✋ Hotspot selected by hand: ${target.object.label}`);
+            this.player.hotspotManager.discoverHotspot(target.object);
+        } else {
+            target.panel.selectButton(target.object);
+        }
+
+        if (window.trackVREvent) {
+            window.trackVREvent(action, target.kind);
+        }
+    }
+
+    /**
+     * Index fingertip against the open panels: near a button highlights it, reaching it presses it
+     */
+    updatePoke(state) {
+        const tip = state.hand.joints['index-finger-tip'];
+        if (!tip || !tip.visible || state.pinching) {
+            this.setPokeTarget(state, null);
+            return;
+        }
+        tip.getWorldPosition(this.tip);
+
+        let found = null;
+        let depth = Infinity;
+        for (const [panel, visible] of [[this.player.vrEndScreen, this.player.vrEndScreenVisible], [this.player.vrMenu, this.player.vrMenuVisible]]) {
+            if (!panel || !visible || !panel.container) continue;
+
+            // Panels face +Z; depth is how far the fingertip is in front of one (negative once through)
+            panel.container.getWorldPosition(this.panelPosition);
+            panel.container.getWorldQuaternion(this.panelQuaternion);
+            this.normal.set(0, 0, 1).applyQuaternion(this.panelQuaternion);
+            depth = this.offset.copy(this.tip).sub(this.panelPosition).dot(this.normal);
+            if (depth > HAND_CONFIG.pokeHover || depth < -HAND_CONFIG.pokeHover) continue;
+
+            // Look straight through the panel from just in front of the fingertip
+            this.probe.position.copy(this.tip).addScaledVector(this.normal, HAND_CONFIG.pokeHover);
+            this.probe.quaternion.copy(this.panelQuaternion);
+            this.probe.updateMatrixWorld(true);
+            const button = panel.checkIntersection(this.probe);
+            if (button) {
+                found = { panel, button };
+                break;
+            }
+        }
+
+        if (found?.button !== state.pokeTarget?.button) {
+            this.setPokeTarget(state, found);
+        }
+        if (!found) return;
+
+        if (depth <= HAND_CONFIG.pokeDepth && !state.pokePressed) {
+            state.pokePressed = true;
+            const kind = found.panel === this.player.vrMenu ? 'menu' : 'endScreen';
+            this.select({ kind, panel: found.panel, object: found.button }, 'hand_poke');
+        } else if (depth > HAND_CONFIG.pokeDepth * 2) {
+            state.pokePressed = false;
+        }
+    }
+
+    setPokeTarget(state, target) {
+        if (state.pokeTarget) {
+            state.pokeTarget.panel.unhighlightButton(state.pokeTarget.button);
+        }
+        state.pokeTarget = target;
+        // Sliding onto the next button while still pressed doesn't press that one too
+        if (!target) state.pokePressed = false;
+        if (target) {
+            target.panel.highlightButton(target.button);
+        }
+    }
+
+    /**
+     * A palm held facing up opens the menu within reach. Once per gesture: the palm has to turn away
+     * before it can open the menu again
+     */
+    updatePalm(state) {
+        const wrist = state.hand.joints['wrist'];
+        if (!wrist || !wrist.visible || state.pinching) {
+            state.palmUpSince = null;
+            return;
+        }
+
+        // Joint space: -Y points out of the palm
+        wrist.getWorldQuaternion(this.quaternion);
+        const facing = this.palm.set(0, -1, 0).applyQuaternion(this.quaternion).dot(WORLD_UP);
+        if (facing < HAND_CONFIG.palmUpThreshold) {
+            state.palmUpSince = null;
+            if (facing < PALM_REARM_THRESHOLD) state.palmArmed = true;
+            return;
+        }
+        if (!state.palmArmed || this.player.vrMenuVisible) return;
+
+        const now = performance.now();
+        state.palmUpSince ??= now;
+        if (now - state.palmUpSince < HAND_CONFIG.palmUpHold) return;
+
+        state.palmArmed = false;
+        state.palmUpSince = null;
+        this.player.showVRMenu();
+        this.player.vrMenu?.placeWithinReach(this.player.camera);
+        console.log('✋ Palm up - VR menu opened within reach');
+        if (window.trackVREvent) {
+            window.trackVREvent('hand_palm_menu', 'opened');
+        }
+    }
+
+    dispose() {
+        this.hands.forEach(state => {
+            this.setPokeTarget(state, null);
+            state.pointer.remove(state.ray);
+            state.ray.geometry.dispose();
+            state.ray.material.dispose();
+            Object.values(state.hand.joints).forEach(joint => {
+                if (joint.userData.sphere) joint.remove(joint.userData.sphere);
+                delete joint.userData.sphere;
+            });
+            this.player.scene?.remove(state.hand);
+        });
+        this.hands = [];
+        this.jointGeometry.dispose();
+        this.jointMaterial.dispose();
+    }
+}
@@ -0,0 +1,635 @@
+import * as THREE from 'three';
+import { lonLatToPosition, positionToLonLat } from '../utils/helpers.js';
+import { HOTSPOT_MANIFEST_FILENAME } from '../utils/hotspotManifest.js';
+
+/**
+ * HotspotAuthoring - In-experience editor for placing and timing hotspots
+ * Click the sphere to drop a hotspot at the current video time, drag orbs to move them,
+ * edit label/sound/color in the side panel and export the hotspots.json manifest
+ * that HotspotManager loads. Desktop only (mouse input).
+ */
+export class HotspotAuthoring {
+    constructor(panoramaPlayer) {
+        this.panoramaPlayer = panoramaPlayer;
+        this.isActive = false;
+
+        // Editing state
+        this.selectedHotspot = null;
+        this.draggingHotspot = null;
+        this.pointerDown = null; // { x, y } of last mousedown, for click detection
+        this.placementRadius = 12; // Matches the distance used by the built-in configs
+
+        // Raycasting
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.far = 20;
+        this.mouse = new THREE.Vector2();
+
+        // DOM
+        this.panel = null;
+        this.refreshInterval = null;
+        this.renderedManager = null; // Manager/count last drawn in the panel
+        this.renderedCount = 0;
+
+        // Bound handlers (capture phase on the container so we run before PanoramaPlayer's canvas handlers)
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+
+        console.log('✏️ HotspotAuthoring initialized');
+    }
+
+    get hotspotManager() {
+        return this.panoramaPlayer.hotspotManager;
+    }
+
+    get video() {
+        return this.panoramaPlayer.video;
+    }
+
+    /**
+     * Enter authoring mode
+     */
+    enable() {
+        if (this.isActive) return;
+        if (!this.hotspotManager) {
+            console.warn('⚠️ Hotspot authoring needs a loaded video');
+            return;
+        }
+
+        this.isActive = true;
+
+        // Clicks place/select hotspots instead of discovering them, and every hotspot is previewable
+        this.hotspotManager.discoveryEnabled = false;
+        this.hotspotManager.reset();
+
+        const container = this.panoramaPlayer.container;
+        container.addEventListener('mousedown', this.onMouseDown, true);
+        container.addEventListener('mousemove', this.onMouseMove, true);
+        container.addEventListener('mouseup', this.onMouseUp, true);
+
+        this.createPanel();
+        this.refreshInterval = setInterval(() => this.refresh(), 250);
+
+        console.log('✏️ Hotspot authoring enabled - click the sphere to drop a hotspot');
+    }
+
+    /**
+     * Leave authoring mode
+     */
+    disable() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.selectedHotspot = null;
+        this.draggingHotspot = null;
+
+        if (this.hotspotManager) {
+            this.hotspotManager.discoveryEnabled = true;
+        }
+
+        const container = this.panoramaPlayer.container;
+        container.removeEventListener('mousedown', this.onMouseDown, true);
+        container.removeEventListener('mousemove', this.onMouseMove, true);
+        container.removeEventListener('mouseup', this.onMouseUp, true);
+
+        clearInterval(this.refreshInterval);
+        this.refreshInterval = null;
+
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+
+        console.log('✏️ Hotspot authoring disabled');
+    }
+
+    toggle() {
+        if (this.isActive) {
+            this.disable();
+        } else {
+            this.enable();
+        }
+    }
+
+    // ===== Pointer handling =====
+
+    /**
+     * Point the raycaster through a mouse event
+     */
+    setRayFromEvent(event) {
+        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        this.raycaster.setFromCamera(this.mouse, this.panoramaPlayer.camera);
+    }
+
+    /**
+     * Find the visible hotspot under the pointer
+     */
+    pickHotspot(event) {
+        this.setRayFromEvent(event);
+        // Glow layers are larger than the core sphere and easier to grab
+        const meshes = this.hotspotManager.hotspots
+            .filter(h => h.visible && h.mesh)
+            .flatMap(h => [h.mesh, ...(h.glowLayers || [])]);
+        const intersects = this.raycaster.intersectObjects(meshes);
+        return intersects.length > 0 ? intersects[0].object.userData.hotspot : null;
+    }
+
+    isCanvasEvent(event) {
+        return event.target === this.panoramaPlayer.renderer.domElement;
+    }
+
+    onMouseDown(event) {
+        if (!this.isCanvasEvent(event) || event.button !== 0) return;
+
+        this.pointerDown = { x: event.clientX, y: event.clientY };
+
+        const hotspot = this.pickHotspot(event);
+        if (hotspot) {
+            // Grab the orb - keep PanoramaPlayer from starting a camera drag
+            event.stopPropagation();
+            this.draggingHotspot = hotspot;
+            this.selectHotspot(hotspot);
+        }
+    }
+
+    onMouseMove(event) {
+        if (!this.draggingHotspot) return;
+
+        event.stopPropagation();
+        this.setRayFromEvent(event);
+
+        const distance = this.draggingHotspot.position.length() || this.placementRadius;
+        const position = this.raycaster.ray.direction.clone().normalize().multiplyScalar(distance);
+        this.hotspotManager.setHotspotPosition(this.draggingHotspot, position);
+        this.renderSelection();
+    }
+
+    onMouseUp(event) {
+        if (this.draggingHotspot) {
+            event.stopPropagation();
+            console.log(`✏️ Moved hotspot: ${this.draggingHotspot.label}`);
+            this.draggingHotspot = null;
+            this.renderList();
+            return;
+        }
+
+        if (!this.isCanvasEvent(event) || !this.pointerDown) return;
+
+        // Only a click (not a look-around drag) drops a hotspot
+        const dragDistance = Math.abs(event.clientX - this.pointerDown.x) + Math.abs(event.clientY - this.pointerDown.y);
+        this.pointerDown = null;
+        if (dragDistance >= 10) return;
+
+        this.setRayFromEvent(event);
+        const { lon, lat } = positionToLonLat(this.raycaster.ray.direction);
+        this.placeHotspot(lon, lat);
+    }
+
+    // ===== Editing =====
+
+    /**
+     * Drop a new hotspot at lon/lat, appearing at the current video time
+     */
+    placeHotspot(lon, lat) {
+        const sounds = this.getAvailableSounds();
+        const previous = this.selectedHotspot;
+        const time = this.video ? this.video.currentTime : 0;
+
+        const hotspot = this.hotspotManager.addHotspot({
+            time: Math.round(time * 10) / 10,
+            position: lonLatToPosition(lon, lat, this.placementRadius),
+            sound: previous ? previous.sound : sounds[0],
+            label: `Hotspot ${this.hotspotManager.hotspots.length + 1}`,
+            color: previous ? previous.color : 0x00ffff
+        });
+
+        console.log(`✏️ Placed ${hotspot.id} at lon=${lon.toFixed(1)} lat=${lat.toFixed(1)} t=${hotspot.time}s`);
+
+        this.updateDiscoveryTotal();
+        this.selectHotspot(hotspot);
+        this.renderList();
+    }
+
+    selectHotspot(hotspot) {
+        this.selectedHotspot = hotspot;
+        this.renderList();
+        this.renderSelection();
+    }
+
+    /**
+     * Set an explicit end of the visibility window (null = default/adaptive window)
+     */
+    setEndTime(hotspot, endTime) {
+        if (endTime !== null && !(Number.isFinite(endTime) && endTime > hotspot.time)) return;
+        hotspot.endTime = endTime;
+        hotspot.duration = null;
+        this.renderList();
+    }
+
+    deleteSelected() {
+        if (!this.selectedHotspot) return;
+
+        console.log(`🗑️ Deleted hotspot: ${this.selectedHotspot.label}`);
+        this.hotspotManager.removeHotspot(this.selectedHotspot);
+        this.selectedHotspot = null;
+
+        this.updateDiscoveryTotal();
+        this.renderList();
+        this.renderSelection();
+    }
+
+    /**
+     * Seek the video so a hotspot's appearance can be previewed
+     */
+    seekTo(time) {
+        if (!this.video) return;
+        const duration = this.video.duration || time;
+        this.video.currentTime = Math.max(0, Math.min(duration, time));
+        this.updateTimeline();
+    }
+
+    /**
+     * Sound files offered in the panel - every sound used by the built-in configs
+     */
+    getAvailableSounds() {
+        const configs = this.hotspotManager.getHotspotConfigs();
+        const sounds = new Set();
+        Object.values(configs).forEach(config => config.forEach(h => sounds.add(h.sound)));
+        this.hotspotManager.hotspots.forEach(h => sounds.add(h.sound));
+        return [...sounds].sort();
+    }
+
+    /**
+     * Keep the "Hidden Sounds: x / N" counter in sync with added/removed hotspots
+     */
+    updateDiscoveryTotal() {
+        const totalEl = document.getElementById('total-count');
+        if (totalEl) {
+            totalEl.textContent = this.hotspotManager.totalHotspots;
+        }
+    }
+
+    // ===== Export =====
+
+    getManifest() {
+        const videoName = this.panoramaPlayer.currentVideoName || 'default';
+        return this.hotspotManager.toManifest(videoName);
+    }
+
+    /**
+     * Download the manifest as hotspots.json
+     */
+    exportManifest() {
+        const json = JSON.stringify(this.getManifest(), null, 2);
+        const blob = new Blob([json + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = HOTSPOT_MANIFEST_FILENAME;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log(`💾 Exported ${HOTSPOT_MANIFEST_FILENAME} for ${this.panoramaPlayer.currentVideoName}`);
+    }
+
+    async copyManifest() {
+        const json = JSON.stringify(this.getManifest(), null, 2);
+        try {
+            await navigator.clipboard.writeText(json);
+            console.log('📋 Hotspot manifest copied to clipboard');
+        } catch (error) {
+            console.warn('⚠️ Clipboard unavailable, logging manifest instead:', error);
+            console.log(json);
+        }
+    }
+
+    // ===== Panel =====
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'hotspot-authoring-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 20px;
+            bottom: 20px;
+            width: 320px;
+            background: rgba(0, 0, 0, 0.88);
+            color: white;
+            padding: 16px;
+            border-radius: 12px;
+            font-size: 13px;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif;
+            z-index: 15000;
+            backdrop-filter: blur(10px);
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            overflow-y: auto;
+        `;
+
+        const source = this.hotspotManager.hotspotSource;
+        this.panel.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <strong style="font-size: 16px;">✏️ Hotspot Authoring</strong>
+                <button data-action="close" style="${this.buttonStyle()}">✕</button>
+            </div>
+            <div style="opacity: 0.7;">
+                ${this.escape(this.panoramaPlayer.currentVideoName || 'Unknown video')}
+                · ${source && source.source !== 'none' ? this.escape(source.url || `built-in '${source.config}'`) : 'no config'}
+            </div>
+            <div>
+                <div style="display: flex; gap: 8px; align-items: center;">
+                    <button data-action="play" style="${this.buttonStyle()}">▶</button>
+                    <input data-field="timeline" type="range" min="0" max="1" step="0.1" value="0" style="flex: 1;">
+                    <span data-field="time" style="font-variant-numeric: tabular-nums;">0:00</span>
+                </div>
+                <div data-field="windows" style="position: relative; height: 40px; margin-top: 6px; background: rgba(255,255,255,0.08); border-radius: 4px;"></div>
+            </div>
+            <div>
+                <strong data-field="count">Hotspots</strong>
+                <div data-field="list" style="margin-top: 6px; display: flex; flex-direction: column; gap: 2px;"></div>
+            </div>
+            <div data-field="selection"></div>
+            <div style="display: flex; gap: 8px;">
+                <button data-action="export" style="${this.buttonStyle()} flex: 1;">💾 Export ${HOTSPOT_MANIFEST_FILENAME}</button>
+                <button data-action="copy" style="${this.buttonStyle()}">📋 Copy</button>
+            </div>
+            <div style="opacity: 0.6; line-height: 1.5;">
+                Click the sphere to drop a hotspot at the current time · drag orbs to move them ·
+                scrub the timeline to preview when each one is visible
+            </div>
+        `;
+
+        // Typing in the panel must not trigger the app's keyboard shortcuts (space, F, M, arrows)
+        this.panel.addEventListener('keydown', (e) => e.stopPropagation());
+
+        this.panel.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            const row = e.target.closest('[data-hotspot-id]');
+
+            if (action === 'close') this.disable();
+            else if (action === 'play') this.panoramaPlayer.togglePlay();
+            else if (action === 'export') this.exportManifest();
+            else if (action === 'copy') this.copyManifest();
+            else if (action === 'delete') this.deleteSelected();
+            else if (action === 'now' && this.selectedHotspot && this.video) {
+                const time = Math.round(this.video.currentTime * 10) / 10;
+                if (this.selectedHotspot.endTime != null && time >= this.selectedHotspot.endTime) {
+                    this.selectedHotspot.endTime = null;
+                }
+                this.selectedHotspot.time = time;
+                this.renderList();
+                this.renderSelection();
+            } else if (action === 'end-now' && this.selectedHotspot && this.video) {
+                this.setEndTime(this.selectedHotspot, Math.round(this.video.currentTime * 10) / 10);
+                this.renderSelection();
+            } else if (action === 'preview' && this.selectedHotspot?.audio) {
+                const audio = this.selectedHotspot.audio;
+                if (audio.paused) {
+                    audio.play().catch(err => console.warn('Preview failed:', err));
+                } else {
+                    audio.pause();
+                }
+            } else if (row) {
+                const hotspot = this.hotspotManager.hotspots.find(h => h.id === row.dataset.hotspotId);
+                if (hotspot) {
+                    this.selectHotspot(hotspot);
+                    this.seekTo(hotspot.time);
+                }
+            }
+        });
+
+        this.panel.addEventListener('input', (e) => {
+            const field = e.target.dataset.field;
+            const hotspot = this.selectedHotspot;
+
+            if (field === 'timeline') {
+                this.seekTo(parseFloat(e.target.value));
+            } else if (hotspot && field === 'label') {
+                hotspot.label = e.target.value;
+                this.renderList();
+            } else if (hotspot && field === 'hotspot-time') {
+                const time = parseFloat(e.target.value);
+                if (Number.isFinite(time) && time >= 0 && (hotspot.endTime == null || time < hotspot.endTime)) {
+                    hotspot.time = time;
+                    this.renderList();
+                }
+            } else if (hotspot && field === 'hotspot-end') {
+                this.setEndTime(hotspot, e.target.value === '' ? null : parseFloat(e.target.value));
+            } else if (hotspot && field === 'color') {
+                this.hotspotManager.setHotspotColor(hotspot, parseInt(e.target.value.slice(1), 16));
+                this.renderList();
+            }
+        });
+
+        this.panel.addEventListener('change', (e) => {
+            if (e.target.dataset.field === 'sound' && this.selectedHotspot) {
+                this.hotspotManager.setHotspotSound(this.selectedHotspot, e.target.value);
+            }
+        });
+
+        document.body.appendChild(this.panel);
+
+        this.renderList();
+        this.renderSelection();
+        this.updateTimeline();
+    }
+
+    /**
+     * Periodic sync - hotspots load asynchronously and the manager is replaced when the video changes
+     */
+    refresh() {
+        const manager = this.hotspotManager;
+        if (!manager) return;
+
+        if (manager !== this.renderedManager || manager.hotspots.length !== this.renderedCount) {
+            manager.discoveryEnabled = false;
+            if (manager !== this.renderedManager) this.selectedHotspot = null;
+            this.renderedManager = manager;
+            this.renderedCount = manager.hotspots.length;
+            this.renderList();
+            this.renderSelection();
+        }
+
+        this.updateTimeline();
+    }
+
+    buttonStyle() {
+        return `
+            background: rgba(255, 255, 255, 0.15);
+            color: white;
+            border: 1px solid rgba(255, 255, 255, 0.25);
+            border-radius: 6px;
+            padding: 6px 10px;
+            cursor: pointer;
+            font-size: 13px;
+        `;
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    colorHex(color) {
+        return `#${color.toString(16).padStart(6, '0')}`;
+    }
+
+    /**
+     * Hotspot list, sorted by appearance time
+     */
+    renderList() {
+        if (!this.panel) return;
+
+        const hotspots = [...this.hotspotManager.hotspots].sort((a, b) => a.time - b.time);
+        this.panel.querySelector('[data-field="count"]').textContent = `Hotspots (${hotspots.length})`;
+
+        this.panel.querySelector('[data-field="list"]').innerHTML = hotspots.map(hotspot => `
+            <div data-hotspot-id="${this.escape(hotspot.id)}" style="
+                display: flex;
+                gap: 8px;
+                align-items: center;
+                padding: 4px 6px;
+                border-radius: 4px;
+                cursor: pointer;
+                background: ${hotspot === this.selectedHotspot ? 'rgba(205, 0, 255, 0.35)' : 'transparent'};
+            ">
+                <span style="width: 10px; height: 10px; border-radius: 50%; background: ${this.colorHex(hotspot.color)};"></span>
+                <span style="opacity: 0.7; font-variant-numeric: tabular-nums;">${this.panoramaPlayer.formatTime(hotspot.time)}</span>
+                <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escape(hotspot.label)}</span>
+            </div>
+        `).join('');
+
+        this.renderWindows();
+    }
+
+    /**
+     * Editor for the selected hotspot
+     */
+    renderSelection() {
+        if (!this.panel) return;
+        const container = this.panel.querySelector('[data-field="selection"]');
+        const hotspot = this.selectedHotspot;
+
+        if (!hotspot) {
+            container.innerHTML = '<div style="opacity: 0.6;">Select or place a hotspot to edit it</div>';
+            return;
+        }
+
+        const { lon, lat } = positionToLonLat(hotspot.position);
+        const inputStyle = 'width: 100%; box-sizing: border-box; padding: 4px; border-radius: 4px; border: none;';
+
+        // Only rebuild inputs when the selection changes so typing keeps focus
+        if (container.dataset.hotspotId !== hotspot.id) {
+            container.dataset.hotspotId = hotspot.id;
+            container.innerHTML = `
+                <div style="display: grid; grid-template-columns: 60px 1fr; gap: 6px 8px; align-items: center;">
+                    <label>Label</label>
+                    <input data-field="label" type="text" style="${inputStyle}">
+                    <label>Sound</label>
+                    <div style="display: flex; gap: 4px;">
+                        <select data-field="sound" style="${inputStyle}">
+                            ${this.getAvailableSounds().map(sound => `<option value="${this.escape(sound)}">${this.escape(sound)}</option>`).join('')}
+                        </select>
+                        <button data-action="preview" style="${this.buttonStyle()}">🔊</button>
+                    </div>
+                    <label>Color</label>
+                    <input data-field="color" type="color">
+                    <label>Time (s)</label>
+                    <div style="display: flex; gap: 4px;">
+                        <input data-field="hotspot-time" type="number" min="0" step="0.1" style="${inputStyle}">
+                        <button data-action="now" style="${this.buttonStyle()}" title="Appear at current video time">⏱</button>
+                    </div>
+                    <label>End (s)</label>
+                    <div style="display: flex; gap: 4px;">
+                        <input data-field="hotspot-end" type="number" min="0" step="0.1" placeholder="default window" style="${inputStyle}">
+                        <button data-action="end-now" style="${this.buttonStyle()}" title="Disappear at current video time">⏱</button>
+                    </div>
+                    <label>Lon/Lat</label>
+                    <span data-field="lonlat"></span>
+                </div>
+                <button data-action="delete" style="${this.buttonStyle()} margin-top: 8px; width: 100%;">🗑️ Delete hotspot</button>
+            `;
+        }
+
+        const setValue = (field, value) => {
+            const input = container.querySelector(`[data-field="${field}"]`);
+            if (input && document.activeElement !== input) input.value = value;
+        };
+        setValue('label', hotspot.label);
+        setValue('sound', hotspot.sound);
+        setValue('color', this.colorHex(hotspot.color));
+        setValue('hotspot-time', hotspot.time);
+        setValue('hotspot-end', hotspot.endTime ?? '');
+        container.querySelector('[data-field="lonlat"]').textContent = `${lon.toFixed(1)}°, ${lat.toFixed(1)}°`;
+    }
+
+    /**
+     * Appearance windows drawn under the timeline
+     */
+    renderWindows() {
+        if (!this.panel) return;
+        const track = this.panel.querySelector('[data-field="windows"]');
+        const duration = this.video?.duration;
+
+        if (!duration || !isFinite(duration)) {
+            track.innerHTML = '';
+            return;
+        }
+
+        const hotspots = [...this.hotspotManager.hotspots].sort((a, b) => a.time - b.time);
+        const rowHeight = Math.max(2, Math.floor(40 / Math.max(1, hotspots.length)));
+
+        track.innerHTML = hotspots.map((hotspot, i) => {
+            const { start, end } = this.hotspotManager.getVisibilityWindow(hotspot);
+            const left = Math.min(100, (start / duration) * 100);
+            const width = Math.max(0.5, Math.min(100 - left, ((Math.min(end, duration) - start) / duration) * 100));
+            return `<div title="${this.escape(hotspot.label)}" style="
+                position: absolute;
+                left: ${left}%;
+                width: ${width}%;
+                top: ${i * rowHeight}px;
+                height: ${Math.max(1, rowHeight - 1)}px;
+                background: ${this.colorHex(hotspot.color)};
+                opacity: ${hotspot === this.selectedHotspot ? 1 : 0.5};
+            "></div>`;
+        }).join('') + '<div data-field="playhead" style="position: absolute; top: 0; bottom: 0; width: 2px; background: white;"></div>';
+
+        this.updateTimeline();
+    }
+
+    /**
+     * Sync timeline slider, time label and playhead with the video
+     */
+    updateTimeline() {
+        if (!this.panel || !this.video) return;
+
+        const duration = this.video.duration;
+        const currentTime = this.video.currentTime;
+        const slider = this.panel.querySelector('[data-field="timeline"]');
+
+        if (duration && isFinite(duration)) {
+            if (slider.max !== String(duration)) {
+                slider.max = duration;
+                this.renderWindows();
+                return;
+            }
+            if (document.activeElement !== slider) {
+                slider.value = currentTime;
+            }
+            const playhead = this.panel.querySelector('[data-field="playhead"]');
+            if (playhead) playhead.style.left = `${(currentTime / duration) * 100}%`;
+        }
+
+        this.panel.querySelector('[data-field="time"]').textContent =
+            `${this.panoramaPlayer.formatTime(currentTime)} / ${this.panoramaPlayer.formatTime(duration)}`;
+        this.panel.querySelector('[data-action="play"]').textContent = this.video.paused ? '▶' : '⏸';
+    }
+}
@@ -1,4 +1,18 @@
 import * as THREE from 'three';
+import { getHotspotManifestURL, validateHotspotManifest, createHotspotManifest } from '../utils/hotspotManifest.js';
+import { COLLAB_CONFIG } from '../utils/constants.js';
+import { constrainToHemisphere } from '../utils/projection.js';
+
+/**
+ * Hotspot lifecycle states, derived from video time (see getHotspotState)
+ * Positional hotspots (no time, or any hotspot in a photo scene) go straight to ACTIVE
+ */
+export const HotspotState = {
+    PENDING: 'pending',       // Window hasn't opened yet
+    ACTIVE: 'active',         // Visible and discoverable
+    DISCOVERED: 'discovered', // Found - persists across seeks
+    EXPIRED: 'expired'        // Window closed (missed if it ran out during playback)
+};
 
 /**
  * HotspotManager - Interactive Audio Hotspots for 360° VR Experiences
@@ -6,11 +20,16 @@ import * as THREE from 'three';
  * Works on Meta Quest, Desktop, WebXR Emulator, and Mobile
  */
 export class HotspotManager {
-    constructor(scene, camera, video, renderer = null) {
+    /**
+     * @param {HTMLMediaElement} video - the scene's media; a photo scene's ambient audio track
+     * @param {Object} options - timed: false for photo scenes (positional hotspots, no timeline)
+     */
+    constructor(scene, camera, video, renderer = null, options = {}) {
         this.scene = scene;
         this.camera = camera;
         this.video = video;
         this.renderer = renderer; // For VR mode detection
+        this.timed = options.timed !== false;
         
         // Detect Safari for performance optimizations
         this.isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
@@ -22,8 +41,12 @@ export class HotspotManager {
         
         // Audio setup
         this.audioListener = null;
+        this.ownsAudioListener = false; // Created here rather than shared by PanoramaPlayer
         this.audioLoader = new THREE.AudioLoader();
         this.currentLoopingAudio = null; // Track currently playing looped sound
+        this.loopingHotspot = null; // Hotspot that owns currentLoopingAudio
+        this.loopFadeTimeout = null;
+        this.loopFadeInterval = null;
         this.proximityAudio = null; // Audio cue for proximity hints
         this.lastProximitySound = 0; // Throttle proximity sounds
         this.pingAudioBuffer = null; // Preloaded ping sound buffer
@@ -40,18 +63,89 @@ export class HotspotManager {
         // Discovery tracking
         this.totalHotspots = 0;
         this.onDiscoveryCallback = null;
+        this.onPortalCallback = null; // (hotspot) - a portal hotspot was selected
+        this.onChoiceCallback = null; // (hotspot) - a story choice hotspot was selected (StoryRuntime)
+        
+        // Lifetime windows
+        this.defaultTimeWindow = 120; // Seconds a hotspot stays visible without endTime/duration
+        this.fadeOutDuration = 1.5; // Seconds of fade before the window closes
+        this.missedCount = 0;
+        this.onMissedCallback = null;
+        
+        // Recompute every hotspot from currentTime after seeks, replays and restarts. From 'seeking' until
+        // 'seeked' has run, playback time is ignored - video.seeking turns false a task before 'seeked' fires
+        this.seekPending = false;
+        this.handleSeeking = this.handleSeeking.bind(this);
+        this.handleSeeked = this.handleSeeked.bind(this);
+        if (this.video) {
+            this.video.addEventListener('seeking', this.handleSeeking);
+            this.video.addEventListener('seeked', this.handleSeeked);
+        }
+        
+        // Manifest tracking
+        this.hotspotSource = null; // { source, url, config, count } of last createHotspotsForVideo()
+        this.hotspotLoadId = 0; // Ignore stale manifest loads when videos switch quickly
+        
+        // Disabled by HotspotAuthoring so clicks place/select hotspots instead of discovering them
+        this.discoveryEnabled = true;
+        
+        // Half-dome videos (VR180, fisheye): centre direction of the hemisphere that has video
+        this.visibleHemisphere = null;
         
         console.log('🎯 HotspotManager initialized');
     }
     
+    /**
+     * Follow a replacement element for the same video (ABR quality swap) - time-based state carries over
+     */
+    setVideo(video) {
+        if (this.video) {
+            this.video.removeEventListener('seeking', this.handleSeeking);
+            this.video.removeEventListener('seeked', this.handleSeeked);
+        }
+        this.video = video;
+        this.seekPending = false;
+        if (video) {
+            video.addEventListener('seeking', this.handleSeeking);
+            video.addEventListener('seeked', this.handleSeeked);
+        }
+    }
+    
+    /**
+     * Position on the timeline hotspot states and discoveries are measured against.
+     * Photo scenes have no timeline (their ambient track loops) - wall-clock seconds keep discoveries ordered.
+     */
+    getTimelinePosition() {
+        return this.timed ? this.video.currentTime : performance.now() / 1000;
+    }
+    
+    /**
+     * Keep hotspots inside the hemisphere that has video (null = full sphere)
+     * Existing hotspots are pulled in too
+     */
+    setVisibleHemisphere(center) {
+        this.visibleHemisphere = center;
+        if (!center) return;
+        this.hotspots.forEach(hotspot => this.setHotspotPosition(hotspot, hotspot.position));
+    }
+    
+    constrainPosition(position) {
+        return this.visibleHemisphere ? constrainToHemisphere(position, this.visibleHemisphere) : position;
+    }
+    
     /**
      * Initialize audio listener (must be called after camera is ready)
+     * @param {THREE.AudioListener} listener - PanoramaPlayer's, shared with the soundtrack so every
+     *                                         sound is heard from the same pose; without it one is created
      */
-    setupAudio() {
+    setupAudio(listener = null) {
         if (!this.audioListener) {
-            this.audioListener = new THREE.AudioListener();
-            this.camera.add(this.audioListener);
-            console.log('🔊 Audio listener attached to camera');
+            this.ownsAudioListener = !listener;
+            this.audioListener = listener || new THREE.AudioListener();
+            if (this.ownsAudioListener) {
+                this.camera.add(this.audioListener);
+                console.log('🔊 Audio listener attached to camera');
+            }
             
             // Preload ping sound for instant playback
             this.audioLoader.load('assets/sound/ES_BellsDistortedRiserReversed 01.mp3', (buffer) => {
@@ -64,29 +158,97 @@ export class HotspotManager {
     }
     
     /**
-     * Create hotspot configuration for a specific video
+     * Create hotspots for a specific video
+     * Uses assets/videos/processed/<name>/hotspots.json when present and valid,
+     * otherwise falls back to the built-in getHotspotConfigs() entry.
+     * options: { manifestUrl, fallback } - fallback: false means no hotspots without a manifest
+     * (photos, which the built-in video timelines don't fit)
+     * Resolves with { source: 'manifest' | 'builtin' | 'none', url, config, count }
      */
-    createHotspotsForVideo(videoName) {
+    async createHotspotsForVideo(videoName, options = {}) {
         console.log('🎯 Creating hotspots for:', videoName);
         
+        const loadId = ++this.hotspotLoadId;
+        const manifest = await this.loadHotspotManifest(videoName, options.manifestUrl);
+        
+        // A newer call started while the manifest was loading - let it win
+        if (loadId !== this.hotspotLoadId) {
+            console.log(`⏭️ Skipping stale hotspot load for ${videoName}`);
+            return this.hotspotSource;
+        }
+        
         // Clear existing hotspots
         this.clearAllHotspots();
         
-        // Video-specific hotspot configurations
-        const configs = this.getHotspotConfigs();
-        const config = configs[videoName] || configs['default'];
-        
-        this.totalHotspots = config.length;
+        let config;
+        if (manifest) {
+            config = manifest.hotspots;
+            this.hotspotSource = { source: 'manifest', url: manifest.url, config: videoName, count: config.length };
+        } else if (options.fallback === false) {
+            config = [];
+            this.hotspotSource = { source: 'none', url: null, config: null, count: 0 };
+        } else {
+            // Video-specific hotspot configurations
+            const configs = this.getHotspotConfigs();
+            const configName = configs[videoName] ? videoName : 'default';
+            config = configs[configName];
+            this.hotspotSource = { source: 'builtin', url: null, config: configName, count: config.length };
+        }
         
         config.forEach((hotspotData, index) => {
             this.createHotspot(hotspotData, index);
         });
+        this.totalHotspots = this.countDiscoverable();
+        
+        console.log(`✨ Created ${this.totalHotspots} hotspots for ${videoName} from ${this.hotspotSource.source}` +
+            (this.hotspotSource.url ? ` (${this.hotspotSource.url})` :
+                this.hotspotSource.config ? ` config '${this.hotspotSource.config}'` : ''));
+        
+        return this.hotspotSource;
+    }
+    
+    /**
+     * Load and validate the hotspot manifest for a video
+     * Returns { url, version, hotspots } or null when missing/invalid (caller falls back to built-ins)
+     */
+    async loadHotspotManifest(videoName, url = getHotspotManifestURL(videoName)) {
+        let response;
+        try {
+            response = await fetch(url, { cache: 'no-cache' });
+        } catch (error) {
+            console.warn(`⚠️ Could not fetch hotspot manifest ${url}:`, error);
+            return null;
+        }
+        
+        if (!response.ok) {
+            console.log(`📄 No hotspot manifest at ${url} (${response.status}), using built-in config`);
+            return null;
+        }
+        
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            console.error(`❌ Hotspot manifest ${url} is not valid JSON: ${error.message}`);
+            return null;
+        }
+        
+        const result = validateHotspotManifest(data);
+        if (!result.valid) {
+            console.error(`❌ Hotspot manifest ${url} failed validation, using built-in config:\n  - ${result.errors.join('\n  - ')}`);
+            return null;
+        }
         
-        console.log(`✨ Created ${this.totalHotspots} hotspots for ${videoName}`);
+        if (data.video && data.video !== videoName) {
+            console.warn(`⚠️ Hotspot manifest ${url} is labelled for '${data.video}', loading it for '${videoName}' anyway`);
+        }
+        
+        console.log(`📄 Loaded hotspot manifest v${data.version}: ${url} (${result.hotspots.length} hotspots)`);
+        return { url, version: data.version, hotspots: result.hotspots };
     }
     
     /**
-     * Hotspot configurations per video
+     * Built-in hotspot configurations per video (fallback when no hotspots.json manifest exists)
      * Each hotspot: { time, position, sound, label, color }
      * 10 hotspots per video, spread across entire duration
      */
@@ -183,13 +345,23 @@ export class HotspotManager {
      */
     createHotspot(data, index) {
         const hotspot = {
-            id: `hotspot_${index}`,
-            time: data.time,
-            position: new THREE.Vector3(...data.position),
+            id: data.id || `hotspot_${index}`,
+            time: data.time ?? null, // null = positional, shown until found
+            position: this.constrainPosition(new THREE.Vector3(...data.position)),
             sound: data.sound,
             label: data.label,
+            description: data.description ?? null, // Sound description caption, e.g. "metallic scrape" (the label when unset)
             color: data.color,
+            portal: data.portal ?? null, // { scene, time?, lon?, lat?, transition? } - leads to another scene
+            choice: data.choice ?? null, // { node, id } - a branch offered at a story decision point
+            endTime: data.endTime ?? null, // Optional absolute end of the visibility window
+            duration: data.duration ?? null, // Optional window length (ignored when endTime is set)
+            state: HotspotState.PENDING,
             discovered: false,
+            discoveredAt: null, // Timeline position of discovery - drives the looping audio after seeks
+            missed: false, // Window closed during playback without being found
+            claimedBy: null, // Race rooms: another player got here first
+            fade: 1, // 0..1 fade-out multiplier near the end of the window
             visible: false,
             active: false, // Track if hotspot is currently active/shown
             mesh: null,
@@ -200,8 +372,10 @@ export class HotspotManager {
         // Create visual representation (pulsing sphere with glow)
         this.createHotspotVisual(hotspot);
         
-        // Create spatial audio
-        this.createHotspotAudio(hotspot);
+        // Create spatial audio (portals and choices may be silent)
+        if (hotspot.sound) {
+            this.createHotspotAudio(hotspot);
+        }
         
         this.hotspots.push(hotspot);
     }
@@ -273,6 +447,28 @@ export class HotspotManager {
         
         // Particle ring effect - always create for consistency
         this.createHotspotParticles(hotspot);
+        
+        if (this.isLink(hotspot)) {
+            this.createLinkRing(hotspot);
+        }
+    }
+    
+    /**
+     * Portals and story choices get a flat ring around the orb so they read as doorways, not sounds to collect
+     * A child of the billboarded orb, so it always faces the viewer and pulses with it
+     */
+    createLinkRing(hotspot) {
+        const geometry = new THREE.TorusGeometry(this.hotspotRadius * 1.8, 0.05, 12, 48);
+        const material = new THREE.MeshBasicMaterial({
+            color: hotspot.color,
+            transparent: true,
+            opacity: 0.9,
+            depthWrite: false
+        });
+        const ring = new THREE.Mesh(geometry, material);
+        ring.userData.hotspot = hotspot; // Raycasts against the orb include its children
+        hotspot.linkRing = ring;
+        hotspot.mesh.add(ring);
     }
     
     /**
@@ -364,7 +560,10 @@ export class HotspotManager {
         this.updateCounter = (this.updateCounter || 0) + 1;
         const shouldAnimate = this.updateCounter % 2 === 0;
         
-        const currentTime = this.video.currentTime;
+        // Mid-seek currentTime is already the target - leave transitions to syncToTime() on 'seeked'
+        if (this.video.seeking || this.seekPending) return;
+        
+        const currentTime = this.getTimelinePosition();
         
         // Only check proximity every 5 frames (moderate throttling)
         if (this.updateCounter % 5 === 0) {
@@ -386,17 +585,20 @@ export class HotspotManager {
             }
         }
         
-        // Show/hide hotspots based on video time
+        // Discovery loops follow the timeline, so replaying past a discovery picks its sound back up
+        if (this.discoveredHotspots.size > 0 && this.updateCounter % 5 === 0) {
+            this.syncLoopingAudio(currentTime);
+        }
+        
+        // Advance hotspot states with playback
         this.hotspots.forEach(hotspot => {
-            const shouldBeVisible = currentTime >= hotspot.time && 
-                                   currentTime < hotspot.time + 120 && // Visible for 2 minutes
-                                   !hotspot.discovered;
+            this.applyHotspotState(hotspot, this.getHotspotState(hotspot, currentTime), false);
             
-            if (shouldBeVisible && !hotspot.visible) {
-                this.showHotspot(hotspot);
-            } else if (!shouldBeVisible && hotspot.visible) {
-                this.hideHotspot(hotspot);
-            }
+            const visibleWindow = this.getVisibilityWindow(hotspot);
+            
+            // Fade out over the last seconds of the window
+            hotspot.fade = hotspot.discovered ? 1 :
+                Math.max(0, Math.min(1, (visibleWindow.end - currentTime) / this.fadeOutDuration));
             
             // Animate visible hotspots - but only every other frame
             if (hotspot.visible && shouldAnimate) {
@@ -405,10 +607,174 @@ export class HotspotManager {
         });
     }
     
+    /**
+     * Get the [start, end) video time window in which a hotspot is shown
+     * Priority: manifest endTime, manifest duration, per-hotspot timeWindow
+     * (AdaptiveDifficulty.applyToHotspot), the player's adaptive timeWindow, then the default
+     * Positional hotspots are open for good
+     */
+    getVisibilityWindow(hotspot) {
+        if (this.isPositional(hotspot)) {
+            return { start: 0, end: Infinity };
+        }
+        
+        let end;
+        if (hotspot.endTime != null) {
+            end = hotspot.endTime;
+        } else if (hotspot.duration != null) {
+            end = hotspot.time + hotspot.duration;
+        } else {
+            const adaptiveWindow = window.app?.adaptiveDiff?.adjustments?.timeWindow;
+            end = hotspot.time + (hotspot.timeWindow || adaptiveWindow || this.defaultTimeWindow);
+        }
+        
+        return {
+            start: hotspot.time,
+            end
+        };
+    }
+    
+    /**
+     * Shown from the start until found, independent of playback
+     */
+    isPositional(hotspot) {
+        return !this.timed || hotspot.time == null;
+    }
+    
+    /**
+     * Derive a hotspot's state from a video time
+     */
+    getHotspotState(hotspot, time) {
+        if (hotspot.discovered) return HotspotState.DISCOVERED;
+        
+        const { start, end } = this.getVisibilityWindow(hotspot);
+        if (time < start) return HotspotState.PENDING;
+        if (time < end) return HotspotState.ACTIVE;
+        return HotspotState.EXPIRED;
+    }
+    
+    /**
+     * Move a hotspot into a new state, showing/hiding it as needed
+     * fromSeek: the jump came from a seek, so no appearance ping and no "missed" tracking
+     */
+    applyHotspotState(hotspot, state, fromSeek) {
+        const previous = hotspot.state;
+        if (previous === state) return;
+        
+        hotspot.state = state;
+        
+        switch (state) {
+            case HotspotState.ACTIVE:
+                // Seeking back into the window gives a missed hotspot another chance
+                hotspot.missed = false;
+                this.showHotspot(hotspot, { silent: fromSeek });
+                break;
+            case HotspotState.EXPIRED:
+                // Window ran out while the user was watching - that's a miss, a seek past it is not
+                // (portals and choices aren't collected, so can't be missed)
+                if (!fromSeek && previous === HotspotState.ACTIVE && !this.isLink(hotspot)) {
+                    this.missHotspot(hotspot);
+                }
+                this.hideHotspot(hotspot);
+                break;
+            case HotspotState.PENDING:
+                hotspot.missed = false;
+                this.hideHotspot(hotspot);
+                break;
+            case HotspotState.DISCOVERED:
+                this.hideHotspot(hotspot);
+                break;
+        }
+    }
+    
+    /**
+     * Video started seeking - hold hotspot transitions until handleSeeked()
+     */
+    handleSeeking() {
+        // A looping ambient track seeks back to 0 at its end - not a timeline jump
+        if (!this.timed) return;
+        this.seekPending = true;
+    }
+    
+    /**
+     * Video finished seeking (scrubbing, replay, VR restart)
+     */
+    handleSeeked() {
+        if (!this.timed) return;
+        // Still seeking: another seek began before this one finished - its own 'seeked' resyncs
+        if (this.video.seeking) return;
+        this.seekPending = false;
+        this.syncToTime(this.video.currentTime);
+    }
+    
+    /**
+     * Recompute every hotspot's state for a playback time in one deterministic pass
+     * Discovered hotspots stay discovered; the looping audio follows the timeline
+     */
+    syncToTime(time) {
+        this.hotspots.forEach(hotspot => {
+            this.applyHotspotState(hotspot, this.getHotspotState(hotspot, time), true);
+        });
+        
+        this.syncLoopingAudio(time);
+        
+        const counts = {};
+        this.hotspots.forEach(hotspot => {
+            counts[hotspot.state] = (counts[hotspot.state] || 0) + 1;
+        });
+        console.log(`⏩ Hotspots synced to ${time.toFixed(1)}s:`, counts);
+    }
+    
+    /**
+     * Loop the sound of the most recent discovery at or before `time`
+     * Seeking before a discovery stops its loop; seeking back past it resumes it
+     */
+    syncLoopingAudio(time) {
+        const target = this.hotspots
+            .filter(h => h.discovered && h.discoveredAt !== null && h.discoveredAt <= time)
+            .reduce((latest, h) => (!latest || h.discoveredAt >= latest.discoveredAt ? h : latest), null);
+        
+        // Same owner - keep playing (or stay silent if the completion fade already ran)
+        if (target === this.loopingHotspot) return;
+        
+        this.stopLoopingAudio();
+        if (target) {
+            this.playLoopingAudio(target);
+        }
+    }
+    
+    /**
+     * Mark a hotspot as missed when its window closes undiscovered
+     */
+    missHotspot(hotspot) {
+        if (hotspot.missed) return;
+        
+        hotspot.missed = true;
+        
+        // Only count each hotspot once, even if the user seeks back and misses it again
+        if (!hotspot.missedTracked) {
+            hotspot.missedTracked = true;
+            this.missedCount++;
+            
+            if (window.app && window.app.adaptiveDiff) {
+                window.app.adaptiveDiff.trackMissed(hotspot);
+            }
+            if (window.trackVREvent) {
+                window.trackVREvent('hotspot_missed', hotspot.label, this.missedCount);
+            }
+        }
+        
+        console.log(`⌛ Hotspot window closed: ${hotspot.label} (missed)`);
+        
+        if (this.onMissedCallback) {
+            this.onMissedCallback(hotspot, this.missedCount);
+        }
+    }
+    
     /**
      * Show hotspot with fade-in effect
      */
-    showHotspot(hotspot) {
+    showHotspot(hotspot, options = {}) {
         hotspot.visible = true;
         hotspot.active = true; // Mark as active for raycaster detection
         hotspot.mesh.visible = true;
@@ -426,10 +792,13 @@ export class HotspotManager {
             this.activeHotspots.push(hotspot);
         }
         
-        // Play spatial ping sound immediately when orb spawns
-        this.playAppearancePing(hotspot);
+        // Play spatial ping sound immediately when orb spawns (not when a seek lands inside its window,
+        // nor for positional hotspots, which all appear together)
+        if (!options.silent && !this.isPositional(hotspot)) {
+            this.playAppearancePing(hotspot);
+        }
         
-        console.log(`✨ Hotspot appeared: ${hotspot.label} at ${hotspot.time}s`);
+        console.log(`✨ Hotspot appeared: ${hotspot.label}${this.isPositional(hotspot) ? '' : ` at ${hotspot.time}s`}`);
     }
     
     /**
@@ -520,6 +889,34 @@ export class HotspotManager {
         // Billboard effect - always face camera
         hotspot.mesh.lookAt(this.camera.position);
         if (hotspot.glowMesh) hotspot.glowMesh.lookAt(this.camera.position);
+        
+        // Fade-out as the lifetime window closes
+        this.applyHotspotFade(hotspot);
+    }
+    
+    /**
+     * Scale opacity and light by hotspot.fade (1 = fully visible)
+     */
+    applyHotspotFade(hotspot) {
+        const fade = hotspot.fade;
+        
+        hotspot.mesh.material.opacity = 0.85 * fade;
+        if (hotspot.linkRing) {
+            hotspot.linkRing.material.opacity = 0.9 * fade;
+        }
+        if (hotspot.glowLayers) {
+            hotspot.glowLayers.forEach(layer => {
+                layer.material.opacity *= fade;
+            });
+        }
+        if (hotspot.pointLight) {
+            hotspot.pointLight.intensity *= fade;
+        }
+        if (hotspot.particles) {
+            hotspot.particles.children.forEach(particle => {
+                particle.material.opacity = 0.75 * fade;
+            });
+        }
     }
     
     /**
@@ -655,7 +1052,7 @@ export class HotspotManager {
      * Works for mouse, touch, and VR controllers
      */
     checkInteraction(origin, direction) {
-        if (this.activeHotspots.length === 0) return null;
+        if (!this.discoveryEnabled || this.activeHotspots.length === 0) return null;
         
         this.raycaster.set(origin, direction);
         
@@ -664,7 +1061,7 @@ export class HotspotManager {
         
         if (intersects.length > 0) {
             const hotspot = intersects[0].object.userData.hotspot;
-            if (hotspot && !hotspot.discovered) {
+            if (hotspot && !hotspot.discovered && !hotspot.claimedBy) {
                 return hotspot;
             }
         }
@@ -672,19 +1069,59 @@ export class HotspotManager {
         return null;
     }
     
+    /**
+     * A portal hotspot was selected - hand its target to the scene manager (via onPortalCallback)
+     */
+    activatePortal(hotspot) {
+        console.log(`🚪 Portal selected: ${hotspot.label} → ${hotspot.portal.scene}`);
+        
+        if (window.trackVREvent) {
+            window.trackVREvent('portal_selected', hotspot.portal.scene);
+        }
+        
+        if (this.onPortalCallback) {
+            this.onPortalCallback(hotspot);
+        } else {
+            console.warn('⚠️ No onPortalCallback set!');
+        }
+    }
+    
+    /**
+     * A story choice hotspot was selected - StoryRuntime follows the branch (via onChoiceCallback)
+     */
+    activateChoice(hotspot) {
+        console.log(`🔀 Choice selected: ${hotspot.label}`);
+        
+        if (this.onChoiceCallback) {
+            this.onChoiceCallback(hotspot);
+        } else {
+            console.warn('⚠️ No onChoiceCallback set!');
+        }
+    }
+    
     /**
      * Trigger hotspot discovery
+     * options.foundBy: a co-op teammate found it - counts for us too, but isn't re-shared
      */
-    discoverHotspot(hotspot) {
-        if (hotspot.discovered) return;
+    discoverHotspot(hotspot, options = {}) {
+        if (this.isLink(hotspot)) {
+            // Selecting a portal or choice travels; teammates' finds don't move us
+            if (options.foundBy) return;
+            if (hotspot.portal) this.activatePortal(hotspot);
+            else this.activateChoice(hotspot);
+            return;
+        }
+        if (hotspot.discovered || (hotspot.claimedBy && !options.foundBy)) return;
         
-        console.log(`🎉 Discovered: ${hotspot.label}`);
+        console.log(`🎉 Discovered: ${hotspot.label}${options.foundBy ? ` (found by ${options.foundBy})` : ''}`);
         
         hotspot.discovered = true;
+        hotspot.discoveredAt = this.getTimelinePosition();
+        hotspot.state = HotspotState.DISCOVERED; // Stays visible for the discovery effect, hidden below
         this.discoveredHotspots.add(hotspot.id);
         
         // Show center screen notification with sound name
-        this.showDiscoveryNotification(hotspot.label);
+        this.showDiscoveryNotification(options.foundBy ? `${hotspot.label} · ${options.foundBy}` : hotspot.label);
         
         // Track hotspot discovery
         if (window.trackVREvent) {
@@ -705,7 +1142,58 @@ export class HotspotManager {
             }
         }
         
-        // Stop previous looping audio
+        // Loop the new sound in place of the previous one
+        this.stopLoopingAudio();
+        this.playLoopingAudio(hotspot);
+        
+        // Visual feedback - explosion effect
+        this.createDiscoveryEffect(hotspot);
+        
+        // Hide visual hotspot after discovery (but keep audio playing)
+        setTimeout(() => {
+            this.hideHotspot(hotspot);
+        }, 3000);
+        
+        // Callback for UI update
+        if (this.onDiscoveryCallback) {
+            console.log(`📊 Calling discovery callback: ${this.discoveredHotspots.size}/${this.totalHotspots}`);
+            this.onDiscoveryCallback(hotspot, this.discoveredHotspots.size, this.totalHotspots, options);
+        } else {
+            console.warn('⚠️ No onDiscoveryCallback set!');
+        }
+        
+        // For listeners that outlive this manager (StoryRuntime conditions)
+        window.dispatchEvent(new CustomEvent('hotspotDiscovered', { detail: { hotspot, foundBy: options.foundBy || null } }));
+        
+        // Check if all hotspots discovered
+        if (this.discoveredHotspots.size === this.totalHotspots) {
+            console.log('🎊 All hotspots discovered!');
+            if (window.trackVREvent) {
+                window.trackVREvent('all_hotspots_completed', 'all_discovered', this.totalHotspots);
+            }
+            // Achievement: Completionist (found all sounds in one experience)
+            // Delay achievement popup until after sound title disappears (6 seconds)
+            if (window.achievements) {
+                setTimeout(() => {
+                    window.achievements.unlock('completionist');
+                }, 6000);
+            }
+            
+            // Fade out the last hotspot audio after 20 seconds
+            console.log('⏱️ Last hotspot found - will fade out audio in 20 seconds');
+            this.fadeOutLastHotspot(hotspot);
+        }
+    }
+    
+    /**
+     * Stop the currently looping discovery sound
+     */
+    stopLoopingAudio() {
+        clearTimeout(this.loopFadeTimeout);
+        clearInterval(this.loopFadeInterval);
+        this.loopFadeTimeout = null;
+        this.loopFadeInterval = null;
+        
         if (this.currentLoopingAudio) {
             if (this.currentLoopingAudio.pause) {
                 // Regular HTML5 Audio
@@ -718,7 +1206,16 @@ export class HotspotManager {
             console.log('🔇 Stopped previous looping audio');
         }
         
-        // Play new sound (looped)
+        this.currentLoopingAudio = null;
+        this.loopingHotspot = null;
+    }
+    
+    /**
+     * Loop a discovered hotspot's sound
+     */
+    playLoopingAudio(hotspot) {
+        this.loopingHotspot = hotspot;
+        
         if (hotspot.audio) {
             // Apply current video mute/volume state to hotspot audio
             const videoMuted = this.video.muted;
@@ -741,6 +1238,8 @@ export class HotspotManager {
                 } else {
                     // Wait for audio to load
                     hotspot.audio.addEventListener('canplay', () => {
+                        // A seek may have switched loops while this one was loading
+                        if (this.currentLoopingAudio !== hotspot.audio) return;
                         hotspot.audio.play().catch(err => {
                             console.warn('Audio play failed:', err);
                         });
@@ -756,41 +1255,6 @@ export class HotspotManager {
             this.currentLoopingAudio = hotspot.audio;
             console.log(`🔊 Now looping: ${hotspot.label} (muted: ${videoMuted}, volume: ${videoVolume})`);
         }
-        
-        // Visual feedback - explosion effect
-        this.createDiscoveryEffect(hotspot);
-        
-        // Hide visual hotspot after discovery (but keep audio playing)
-        setTimeout(() => {
-            this.hideHotspot(hotspot);
-        }, 3000);
-        
-        // Callback for UI update
-        if (this.onDiscoveryCallback) {
-            console.log(`📊 Calling discovery callback: ${this.discoveredHotspots.size}/${this.totalHotspots}`);
-            this.onDiscoveryCallback(hotspot, this.discoveredHotspots.size, this.totalHotspots);
-        } else {
-            console.warn('⚠️ No onDiscoveryCallback set!');
-        }
-        
-        // Check if all hotspots discovered
-        if (this.discoveredHotspots.size === this.totalHotspots) {
-            console.log('🎊 All hotspots discovered!');
-            if (window.trackVREvent) {
-                window.trackVREvent('all_hotspots_completed', 'all_discovered', this.totalHotspots);
-            }
-            // Achievement: Completionist (found all sounds in one experience)
-            // Delay achievement popup until after sound title disappears (6 seconds)
-            if (window.achievements) {
-                setTimeout(() => {
-                    window.achievements.unlock('completionist');
-                }, 6000);
-            }
-            
-            // Fade out the last hotspot audio after 20 seconds
-            console.log('⏱️ Last hotspot found - will fade out audio in 20 seconds');
-            this.fadeOutLastHotspot(hotspot);
-        }
     }
     
     /**
@@ -961,7 +1425,12 @@ export class HotspotManager {
      */
     fadeOutLastHotspot(hotspot) {
         // Wait 20 seconds before starting fade
-        setTimeout(() => {
+        this.loopFadeTimeout = setTimeout(() => {
+            this.loopFadeTimeout = null;
+            
+            // A seek moved the loop to another hotspot - leave it alone
+            if (this.loopingHotspot !== hotspot) return;
+            
             console.log('🔉 Starting fade-out of last hotspot audio...');
             
             if (this.currentLoopingAudio) {
@@ -976,13 +1445,14 @@ export class HotspotManager {
                     const volumeStep = startVolume / fadeSteps;
                     let step = 0;
                     
-                    const fadeInterval = setInterval(() => {
+                    const fadeInterval = this.loopFadeInterval = setInterval(() => {
                         step++;
                         const newVolume = Math.max(0, startVolume - (volumeStep * step));
                         audio.volume = newVolume;
                         
                         if (step >= fadeSteps || newVolume <= 0) {
                             clearInterval(fadeInterval);
+                            this.loopFadeInterval = null;
                             audio.pause();
                             audio.currentTime = 0;
                             this.currentLoopingAudio = null;
@@ -996,13 +1466,14 @@ export class HotspotManager {
                     const volumeStep = startVolume / fadeSteps;
                     let step = 0;
                     
-                    const fadeInterval = setInterval(() => {
+                    const fadeInterval = this.loopFadeInterval = setInterval(() => {
                         step++;
                         const newVolume = Math.max(0, startVolume - (volumeStep * step));
                         audio.setVolume(newVolume);
                         
                         if (step >= fadeSteps || newVolume <= 0) {
                             clearInterval(fadeInterval);
+                            this.loopFadeInterval = null;
                             audio.stop();
                             this.currentLoopingAudio = null;
                             console.log('🔇 Last hotspot audio faded out completely');
@@ -1120,38 +1591,183 @@ export class HotspotManager {
      */
     clearAllHotspots() {
         // Stop currently looping audio
-        if (this.currentLoopingAudio) {
-            if (this.currentLoopingAudio.pause) {
+        this.stopLoopingAudio();
+        
+        this.hotspots.forEach(hotspot => this.removeHotspotObjects(hotspot));
+        
+        this.hotspots = [];
+        this.activeHotspots = [];
+        this.discoveredHotspots.clear();
+        this.missedCount = 0;
+    }
+    
+    /**
+     * Tear down before PanoramaPlayer replaces this manager for another video
+     */
+    cleanup() {
+        if (this.video) {
+            this.video.removeEventListener('seeking', this.handleSeeking);
+            this.video.removeEventListener('seeked', this.handleSeeked);
+        }
+        
+        this.clearAllHotspots();
+        
+        if (this.audioListener) {
+            // A shared listener stays on the camera for the next scene
+            if (this.ownsAudioListener) this.camera.remove(this.audioListener);
+            this.audioListener = null;
+        }
+        
+        console.log('🧹 HotspotManager cleaned up');
+    }
+    
+    /**
+     * Remove a hotspot's meshes, light and audio from the scene
+     */
+    removeHotspotObjects(hotspot) {
+        if (hotspot.mesh) this.scene.remove(hotspot.mesh);
+        if (hotspot.glowLayers) {
+            hotspot.glowLayers.forEach(layer => this.scene.remove(layer));
+        } else if (hotspot.glowMesh) {
+            this.scene.remove(hotspot.glowMesh);
+        }
+        if (hotspot.pointLight) this.scene.remove(hotspot.pointLight);
+        if (hotspot.particles) this.scene.remove(hotspot.particles);
+        if (hotspot.audio) {
+            if (hotspot.isRegularAudio) {
                 // Regular HTML5 Audio
-                this.currentLoopingAudio.pause();
-                this.currentLoopingAudio.currentTime = 0;
-            } else if (this.currentLoopingAudio.isPlaying) {
+                hotspot.audio.pause();
+                hotspot.audio.currentTime = 0;
+            } else {
                 // THREE.Audio
-                this.currentLoopingAudio.stop();
+                hotspot.audio.stop();
+                hotspot.audio.disconnect();
             }
-            this.currentLoopingAudio = null;
+        }
+    }
+    
+    /**
+     * Add a hotspot at runtime (used by HotspotAuthoring)
+     * data: { time, position, sound, label, color, id?, description?, endTime?, duration? }
+     */
+    addHotspot(data) {
+        let id = data.id;
+        if (!id || this.hotspots.some(h => h.id === id)) {
+            let n = this.hotspots.length;
+            while (this.hotspots.some(h => h.id === `hotspot_${n}`)) n++;
+            id = `hotspot_${n}`;
         }
         
-        this.hotspots.forEach(hotspot => {
-            if (hotspot.mesh) this.scene.remove(hotspot.mesh);
-            if (hotspot.glowMesh) this.scene.remove(hotspot.glowMesh);
-            if (hotspot.particles) this.scene.remove(hotspot.particles);
-            if (hotspot.audio) {
-                if (hotspot.isRegularAudio) {
-                    // Regular HTML5 Audio
-                    hotspot.audio.pause();
-                    hotspot.audio.currentTime = 0;
-                } else {
-                    // THREE.Audio
-                    hotspot.audio.stop();
-                    hotspot.audio.disconnect();
-                }
-            }
-        });
+        this.createHotspot({ ...data, id }, this.hotspots.length);
+        this.totalHotspots = this.countDiscoverable();
         
-        this.hotspots = [];
-        this.activeHotspots = [];
-        this.discoveredHotspots.clear();
+        return this.hotspots[this.hotspots.length - 1];
+    }
+    
+    /**
+     * Remove a single hotspot (used by HotspotAuthoring)
+     */
+    removeHotspot(hotspot) {
+        const index = this.hotspots.indexOf(hotspot);
+        if (index === -1) return;
+        
+        if (this.loopingHotspot === hotspot) {
+            this.stopLoopingAudio();
+        }
+        this.hideHotspot(hotspot);
+        this.removeHotspotObjects(hotspot);
+        
+        this.hotspots.splice(index, 1);
+        this.discoveredHotspots.delete(hotspot.id);
+        this.totalHotspots = this.countDiscoverable();
+    }
+    
+    /**
+     * Portals and story choices lead elsewhere - they're selected, not collected
+     */
+    isLink(hotspot) {
+        return Boolean(hotspot.portal || hotspot.choice);
+    }
+    
+    /**
+     * Hotspots that count towards discovery
+     */
+    countDiscoverable() {
+        return this.hotspots.filter(hotspot => !this.isLink(hotspot)).length;
+    }
+    
+    /**
+     * Move a hotspot and all of its visuals
+     */
+    setHotspotPosition(hotspot, position) {
+        position = this.constrainPosition(position);
+        hotspot.position.copy(position);
+        hotspot.mesh.position.copy(position);
+        if (hotspot.glowLayers) {
+            hotspot.glowLayers.forEach(layer => layer.position.copy(position));
+        }
+        if (hotspot.pointLight) hotspot.pointLight.position.copy(position);
+        if (hotspot.particles) hotspot.particles.position.copy(position);
+    }
+    
+    /**
+     * Recolor a hotspot and all of its visuals
+     */
+    setHotspotColor(hotspot, color) {
+        hotspot.color = color;
+        const materials = [hotspot.mesh.material];
+        if (hotspot.linkRing) materials.push(hotspot.linkRing.material);
+        if (hotspot.glowLayers) {
+            hotspot.glowLayers.forEach(layer => materials.push(layer.material));
+        }
+        if (hotspot.particles) {
+            hotspot.particles.children.forEach(particle => materials.push(particle.material));
+        }
+        materials.forEach(material => {
+            material.color.setHex(color);
+            if (material.emissive) material.emissive.setHex(color);
+        });
+        if (hotspot.pointLight) hotspot.pointLight.color.setHex(color);
+    }
+    
+    /**
+     * Race rooms: grey out a hotspot someone else claimed (null restores it)
+     * Claimed hotspots stay visible for their window but can't be discovered
+     */
+    setHotspotClaimed(hotspot, claimedBy) {
+        if (hotspot.claimedBy === claimedBy) return;
+        
+        const wasClaimed = Boolean(hotspot.claimedBy);
+        hotspot.claimedBy = claimedBy;
+        
+        if (claimedBy && !wasClaimed) {
+            const color = hotspot.color;
+            this.setHotspotColor(hotspot, COLLAB_CONFIG.claimedHotspotColor);
+            hotspot.color = color; // Keep the authored color for toManifest() and restore
+        } else if (!claimedBy && wasClaimed) {
+            this.setHotspotColor(hotspot, hotspot.color);
+        }
+    }
+    
+    /**
+     * Swap the sound file a hotspot loops on discovery
+     */
+    setHotspotSound(hotspot, sound) {
+        if (hotspot.audio && hotspot.isRegularAudio) {
+            hotspot.audio.pause();
+        }
+        if (this.loopingHotspot === hotspot) {
+            this.stopLoopingAudio();
+        }
+        hotspot.sound = sound;
+        this.createHotspotAudio(hotspot);
+    }
+    
+    /**
+     * Serialize the current hotspots as a hotspots.json manifest object
+     */
+    toManifest(videoName) {
+        return createHotspotManifest(videoName, this.hotspots);
     }
     
     /**
@@ -1160,6 +1776,7 @@ export class HotspotManager {
     getProgress() {
         return {
             discovered: this.discoveredHotspots.size,
+            missed: this.missedCount,
             total: this.totalHotspots,
             percentage: this.totalHotspots > 0 ? 
                        Math.round((this.discoveredHotspots.size / this.totalHotspots) * 100) : 0
@@ -1202,9 +1819,19 @@ export class HotspotManager {
      * Reset discovery state
      */
     reset() {
+        this.stopLoopingAudio();
         this.discoveredHotspots.clear();
+        this.missedCount = 0;
         this.hotspots.forEach(hotspot => {
             hotspot.discovered = false;
+            hotspot.discoveredAt = null;
+            hotspot.missed = false;
+            hotspot.missedTracked = false;
         });
+        
+        // Re-derive visibility for the current time
+        if (this.video) {
+            this.syncToTime(this.getTimelinePosition());
+        }
     }
 }
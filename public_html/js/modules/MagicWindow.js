@@ -0,0 +1,195 @@
+/**
+ * MagicWindow.js
+ * Look around by moving the phone ("magic window"), from DeviceOrientation events. Each reading turns
+ * PanoramaPlayer's lon/lat by how far the phone turned since the last one, so swipe-dragging keeps
+ * working on top of it - and so does everything else that sets the view (portals, cinematic moves, co-op).
+ * Only the direction the back of the phone points matters: rotating the screen between portrait and
+ * landscape rolls the phone about that direction, and the view rebaselines when it happens.
+ * iOS asks permission for motion data, which needs a tap - enable() is called from the controls' button.
+ * Off in the headset, where WebXR tracks the head.
+ */
+
+import * as THREE from 'three';
+import { MAGIC_WINDOW_CONFIG } from '../utils/constants.js';
+
+const STORAGE_KEY = 'eyetripvr_magic_window';
+
+// The camera looks out of the back of the phone, not out of its top edge
+const BACK_OF_PHONE = new THREE.Quaternion(-Math.sqrt(0.5), 0, 0, Math.sqrt(0.5));
+
+export class MagicWindow {
+    /**
+     * @param {PanoramaPlayer} player - its lon/lat are turned; its renderer says when the headset has the view
+     */
+    constructor(player) {
+        this.player = player;
+        this.active = false;
+        this.permission = this.needsPermission() ? 'unknown' : 'granted'; // 'unknown' | 'granted' | 'denied'
+        this.onChange = null; // () - turned on or off, or permission refused (the toggle button can refresh)
+        this.waitingForTap = false;
+
+        this.previous = null; // { heading, pitch } of the last reading, degrees
+        this.euler = new THREE.Euler();
+        this.quaternion = new THREE.Quaternion();
+        this.forward = new THREE.Vector3();
+
+        this.handleOrientation = (event) => this.onDeviceOrientation(event);
+        // Readings can jump while the screen rotates - start afresh from the next one
+        this.handleScreenRotation = () => { this.previous = null; };
+
+        this.enabled = this.isSupported() && this.loadEnabled();
+        if (this.enabled) this.start();
+    }
+
+    /**
+     * Touch devices with orientation events (desktop browsers define the event but never fire it)
+     */
+    isSupported() {
+        return 'DeviceOrientationEvent' in window && (navigator.maxTouchPoints > 0 || this.isNativeApp());
+    }
+
+    isNativeApp() {
+        return Boolean(window.Capacitor?.isNativePlatform?.());
+    }
+
+    needsPermission() {
+        return typeof window.DeviceOrientationEvent?.requestPermission === 'function';
+    }
+
+    /**
+     * Turn on - from a tap on iOS, where this is what asks for motion access
+     */
+    async enable() {
+        this.enabled = true;
+        this.saveEnabled();
+        await this.start({ fromTap: true });
+        if (this.onChange) this.onChange();
+    }
+
+    disable() {
+        this.enabled = false;
+        this.saveEnabled();
+        this.stop();
+        console.log('📱 Magic window off');
+        if (this.onChange) this.onChange();
+    }
+
+    toggle() {
+        return this.enabled ? this.disable() : this.enable();
+    }
+
+    /**
+     * options.fromTap: running inside a tap, so iOS may ask for permission now
+     */
+    async start({ fromTap = false } = {}) {
+        if (this.active) return;
+
+        if (this.permission !== 'granted') {
+            // iOS rejects the request outside a tap - a saved "on" after a reload waits for the first one
+            if (!fromTap) {
+                if (this.waitingForTap) return;
+                this.waitingForTap = true;
+                document.addEventListener('touchend', () => {
+                    this.waitingForTap = false;
+                    if (this.enabled && !this.active) this.start({ fromTap: true });
+                }, { once: true });
+                return;
+            }
+            try {
+                this.permission = await DeviceOrientationEvent.requestPermission();
+            } catch (error) {
+                console.warn('⚠️ Motion permission request failed:', error);
+                this.permission = 'unknown';
+                return;
+            }
+            // Turned off, or started from elsewhere, while the prompt was up
+            if (!this.enabled || this.active) return;
+            if (this.permission !== 'granted') {
+                console.warn('⚠️ Motion access denied - magic window stays off');
+                this.enabled = false;
+                this.saveEnabled();
+                if (this.onChange) this.onChange();
+                return;
+            }
+        }
+
+        this.active = true;
+        this.previous = null;
+        window.addEventListener('deviceorientation', this.handleOrientation);
+        window.addEventListener('orientationchange', this.handleScreenRotation);
+        screen.orientation?.addEventListener('change', this.handleScreenRotation);
+        console.log('📱 Magic window on - move the phone to look around');
+        if (window.trackVREvent) {
+            window.trackVREvent('magic_window', 'on');
+        }
+    }
+
+    stop() {
+        this.active = false;
+        this.previous = null;
+        window.removeEventListener('deviceorientation', this.handleOrientation);
+        window.removeEventListener('orientationchange', this.handleScreenRotation);
+        screen.orientation?.removeEventListener('change', this.handleScreenRotation);
+    }
+
+    onDeviceOrientation(event) {
+        if (event.alpha === null || event.beta === null || event.gamma === null) return;
+        if (this.player.renderer.xr.isPresenting) {
+            this.previous = null;
+            return;
+        }
+
+        const reading = this.read(event);
+        if (this.previous) {
+            // Heading swings wildly near straight up/down - only pitch counts there
+            if (Math.abs(reading.pitch) < MAGIC_WINDOW_CONFIG.maxHeadingPitch) {
+                this.player.lon += THREE.MathUtils.euclideanModulo(reading.heading - this.previous.heading + 180, 360) - 180;
+            }
+            this.player.lat += reading.pitch - this.previous.pitch;
+        }
+        this.previous = reading;
+    }
+
+    /**
+     * Heading and pitch (degrees, lon/lat conventions) of the direction the back of the phone points.
+     * The screen's rotation (screen.orientation.angle) would only roll the view about that direction,
+     * and the view keeps its horizon level anyway - so it doesn't enter into it
+     */
+    read({ alpha, beta, gamma }) {
+        const { degToRad, radToDeg } = THREE.MathUtils;
+
+        this.euler.set(degToRad(beta), degToRad(alpha), -degToRad(gamma), 'YXZ');
+        this.quaternion.setFromEuler(this.euler).multiply(BACK_OF_PHONE);
+
+        const forward = this.forward.set(0, 0, -1).applyQuaternion(this.quaternion);
+        return {
+            heading: radToDeg(Math.atan2(forward.x, forward.z)),
+            pitch: radToDeg(Math.asin(THREE.MathUtils.clamp(forward.y, -1, 1)))
+        };
+    }
+
+    /**
+     * Saved choice, else the default for this kind of device
+     */
+    loadEnabled() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (typeof saved?.enabled === 'boolean') return saved.enabled;
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable magic window setting:', error);
+        }
+
+        const defaults = MAGIC_WINDOW_CONFIG.enabledByDefault;
+        if (this.isNativeApp()) return defaults.app;
+        if (this.needsPermission()) return defaults.ios;
+        return /Android/i.test(navigator.userAgent) ? defaults.android : false;
+    }
+
+    saveEnabled() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ enabled: this.enabled }));
+    }
+
+    dispose() {
+        this.stop();
+    }
+}
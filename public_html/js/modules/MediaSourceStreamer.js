@@ -0,0 +1,422 @@
+/**
+ * MediaSourceStreamer.js
+ * Segmented HLS/DASH playback through Media Source Extensions for browsers
+ * without native HLS (Chrome, Quest Browser, Firefox)
+ * Feeds a regular <video> element, so VideoTexture and the rest of PanoramaPlayer don't change
+ */
+
+import { STREAMING_CONFIG } from '../utils/constants.js';
+import {
+    isHLSMasterPlaylist,
+    parseHLSMaster,
+    parseHLSMediaPlaylist,
+    parseDASHManifest
+} from '../utils/streamManifest.js';
+
+const MediaSourceImpl = window.ManagedMediaSource || window.MediaSource;
+
+export class MediaSourceStreamer {
+    /**
+     * @param {string} manifestURL - HLS master/media playlist (.m3u8) or DASH manifest (.mpd)
+     * @param {Object} options - { startHeight, config, onError }
+     */
+    constructor(manifestURL, options = {}) {
+        this.manifestURL = manifestURL;
+        this.config = { ...STREAMING_CONFIG, ...options.config };
+        this.startHeight = options.startHeight || Infinity;
+        this.onError = options.onError || null;
+
+        this.stream = null;
+        this.video = null;
+        this.mediaSource = null;
+        this.objectURL = null;
+        this.tracks = [];
+        this.pumpTimer = null;
+        this.destroyed = false;
+
+        // Download stats (bits per second of the last segment)
+        this.lastThroughput = 0;
+        this.bytesLoaded = 0;
+        this.onSegmentLoaded = null; // (bytes, seconds) - throughput samples for ABR
+
+        this.onSeeking = () => this.handleSeeking();
+        this.onEmptied = () => this.destroy();
+    }
+
+    static isSupported() {
+        return Boolean(MediaSourceImpl);
+    }
+
+    /**
+     * Fetch and parse the manifest, keeping only variants this browser can decode
+     */
+    async load() {
+        const response = await fetch(this.manifestURL);
+        if (!response.ok) {
+            throw new Error(`Manifest request failed: ${response.status}`);
+        }
+        const text = await response.text();
+
+        this.stream = /\.mpd(\?|$)/.test(this.manifestURL) || text.trimStart().startsWith('<')
+            ? parseDASHManifest(text, response.url)
+            : await this.loadHLS(text, response.url);
+
+        this.stream.video = this.stream.video.filter(variant => this.isPlayable(variant));
+        if (this.stream.video.length === 0) {
+            throw new Error('No stream variant is playable with Media Source Extensions in this browser');
+        }
+        if (this.stream.audio && !this.isPlayable(this.stream.audio)) {
+            throw new Error(`Audio codec not supported: ${this.stream.audio.codecs}`);
+        }
+
+        console.log(`📡 ${this.stream.type.toUpperCase()} stream: ${this.stream.video.length} variant(s), ${this.stream.duration.toFixed(1)}s` +
+            (this.stream.audio ? ', separate audio' : ''));
+        return this.stream;
+    }
+
+    /**
+     * HLS: resolve every variant's media playlist (and the default audio rendition)
+     */
+    async loadHLS(text, url) {
+        const fetchPlaylist = async (playlistURL) => {
+            const response = await fetch(playlistURL);
+            if (!response.ok) throw new Error(`Playlist request failed: ${response.status}`);
+            return parseHLSMediaPlaylist(await response.text(), response.url);
+        };
+
+        if (!isHLSMasterPlaylist(text)) {
+            const media = parseHLSMediaPlaylist(text, url);
+            return {
+                type: 'hls',
+                duration: media.duration,
+                video: [{ id: 'v0', bandwidth: 0, width: 0, height: 0, codecs: 'avc1.640028,mp4a.40.2', mimeType: 'video/mp4', ...media }],
+                audio: null
+            };
+        }
+
+        const master = parseHLSMaster(text, url);
+        const video = await Promise.all(master.variants.map(async variant => ({
+            ...variant,
+            mimeType: 'video/mp4',
+            ...await fetchPlaylist(variant.uri)
+        })));
+
+        // Alternate audio renditions (muxed audio needs nothing extra)
+        let audio = null;
+        const group = master.audioGroups[video[0].audioGroup];
+        if (group) {
+            const rendition = group.find(r => r.isDefault) || group[0];
+            audio = {
+                id: 'audio',
+                bandwidth: 0,
+                codecs: (video[0].codecs.split(',').find(c => c.trim().startsWith('mp4a')) || 'mp4a.40.2').trim(),
+                mimeType: 'audio/mp4',
+                ...await fetchPlaylist(rendition.uri)
+            };
+            // Video SourceBuffer only gets the video codec when audio is separate
+            video.forEach(v => {
+                v.codecs = v.codecs.split(',').map(c => c.trim()).filter(c => !c.startsWith('mp4a')).join(',');
+            });
+        }
+
+        return { type: 'hls', duration: Math.max(...video.map(v => v.duration)), video, audio };
+    }
+
+    isPlayable(variant) {
+        return MediaSourceImpl.isTypeSupported(this.mimeCodec(variant));
+    }
+
+    mimeCodec(variant) {
+        return `${variant.mimeType}; codecs="${variant.codecs}"`;
+    }
+
+    /**
+     * Highest variant at or below the preferred height
+     */
+    pickStartVariant() {
+        const variants = this.stream.video;
+        let index = 0;
+        variants.forEach((variant, i) => {
+            if (variant.height <= this.startHeight) index = i;
+        });
+        return index;
+    }
+
+    /**
+     * Attach to a video element; resolves once the SourceBuffers exist
+     */
+    async attach(video) {
+        if (!this.stream) {
+            await this.load();
+        }
+
+        this.video = video;
+        this.mediaSource = new MediaSourceImpl();
+        if (window.ManagedMediaSource && this.mediaSource instanceof window.ManagedMediaSource) {
+            video.disableRemotePlayback = true; // Required by ManagedMediaSource (Safari)
+        }
+        this.objectURL = URL.createObjectURL(this.mediaSource);
+
+        const opened = new Promise(resolve => this.mediaSource.addEventListener('sourceopen', resolve, { once: true }));
+        video.src = this.objectURL;
+        await opened;
+
+        this.mediaSource.duration = this.stream.duration;
+
+        const videoIndex = this.pickStartVariant();
+        this.tracks.push(this.createTrack('video', this.stream.video, videoIndex));
+        if (this.stream.audio) {
+            this.tracks.push(this.createTrack('audio', [this.stream.audio], 0));
+        }
+
+        video.addEventListener('seeking', this.onSeeking);
+        video.addEventListener('emptied', this.onEmptied, { once: true });
+        this.pumpTimer = setInterval(() => this.pump(), this.config.pumpInterval);
+        this.pump();
+
+        const variant = this.stream.video[videoIndex];
+        console.log(`▶️ MSE streaming started at ${variant.width}x${variant.height} (${Math.round(variant.bandwidth / 1000)} kbps)`);
+    }
+
+    createTrack(kind, variants, variantIndex) {
+        return {
+            kind,
+            variants,
+            variantIndex,
+            sourceBuffer: this.mediaSource.addSourceBuffer(this.mimeCodec(variants[variantIndex])),
+            nextSegment: 0,
+            initVariant: null,      // Variant whose init segment was appended last
+            busy: false,
+            controller: null,
+            generation: 0,          // Bumped on seek so stale downloads are dropped
+            timedOut: false,
+            retries: 0
+        };
+    }
+
+    get videoTrack() {
+        return this.tracks.find(track => track.kind === 'video');
+    }
+
+    getVariants() {
+        return this.stream ? this.stream.video : [];
+    }
+
+    getCurrentVariant() {
+        const track = this.videoTrack;
+        return track ? track.variants[track.variantIndex] : null;
+    }
+
+    /**
+     * Switch video variant - takes effect from the next segment (buffered video plays out first)
+     */
+    setVariant(index) {
+        const track = this.videoTrack;
+        if (!track || index === track.variantIndex || !track.variants[index]) return false;
+
+        const nextStart = track.variants[track.variantIndex].segments[track.nextSegment]?.start ?? this.stream.duration;
+        track.variantIndex = index;
+        track.nextSegment = this.segmentIndexAt(track.variants[index], nextStart);
+
+        const variant = track.variants[index];
+        console.log(`🔀 Stream variant -> ${variant.width}x${variant.height} (${Math.round(variant.bandwidth / 1000)} kbps)`);
+        return true;
+    }
+
+    segmentIndexAt(variant, time) {
+        const index = variant.segments.findIndex(segment => time < segment.start + segment.duration - 0.001);
+        return index === -1 ? variant.segments.length : index;
+    }
+
+    /**
+     * Seconds buffered continuously from the playhead in this track
+     */
+    bufferedAhead(track) {
+        const buffered = track.sourceBuffer.buffered;
+        const time = this.video.currentTime;
+        for (let i = 0; i < buffered.length; i++) {
+            if (time >= buffered.start(i) - 0.1 && time <= buffered.end(i)) {
+                return buffered.end(i) - time;
+            }
+        }
+        return 0;
+    }
+
+    handleSeeking() {
+        const time = this.video.currentTime;
+        this.tracks.forEach(track => {
+            track.controller?.abort();
+            track.generation++;
+            // Continue after whatever is already buffered at the new position
+            const variant = track.variants[track.variantIndex];
+            track.nextSegment = this.segmentIndexAt(variant, time + this.bufferedAhead(track));
+        });
+        this.pump();
+    }
+
+    pump() {
+        if (this.destroyed || !this.mediaSource || this.mediaSource.readyState === 'closed') return;
+        this.tracks.forEach(track => this.pumpTrack(track));
+
+        // All segments appended everywhere - let the video reach 'ended'
+        const done = this.tracks.every(track =>
+            track.nextSegment >= track.variants[track.variantIndex].segments.length &&
+            !track.busy && !track.sourceBuffer.updating
+        );
+        if (done && this.mediaSource.readyState === 'open') {
+            this.mediaSource.endOfStream();
+        }
+    }
+
+    async pumpTrack(track) {
+        if (track.busy || track.sourceBuffer.updating) return;
+
+        const variant = track.variants[track.variantIndex];
+        if (track.nextSegment >= variant.segments.length) return;
+
+        if (this.bufferedAhead(track) >= this.config.bufferAhead) {
+            await this.evictBackBuffer(track);
+            return;
+        }
+
+        track.busy = true;
+        const generation = track.generation;
+        try {
+            if (track.initVariant !== variant) {
+                const init = await this.fetchSegment(track, variant.init);
+                if (track.sourceBuffer.changeType && track.initVariant && track.initVariant.codecs !== variant.codecs) {
+                    track.sourceBuffer.changeType(this.mimeCodec(variant));
+                }
+                await this.append(track, init);
+                track.initVariant = variant;
+            }
+
+            const segment = variant.segments[track.nextSegment];
+            const started = performance.now();
+            const data = await this.fetchSegment(track, segment);
+            if (generation !== track.generation || this.destroyed) return; // Seeked meanwhile
+
+            const seconds = (performance.now() - started) / 1000;
+            this.lastThroughput = seconds > 0 ? (data.byteLength * 8) / seconds : 0;
+            this.bytesLoaded += data.byteLength;
+            if (this.onSegmentLoaded && seconds > 0) {
+                this.onSegmentLoaded(data.byteLength, seconds);
+            }
+
+            await this.append(track, data);
+            if (generation === track.generation) {
+                track.nextSegment++;
+            }
+            track.retries = 0;
+        } catch (error) {
+            this.handleTrackError(track, error);
+        } finally {
+            track.busy = false;
+        }
+    }
+
+    async fetchSegment(track, segment) {
+        const controller = track.controller = new AbortController();
+        const timeout = setTimeout(() => {
+            track.timedOut = true;
+            controller.abort();
+        }, this.config.segmentTimeout);
+        try {
+            const headers = segment.range ? { Range: `bytes=${segment.range.start}-${segment.range.end}` } : {};
+            const response = await fetch(segment.url, { headers, signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Segment request failed: ${response.status} ${segment.url}`);
+            }
+            return await response.arrayBuffer();
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    append(track, data) {
+        return this.updateSourceBuffer(track, sourceBuffer => sourceBuffer.appendBuffer(data));
+    }
+
+    /**
+     * Run one SourceBuffer operation and wait for it to finish
+     */
+    updateSourceBuffer(track, operation) {
+        return new Promise((resolve, reject) => {
+            const sourceBuffer = track.sourceBuffer;
+            const onEnd = () => { cleanup(); resolve(); };
+            const onError = () => { cleanup(); reject(new Error(`${track.kind} SourceBuffer error`)); };
+            const cleanup = () => {
+                sourceBuffer.removeEventListener('updateend', onEnd);
+                sourceBuffer.removeEventListener('error', onError);
+            };
+            sourceBuffer.addEventListener('updateend', onEnd);
+            sourceBuffer.addEventListener('error', onError);
+            try {
+                operation(sourceBuffer);
+            } catch (error) {
+                cleanup();
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Drop media more than backBuffer seconds behind the playhead
+     */
+    async evictBackBuffer(track, backBuffer = this.config.backBuffer) {
+        const buffered = track.sourceBuffer.buffered;
+        const removeEnd = this.video.currentTime - backBuffer;
+        if (buffered.length === 0 || buffered.start(0) >= removeEnd || track.sourceBuffer.updating) return;
+
+        await this.updateSourceBuffer(track, sourceBuffer => sourceBuffer.remove(buffered.start(0), removeEnd));
+    }
+
+    async handleTrackError(track, error) {
+        if (this.destroyed) return;
+        if (error.name === 'AbortError') {
+            // Aborted by a seek - nothing failed. Timeouts count as a failed attempt
+            if (!track.timedOut) return;
+            track.timedOut = false;
+        }
+
+        if (error.name === 'QuotaExceededError') {
+            // SourceBuffer full - free everything behind the playhead and retry on the next pump
+            console.warn(`⚠️ ${track.kind} buffer full, evicting played media`);
+            await this.evictBackBuffer(track, 2).catch(() => {});
+            return;
+        }
+
+        track.retries++;
+        console.warn(`⚠️ ${track.kind} segment ${track.nextSegment} failed (attempt ${track.retries}/${this.config.maxSegmentRetries}):`, error.message);
+        if (track.retries >= this.config.maxSegmentRetries) {
+            this.fail(error);
+        }
+    }
+
+    fail(error) {
+        console.error('❌ MSE streaming failed:', error);
+        const onError = this.onError;
+        this.destroy();
+        if (onError) onError(error);
+    }
+
+    /**
+     * Stop downloading and release the MediaSource (called automatically when the video is emptied)
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        clearInterval(this.pumpTimer);
+        this.tracks.forEach(track => track.controller?.abort());
+        if (this.video) {
+            this.video.removeEventListener('seeking', this.onSeeking);
+            this.video.removeEventListener('emptied', this.onEmptied);
+        }
+        if (this.objectURL) {
+            URL.revokeObjectURL(this.objectURL);
+        }
+        this.tracks = [];
+        this.onError = null;
+    }
+}
@@ -18,10 +18,33 @@ export class MiniMap {
         // Tracking
         this.exploredAngles = new Set(); // Track which angles have been viewed
         this.angleResolution = 5; // Degrees per segment
+        this.hiddenArc = null; // { start, end } degrees with no video (half-dome formats)
         
         console.log('🗺️ MiniMap initialized');
     }
     
+    /**
+     * Half-dome videos: grey out the half without video and don't count it as explored
+     * @param {THREE.Vector3|null} center - centre direction of the visible hemisphere, null for full 360°
+     */
+    setVisibleHemisphere(center) {
+        if (!center) {
+            this.hiddenArc = null;
+            return;
+        }
+        const centerDeg = ((Math.atan2(center.x, center.z) * 180 / Math.PI) + 360) % 360;
+        this.hiddenArc = { start: (centerDeg + 90) % 360, end: (centerDeg + 270) % 360 };
+        this.exploredAngles.forEach(segment => {
+            if (this.isHiddenAngle(segment * this.angleResolution)) this.exploredAngles.delete(segment);
+        });
+    }
+    
+    isHiddenAngle(angleDeg) {
+        if (!this.hiddenArc) return false;
+        const { start, end } = this.hiddenArc;
+        return start < end ? angleDeg >= start && angleDeg < end : angleDeg >= start || angleDeg < end;
+    }
+    
     /**
      * Create and show the mini-map UI
      */
@@ -88,9 +111,21 @@ export class MiniMap {
         const angleRad = Math.atan2(cameraDirection.x, cameraDirection.z);
         const angleDeg = ((angleRad * 180 / Math.PI) + 360) % 360;
         
-        // Mark current angle as explored
+        // Mark current angle as explored (there's nothing to explore behind a half dome)
         const angleSegment = Math.floor(angleDeg / this.angleResolution);
-        this.exploredAngles.add(angleSegment);
+        if (!this.isHiddenAngle(angleSegment * this.angleResolution)) {
+            this.exploredAngles.add(angleSegment);
+        }
+        
+        // Draw the half without video (grey wedge)
+        if (this.hiddenArc) {
+            this.ctx.fillStyle = 'rgba(128, 128, 128, 0.25)';
+            this.ctx.beginPath();
+            this.ctx.moveTo(center, center);
+            this.ctx.arc(center, center, radius, this.hiddenArc.start * Math.PI / 180 - Math.PI / 2, this.hiddenArc.end * Math.PI / 180 - Math.PI / 2);
+            this.ctx.closePath();
+            this.ctx.fill();
+        }
         
         // Draw explored areas (blue gradient wedges)
         this.exploredAngles.forEach(segment => {
@@ -10,6 +10,18 @@ import VREndScreen from './VREndScreen.js';
 import { ParticleTrailSystem } from './ParticleTrailSystem.js';
 import { HotspotManager } from './HotspotManager.js';
 import { MiniMap } from './MiniMap.js';
+import { TiledPanorama } from './TiledPanorama.js';
+import { XRMediaLayer } from './XRMediaLayer.js';
+import { AmbisonicAudio, resolveAmbisonicSource } from './AmbisonicAudio.js';
+import { CaptionSystem } from './CaptionSystem.js';
+import { GazeDwell } from './GazeDwell.js';
+import { ComfortSettings } from './ComfortSettings.js';
+import { MagicWindow } from './MagicWindow.js';
+import { resolveVideoFormat, isHalfDome, isCubeProjection, createProjectionGeometry, createBackdropGeometry, applyProjectionMaterial, HALF_DOME_CENTER } from '../utils/projection.js';
+import { getVideoById } from '../utils/videoGalleryConfig.js';
+import { getPhotoHotspotManifestURL } from '../utils/hotspotManifest.js';
+import { resolveCaptionSource, loadWebVTT } from '../utils/webvtt.js';
+import { PROJECTION_CONFIG, TRANSITION_CONFIG } from '../utils/constants.js';
 
 export class PanoramaPlayer {
     // Play video by index (always reloads, even if same)
@@ -24,6 +36,24 @@ export class PanoramaPlayer {
     this.camera = null;
     this.renderer = null;
     this.sphere = null;
+    this.rightEyeSphere = null; // Stereo only - child of sphere showing the right eye
+    this.backdrop = null; // Half-dome only - child of sphere behind the 180° edge
+    this.videoFormat = resolveVideoFormat(); // { projection, stereo, fov, backdrop }
+    this.visibleHemisphere = null; // Centre direction when only a hemisphere has video
+    this.tiledPanorama = null; // Multi-resolution photo scenes - tiles over a low-res preview
+    this.isPhotoScene = false; // Still 360° photo: this.video is its ambient audio track
+    this.sceneTransition = null; // Portal crossfade/zoom in progress - see beginSceneTransition()
+    this.onPortal = null; // (portal, hotspot) - a portal hotspot was selected (SceneManager follows it)
+    this.mediaLayer = null; // WebXR composition layer for video in the headset - see updateMediaLayer()
+    this.mediaLayerShowing = false; // The layer shows the video, so the sphere is hidden
+    this.sceneBackground = null; // Kept while the layer needs the scene transparent
+    this.audioListener = null; // One listener on the camera for the soundtrack and hotspot audio - see getAudioListener()
+    this.ambisonics = null; // AmbiX soundtrack decoder, created for the first video that has one
+    this.captions = null; // Caption tracks and sound descriptions, on screen and in the headset - see createCaptions()
+    this.gazeDwell = null; // Reticle that selects by resting the gaze on a hotspot or VR menu button - see GazeDwell
+    this.handTracking = null; // Pinch, poke and palm-up menu for tracked hands - set up by WebXRHandler.setupHandTracking()
+    this.comfort = null; // Snap/smooth thumbstick turning, turn vignette and recenter - see createComfortSettings()
+    this.magicWindow = null; // Look around by moving the phone - toggled from UIController
     this.video = null;
     this.texture = null;
     this.lastVRMode = false; // Track VR mode changes
@@ -79,6 +109,7 @@ export class PanoramaPlayer {
     
     // Initialize video stream manager for adaptive quality
     this.videoManager = new VideoStreamManager();
+    this.videoManager.onVideoSwap = (video, previous) => this.swapVideoElement(video, previous);
     
     window.panoramaPlayer = this; // Ensure global access
     // Don't auto-init - let app.js call init() and await it
@@ -112,6 +143,10 @@ export class PanoramaPlayer {
         this.setupEventListeners();
         this.setupVRButton();
         this.setupControllers();
+        this.createCaptions();
+        this.createGazeDwell();
+        this.createComfortSettings();
+        this.magicWindow = new MagicWindow(this);
         
         // HTML intro overlay in video1.html handles user interaction
         // Always resolve immediately since intro is handled in HTML
@@ -271,6 +306,7 @@ export class PanoramaPlayer {
             
             // CRITICAL: Enable WebXR for VR mode
             this.renderer.xr.enabled = true;
+            this.mediaLayer = new XRMediaLayer(this.renderer);
             console.log('[PanoramaPlayer] ✅ WebXR enabled for VR support');
             
             // Tone mapping - optimized per platform
@@ -429,7 +465,7 @@ export class PanoramaPlayer {
 
     // Create sphere and apply video texture (or fallback)
     createSphere() {
-        const geometry = new THREE.SphereGeometry(15, 60, 40); // Increased to 15 for roomier feel (far plane is 20)
+        const geometry = this.createSphereGeometry();
         let material;
         if (this.texture) {
             material = new THREE.MeshBasicMaterial({ map: this.texture, side: THREE.BackSide });
@@ -441,6 +477,213 @@ export class PanoramaPlayer {
         this.scene.add(this.sphere);
     }
 
+    createSphereGeometry(eye = 'left') {
+        return createProjectionGeometry(this.videoFormat, eye);
+    }
+
+    // Frame format for a processed video: info.json wins over the gallery config
+    async getVideoFormat(videoName) {
+        const info = await this.videoManager.loadVideoInfo(videoName);
+        return resolveVideoFormat(info, getVideoById(videoName));
+    }
+
+    // Rebuild the sphere for a projection + stereo layout. The main sphere shows the left eye (or mono);
+    // a child sharing its material shows the right eye and WebXR eye cameras pick them by layer.
+    // Half-dome formats get a backdrop behind the 180° edge and keep hotspots in front of it.
+    // Cube formats (EAC, cubemap) swap the sphere for a cube whose material samples the frame by view direction
+    setVideoFormat(format = {}) {
+        format = resolveVideoFormat(format);
+        if (!this.sphere) return;
+        if (JSON.stringify(format) === JSON.stringify(this.videoFormat)) return;
+        this.videoFormat = format;
+        
+        const oldGeometry = this.sphere.geometry;
+        this.sphere.geometry = this.createSphereGeometry('left');
+        oldGeometry.dispose();
+        applyProjectionMaterial(this.sphere.material, format);
+        
+        // Cube walls sit inside some hotspots' radius - draw them first, without depth, like a skybox
+        const renderOrder = isCubeProjection(format) ? -1 : 0;
+        this.sphere.renderOrder = renderOrder;
+        
+        if (this.rightEyeSphere) {
+            this.sphere.remove(this.rightEyeSphere);
+            this.rightEyeSphere.geometry.dispose();
+            this.rightEyeSphere = null;
+        }
+        if (format.stereo !== 'mono') {
+            // Child, so it follows the sphere's VR rotation
+            this.rightEyeSphere = new THREE.Mesh(this.createSphereGeometry('right'), this.sphere.material);
+            this.rightEyeSphere.renderOrder = renderOrder;
+            this.sphere.add(this.rightEyeSphere);
+        }
+        
+        this.removeBackdrop();
+        if (isHalfDome(format)) {
+            this.backdrop = this.createBackdrop(format.backdrop);
+            this.sphere.add(this.backdrop);
+        }
+        
+        this.visibleHemisphere = isHalfDome(format) ? HALF_DOME_CENTER : null;
+        if (this.hotspotManager) this.hotspotManager.setVisibleHemisphere(this.visibleHemisphere);
+        if (this.miniMap) this.miniMap.setVisibleHemisphere(this.visibleHemisphere);
+        
+        this.applyStereoLayers(this.renderer && this.renderer.xr.isPresenting);
+        console.log(`👓 Video format: ${format.projection}, ${format.stereo}${isHalfDome(format) ? ', half dome' : ''}`);
+    }
+
+    // Backdrop: a color ('#05050d') or an image URL, seen by both eyes
+    createBackdrop(backdrop) {
+        const material = new THREE.MeshBasicMaterial({ side: THREE.BackSide });
+        if (/^#|^0x|^rgb/i.test(backdrop)) {
+            material.color.set(backdrop.replace(/^0x/i, '#'));
+        } else {
+            material.map = new THREE.TextureLoader().load(backdrop);
+            material.map.colorSpace = THREE.SRGBColorSpace;
+        }
+        return new THREE.Mesh(createBackdropGeometry(), material);
+    }
+
+    removeBackdrop() {
+        if (!this.backdrop) return;
+        this.backdrop.removeFromParent();
+        this.backdrop.geometry.dispose();
+        if (this.backdrop.material.map) this.backdrop.material.map.dispose();
+        this.backdrop.material.dispose();
+        this.backdrop = null;
+    }
+
+    // Layer 0 is drawn by the desktop camera and both XR eyes, layer 1 only by the left eye, layer 2 only by the right.
+    // Outside VR the left-eye sphere stays on layer 0, so flat views show one eye
+    applyStereoLayers(isVRMode) {
+        if (!this.sphere) return;
+        
+        const stereo = this.videoFormat.stereo !== 'mono';
+        this.sphere.layers.set(stereo && isVRMode ? 1 : 0);
+        if (this.rightEyeSphere) {
+            this.rightEyeSphere.layers.set(2);
+        }
+    }
+
+    // The camera's audio listener, created on first use. Hotspot sounds and the ambisonic soundtrack share it,
+    // so the whole sound field turns with the camera (or the headset pose in WebXR)
+    getAudioListener() {
+        if (!this.audioListener) {
+            this.audioListener = new THREE.AudioListener();
+            this.camera.add(this.audioListener);
+            console.log('🔊 Audio listener attached to camera');
+        }
+        return this.audioListener;
+    }
+
+    // Spatial soundtrack for processed videos with a 4-channel AmbiX track, embedded or as a sidecar file
+    // (info.json / gallery "ambisonic"). Other videos keep the element's stereo output
+    async setupAmbisonics(videoName) {
+        const video = this.video;
+        const info = await this.videoManager.loadVideoInfo(videoName);
+        const source = resolveAmbisonicSource(info, getVideoById(videoName), `${this.videoManager.getVideoBaseURL()}${videoName}/`);
+        // Nothing to decode, or another scene loaded meanwhile
+        if (!source || this.video !== video) return;
+        
+        if (!this.ambisonics) {
+            this.ambisonics = new AmbisonicAudio(this.getAudioListener());
+        }
+        this.ambisonics.attach(video, source === 'embedded' ? null : source);
+    }
+
+    // Captions (CaptionSystem.js) with a CC button in the controls bar; the VR menu has the same toggles
+    createCaptions() {
+        this.captions = new CaptionSystem(this.scene, this.camera, this.renderer);
+
+        const controlsBar = document.getElementById('controls');
+        if (controlsBar) {
+            const ccBtn = document.createElement('button');
+            ccBtn.id = 'captionsBtn';
+            ccBtn.className = 'md-button';
+            ccBtn.innerHTML = '<span class="material-icons"></span>';
+            ccBtn.addEventListener('click', () => this.captions.toggle());
+            controlsBar.insertBefore(ccBtn, document.getElementById('fullscreenBtn'));
+        }
+
+        this.captions.onChange = () => {
+            this.updateCaptionButton();
+            if (this.vrMenu) this.vrMenu.updateButtonStates();
+        };
+        this.updateCaptionButton();
+    }
+
+    // Gaze dwell selection (GazeDwell.js) - set from the VR menu and the controls bar
+    createGazeDwell() {
+        this.gazeDwell = new GazeDwell(this);
+        this.gazeDwell.onChange = () => {
+            if (this.vrMenu) this.vrMenu.updateButtonStates();
+            if (window.app && window.app.ui) window.app.ui.updateGazeButtons();
+        };
+    }
+
+    // Turning comfort in the headset (ComfortSettings.js) - set from the VR menu
+    createComfortSettings() {
+        this.comfort = new ComfortSettings(this);
+        this.comfort.onChange = () => {
+            if (this.vrMenu) this.vrMenu.updateButtonStates();
+        };
+    }
+
+    updateCaptionButton() {
+        const ccBtn = document.getElementById('captionsBtn');
+        if (!ccBtn) return;
+        const enabled = this.captions.enabled;
+        ccBtn.querySelector('.material-icons').textContent = enabled ? 'closed_caption' : 'closed_caption_disabled';
+        ccBtn.title = enabled ? 'Hide captions' : 'Show captions';
+        ccBtn.setAttribute('aria-pressed', String(enabled));
+    }
+
+    // WebVTT captions for processed videos that name a track (info.json / gallery "captions")
+    async loadCaptions(videoName) {
+        const video = this.video;
+        const info = await this.videoManager.loadVideoInfo(videoName);
+        const url = resolveCaptionSource(info, getVideoById(videoName), `${this.videoManager.getVideoBaseURL()}${videoName}/`);
+        if (!url || this.video !== video) return;
+
+        const cues = await loadWebVTT(url);
+        // Missing or invalid, or another scene loaded meanwhile
+        if (!cues || this.video !== video) return;
+        this.captions.attachTrack(video, cues);
+        console.log(`💬 Captions: ${url} (${cues.length} cues)`);
+    }
+
+    // Sound description for a found hotspot, e.g. "[metallic scrape, left]" - from the hotspot's
+    // description (or its label) and where it is from the current view. Affirmations are spoken,
+    // so their set's caption track shows the words instead
+    describeHotspotSound(hotspot) {
+        if (!this.captions || hotspot.isAffirmation || (!hotspot.sound && !hotspot.audio)) return;
+
+        const position = hotspot.mesh ? hotspot.mesh.getWorldPosition(new THREE.Vector3()) : hotspot.position;
+        const description = hotspot.description || hotspot.label.toLowerCase();
+        this.captions.showCue(`[${description}, ${this.captions.describeDirection(position)}]`);
+    }
+
+    // In the headset, video scenes go on a WebXR composition layer when the browser has one for the
+    // format (XRMediaLayer.js). The sphere and the scene background are hidden so the layer shows through
+    // the transparent three.js layer; both come back whenever the layer isn't showing the video
+    updateMediaLayer() {
+        if (!this.mediaLayer || !this.sphere) return;
+        
+        const video = this.renderer.xr.isPresenting && !this.isPhotoScene ? this.video : null;
+        const showing = this.mediaLayer.update(video, this.videoFormat, this.sphere, this.rightEyeSphere);
+        if (showing === this.mediaLayerShowing) return;
+        this.mediaLayerShowing = showing;
+        
+        this.sphere.material.visible = !showing;
+        if (showing) {
+            this.sceneBackground = this.scene.background;
+            this.scene.background = null;
+        } else {
+            this.scene.background = this.sceneBackground;
+            this.sceneBackground = null;
+        }
+    }
+
     // Setup VR Button - only shows for WebXR-capable devices (Meta Quest, etc.)
     async setupVRButton() {
         // Check if WebXR is supported
@@ -510,6 +753,244 @@ export class PanoramaPlayer {
         }
     }
     
+    // Stop the previous scene's media element (video, or a photo scene's ambient track) and drop photo tiles/textures
+    releaseMedia() {
+        if (this.ambisonics) {
+            this.ambisonics.detach();
+        }
+        if (this.captions) {
+            this.captions.detachTrack(this.video);
+            this.captions.clearCues();
+        }
+        
+        if (this.video && this.video instanceof HTMLMediaElement) {
+            this.video.pause();
+            this.video.src = '';
+            this.video.removeAttribute('src');
+            this.video.load();
+            if (this.video.parentNode) {
+                this.video.parentNode.removeChild(this.video);
+            }
+            this.video = null;
+        }
+        
+        if (this.tiledPanorama) {
+            this.tiledPanorama.dispose();
+            this.tiledPanorama = null;
+        }
+        if (this.isPhotoScene && this.texture) {
+            this.texture.dispose();
+            this.texture = null;
+            if (this.sphere && this.sphere.material) {
+                this.sphere.material.map = null;
+                this.sphere.material.needsUpdate = true;
+            }
+        }
+        this.isPhotoScene = false;
+    }
+    
+    // Load a still 360° photo scene (SceneManager type 'photo'): an image in any projection, or a tiled
+    // multi-resolution pyramid over its preview, with positional hotspots and an optional ambient loop.
+    // The ambient track stands in as this.video so play/pause, mute and volume work as they do for videos
+    async loadPhoto(scene) {
+        console.log(`🖼️ Loading photo scene: ${scene.id}`);
+        this.releaseMedia();
+        this.videoManager.disableAdaptiveQuality();
+        this.isPhotoScene = true;
+        this.currentVideoName = scene.id;
+        this.hotspotsInitialized = false;
+        
+        const loadingOverlay = document.getElementById('loadingOverlay');
+        if (loadingOverlay) loadingOverlay.style.display = 'flex';
+        
+        // Tiles are plain equirect; the preview stays underneath until sharper tiles stream in
+        const format = resolveVideoFormat(scene.tiles ? {} : scene);
+        const texture = await new THREE.TextureLoader().loadAsync(scene.tiles ? scene.tiles.preview : scene.image);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        if (isCubeProjection(format)) {
+            // Mip selection jumps across cube face seams - sample the full-resolution image only
+            texture.generateMipmaps = false;
+            texture.minFilter = THREE.LinearFilter;
+        }
+        
+        this.texture = texture;
+        if (this.sphere && this.sphere.material) {
+            this.sphere.material.map = texture;
+            this.sphere.material.color.set(0xffffff);
+            this.sphere.material.needsUpdate = true;
+        }
+        this.setVideoFormat(format);
+        if (scene.tiles) {
+            this.tiledPanorama = new TiledPanorama(this.sphere, scene.tiles);
+        }
+        
+        this.video = document.createElement('audio');
+        this.video.loop = true;
+        this.video.crossOrigin = 'anonymous';
+        if (scene.audio) this.video.src = scene.audio;
+        document.body.appendChild(this.video);
+        
+        this.lon = scene.lon ?? 0;
+        this.lat = scene.lat ?? 0;
+        
+        // Positional hotspots from the photo's manifest - none without one
+        if (this.hotspotManager) {
+            this.hotspotManager.cleanup();
+        }
+        this.hotspotManager = new HotspotManager(this.scene, this.camera, this.video, this.renderer, { timed: false });
+        this.hotspotManager.setVisibleHemisphere(this.visibleHemisphere);
+        this.hotspotManager.setupAudio(this.getAudioListener());
+        await this.hotspotManager.createHotspotsForVideo(scene.id, {
+            manifestUrl: scene.hotspots || getPhotoHotspotManifestURL(scene.id),
+            fallback: false
+        });
+        this.hotspotsInitialized = true;
+        this.setupHotspotDiscoveryUI();
+        
+        if (this.miniMap) {
+            this.miniMap.cleanup();
+        }
+        this.miniMap = new MiniMap(this.camera, this.hotspotManager);
+        this.miniMap.setVisibleHemisphere(this.visibleHemisphere);
+        this.miniMap.create();
+        
+        if (loadingOverlay) loadingOverlay.style.display = 'none';
+        if (this.renderer && this.renderer.domElement) {
+            this.renderer.domElement.style.opacity = '1';
+        }
+        
+        if (scene.audio) {
+            const ambient = this.video;
+            ambient.play().then(() => {
+                this.isPlaying = true;
+            }).catch(() => {
+                // Autoplay blocked - start the loop on the first interaction
+                const resume = () => {
+                    if (this.video === ambient) ambient.play().catch(() => {});
+                };
+                document.addEventListener('click', resume, { once: true });
+                document.addEventListener('touchstart', resume, { once: true });
+            });
+        }
+        
+        window.dispatchEvent(new Event('mainVideoReady'));
+        this.showTutorialIfFirstTime();
+    }
+    
+    // Portal arrival: start the scene just loaded at a given time and/or view (unset values keep the defaults)
+    applyStartView({ time, lon, lat } = {}) {
+        if (lon != null) this.lon = lon;
+        if (lat != null) this.lat = lat;
+        
+        if (time != null && this.video && !this.isPhotoScene) {
+            const seek = () => {
+                this.video.currentTime = time;
+                console.log(`⏩ Scene starts at ${time}s`);
+            };
+            if (this.video.readyState >= 1) {
+                seek();
+            } else {
+                this.video.addEventListener('loadedmetadata', seek, { once: true });
+            }
+        }
+    }
+    
+    // Scene transitions (portals, history): the outgoing view is copied onto a "ghost" panorama drawn over
+    // everything while the next scene loads underneath. finishSceneTransition() then fades the ghost out
+    // ('crossfade') or fades it while sliding it back past the viewer, so the portal rushes closer ('zoom').
+    // A mesh rather than a DOM overlay, so it plays the same in VR. Returns false when there's nothing to copy
+    beginSceneTransition({ type = 'crossfade', direction = null } = {}) {
+        this.endSceneTransition();
+        
+        const image = this.texture && this.texture.image;
+        const width = image && (image.videoWidth || image.naturalWidth || image.width);
+        const height = image && (image.videoHeight || image.naturalHeight || image.height);
+        if (!this.sphere || !width || !height) return false;
+        if (image instanceof HTMLVideoElement && image.readyState < 2) return false;
+        
+        // Copy the frame - loading the next scene releases the video element or photo texture
+        const scale = Math.min(1, TRANSITION_CONFIG.snapshotWidth / width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        if (isCubeProjection(this.videoFormat)) {
+            texture.generateMipmaps = false;
+            texture.minFilter = THREE.LinearFilter;
+        }
+        
+        const material = new THREE.MeshBasicMaterial({ map: texture, side: THREE.BackSide, transparent: true, depthTest: false });
+        applyProjectionMaterial(material, this.videoFormat);
+        material.depthWrite = false;
+        
+        const ghost = new THREE.Mesh(this.createSphereGeometry('left'), material);
+        ghost.renderOrder = 1000; // Over the next scene and its hotspots
+        this.sphere.getWorldQuaternion(ghost.quaternion);
+        this.scene.add(ghost);
+        
+        this.sceneTransition = {
+            ghost,
+            type,
+            // Desktop turns the camera to the next scene's lon/lat - the ghost keeps its place in the view.
+            // In VR the sphere turns instead and the ghost simply stays put
+            viewOffset: this.camera.quaternion.clone().invert().multiply(ghost.quaternion),
+            // Zoom target in the ghost's own space
+            direction: type === 'zoom' && direction ? direction.clone().normalize().applyQuaternion(ghost.quaternion.clone().invert()) : null,
+            start: null, // Held opaque until finishSceneTransition()
+            resolve: null
+        };
+        return true;
+    }
+    
+    // Fade the ghost away over the scene that just loaded; resolves once it's gone
+    finishSceneTransition() {
+        const transition = this.sceneTransition;
+        if (!transition) return Promise.resolve();
+        
+        transition.start = performance.now();
+        return new Promise(resolve => {
+            transition.resolve = resolve;
+        });
+    }
+    
+    // Per frame, from animate()
+    updateSceneTransition() {
+        const transition = this.sceneTransition;
+        if (!transition) return;
+        const ghost = transition.ghost;
+        
+        if (!this.renderer.xr.isPresenting) {
+            ghost.quaternion.multiplyQuaternions(this.camera.quaternion, transition.viewOffset);
+        }
+        if (transition.start === null) return;
+        
+        const t = Math.min(1, (performance.now() - transition.start) / TRANSITION_CONFIG.duration);
+        const eased = t * t * (3 - 2 * t);
+        ghost.material.opacity = 1 - eased;
+        if (transition.direction) {
+            ghost.position.copy(transition.direction)
+                .applyQuaternion(ghost.quaternion)
+                .multiplyScalar(-eased * TRANSITION_CONFIG.zoomDistance * PROJECTION_CONFIG.sphereRadius);
+        }
+        
+        if (t >= 1) this.endSceneTransition();
+    }
+    
+    endSceneTransition() {
+        const transition = this.sceneTransition;
+        if (!transition) return;
+        this.sceneTransition = null;
+        
+        transition.ghost.removeFromParent();
+        transition.ghost.geometry.dispose();
+        transition.ghost.material.map.dispose();
+        transition.ghost.material.dispose();
+        if (transition.resolve) transition.resolve();
+    }
+    
     // Load processed video using VideoStreamManager for adaptive quality
     async loadProcessedVideo(videoName) {
         return new Promise(async (resolve, reject) => {
@@ -526,17 +1007,8 @@ export class PanoramaPlayer {
                 this.lat = startPos.lat;
                 console.log(`📹 Setting camera start position for ${videoName}: lon=${startPos.lon}, lat=${startPos.lat}`);
                 
-                // Remove previous video element if it exists
-                if (this.video && this.video instanceof HTMLVideoElement) {
-                    this.video.pause();
-                    this.video.src = '';
-                    this.video.removeAttribute('src');
-                    this.video.load();
-                    if (this.video.parentNode) {
-                        this.video.parentNode.removeChild(this.video);
-                    }
-                    this.video = null;
-                }
+                // Remove previous video element (or photo scene) if it exists
+                this.releaseMedia();
                 
                 // Show loading overlay with progress
                 const loadingOverlay = document.getElementById('loadingOverlay');
@@ -565,6 +1037,9 @@ export class PanoramaPlayer {
                 console.log('[DEBUG] Calling videoManager.switchVideo...');
                 this.video = await this.videoManager.switchVideo(videoName);
                 console.log('[DEBUG] VideoStreamManager returned video element, readyState:', this.video.readyState);
+                this.setVideoFormat(await this.getVideoFormat(videoName));
+                this.setupAmbisonics(videoName);
+                this.loadCaptions(videoName);
                 
                 // Append video to DOM and configure for audio
                 document.body.appendChild(this.video);
@@ -606,6 +1081,7 @@ export class PanoramaPlayer {
                     this.hotspotManager.cleanup();
                 }
                 this.hotspotManager = new HotspotManager(this.scene, this.camera, this.video, this.renderer);
+                this.hotspotManager.setVisibleHemisphere(this.visibleHemisphere);
                 console.log('✅ HotspotManager instance created');
                 
                 // Set up metadata loaded handler
@@ -703,19 +1179,10 @@ export class PanoramaPlayer {
                 resolve();
                 
                 // Add buffering indicators
-                this.video.addEventListener('waiting', () => {
-                    console.log('[Video] Buffering...');
-                    if (loadingOverlay) {
-                        loadingOverlay.style.display = 'flex';
-                    }
-                });
+                this.bindBufferingIndicator(this.video);
                 
-                this.video.addEventListener('playing', () => {
-                    console.log('[Video] Playing');
-                    if (loadingOverlay) {
-                        loadingOverlay.style.display = 'none';
-                    }
-                });
+                // Step through quality rungs as throughput and buffer health change
+                this.videoManager.enableAdaptiveQuality();
                 
                 this.video.addEventListener('error', (e) => {
                     console.error('[DEBUG] Video error:', e);
@@ -730,20 +1197,66 @@ export class PanoramaPlayer {
         });
     }
 
+    // Show the loading overlay while the video buffers
+    bindBufferingIndicator(video) {
+        const loadingOverlay = document.getElementById('loadingOverlay');
+        
+        video.addEventListener('waiting', () => {
+            console.log('[Video] Buffering...');
+            if (loadingOverlay) {
+                loadingOverlay.style.display = 'flex';
+            }
+        });
+        
+        video.addEventListener('playing', () => {
+            console.log('[Video] Playing');
+            if (loadingOverlay) {
+                loadingOverlay.style.display = 'none';
+            }
+        });
+    }
+    
+    // ABR replaced the playing element with another quality rung, already playing in sync -
+    // point the sphere, hotspots and listeners at it without reloading anything
+    swapVideoElement(video, previous) {
+        if (this.video !== previous) return;
+        
+        const texture = new THREE.VideoTexture(video);
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.encoding = THREE.sRGBEncoding;
+        
+        // Same kind of map, so no shader recompile - the next frame just samples the new element
+        if (this.sphere && this.sphere.material) {
+            this.sphere.material.map = texture;
+        }
+        if (this.texture) {
+            this.texture.dispose();
+        }
+        this.texture = texture;
+        this.video = video;
+        
+        if (this.hotspotManager) {
+            this.hotspotManager.setVideo(video);
+        }
+        if (this.ambisonics && this.ambisonics.video === previous) {
+            this.ambisonics.setVideo(video);
+        }
+        if (this.captions) {
+            this.captions.setElement(previous, video);
+        }
+        this.bindBufferingIndicator(video);
+        
+        window.dispatchEvent(new CustomEvent('mainVideoSwapped', { detail: { video, previous } }));
+        console.log(`🔀 Video texture swapped to ${video.dataset.quality}`);
+    }
+
     // Load standard video (fallback for non-processed videos)
     async loadStandardVideo(url) {
         return new Promise((resolve, reject) => {
-            // Remove previous video element if it exists
-            if (this.video && this.video instanceof HTMLVideoElement) {
-                this.video.pause();
-                this.video.src = '';
-                this.video.removeAttribute('src');
-                this.video.load();
-                if (this.video.parentNode) {
-                    this.video.parentNode.removeChild(this.video);
-                }
-                this.video = null;
-            }
+            // Remove previous video element (or photo scene) if it exists
+            this.releaseMedia();
             // Create new video element
             this.video = document.createElement('video');
             document.body.appendChild(this.video);
@@ -851,7 +1364,7 @@ export class PanoramaPlayer {
             });
             
             // Fallback: if loadeddata fires before any progress, set bar to 100%
-            this.video.addEventListener('loadeddata', () => {
+            this.video.addEventListener('loadeddata', async () => {
                 console.log('[DEBUG] loadeddata fired, video duration:', this.video.duration, 'currentTime:', this.video.currentTime, 'video:', this.video);
                 console.log('[DEBUG] video.muted:', this.video.muted, 'video.volume:', this.video.volume);
                 if (progressBar && progressFill) {
@@ -886,6 +1399,7 @@ export class PanoramaPlayer {
                     this.sphere.material.color.set(0xffffff);
                     this.sphere.material.needsUpdate = true;
                 }
+                this.setVideoFormat(); // Unprocessed videos have no format metadata - plain equirect
                 // Show canvas now that video is loaded
                 if (this.renderer && this.renderer.domElement) {
                     this.renderer.domElement.style.opacity = '1';
@@ -897,7 +1411,8 @@ export class PanoramaPlayer {
                     this.hotspotManager.cleanup();
                 }
                 this.hotspotManager = new HotspotManager(this.scene, this.camera, this.video, this.renderer);
-                this.hotspotManager.setupAudio();
+                this.hotspotManager.setVisibleHemisphere(this.visibleHemisphere);
+                this.hotspotManager.setupAudio(this.getAudioListener());
                 
                 // Extract video name from URL for hotspot configuration
                 const videoName = url.split('/').pop().split('.')[0];
@@ -911,7 +1426,7 @@ export class PanoramaPlayer {
                     // For now, create default hotspots and they'll be replaced
                 }
                 
-                this.hotspotManager.createHotspotsForVideo(videoName);
+                await this.hotspotManager.createHotspotsForVideo(videoName);
                 
                 // Setup discovery UI
                 this.setupHotspotDiscoveryUI();
@@ -921,6 +1436,7 @@ export class PanoramaPlayer {
                     this.miniMap.cleanup();
                 }
                 this.miniMap = new MiniMap(this.camera, this.hotspotManager);
+                this.miniMap.setVisibleHemisphere(this.visibleHemisphere);
                 this.miniMap.create();
                 console.log('✅ MiniMap created');
                 
@@ -1143,6 +1659,16 @@ export class PanoramaPlayer {
             });
         }
         
+        // Dwell-to-select from the centre of the view (controller-less headsets, cardboard, Android app)
+        if (this.gazeDwell) {
+            this.gazeDwell.update();
+        }
+        
+        // Tracked hands: joint spheres, fingertip pokes on menu buttons, palm-up menu
+        if (this.handTracking) {
+            this.handTracking.update();
+        }
+        
         // Animate particle trails - both desktop and VR
         const isInVR = this.renderer.xr.isPresenting;
         
@@ -1176,6 +1702,27 @@ export class PanoramaPlayer {
             this.hotspotManager.update();
         }
         
+        // Stream photo tiles for the current view
+        if (this.tiledPanorama) {
+            this.tiledPanorama.update(this.camera, this.renderer);
+        }
+        
+        // Portal crossfade/zoom over the freshly loaded scene
+        this.updateSceneTransition();
+        
+        // Video on a WebXR layer in the headset, once the sphere has its VR rotation
+        this.updateMediaLayer();
+        
+        // Ambisonic soundtrack turns with the sphere
+        if (this.ambisonics) {
+            this.ambisonics.update(this.sphere);
+        }
+        
+        // Captions on screen, or on the panel in the headset
+        if (this.captions) {
+            this.captions.update();
+        }
+        
         // Update mini-map (only in desktop mode)
         if (this.miniMap && !this.renderer.xr.isPresenting) {
             this.miniMap.update();
@@ -1194,6 +1741,11 @@ export class PanoramaPlayer {
                 window.app.audioParticles.update();
             }
             
+            // Branching story: segment ends and decision points
+            if (window.app.story) {
+                window.app.story.update();
+            }
+            
             // Adaptive Difficulty (track player performance)
             if (window.app.adaptiveDiff && this.hotspotManager) {
                 // This is updated via hotspot discovery callbacks
@@ -1217,6 +1769,14 @@ export class PanoramaPlayer {
     handleVRTransition(isVRMode) {
         console.log('🔄 [VR] Handling transition to:', isVRMode ? 'VR' : 'Desktop');
         
+        // Stereo: split the eyes in the headset, back to one eye on screen
+        this.applyStereoLayers(isVRMode);
+        
+        // No turn (or turn vignette) carries over out of the headset
+        if (!isVRMode && this.comfort) {
+            this.comfort.stopTurning();
+        }
+        
         if (isVRMode) {
             console.log('🎮 [VR] Entered VR mode');
             
@@ -1343,39 +1903,25 @@ export class PanoramaPlayer {
         }
     }
 
-    // Simplified VR controller handling
+    // Thumbstick turning - snap or smooth as set in ComfortSettings. Only sideways: tilting the
+    // horizon with the stick is the quickest way to make someone queasy (recenter levels it instead)
     handleVRControllers() {
         const session = this.renderer.xr.getSession();
-        if (!session || !session.inputSources) return;
+        if (!session || !session.inputSources || !this.comfort) return;
         
+        // Strongest deflection of any stick - thumbstick on axes [2,3], touchpad or older mappings on [0,1]
+        let x = 0;
         for (let i = 0; i < session.inputSources.length; i++) {
-            const inputSource = session.inputSources[i];
-            if (inputSource && inputSource.gamepad && inputSource.gamepad.axes) {
-                const axes = inputSource.gamepad.axes;
-                const deadzone = 0.2;
-                
-                // Try both axis mappings: [2,3] and [0,1]
-                let x = 0, y = 0;
-                if (axes.length >= 4 && (Math.abs(axes[2]) > deadzone || Math.abs(axes[3]) > deadzone)) {
-                    x = axes[2];
-                    y = axes[3];
-                } else if (axes.length >= 2 && (Math.abs(axes[0]) > deadzone || Math.abs(axes[1]) > deadzone)) {
-                    x = axes[0];
-                    y = axes[1];
-                }
-                
-                if (x !== 0 || y !== 0) {
-                    this.lon += x * 3.0;
-                    this.lat -= y * 3.0;
-                    console.log('🎮 [VR] Controller movement:', {
-                        x: x.toFixed(2), 
-                        y: y.toFixed(2), 
-                        newLon: this.lon.toFixed(1), 
-                        newLat: this.lat.toFixed(1)
-                    });
-                }
+            const axes = session.inputSources[i]?.gamepad?.axes;
+            if (!axes || axes.length < 2) continue;
+            
+            const stickX = axes.length >= 4 && Math.abs(axes[2]) >= Math.abs(axes[0]) ? axes[2] : axes[0];
+            if (Math.abs(stickX) > Math.abs(x)) {
+                x = stickX;
             }
         }
+        
+        this.comfort.turn(x);
     }
 
     // Three.js best practice: setup controllers and models
@@ -1537,6 +2083,7 @@ export class PanoramaPlayer {
 
         // Desktop mouse/touch navigation for 360°
         let isUserInteracting = false, onPointerDownMouseX = 0, onPointerDownMouseY = 0, onPointerDownLon = 0, onPointerDownLat = 0;
+        let lastTouchX = 0, lastTouchY = 0;
         const dom = this.renderer.domElement;
 
         dom.addEventListener('mousedown', (event) => {
@@ -1637,10 +2184,8 @@ export class PanoramaPlayer {
         dom.addEventListener('touchstart', (event) => {
             if (event.touches.length === 1) {
                 isUserInteracting = true;
-                onPointerDownMouseX = event.touches[0].clientX;
-                onPointerDownMouseY = event.touches[0].clientY;
-                onPointerDownLon = this.lon;
-                onPointerDownLat = this.lat;
+                onPointerDownMouseX = lastTouchX = event.touches[0].clientX;
+                onPointerDownMouseY = lastTouchY = event.touches[0].clientY;
                 
                 // Prevent iOS text selection on long press
                 event.preventDefault();
@@ -1649,9 +2194,12 @@ export class PanoramaPlayer {
 
         dom.addEventListener('touchmove', (event) => {
             if (isUserInteracting && event.touches.length === 1) {
-                // Use adaptive touch sensitivity based on device
-                this.lon = (onPointerDownMouseX - event.touches[0].clientX) * touchSensitivity + onPointerDownLon;
-                this.lat = (event.touches[0].clientY - onPointerDownMouseY) * touchSensitivity + onPointerDownLat;
+                // Use adaptive touch sensitivity based on device. Moved by the finger's travel since the
+                // last move, not since touchstart, so the magic window keeps turning the view mid-drag
+                this.lon += (lastTouchX - event.touches[0].clientX) * touchSensitivity;
+                this.lat += (event.touches[0].clientY - lastTouchY) * touchSensitivity;
+                lastTouchX = event.touches[0].clientX;
+                lastTouchY = event.touches[0].clientY;
             }
         });
 
@@ -1838,8 +2386,8 @@ export class PanoramaPlayer {
         }
         
         // Resume audio context for spatial audio if it exists
-        if (this.hotspotManager && this.hotspotManager.audioListener) {
-            const context = this.hotspotManager.audioListener.context;
+        if (this.audioListener) {
+            const context = this.audioListener.context;
             if (context && context.state === 'suspended') {
                 context.resume().then(() => {
                     console.log('🔊 Audio context resumed');
@@ -1995,7 +2543,7 @@ export class PanoramaPlayer {
         ctx.stroke();
         
         // Stats with icon-style presentation
-        const totalHotspots = this.hotspotManager?.hotspots?.length || 0;
+        const totalHotspots = this.hotspotManager?.totalHotspots || 0;
         const discoveredHotspots = this.hotspotManager?.hotspots?.filter(h => h.discovered).length || 0;
         
         ctx.fillStyle = '#ffffff';
@@ -2024,6 +2572,14 @@ export class PanoramaPlayer {
         ctx.font = '50px Arial';
         ctx.fillText('or use VR Menu to return to gallery', canvas.width / 2, 930);
         
+        // Co-op/race round result when playing in a collaborative room
+        const roundSummary = window.app?.collaborative?.getRoundSummary();
+        if (roundSummary) {
+            ctx.fillStyle = '#FFD700';
+            ctx.font = 'bold 55px Arial';
+            ctx.fillText(`${roundSummary.icon} ${roundSummary.label}: ${roundSummary.headline}`, canvas.width / 2, 1020);
+        }
+        
         // Creator credits at bottom
         ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
         ctx.font = '45px Arial';
@@ -2083,9 +2639,9 @@ export class PanoramaPlayer {
             discoveredHotspots: this.hotspotManager.hotspots
                 .filter(h => h.discovered)
                 .map(h => h.id),
-            totalHotspots: this.hotspotManager.hotspots.length,
+            totalHotspots: this.hotspotManager.totalHotspots,
             completionTime: Date.now(),
-            completed: this.hotspotManager.hotspots.every(h => h.discovered)
+            completed: this.hotspotManager.hotspots.every(h => h.discovered || this.hotspotManager.isLink(h))
         };
         
         localStorage.setItem(`progress_${this.currentVideoName}`, JSON.stringify(progress));
@@ -2293,7 +2849,7 @@ export class PanoramaPlayer {
     // Show narrative introduction for the video
     showVideoNarrative(videoUrl) {
         // Import narratives
-        import('./utils/videoGalleryConfig.js').then(module => {
+        import('../utils/videoGalleryConfig.js').then(module => {
             const narratives = module.videoNarratives;
             
             // Extract video ID from URL
@@ -2313,6 +2869,12 @@ export class PanoramaPlayer {
             const narrative = narratives[videoId];
             console.log(`📖 Showing narrative: ${narrative.title}`);
             
+            // The overlay below can't be seen in the headset - caption it there instead
+            if (this.captions && this.renderer.xr.isPresenting) {
+                [narrative.title, narrative.story, narrative.mission]
+                    .forEach(text => this.captions.showCue(text, { kind: 'narrative' }));
+            }
+            
             // Create narrative overlay
             const overlay = document.createElement('div');
             overlay.id = 'narrative-overlay';
@@ -2506,7 +3068,7 @@ export class PanoramaPlayer {
     }
     
     // Handle video metadata loaded - initialize hotspots and UI
-    handleVideoLoaded() {
+    async handleVideoLoaded() {
         if (this.hotspotsInitialized) {
             console.log('⚠️ Hotspots already initialized, skipping');
             return;
@@ -2525,8 +3087,8 @@ export class PanoramaPlayer {
         // Initialize HotspotManager with the current video
         if (this.hotspotManager && this.currentVideoName) {
             console.log('🎯 Creating hotspots for:', this.currentVideoName);
-            this.hotspotManager.setupAudio();
-            this.hotspotManager.createHotspotsForVideo(this.currentVideoName);
+            this.hotspotManager.setupAudio(this.getAudioListener());
+            await this.hotspotManager.createHotspotsForVideo(this.currentVideoName);
             
             // Setup discovery UI
             this.setupHotspotDiscoveryUI();
@@ -2587,7 +3149,7 @@ export class PanoramaPlayer {
         // Setup discovery callback
         if (this.hotspotManager) {
             console.log('🎯 Setting up discovery callback');
-            this.hotspotManager.onDiscoveryCallback = (hotspot, discovered, total) => {
+            this.hotspotManager.onDiscoveryCallback = (hotspot, discovered, total, options = {}) => {
                 console.log(`🔔 Discovery callback fired! ${discovered}/${total}`);
                 
                 // Update using ID (most reliable)
@@ -2607,6 +3169,16 @@ export class PanoramaPlayer {
                 // Auto-save progress
                 this.saveProgress();
                 
+                // Deaf and hard-of-hearing viewers get the sound as a caption
+                if (hotspot) {
+                    this.describeHotspotSound(hotspot);
+                }
+                
+                // Share with the collaborative room, if any (teammates' finds are already shared)
+                if (hotspot && !options.foundBy && window.app?.collaborative) {
+                    window.app.collaborative.broadcastDiscovery(hotspot);
+                }
+                
                 // Check if all discovered
                 if (discovered === total) {
                     setTimeout(() => {
@@ -2615,6 +3187,11 @@ export class PanoramaPlayer {
                 }
             };
             console.log('✅ Discovery callback registered');
+            
+            // Portals aren't discoveries - pass them on to whoever drives the scenes
+            this.hotspotManager.onPortalCallback = (hotspot) => {
+                if (this.onPortal) this.onPortal(hotspot.portal, hotspot);
+            };
         } else {
             console.error('❌ No hotspotManager found!');
         }
@@ -2759,6 +3336,17 @@ export class PanoramaPlayer {
         // Dispose Three.js objects
         if (this.texture) this.texture.dispose();
         if (this.sphere && this.sphere.geometry) this.sphere.geometry.dispose();
+        if (this.rightEyeSphere) this.rightEyeSphere.geometry.dispose();
+        if (this.tiledPanorama) this.tiledPanorama.dispose();
+        this.endSceneTransition();
+        if (this.mediaLayer) this.mediaLayer.dispose();
+        if (this.ambisonics) this.ambisonics.dispose();
+        if (this.captions) this.captions.dispose();
+        if (this.gazeDwell) this.gazeDwell.dispose();
+        if (this.handTracking) this.handTracking.dispose();
+        if (this.comfort) this.comfort.dispose();
+        if (this.magicWindow) this.magicWindow.dispose();
+        this.removeBackdrop();
         if (this.sphere && this.sphere.material) this.sphere.material.dispose();
         if (this.renderer) this.renderer.dispose();
         // Remove video element
@@ -2772,6 +3360,16 @@ export class PanoramaPlayer {
         this.camera = null;
         this.renderer = null;
         this.sphere = null;
+        this.rightEyeSphere = null;
+        this.tiledPanorama = null;
+        this.mediaLayer = null;
+        this.ambisonics = null;
+        this.captions = null;
+        this.gazeDwell = null;
+        this.handTracking = null;
+        this.comfort = null;
+        this.magicWindow = null;
+        this.audioListener = null;
         this.video = null;
         this.texture = null;
     }
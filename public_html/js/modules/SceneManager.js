@@ -1,3 +1,6 @@
+import { getTourById } from '../utils/tourConfig.js';
+import { getVideoById } from '../utils/videoGalleryConfig.js';
+
 export class SceneManager {
     constructor(player) {
         this.player = player;
@@ -11,10 +14,18 @@ export class SceneManager {
         console.log('🎬 [SceneManager] Debug - selectedVideo:', selectedVideo);
         console.log('🎬 [SceneManager] Debug - selectedTitle:', selectedTitle);
         
+        // A tour (photo and video scenes, see utils/tourConfig.js) wins over a single gallery selection
+        const tourId = new URLSearchParams(window.location.search).get('tour') || sessionStorage.getItem('selectedTour');
+        const tour = tourId ? getTourById(tourId) : null;
+        
         // Scene configuration - dynamically set based on gallery selection
-        if (selectedVideo && selectedTitle) {
+        if (tour) {
+            console.log(`🎬 [SceneManager] Tour: ${tour.title} (${tour.scenes.length} scenes)`);
+            this.scenes = tour.scenes.map(scene => this.createTourScene(scene));
+        } else if (selectedVideo && selectedTitle) {
             this.scenes = [
                 {
+                    type: 'video',
                     basename: selectedVideo.replace(/\.(mp4|webm)$/, ''),  // Remove extension
                     videoPath: selectedVideo,  // Full path including subdirectories
                     title: selectedTitle,
@@ -36,6 +47,7 @@ export class SceneManager {
             // Default scene configuration - USE VIDEO WITH AUDIO
             this.scenes = [
                 {
+                    type: 'video',
                     basename: 'stumpy_sphereMap_4ktest1',
                     videoPath: 'stumpy_rect_16_9_4ktest.mp4',
                     title: 'EyeTrip Default Experience (with Audio)',
@@ -48,6 +60,72 @@ export class SceneManager {
         
         console.log('🎬 [SceneManager] Final scenes config:', this.scenes);
         this.initSceneSelector();
+        
+        // Browser history: every scene change is an entry, so back/forward (browser or VR menu) walk the tour.
+        // Entries are { scene, key, depth }; the view each was left at is kept here by key
+        this.historyKey = null;
+        this.historyDepth = 0; // Entries before the current one within this tour
+        this.historyMaxDepth = 0; // Deepest entry still reachable with forward
+        this.historyViews = new Map();
+        this.transitioning = false;
+        this.pendingHistoryState = null; // Back/forward that arrived mid-transition, replayed after it
+        
+        // Reloads and shared links land on the scene named in the URL
+        const sceneParam = new URLSearchParams(window.location.search).get('scene');
+        this.initialScene = sceneParam ? Math.max(0, this.findScene(sceneParam)) : 0;
+        if (history.state && history.state.scene === sceneParam) {
+            this.historyDepth = this.historyMaxDepth = history.state.depth || 0;
+        }
+        
+        window.addEventListener('popstate', (event) => this.handlePopState(event));
+        this.player.onPortal = (portal, hotspot) => this.followPortal(portal, hotspot);
+    }
+    
+    // Tour scene id, or the video basename for gallery scenes
+    getSceneId(scene) {
+        return scene.id || scene.basename;
+    }
+    
+    // Scene index for an id or index (-1 if unknown). Gallery videos a portal points at are added to the list
+    findScene(target) {
+        if (Number.isInteger(target)) {
+            return target >= 0 && target < this.scenes.length ? target : -1;
+        }
+        
+        const index = this.scenes.findIndex(scene => this.getSceneId(scene) === target);
+        if (index !== -1) return index;
+        if (!getVideoById(target)) return -1;
+        
+        this.scenes.push(this.createTourScene({ type: 'video', id: target }));
+        this.initSceneSelector();
+        this.updateSceneUI();
+        return this.scenes.length - 1;
+    }
+    
+    // Replace the scene list with tour-format entries (a story graph's own scenes)
+    setScenes(entries) {
+        this.scenes = entries.map(entry => this.createTourScene(entry));
+        this.currentScene = -1; // Nothing from the new list is showing yet
+        this.initSceneSelector();
+        this.updateSceneUI();
+    }
+    
+    // Tour entry -> scene: photos are used as written, videos are looked up in the gallery
+    createTourScene(scene) {
+        if (scene.type === 'photo') {
+            return { ...scene, duration: '360° photo' };
+        }
+        
+        const video = getVideoById(scene.id);
+        return {
+            type: 'video',
+            id: scene.id,
+            basename: scene.id,
+            title: scene.title || video?.name || scene.id,
+            duration: video?.duration || '0:00',
+            thumbnail: video?.thumbnail,
+            hasProcessed: true
+        };
     }
     
     // Updated getVideoUrl to handle full paths
@@ -99,11 +177,14 @@ export class SceneManager {
         });
     }
     
-    async loadScene(index) {
+    // options: { time, lon, lat } to start somewhere other than the scene's default,
+    // history: false when replaying a history entry (historyState: the entry, made current on success).
+    // Resolves true once the scene is showing
+    async loadScene(index, options = {}) {
         console.log('🎬 [SceneManager] loadScene called with index:', index);
         if (index < 0 || index >= this.scenes.length) {
             console.warn('🎬 [SceneManager] Invalid scene index:', index);
-            return;
+            return false;
         }
         const scene = this.scenes[index];
         console.log('🎬 [SceneManager] Loading scene:', scene);
@@ -119,41 +200,45 @@ export class SceneManager {
                 loadingOverlay.style.display = 'block';
                 console.log('🎬 [SceneManager] Loading overlay shown');
             }
-            if (progressBar && progressFill) {
+            // Photos have no buffering progress to show
+            if (progressBar && progressFill && scene.type !== 'photo') {
                 progressBar.style.display = 'block';
                 progressFill.style.width = '0';
             }
-            const videoUrl = this.getVideoUrl(scene);
-            console.log('🎬 [SceneManager] Video URL:', videoUrl);
-
-            // Listen for video progress during initial load
-            if (this.player && this.player.video) {
-                this.player.video.addEventListener('progress', () => {
-                    if (this.player.video.buffered.length > 0 && this.player.video.duration > 0) {
-                        const bufferedEnd = this.player.video.buffered.end(this.player.video.buffered.length - 1);
-                        const percent = Math.min(100, Math.round((bufferedEnd / this.player.video.duration) * 100));
-                        if (progressFill) progressFill.style.width = percent + '%';
-                    }
-                });
+            
+            // Leaving a history entry - remember where we were so back returns there
+            if (options.history !== false) {
+                this.rememberView();
             }
-
-            console.log('🎬 [SceneManager] Calling player.loadVideo...');
-            await this.player.loadVideo(videoUrl);
-            console.log('🎬 [SceneManager] player.loadVideo completed successfully');
             
-            // Update duration when video metadata is loaded
-            if (this.player.video && this.player.video.duration) {
-                const duration = this.formatDuration(this.player.video.duration);
-                this.scenes[index].duration = duration;
+            // Dispatch on scene type
+            if (scene.type === 'photo') {
+                await this.player.loadPhoto(scene);
+            } else {
+                await this.loadVideoScene(scene, index, progressFill);
             }
             
+            this.player.applyStartView(options);
+            this.currentScene = index;
             this.updateSceneUI();
+            if (options.history !== false) {
+                this.recordHistory(index);
+            } else if (options.historyState) {
+                this.historyKey = options.historyState.key;
+                this.historyDepth = options.historyState.depth || 0;
+            }
             // Update play button icon after scene loads
             if (window.app && window.app.ui) window.app.ui.updatePlayButton();
+            return true;
 
         } catch (error) {
             console.error('❌ [SceneManager] Failed to load scene:', error);
-            alert(`Failed to load video: ${this.getVideoUrl(scene)}`);
+            if (scene.type === 'photo') {
+                alert(`Failed to load photo: ${scene.image || scene.tiles?.preview}`);
+            } else {
+                alert(`Failed to load video: ${this.getVideoUrl(scene)}`);
+            }
+            return false;
         } finally {
             console.log('🎬 [SceneManager] Finally block - hiding loading overlay');
             if (loadingOverlay) {
@@ -164,6 +249,140 @@ export class SceneManager {
         }
     }
     
+    // Video scenes: processed (adaptive) or direct files, with buffering progress
+    async loadVideoScene(scene, index, progressFill) {
+        const videoUrl = this.getVideoUrl(scene);
+        console.log('🎬 [SceneManager] Video URL:', videoUrl);
+
+        // Listen for video progress during initial load
+        if (this.player && this.player.video) {
+            this.player.video.addEventListener('progress', () => {
+                if (this.player.video.buffered.length > 0 && this.player.video.duration > 0) {
+                    const bufferedEnd = this.player.video.buffered.end(this.player.video.buffered.length - 1);
+                    const percent = Math.min(100, Math.round((bufferedEnd / this.player.video.duration) * 100));
+                    if (progressFill) progressFill.style.width = percent + '%';
+                }
+            });
+        }
+
+        console.log('🎬 [SceneManager] Calling player.loadVideo...');
+        await this.player.loadVideo(videoUrl);
+        console.log('🎬 [SceneManager] player.loadVideo completed successfully');
+        
+        // Update duration when video metadata is loaded
+        if (this.player.video && this.player.video.duration) {
+            const duration = this.formatDuration(this.player.video.duration);
+            this.scenes[index].duration = duration;
+        }
+    }
+    
+    // Travel to a scene (id or index) behind a crossfade/zoom transition
+    // options: loadScene options plus transition ('crossfade' | 'zoom') and direction (zoom target)
+    async goToScene(target, options = {}) {
+        const index = this.findScene(target);
+        if (index === -1) {
+            console.warn(`⚠️ [SceneManager] Unknown scene: ${target}`);
+            return false;
+        }
+        if (this.transitioning) return false;
+        
+        this.transitioning = true;
+        this.player.beginSceneTransition({ type: options.transition, direction: options.direction });
+        try {
+            return await this.loadScene(index, options);
+        } finally {
+            await this.player.finishSceneTransition();
+            this.transitioning = false;
+            this.replayPendingHistory();
+        }
+    }
+    
+    // A portal hotspot was selected
+    followPortal(portal, hotspot) {
+        console.log(`🚪 [SceneManager] Portal to ${portal.scene}`);
+        return this.goToScene(portal.scene, {
+            time: portal.time,
+            lon: portal.lon,
+            lat: portal.lat,
+            transition: portal.transition,
+            direction: hotspot ? hotspot.position : null
+        });
+    }
+    
+    // Current playback position and view, restored when coming back to this entry
+    rememberView() {
+        if (this.historyKey === null) return;
+        this.historyViews.set(this.historyKey, {
+            time: this.player.video && !this.player.isPhotoScene ? this.player.video.currentTime : undefined,
+            lon: this.player.lon,
+            lat: this.player.lat
+        });
+    }
+    
+    // New history entry for a scene change (the first load replaces the page's own entry)
+    recordHistory(index) {
+        const scene = this.getSceneId(this.scenes[index]);
+        const url = new URL(window.location.href);
+        url.searchParams.set('scene', scene);
+        
+        const isFirst = this.historyKey === null;
+        if (!isFirst) {
+            this.historyDepth++;
+        }
+        this.historyMaxDepth = this.historyDepth;
+        this.historyKey = Date.now();
+        
+        const state = { scene, key: this.historyKey, depth: this.historyDepth };
+        if (isFirst) {
+            history.replaceState(state, '', url);
+        } else {
+            history.pushState(state, '', url);
+        }
+    }
+    
+    // Browser back/forward (also driven by the VR menu)
+    handlePopState(event) {
+        const state = event.state;
+        if (!state || !state.scene) return; // Not one of ours
+        
+        this.goToHistoryState(state);
+    }
+    
+    // Load a history entry's scene - loadScene() moves to the entry only once the scene has loaded
+    async goToHistoryState(state) {
+        if (this.transitioning) {
+            this.pendingHistoryState = state; // Only the latest back/forward counts
+            return false;
+        }
+        
+        this.rememberView();
+        const view = this.historyViews.get(state.key) || {};
+        return this.goToScene(state.scene, { ...view, history: false, historyState: state });
+    }
+    
+    replayPendingHistory() {
+        const state = this.pendingHistoryState;
+        if (!state) return;
+        this.pendingHistoryState = null;
+        this.goToHistoryState(state);
+    }
+    
+    canGoBack() {
+        return this.historyDepth > 0;
+    }
+    
+    canGoForward() {
+        return this.historyDepth < this.historyMaxDepth;
+    }
+    
+    goBack() {
+        if (this.canGoBack()) history.back();
+    }
+    
+    goForward() {
+        if (this.canGoForward()) history.forward();
+    }
+    
     updateSceneUI() {
         const items = document.querySelectorAll('.md-scene-item');
         items.forEach((item, index) => {
@@ -0,0 +1,365 @@
+/**
+ * StoryRuntime.js
+ * Plays a branching story graph (see utils/storyGraph.js). Each node's segment runs in PanoramaPlayer;
+ * at a decision point the video pauses or loops while HotspotManager offers the choices as hotspots, and the
+ * chosen branch is reached by seeking (same video) or through SceneManager (another scene).
+ * The current node, the path taken and the hotspots found are saved so a reload resumes the story.
+ */
+
+import { getStoryURL, validateStoryGraph } from '../utils/storyGraph.js';
+import { getVideoById } from '../utils/videoGalleryConfig.js';
+
+/**
+ * Where the current node is
+ */
+const StoryPhase = {
+    IDLE: 'idle',         // Not started, or waiting for a scene to load
+    PLAYING: 'playing',   // Running the node's segment
+    DECIDING: 'deciding', // Choices on offer
+    ENDED: 'ended'        // Reached a node with nowhere to go
+};
+
+// Within this many seconds of the next segment's start, carry on playing instead of seeking
+const CONTIGUOUS_TOLERANCE = 0.5;
+
+function createProgress(endings = []) {
+    return { node: null, path: [], choices: {}, discovered: [], endings };
+}
+
+export class StoryRuntime {
+    /**
+     * @param {PanoramaPlayer} player
+     * @param {SceneManager} sceneManager
+     * @param {Object} options - { achievements, ending }: AchievementSystem for choice conditions,
+     *                           ExperienceEnding shown when an ending node finishes
+     */
+    constructor(player, sceneManager, options = {}) {
+        this.player = player;
+        this.sceneManager = sceneManager;
+        this.achievements = options.achievements || null;
+        this.ending = options.ending || null;
+
+        this.storyId = null;
+        this.story = null;
+        this.progress = createProgress();
+        this.nodeId = null;
+        this.sceneIndex = -1;
+        this.phase = StoryPhase.IDLE;
+        this.availableChoices = [];
+        this.choiceHotspots = [];
+        this.decisionDeadline = null;
+
+        this.handleDiscovery = this.handleDiscovery.bind(this);
+        window.addEventListener('hotspotDiscovered', this.handleDiscovery);
+    }
+
+    get active() {
+        return this.story !== null;
+    }
+
+    /**
+     * Fetch and validate assets/stories/<id>/story.json, then make its scenes the scene list
+     * Resolves false (nothing changed) when the story is missing or invalid
+     */
+    async load(storyId) {
+        const url = getStoryURL(storyId);
+        let graph;
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) {
+                console.error(`❌ No story at ${url} (${response.status})`);
+                return false;
+            }
+            graph = await response.json();
+        } catch (error) {
+            console.error(`❌ Could not load story ${url}: ${error.message}`);
+            return false;
+        }
+
+        const result = validateStoryGraph(graph);
+        const errors = [...result.errors];
+        if (result.valid) {
+            // Nodes play story scenes or gallery videos
+            Object.entries(result.story.nodes).forEach(([id, node]) => {
+                if (!result.story.scenes.some(scene => scene.id === node.scene) && !getVideoById(node.scene)) {
+                    errors.push(`nodes.${id}.scene: unknown scene "${node.scene}"`);
+                }
+            });
+        }
+        if (errors.length > 0) {
+            console.error(`❌ Story ${url} failed validation:\n  - ${errors.join('\n  - ')}`);
+            return false;
+        }
+
+        this.storyId = storyId;
+        this.story = result.story;
+        this.progress = this.loadProgress();
+        this.sceneManager.setScenes(this.story.scenes);
+
+        console.log(`📖 Story loaded: ${this.story.title || storyId} (${Object.keys(this.story.nodes).length} nodes)`);
+        return true;
+    }
+
+    /**
+     * Begin at the start node, or resume at the saved one
+     */
+    async start() {
+        const resumeAt = this.progress.node;
+        if (resumeAt) {
+            console.log(`📖 Resuming story at '${resumeAt}'`);
+        }
+        await this.enterNode(resumeAt || this.story.start, { resume: Boolean(resumeAt) });
+    }
+
+    /**
+     * New playthrough from the start node (endings already reached are kept)
+     */
+    async restart() {
+        this.progress = createProgress(this.progress.endings);
+        this.saveProgress();
+        await this.enterNode(this.story.start);
+    }
+
+    /**
+     * Play a node's segment: seek within the current video, or load its scene
+     * options.transition: how a scene change looks ('crossfade' | 'zoom'); options.resume: restoring saved progress
+     */
+    async enterNode(nodeId, options = {}) {
+        const node = this.story.nodes[nodeId];
+        this.clearChoices();
+        this.phase = StoryPhase.IDLE;
+        this.nodeId = nodeId;
+
+        if (!options.resume) {
+            this.progress.path.push(nodeId);
+        }
+        this.progress.node = nodeId;
+        this.saveProgress();
+
+        console.log(`📖 Story node: ${nodeId}`);
+        if (window.trackVREvent) {
+            window.trackVREvent('story_node', nodeId);
+        }
+
+        const index = this.sceneManager.findScene(node.scene);
+        if (index !== this.sceneManager.currentScene) {
+            // Story branches aren't browser history entries - the saved progress is the story's history
+            const loaded = await this.sceneManager.goToScene(index, {
+                time: node.start,
+                lon: node.lon,
+                lat: node.lat,
+                transition: options.transition,
+                history: false
+            });
+            if (!loaded || this.nodeId !== nodeId) return;
+        } else {
+            // Same video: carry on when the segment picks up where playback is, otherwise seek
+            const video = this.player.video;
+            const contiguous = video && Math.abs(video.currentTime - node.start) < CONTIGUOUS_TOLERANCE;
+            this.player.applyStartView({ time: contiguous ? null : node.start, lon: node.lon, lat: node.lat });
+        }
+
+        this.sceneIndex = index;
+        this.phase = StoryPhase.PLAYING;
+
+        // A still has no segment to play through
+        if (this.player.isPhotoScene) {
+            this.reachEnd();
+            return;
+        }
+
+        const video = this.player.video;
+        if (video && video.paused) {
+            video.play().catch(error => console.warn('⚠️ Story playback blocked:', error.message));
+        }
+    }
+
+    /**
+     * Per frame, from PanoramaPlayer.animate()
+     */
+    update() {
+        if (this.phase !== StoryPhase.PLAYING && this.phase !== StoryPhase.DECIDING) return;
+        // The viewer switched scenes themselves - wait until the story's scene is back
+        if (this.sceneManager.currentScene !== this.sceneIndex) return;
+
+        const decision = this.story.nodes[this.nodeId].decision;
+        if (this.phase === StoryPhase.DECIDING && this.decisionDeadline !== null && performance.now() >= this.decisionDeadline) {
+            console.log(`⏱️ No choice made at '${this.nodeId}', taking the default`);
+            this.choose(decision.default);
+            return;
+        }
+
+        const video = this.player.video;
+        if (!video || this.player.isPhotoScene || video.seeking) return;
+
+        if (this.phase === StoryPhase.PLAYING) {
+            const end = decision ? decision.at : this.story.nodes[this.nodeId].end;
+            if (end !== null ? video.currentTime >= end : video.ended) {
+                this.reachEnd();
+            }
+        } else if (decision.mode === 'loop') {
+            if (video.ended || (decision.at !== null && video.currentTime >= decision.at)) {
+                video.currentTime = decision.loopFrom;
+                if (video.paused) video.play().catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * The segment is over: offer the decision, or move on
+     */
+    reachEnd() {
+        const node = this.story.nodes[this.nodeId];
+        if (node.decision && this.presentDecision(node.decision)) return;
+
+        if (node.next) {
+            this.enterNode(node.next);
+        } else {
+            this.finish();
+        }
+    }
+
+    /**
+     * Show the choices whose conditions hold - false when none do (the node falls through to next)
+     */
+    presentDecision(decision) {
+        this.availableChoices = decision.choices.filter(choice => this.isAvailable(choice));
+        if (this.availableChoices.length === 0) {
+            console.warn(`⚠️ No choice available at '${this.nodeId}'`);
+            return false;
+        }
+
+        this.phase = StoryPhase.DECIDING;
+        if (decision.mode === 'pause' && this.player.video && !this.player.isPhotoScene) {
+            this.player.video.pause();
+        }
+
+        const manager = this.player.hotspotManager;
+        manager.onChoiceCallback = (hotspot) => this.choose(hotspot.choice.id);
+        this.choiceHotspots = this.availableChoices.map(choice => manager.addHotspot({
+            id: `choice_${choice.id}`,
+            position: choice.position,
+            label: choice.label,
+            color: choice.color,
+            choice: { node: this.nodeId, id: choice.id }
+        }));
+
+        if (decision.prompt) {
+            manager.showDiscoveryNotification(decision.prompt);
+        }
+        this.decisionDeadline = decision.timeout !== null ? performance.now() + decision.timeout * 1000 : null;
+
+        console.log(`🔀 Decision at '${this.nodeId}': ${this.availableChoices.map(choice => choice.id).join(', ')}`);
+        return true;
+    }
+
+    /**
+     * Every `requires` condition must hold: hotspots found during the story, achievements, nodes on this path
+     */
+    isAvailable(choice) {
+        const requires = choice.requires;
+        if (!requires) return true;
+
+        return (requires.hotspots || []).every(id => this.progress.discovered.includes(id)) &&
+            (requires.achievements || []).every(id => this.achievements && this.achievements.isUnlocked(id)) &&
+            (requires.visited || []).every(id => this.progress.path.includes(id));
+    }
+
+    /**
+     * Follow a choice (by id) from the current decision
+     */
+    choose(choiceId) {
+        if (this.phase !== StoryPhase.DECIDING) return;
+
+        // A timed-out default may itself be unavailable - fall back to the first choice on offer
+        const choice = this.availableChoices.find(c => c.id === choiceId) || this.availableChoices[0];
+        console.log(`🔀 Chose '${choice.id}' at '${this.nodeId}' → ${choice.to}`);
+
+        this.progress.choices[this.nodeId] = choice.id;
+        if (window.trackVREvent) {
+            window.trackVREvent('story_choice', `${this.nodeId}:${choice.id}`);
+        }
+
+        this.enterNode(choice.to, { transition: choice.transition });
+    }
+
+    /**
+     * Remove the current decision's choice hotspots
+     */
+    clearChoices() {
+        const manager = this.player.hotspotManager;
+        this.choiceHotspots.forEach(hotspot => {
+            // A scene change already replaced the manager that held them
+            if (manager && manager.hotspots.includes(hotspot)) {
+                manager.removeHotspot(hotspot);
+            }
+        });
+        this.choiceHotspots = [];
+        this.availableChoices = [];
+        this.decisionDeadline = null;
+    }
+
+    /**
+     * Reached an ending: remember it, start the next visit afresh and show the ending screen
+     */
+    finish() {
+        const endingId = this.nodeId;
+        this.phase = StoryPhase.ENDED;
+
+        const endings = this.progress.endings.includes(endingId) ? this.progress.endings : [...this.progress.endings, endingId];
+        this.progress = createProgress(endings);
+        this.saveProgress();
+
+        console.log(`📖 Story ending: ${endingId} (${endings.length} ending${endings.length === 1 ? '' : 's'} reached)`);
+        if (window.trackVREvent) {
+            window.trackVREvent('story_ended', endingId, endings.length);
+        }
+
+        if (this.ending) {
+            this.ending.showEnding('complete');
+        }
+    }
+
+    /**
+     * Hotspot found anywhere in the story - choice conditions can depend on it
+     */
+    handleDiscovery(event) {
+        if (!this.active) return;
+
+        const id = event.detail.hotspot.id;
+        if (!this.progress.discovered.includes(id)) {
+            this.progress.discovered.push(id);
+            this.saveProgress();
+        }
+    }
+
+    getStorageKey() {
+        return `eyetripvr_story_${this.storyId}`;
+    }
+
+    /**
+     * Saved progress for this story (fresh when missing, unreadable or pointing at a node that no longer exists)
+     */
+    loadProgress() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.getStorageKey()));
+            if (saved && (saved.node === null || this.story.nodes[saved.node])) {
+                return { ...createProgress(), ...saved };
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable story progress:', error);
+        }
+        return createProgress();
+    }
+
+    saveProgress() {
+        localStorage.setItem(this.getStorageKey(), JSON.stringify({ ...this.progress, updatedAt: Date.now() }));
+    }
+
+    dispose() {
+        this.clearChoices();
+        window.removeEventListener('hotspotDiscovered', this.handleDiscovery);
+        this.story = null;
+        this.phase = StoryPhase.IDLE;
+    }
+}
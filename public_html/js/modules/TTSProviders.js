@@ -0,0 +1,547 @@
+/**
+ * TTSProviders.js
+ * Text-to-speech backends for the affirmation pipeline (ElevenLabsService.generateAffirmations)
+ *
+ * Every provider turns a list of affirmation texts into ONE audio clip:
+ *   synthesize({ texts, tone, voice, responses }) -> { data: ArrayBuffer, mimeType, segments? }
+ * segments ([{ startTime, endTime }] per text) are optional - without them the clip is split evenly.
+ * Voices are configured per tone, per provider (voice IDs, SpeechSynthesis voice names, mock pitches).
+ */
+
+import { TTS_CONFIG } from '../utils/constants.js';
+
+/**
+ * Error with a retry hint for ElevenLabsService.generateAudioWithRetry
+ */
+function createTTSError(message, retryable, extra = {}) {
+    return Object.assign(new Error(message), { retryable }, extra);
+}
+
+/**
+ * Base provider - subclasses implement synthesize()
+ */
+export class TTSProvider {
+    constructor(options = {}) {
+        // Tone -> voice, merged over the provider's defaults
+        this.voices = { ...this.constructor.defaultVoices, ...options.voices };
+    }
+
+    static get defaultVoices() {
+        return {};
+    }
+
+    get name() {
+        return 'base';
+    }
+
+    /**
+     * Human-readable summary for status/debug UIs
+     */
+    describe() {
+        return this.name;
+    }
+
+    isSupported() {
+        return true;
+    }
+
+    getVoice(tone) {
+        return this.voices[tone] || this.voices.calming;
+    }
+
+    setVoice(tone, voice) {
+        this.voices[tone] = voice;
+    }
+
+    async synthesize() {
+        throw new Error(`${this.name} provider does not implement synthesize()`);
+    }
+
+    async getVoices() {
+        return [];
+    }
+}
+
+/**
+ * ElevenLabs through our TTS proxy (api/tts.php or server/tts-proxy.js)
+ * voices: ElevenLabs voice IDs
+ */
+export class ElevenLabsProvider extends TTSProvider {
+    constructor(options = {}) {
+        super(options);
+        this.endpoint = this.resolveEndpoint(options.endpoint);
+        this.clientId = this.loadClientId();
+        this.requestTimeout = 30000;
+
+        // Voice settings based on emotional tone
+        this.voiceSettings = {
+            calming: { stability: 0.7, similarity_boost: 0.8, style: 0.2, use_speaker_boost: true },
+            grounding: { stability: 0.75, similarity_boost: 0.8, style: 0.4, use_speaker_boost: true },
+            energizing: { stability: 0.5, similarity_boost: 0.75, style: 0.6, use_speaker_boost: true },
+            uplifting: { stability: 0.5, similarity_boost: 0.75, style: 0.6, use_speaker_boost: true },
+            meditative: { stability: 0.7, similarity_boost: 0.8, style: 0.2, use_speaker_boost: true },
+            transformative: { stability: 0.75, similarity_boost: 0.8, style: 0.4, use_speaker_boost: true }
+        };
+    }
+
+    // ALL FEMALE VOICES
+    static get defaultVoices() {
+        return {
+            calming: 'EXAVITQu4vr4xnSDxMaL',      // Sarah - calm, soothing
+            grounding: 'pNInz6obpgDQGcFmaJgB',    // Charlotte - steady, grounding
+            energizing: '21m00Tcm4TlvDq8ikWAM',   // Rachel - energetic, confident
+            uplifting: '21m00Tcm4TlvDq8ikWAM',    // Rachel - energetic, confident
+            meditative: 'EXAVITQu4vr4xnSDxMaL',   // Sarah - calm, soothing
+            transformative: 'pNInz6obpgDQGcFmaJgB' // Charlotte - steady, grounding
+        };
+    }
+
+    get name() {
+        return 'elevenlabs';
+    }
+
+    describe() {
+        return `ElevenLabs via ${this.endpoint}`;
+    }
+
+    /**
+     * TTS endpoint: explicit option > ?ttsEndpoint= > window.EYETRIP_TTS_ENDPOINT > default
+     * Localhost uses the Node proxy (npm run tts-proxy), deployed sites the PHP one
+     */
+    resolveEndpoint(endpoint) {
+        const fromParam = new URLSearchParams(window.location.search).get('ttsEndpoint');
+        const isLocal = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+
+        return endpoint || fromParam || window.EYETRIP_TTS_ENDPOINT ||
+            (isLocal ? TTS_CONFIG.devEndpoint : TTS_CONFIG.endpoint);
+    }
+
+    /**
+     * Anonymous per-browser id so the proxy can rate limit per user
+     */
+    loadClientId() {
+        try {
+            let id = localStorage.getItem(TTS_CONFIG.clientIdKey);
+            if (!id) {
+                id = crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+                localStorage.setItem(TTS_CONFIG.clientIdKey, id);
+            }
+            return id;
+        } catch (e) {
+            return null; // Private mode - the proxy falls back to per-IP limits
+        }
+    }
+
+    /**
+     * One request for all texts - the proxy builds the text itself from the survey
+     * answers (assets/affirmations.json), so texts is only logged here
+     */
+    async synthesize({ texts, tone, voice, responses }) {
+        console.log('🎙️ Calling TTS proxy...');
+        console.log('📄 Affirmations:', texts.length);
+        console.log('🎤 Voice ID:', voice);
+        console.log('🎵 Tone:', tone);
+
+        // Text, model and output format are fixed by the proxy
+        const requestBody = {
+            voiceId: voice,
+            voiceSettings: this.voiceSettings[tone] || this.voiceSettings.calming,
+            emotionalTone: responses.emotionalTone,
+            focusArea: responses.focusArea,
+            currentMood: responses.currentMood
+        };
+
+        console.log('📡 TTS endpoint:', this.endpoint);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => {
+            console.error('⏱️ API request timeout after 30 seconds');
+            controller.abort();
+        }, this.requestTimeout);
+
+        try {
+            const headers = {
+                'Accept': 'audio/mpeg',
+                'Content-Type': 'application/json'
+            };
+            if (this.clientId) {
+                headers['X-EyeTrip-Client'] = this.clientId;
+            }
+
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(requestBody),
+                signal: controller.signal
+            });
+
+            console.log('📨 Proxy response status:', response.status, response.statusText);
+            console.log('💾 Proxy cache:', response.headers.get('X-Cache') || 'n/a');
+
+            if (!response.ok) {
+                throw await this.createProxyError(response);
+            }
+
+            const data = await response.arrayBuffer();
+            console.log('✅ Received audio data:', data.byteLength, 'bytes');
+            return { data, mimeType: 'audio/mpeg' };
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw createTTSError('Request timed out after 30 seconds. Please check your internet connection and try again.', true);
+            }
+            console.error('❌ Fetch error:', error);
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Turn a proxy error response ({ error, message }) into an Error
+     * Client-side problems (4xx) are marked non-retryable
+     */
+    async createProxyError(response) {
+        let body = {};
+        try {
+            body = await response.json();
+        } catch (e) {
+            body = { message: response.statusText };
+        }
+        console.error('❌ TTS proxy error response:', body);
+
+        if (response.status === 429) {
+            const retryAfter = body.retryAfter || parseInt(response.headers.get('Retry-After') || '0', 10);
+            const minutes = Math.max(1, Math.ceil(retryAfter / 60));
+            return createTTSError(
+                `You've created a lot of affirmation tracks recently. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+                false,
+                { retryAfter }
+            );
+        }
+
+        return createTTSError(
+            `TTS proxy error (${response.status}): ${body.message || body.error || 'Unknown error'}`,
+            response.status >= 500 || response.status === 408,
+            { status: response.status }
+        );
+    }
+
+    /**
+     * Build a proxy URL for an info action (voices, usage)
+     */
+    getActionURL(action) {
+        const url = new URL(this.endpoint, window.location.href);
+        url.searchParams.set('action', action);
+        return url.toString();
+    }
+
+    /**
+     * @returns {Promise<Array>} [{ voice_id, name }]
+     */
+    async getVoices() {
+        const response = await fetch(this.getActionURL('voices'));
+        if (!response.ok) {
+            throw new Error(`Failed to fetch voices: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * @returns {Promise<Object>} { character_count, character_limit, tier }
+     */
+    async getUsage() {
+        const response = await fetch(this.getActionURL('usage'));
+        if (!response.ok) {
+            throw new Error(`Failed to fetch user info: ${response.status}`);
+        }
+        return response.json();
+    }
+}
+
+/**
+ * Browser SpeechSynthesis, recorded into a clip through a captured MediaStream
+ * Speech engines play straight to the speakers, so recording needs screen/tab capture
+ * with audio (getDisplayMedia) - the user is asked to share, and we fail clearly if they can't
+ * voices: SpeechSynthesis voice names (or a BCP 47 language) with per-tone rate/pitch
+ */
+export class SpeechSynthesisProvider extends TTSProvider {
+    constructor(options = {}) {
+        super(options);
+        this.pauseBetween = options.pauseBetween ?? 1.2; // Seconds of silence between affirmations
+        this.lang = options.lang || 'en-US';
+
+        // Slower, lower delivery for the quieter tones
+        this.prosody = {
+            calming: { rate: 0.85, pitch: 1.0 },
+            grounding: { rate: 0.85, pitch: 0.9 },
+            energizing: { rate: 1.05, pitch: 1.1 },
+            uplifting: { rate: 1.0, pitch: 1.1 },
+            meditative: { rate: 0.75, pitch: 0.95 },
+            transformative: { rate: 0.9, pitch: 1.0 },
+            ...options.prosody
+        };
+    }
+
+    // Preferred voice names; the first installed match wins, then any voice for this.lang
+    static get defaultVoices() {
+        return {
+            calming: ['Samantha', 'Google US English', 'Microsoft Aria Online (Natural) - English (United States)'],
+            grounding: ['Karen', 'Google UK English Female', 'Microsoft Jenny Online (Natural) - English (United States)'],
+            energizing: ['Google US English', 'Samantha', 'Microsoft Aria Online (Natural) - English (United States)'],
+            uplifting: ['Google US English', 'Samantha', 'Microsoft Aria Online (Natural) - English (United States)'],
+            meditative: ['Moira', 'Samantha', 'Google UK English Female'],
+            transformative: ['Karen', 'Google UK English Female', 'Samantha']
+        };
+    }
+
+    get name() {
+        return 'speech';
+    }
+
+    describe() {
+        return `Browser voice (${this.canRecord() ? 'recorded via screen/tab capture' : 'recording not supported here'})`;
+    }
+
+    isSupported() {
+        return 'speechSynthesis' in window && this.canRecord();
+    }
+
+    canRecord() {
+        return Boolean(navigator.mediaDevices?.getDisplayMedia && window.MediaRecorder);
+    }
+
+    /**
+     * Voices load asynchronously in Chrome - wait for voiceschanged once
+     */
+    loadSpeechVoices() {
+        const voices = speechSynthesis.getVoices();
+        if (voices.length > 0) return Promise.resolve(voices);
+
+        return new Promise(resolve => {
+            const done = () => resolve(speechSynthesis.getVoices());
+            speechSynthesis.addEventListener('voiceschanged', done, { once: true });
+            setTimeout(done, 2000);
+        });
+    }
+
+    async resolveSpeechVoice(voice) {
+        const voices = await this.loadSpeechVoices();
+        const names = Array.isArray(voice) ? voice : [voice];
+
+        for (const name of names) {
+            const match = voices.find(v => v.name === name) || voices.find(v => v.lang === name);
+            if (match) return match;
+        }
+        return voices.find(v => v.lang === this.lang) ||
+            voices.find(v => v.lang.startsWith(this.lang.split('-')[0])) || null;
+    }
+
+    async getVoices() {
+        const voices = await this.loadSpeechVoices();
+        return voices.map(v => ({ voice_id: v.name, name: `${v.name} (${v.lang})` }));
+    }
+
+    /**
+     * Ask to share a tab/screen with audio and keep only the audio track
+     */
+    async captureAudio() {
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getDisplayMedia({
+                video: true, // Required by most browsers even though we only want audio
+                audio: { suppressLocalAudioPlayback: false },
+                systemAudio: 'include' // Speech engines play through the system, not the tab
+            });
+        } catch (error) {
+            throw createTTSError('Recording the browser voice needs screen or tab sharing with audio.', false);
+        }
+
+        stream.getVideoTracks().forEach(track => track.stop());
+        const audioTracks = stream.getAudioTracks();
+        if (audioTracks.length === 0) {
+            throw createTTSError('No audio was shared - tick "Share audio" when choosing what to share.', false);
+        }
+        return new MediaStream(audioTracks);
+    }
+
+    speak(text, speechVoice, prosody) {
+        return new Promise((resolve, reject) => {
+            const utterance = new SpeechSynthesisUtterance(text);
+            if (speechVoice) utterance.voice = speechVoice;
+            utterance.lang = speechVoice?.lang || this.lang;
+            utterance.rate = prosody.rate;
+            utterance.pitch = prosody.pitch;
+            utterance.onend = () => resolve();
+            utterance.onerror = (event) => reject(createTTSError(`Speech synthesis failed: ${event.error}`, false));
+            speechSynthesis.speak(utterance);
+        });
+    }
+
+    async synthesize({ texts, tone, voice }) {
+        if (!('speechSynthesis' in window) || !this.canRecord()) {
+            throw createTTSError('This browser cannot record its built-in voice - choose another voice provider.', false);
+        }
+
+        const speechVoice = await this.resolveSpeechVoice(voice);
+        const prosody = this.prosody[tone] || this.prosody.calming;
+        console.log(`🗣️ SpeechSynthesis voice: ${speechVoice ? speechVoice.name : 'browser default'}`, prosody);
+
+        const stream = await this.captureAudio();
+        const mimeType = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4']
+            .find(type => MediaRecorder.isTypeSupported(type)) || '';
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+        const segments = [];
+        const startedAt = performance.now();
+        const elapsed = () => (performance.now() - startedAt) / 1000;
+
+        try {
+            recorder.start();
+            for (const text of texts) {
+                const startTime = elapsed();
+                await this.speak(text, speechVoice, prosody);
+                segments.push({ startTime, endTime: elapsed() });
+                await new Promise(resolve => setTimeout(resolve, this.pauseBetween * 1000));
+            }
+        } finally {
+            speechSynthesis.cancel();
+            if (recorder.state !== 'inactive') recorder.stop();
+            await stopped;
+            stream.getTracks().forEach(track => track.stop());
+        }
+
+        const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+        console.log(`✅ Recorded ${texts.length} affirmations: ${blob.size} bytes, ${elapsed().toFixed(1)}s`);
+        return { data: await blob.arrayBuffer(), mimeType: blob.type, segments };
+    }
+}
+
+/**
+ * Deterministic offline mock - same texts and tone always give the same bytes
+ * Each affirmation becomes a soft sine tone (pitch from the text, length from its length)
+ * voices: base frequency in Hz per tone
+ */
+export class MockTTSProvider extends TTSProvider {
+    constructor(options = {}) {
+        super(options);
+        this.sampleRate = options.sampleRate || 22050;
+        this.pauseBetween = options.pauseBetween ?? 0.5;
+        this.latency = options.latency ?? 0; // ms - simulate a slow backend for progress UIs
+    }
+
+    static get defaultVoices() {
+        return {
+            calming: 220,
+            grounding: 196,
+            energizing: 330,
+            uplifting: 294,
+            meditative: 174,
+            transformative: 262
+        };
+    }
+
+    get name() {
+        return 'mock';
+    }
+
+    describe() {
+        return 'Offline mock (deterministic tones)';
+    }
+
+    /**
+     * Small stable string hash (FNV-1a)
+     */
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    async synthesize({ texts, voice }) {
+        if (this.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latency));
+        }
+
+        const baseFrequency = typeof voice === 'number' ? voice : 220;
+        const parts = texts.map(text => ({
+            frequency: baseFrequency * (1 + (this.hash(text) % 12) / 24),
+            duration: Math.min(4, Math.max(1.5, text.length * 0.04))
+        }));
+
+        const totalDuration = parts.reduce((sum, part) => sum + part.duration + this.pauseBetween, 0);
+        const samples = new Float32Array(Math.ceil(totalDuration * this.sampleRate));
+        const fade = Math.floor(0.02 * this.sampleRate); // 20ms ramps avoid clicks
+        const segments = [];
+
+        let offset = 0;
+        parts.forEach(part => {
+            const length = Math.floor(part.duration * this.sampleRate);
+            for (let i = 0; i < length; i++) {
+                const envelope = Math.min(1, i / fade, (length - i) / fade);
+                samples[offset + i] = Math.sin(2 * Math.PI * part.frequency * i / this.sampleRate) * 0.3 * envelope;
+            }
+            segments.push({ startTime: offset / this.sampleRate, endTime: (offset + length) / this.sampleRate });
+            offset += length + Math.floor(this.pauseBetween * this.sampleRate);
+        });
+
+        return { data: this.encodeWAV(samples), mimeType: 'audio/wav', segments };
+    }
+
+    /**
+     * 16-bit mono PCM WAV
+     */
+    encodeWAV(samples) {
+        const buffer = new ArrayBuffer(44 + samples.length * 2);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + samples.length * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);                    // PCM
+        view.setUint16(22, 1, true);                    // Mono
+        view.setUint32(24, this.sampleRate, true);
+        view.setUint32(28, this.sampleRate * 2, true);  // Byte rate
+        view.setUint16(32, 2, true);                    // Block align
+        view.setUint16(34, 16, true);                   // Bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, samples.length * 2, true);
+
+        samples.forEach((sample, i) => {
+            const clamped = Math.max(-1, Math.min(1, sample));
+            view.setInt16(44 + i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF, true);
+        });
+
+        return buffer;
+    }
+}
+
+export const TTS_PROVIDERS = {
+    elevenlabs: ElevenLabsProvider,
+    speech: SpeechSynthesisProvider,
+    mock: MockTTSProvider
+};
+
+/**
+ * Create a provider by name ('elevenlabs' | 'speech' | 'mock')
+ */
+export function createTTSProvider(name, options = {}) {
+    const Provider = TTS_PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown TTS provider "${name}" - expected one of ${Object.keys(TTS_PROVIDERS).join(', ')}`);
+    }
+    return new Provider(options);
+}
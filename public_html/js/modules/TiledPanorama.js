@@ -0,0 +1,239 @@
+/**
+ * TiledPanorama.js
+ * Multi-resolution equirect photos too large for a single texture. The image is cut into a pyramid
+ * of levels, each a grid of tiles; only tiles in view are loaded, from the level matching the
+ * screen's pixel density, and drawn as sphere patches just inside the low-res preview sphere.
+ *
+ * Photo scene `tiles` config:
+ *   url: 'assets/photos/harbour/tiles/{level}/{row}_{col}.jpg' - level 0 is the smallest
+ *   tileSize: 512 (pixels, edge tiles may be smaller)
+ *   levels: [{ width: 2048, height: 1024 }, { width: 8192, height: 4096 }, ...]
+ *   preview: 'assets/photos/harbour/preview.jpg' - whole image, shown until tiles arrive
+ */
+
+import * as THREE from 'three';
+import { PHOTO_CONFIG, PROJECTION_CONFIG } from '../utils/constants.js';
+
+// Patch tessellation - same density as the preview sphere so the two stay flush
+const SEGMENT_ANGLE = (Math.PI * 2) / 60;
+
+/**
+ * Equirect direction for sphere angles (matches THREE.SphereGeometry)
+ */
+function directionFromAngles(phi, theta) {
+    return new THREE.Vector3(
+        -Math.cos(phi) * Math.sin(theta),
+        Math.cos(theta),
+        Math.sin(phi) * Math.sin(theta)
+    );
+}
+
+export class TiledPanorama {
+    /**
+     * @param {THREE.Object3D} parent - the panorama sphere, so tiles follow its VR rotation
+     * @param {Object} config - tile pyramid, see above
+     * @param {Object} options - overrides for PHOTO_CONFIG
+     */
+    constructor(parent, config, options = {}) {
+        this.parent = parent;
+        this.config = { ...PHOTO_CONFIG, ...options };
+        this.url = config.url;
+        this.tileSize = config.tileSize || 512;
+        this.levels = [...config.levels]
+            .sort((a, b) => a.width - b.width)
+            .map((level, index) => this.createLevel(level, index));
+
+        this.group = new THREE.Group();
+        parent.add(this.group);
+
+        this.loader = new THREE.TextureLoader();
+        this.tiles = new Map(); // 'level/row/col' -> { mesh, lastUsed, loading, failed }
+        this.loading = 0;
+        this.frame = 0;
+        this.disposed = false;
+
+        this.direction = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+        this.bufferSize = new THREE.Vector2();
+
+        console.log(`🧩 Tiled panorama: ${this.levels.map(level => `${level.width}×${level.height}`).join(', ')}`);
+    }
+
+    /**
+     * Grid of tile bounds for one level. Higher levels sit slightly closer so they draw over lower ones.
+     */
+    createLevel(level, index) {
+        const width = level.width;
+        const height = level.height || level.width / 2;
+        const columns = Math.ceil(width / this.tileSize);
+        const rows = Math.ceil(height / this.tileSize);
+        const tiles = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+                const x = col * this.tileSize;
+                const y = row * this.tileSize;
+                const phiStart = (x / width) * Math.PI * 2;
+                const phiLength = ((Math.min(x + this.tileSize, width) - x) / width) * Math.PI * 2;
+                const thetaStart = (y / height) * Math.PI;
+                const thetaLength = ((Math.min(y + this.tileSize, height) - y) / height) * Math.PI;
+
+                tiles.push({
+                    key: `${index}/${row}/${col}`,
+                    row,
+                    col,
+                    phiStart,
+                    phiLength,
+                    thetaStart,
+                    thetaLength,
+                    center: directionFromAngles(phiStart + phiLength / 2, thetaStart + thetaLength / 2),
+                    // Conservative angular radius - the patch's half-diagonal
+                    radius: Math.hypot(phiLength / 2, thetaLength / 2)
+                });
+            }
+        }
+
+        return {
+            index,
+            width,
+            height,
+            tiles,
+            sphereRadius: PROJECTION_CONFIG.sphereRadius * (0.99 - index * 0.002)
+        };
+    }
+
+    /**
+     * Smallest level with at least one image pixel per screen pixel (the largest if none is that sharp)
+     */
+    selectLevel(camera, renderer) {
+        let pixelsPerRadian;
+        if (renderer.xr.isPresenting) {
+            pixelsPerRadian = this.config.vrPixelsPerDegree * 180 / Math.PI;
+        } else {
+            renderer.getDrawingBufferSize(this.bufferSize);
+            pixelsPerRadian = this.bufferSize.y / THREE.MathUtils.degToRad(camera.fov);
+        }
+        return this.levels.find(level => level.width / (Math.PI * 2) >= pixelsPerRadian) || this.levels[this.levels.length - 1];
+    }
+
+    /**
+     * Angle from the view centre to the screen corner
+     */
+    getViewRadius(camera, renderer) {
+        const isVR = renderer.xr.isPresenting;
+        const tanV = Math.tan(THREE.MathUtils.degToRad(isVR ? this.config.vrFov : camera.fov) / 2);
+        const tanH = isVR ? tanV : tanV * camera.aspect;
+        return Math.atan(Math.hypot(tanV, tanH));
+    }
+
+    /**
+     * Call once per frame: queue tiles coming into view, drop ones not seen for a while
+     */
+    update(camera, renderer) {
+        if (this.disposed || this.levels.length === 0) return;
+        this.frame++;
+
+        // View direction in the sphere's space (it rotates in VR)
+        camera.getWorldDirection(this.direction);
+        this.parent.getWorldQuaternion(this.quaternion);
+        this.direction.applyQuaternion(this.quaternion.invert());
+
+        const level = this.selectLevel(camera, renderer);
+        const viewRadius = this.getViewRadius(camera, renderer);
+        const missing = [];
+
+        level.tiles.forEach(bounds => {
+            const angle = this.direction.angleTo(bounds.center);
+            if (angle > viewRadius + bounds.radius) return;
+
+            const tile = this.tiles.get(bounds.key);
+            if (tile) {
+                tile.lastUsed = this.frame;
+            } else {
+                missing.push({ bounds, angle });
+            }
+        });
+
+        // Closest to the view centre first
+        missing
+            .sort((a, b) => a.angle - b.angle)
+            .slice(0, Math.max(0, this.config.maxConcurrentLoads - this.loading))
+            .forEach(({ bounds }) => this.loadTile(level, bounds));
+
+        this.evictTiles();
+    }
+
+    loadTile(level, bounds) {
+        const tile = { mesh: null, lastUsed: this.frame, loading: true, failed: false };
+        this.tiles.set(bounds.key, tile);
+        this.loading++;
+
+        const url = this.url
+            .replace('{level}', level.index)
+            .replace('{row}', bounds.row)
+            .replace('{col}', bounds.col);
+
+        this.loader.load(url, (texture) => {
+            this.loading--;
+            tile.loading = false;
+
+            // Evicted or disposed while loading
+            if (this.disposed || this.tiles.get(bounds.key) !== tile) {
+                texture.dispose();
+                return;
+            }
+
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.minFilter = THREE.LinearFilter; // The level already matches screen density
+            texture.generateMipmaps = false;
+
+            const geometry = new THREE.SphereGeometry(
+                level.sphereRadius,
+                Math.max(2, Math.ceil(bounds.phiLength / SEGMENT_ANGLE)),
+                Math.max(2, Math.ceil(bounds.thetaLength / SEGMENT_ANGLE)),
+                bounds.phiStart,
+                bounds.phiLength,
+                bounds.thetaStart,
+                bounds.thetaLength
+            );
+            tile.mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ map: texture, side: THREE.BackSide }));
+            this.group.add(tile.mesh);
+        }, undefined, () => {
+            this.loading--;
+            tile.loading = false;
+            // Keep the entry so a missing tile isn't requested every frame - eviction allows a retry later
+            tile.failed = true;
+            console.warn(`⚠️ Panorama tile failed to load: ${url}`);
+        });
+    }
+
+    /**
+     * Least recently seen tiles go first once over maxTiles
+     */
+    evictTiles() {
+        const excess = this.tiles.size - this.config.maxTiles;
+        if (excess <= 0) return;
+
+        [...this.tiles.entries()]
+            .filter(([, tile]) => !tile.loading && tile.lastUsed < this.frame)
+            .sort((a, b) => a[1].lastUsed - b[1].lastUsed)
+            .slice(0, excess)
+            .forEach(([key, tile]) => this.removeTile(key, tile));
+    }
+
+    removeTile(key, tile) {
+        this.tiles.delete(key);
+        if (!tile.mesh) return;
+
+        this.group.remove(tile.mesh);
+        tile.mesh.geometry.dispose();
+        tile.mesh.material.map.dispose();
+        tile.mesh.material.dispose();
+    }
+
+    dispose() {
+        this.disposed = true;
+        this.tiles.forEach((tile, key) => this.removeTile(key, tile));
+        this.group.removeFromParent();
+    }
+}
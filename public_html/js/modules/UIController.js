@@ -45,10 +45,101 @@ export class UIController {
             this.toggleUIVisibility();
         });
         
+        // Magic window - look around by moving the phone
+        this.setupMagicWindowButton();
+        
+        // Gaze dwell selection - mode and dwell time
+        this.setupGazeButtons();
+        
         // Video time update
         this.setupTimeDisplay();
     }
     
+    setupMagicWindowButton() {
+        const magicWindow = this.player.magicWindow;
+        const controlsBar = document.getElementById('controls');
+        // Only where there is a gyroscope to drive it
+        if (!magicWindow || !magicWindow.isSupported() || !controlsBar) return;
+        
+        const button = document.createElement('button');
+        button.id = 'magicWindowBtn';
+        button.className = 'md-button';
+        button.innerHTML = '<span class="material-icons"></span>';
+        // A tap, so iOS can ask for motion access here
+        button.addEventListener('click', () => {
+            console.log('Magic window button clicked');
+            magicWindow.toggle();
+        });
+        controlsBar.insertBefore(button, document.getElementById('fullscreenBtn'));
+        
+        magicWindow.onChange = () => this.updateMagicWindowButton();
+        this.updateMagicWindowButton();
+    }
+    
+    updateMagicWindowButton() {
+        const button = document.getElementById('magicWindowBtn');
+        const magicWindow = this.player.magicWindow;
+        if (!button || !magicWindow) return;
+        
+        const enabled = magicWindow.enabled;
+        button.querySelector('.material-icons').textContent = enabled ? 'explore' : 'explore_off';
+        button.setAttribute('aria-pressed', String(enabled));
+        if (magicWindow.permission === 'denied') {
+            button.title = 'Motion access was denied - allow it in Settings to look around by moving the phone';
+        } else {
+            button.title = enabled ? 'Stop looking around by moving the phone' : 'Look around by moving the phone';
+        }
+    }
+    
+    setupGazeButtons() {
+        const gazeDwell = this.player.gazeDwell;
+        const controlsBar = document.getElementById('controls');
+        if (!gazeDwell || !controlsBar) return;
+        
+        const modeButton = document.createElement('button');
+        modeButton.id = 'gazeModeBtn';
+        modeButton.className = 'md-button';
+        modeButton.innerHTML = '<span class="material-icons"></span>';
+        modeButton.addEventListener('click', () => {
+            console.log('Gaze mode button clicked');
+            gazeDwell.cycleMode();
+        });
+        
+        const dwellButton = document.createElement('button');
+        dwellButton.id = 'dwellTimeBtn';
+        dwellButton.className = 'md-button';
+        dwellButton.innerHTML = '<span class="material-icons">timer</span><span class="dwell-time" style="font-size: 12px; margin-left: 2px;"></span>';
+        dwellButton.addEventListener('click', () => {
+            console.log('Dwell time button clicked');
+            gazeDwell.cycleDwellTime();
+        });
+        
+        const fullscreenBtn = document.getElementById('fullscreenBtn');
+        controlsBar.insertBefore(modeButton, fullscreenBtn);
+        controlsBar.insertBefore(dwellButton, fullscreenBtn);
+        this.updateGazeButtons();
+    }
+    
+    updateGazeButtons() {
+        const modeButton = document.getElementById('gazeModeBtn');
+        const dwellButton = document.getElementById('dwellTimeBtn');
+        const gazeDwell = this.player.gazeDwell;
+        if (!modeButton || !dwellButton || !gazeDwell) return;
+        
+        const icons = { auto: 'vrpano', on: 'visibility', off: 'visibility_off' };
+        const titles = {
+            auto: 'Gaze select: in the headset without controllers (click for always on)',
+            on: 'Gaze select: always on (click to turn off)',
+            off: 'Gaze select: off (click for headset only)'
+        };
+        modeButton.querySelector('.material-icons').textContent = icons[gazeDwell.mode];
+        modeButton.title = titles[gazeDwell.mode];
+        
+        const seconds = `${gazeDwell.dwellTime / 1000}s`;
+        dwellButton.querySelector('.dwell-time').textContent = seconds;
+        dwellButton.title = `Gaze dwell time: ${seconds} (click to change)`;
+    }
+    
     setupTimeDisplay() {
         const videoTimeEl = document.getElementById('videoTime');
         if (!videoTimeEl || !this.player) return;
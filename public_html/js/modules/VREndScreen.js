@@ -37,10 +37,14 @@ export default class VREndScreen {
             this.scene.remove(this.container);
         }
         
+        // Co-op/race rooms get an extra results block
+        this.roundSummary = window.app?.collaborative?.getRoundSummary() || null;
+        const height = this.roundSummary ? 2.14 : 1.8;
+        
         // Main container - larger panel for end screen
         this.container = new ThreeMeshUI.Block({
             width: 1.6,
-            height: 1.8,
+            height,
             padding: 0.05,
             justifyContent: 'start',
             contentDirection: 'column',
@@ -56,7 +60,7 @@ export default class VREndScreen {
         this.container.rotation.x = -0.1;
         
         // Add glow effect
-        const glowGeometry = new THREE.BoxGeometry(1.66, 1.86, 0.02);
+        const glowGeometry = new THREE.BoxGeometry(1.66, height + 0.06, 0.02);
         const glowMaterial = new THREE.MeshBasicMaterial({
             color: this.colors.primary,
             transparent: true,
@@ -78,6 +82,12 @@ export default class VREndScreen {
         // Spacer
         this.createSpacer(0.02);
         
+        // Co-op/race results (collaborative rooms only)
+        if (this.roundSummary) {
+            this.createRoundSummary(this.roundSummary);
+            this.createSpacer(0.02);
+        }
+        
         // Achievements section
         this.createAchievements();
         
@@ -134,7 +144,7 @@ export default class VREndScreen {
         });
         
         // Get hotspot stats
-        const totalHotspots = this.panoramaPlayer.hotspotManager?.hotspots?.length || 0;
+        const totalHotspots = this.panoramaPlayer.hotspotManager?.totalHotspots || 0;
         const discoveredHotspots = this.panoramaPlayer.hotspotManager?.discoveredHotspots?.size || 0;
         const completionRate = totalHotspots > 0 ? Math.round((discoveredHotspots / totalHotspots) * 100) : 0;
         
@@ -149,6 +159,41 @@ export default class VREndScreen {
         this.container.add(statsBlock);
     }
     
+    /**
+     * Round results for co-op/race rooms (from CollaborativeMode.getRoundSummary())
+     */
+    createRoundSummary(summary) {
+        const roundBlock = new ThreeMeshUI.Block({
+            width: 1.48,
+            height: 0.32,
+            padding: 0.02,
+            justifyContent: 'center',
+            contentDirection: 'column',
+            backgroundOpacity: 0.3,
+            backgroundColor: this.colors.background,
+            borderRadius: 0.02
+        });
+        
+        const standings = summary.standings.slice(0, 3)
+            .map((player, i) => `${i + 1}. ${player.name}${player.isYou ? ' (you)' : ''} - ${player.points}`)
+            .join('\n');
+        
+        roundBlock.add(new ThreeMeshUI.Text({
+            content: `${summary.icon} ${summary.label}: ${summary.headline}\n`,
+            fontSize: 0.045,
+            fontColor: this.colors.gold,
+            textAlign: 'center'
+        }));
+        roundBlock.add(new ThreeMeshUI.Text({
+            content: standings,
+            fontSize: 0.038,
+            fontColor: this.colors.text,
+            textAlign: 'center'
+        }));
+        
+        this.container.add(roundBlock);
+    }
+    
     createAchievements() {
         const achievementsBlock = new ThreeMeshUI.Block({
             width: 1.48,
@@ -247,6 +292,7 @@ export default class VREndScreen {
                 this.panoramaPlayer.video.currentTime = 0;
                 this.panoramaPlayer.video.play();
             }
+            window.app?.collaborative?.startRound();
         });
         
         // Gallery button
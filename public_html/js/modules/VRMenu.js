@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import ThreeMeshUI from 'https://unpkg.com/three-mesh-ui@6.5.4/build/three-mesh-ui.module.js';
+import { HAND_CONFIG } from '../utils/constants.js';
 
 /**
  * Modern VR Menu inspired by Meta Quest OS and Shapes XR
@@ -10,7 +11,6 @@ export default class VRMenu {
         this.scene = scene;
         this.camera = camera;
         this.panoramaPlayer = panoramaPlayer;
-        this.video = panoramaPlayer.video; // Keep video reference for compatibility
         
         this.container = null;
         this.isVisible = false;
@@ -32,6 +32,13 @@ export default class VRMenu {
         
         this.createMenu();
     }
+
+    /**
+     * Live reference - PanoramaPlayer swaps <video> elements between videos and quality rungs
+     */
+    get video() {
+        return this.panoramaPlayer.video;
+    }
     
     createMenu() {
         console.log('🎨 Creating modern VR menu with three-mesh-ui...');
@@ -39,7 +46,7 @@ export default class VRMenu {
         // Main container - floating panel (optimized height for content)
         this.container = new ThreeMeshUI.Block({
             width: 1.4,
-            height: 1.35,
+            height: 2.31,
             padding: 0.04,
             justifyContent: 'start',
             contentDirection: 'column',
@@ -51,11 +58,10 @@ export default class VRMenu {
         });
         
         // Position menu in front of user
-        this.container.position.set(0, 1.55, -2.2);
-        this.container.rotation.x = -0.15; // Slight tilt for better viewing angle
+        this.resetPlacement();
         
         // Add subtle glow effect
-        const glowGeometry = new THREE.BoxGeometry(1.46, 1.41, 0.02);
+        const glowGeometry = new THREE.BoxGeometry(1.46, 2.37, 0.02);
         const glowMaterial = new THREE.MeshBasicMaterial({
             color: this.colors.primary,
             transparent: true,
@@ -83,6 +89,24 @@ export default class VRMenu {
         // Spacer
         this.createSpacer(0.02);
         
+        // Captions section
+        this.createCaptionControls();
+        
+        // Spacer
+        this.createSpacer(0.02);
+        
+        // Comfort section
+        this.createComfortControls();
+        
+        // Spacer
+        this.createSpacer(0.02);
+        
+        // Gaze selection section
+        this.createGazeControls();
+        
+        // Spacer
+        this.createSpacer(0.02);
+        
         // Footer hint
         this.createFooter();
         
@@ -217,7 +241,7 @@ export default class VRMenu {
         
         this.createSpacer(0.02);
         
-        // Navigation buttons - only Exit VR button, centered
+        // Navigation buttons - scene history (tours/portals) around Exit VR
         const navRow = new ThreeMeshUI.Block({
             width: 1.28,
             height: 0.16,
@@ -227,15 +251,153 @@ export default class VRMenu {
             margin: 0.01
         });
         
-        const exitButton = this.createButton('Exit VR', 0.5, () => {
+        const backButton = this.createButton('Back', 0.34, () => {
+            this.onBackClick();
+        }, this.colors.hover);
+        navRow.add(backButton);
+        this.buttons.push({ button: backButton, action: 'back' });
+        
+        const exitButton = this.createButton('Exit VR', 0.4, () => {
             this.onExitVRClick();
         }, this.colors.secondary);
         navRow.add(exitButton);
         this.buttons.push({ button: exitButton, action: 'exitVR' });
         
+        const forwardButton = this.createButton('Forward', 0.34, () => {
+            this.onForwardClick();
+        }, this.colors.hover);
+        navRow.add(forwardButton);
+        this.buttons.push({ button: forwardButton, action: 'forward' });
+        
         this.container.add(navRow);
     }
     
+    createCaptionControls() {
+        const label = this.createLabel('Captions');
+        this.container.add(label);
+        
+        this.createSpacer(0.02);
+        
+        const captionRow = new ThreeMeshUI.Block({
+            width: 1.28,
+            height: 0.16,
+            contentDirection: 'row',
+            justifyContent: 'center',
+            backgroundOpacity: 0,
+            margin: 0.01
+        });
+        
+        const captionsButton = this.createButton(this.getCaptionsText(), 0.5, () => {
+            this.onCaptionsClick();
+        }, this.colors.primary);
+        captionRow.add(captionsButton);
+        this.buttons.push({ button: captionsButton, action: 'captions' });
+        
+        const placementButton = this.createButton(this.getCaptionPlacementText(), 0.56, () => {
+            this.onCaptionPlacementClick();
+        }, this.colors.hover);
+        captionRow.add(placementButton);
+        this.buttons.push({ button: placementButton, action: 'captionPlacement' });
+        
+        this.container.add(captionRow);
+    }
+    
+    createComfortControls() {
+        const label = this.createLabel('Comfort');
+        this.container.add(label);
+        
+        this.createSpacer(0.02);
+        
+        const comfortRow = new ThreeMeshUI.Block({
+            width: 1.28,
+            height: 0.16,
+            contentDirection: 'row',
+            justifyContent: 'center',
+            backgroundOpacity: 0,
+            margin: 0.01
+        });
+        
+        const turnButton = this.createButton(this.getTurnModeText(), 0.4, () => {
+            this.onTurnModeClick();
+        }, this.colors.primary);
+        comfortRow.add(turnButton);
+        this.buttons.push({ button: turnButton, action: 'turnMode' });
+        
+        const vignetteButton = this.createButton(this.getVignetteText(), 0.4, () => {
+            this.onVignetteClick();
+        }, this.colors.hover);
+        comfortRow.add(vignetteButton);
+        this.buttons.push({ button: vignetteButton, action: 'vignette' });
+        
+        const recenterButton = this.createButton('Recenter', 0.36, () => {
+            this.onRecenterClick();
+        }, this.colors.hover);
+        comfortRow.add(recenterButton);
+        this.buttons.push({ button: recenterButton, action: 'recenter' });
+        
+        this.container.add(comfortRow);
+    }
+    
+    createGazeControls() {
+        const label = this.createLabel('Gaze Select');
+        this.container.add(label);
+        
+        this.createSpacer(0.02);
+        
+        const gazeRow = new ThreeMeshUI.Block({
+            width: 1.28,
+            height: 0.16,
+            contentDirection: 'row',
+            justifyContent: 'center',
+            backgroundOpacity: 0,
+            margin: 0.01
+        });
+        
+        const modeButton = this.createButton(this.getGazeModeText(), 0.5, () => {
+            this.onGazeModeClick();
+        }, this.colors.primary);
+        gazeRow.add(modeButton);
+        this.buttons.push({ button: modeButton, action: 'gazeMode' });
+        
+        const dwellButton = this.createButton(this.getDwellTimeText(), 0.5, () => {
+            this.onDwellTimeClick();
+        }, this.colors.hover);
+        gazeRow.add(dwellButton);
+        this.buttons.push({ button: dwellButton, action: 'dwellTime' });
+        
+        this.container.add(gazeRow);
+    }
+    
+    getGazeModeText() {
+        const gazeDwell = this.panoramaPlayer.gazeDwell;
+        return gazeDwell ? gazeDwell.describeMode() : 'Gaze Auto';
+    }
+    
+    getDwellTimeText() {
+        const gazeDwell = this.panoramaPlayer.gazeDwell;
+        return gazeDwell ? gazeDwell.describeDwellTime() : 'Dwell 1.5s';
+    }
+    
+    getTurnModeText() {
+        const comfort = this.panoramaPlayer.comfort;
+        return comfort ? comfort.describeTurnMode() : 'Snap Turn';
+    }
+    
+    getVignetteText() {
+        const comfort = this.panoramaPlayer.comfort;
+        return comfort && !comfort.vignette ? 'Vignette Off' : 'Vignette On';
+    }
+    
+    getCaptionsText() {
+        const captions = this.panoramaPlayer.captions;
+        return captions && captions.enabled ? 'Captions On' : 'Captions Off';
+    }
+    
+    getCaptionPlacementText() {
+        const captions = this.panoramaPlayer.captions;
+        return captions && captions.placement === 'world-anchored' ? 'Fixed in World' : 'Follow Head';
+    }
+    
     createLabel(text) {
         const label = new ThreeMeshUI.Block({
             width: 1.28,
@@ -332,6 +494,48 @@ export default class VRMenu {
         this.updateButtonStates();
     }
     
+    onCaptionsClick() {
+        if (this.panoramaPlayer.captions) {
+            this.panoramaPlayer.captions.toggle();
+        }
+    }
+    
+    onCaptionPlacementClick() {
+        if (this.panoramaPlayer.captions) {
+            this.panoramaPlayer.captions.togglePlacement();
+        }
+    }
+    
+    onTurnModeClick() {
+        if (this.panoramaPlayer.comfort) {
+            this.panoramaPlayer.comfort.cycleTurnMode();
+        }
+    }
+    
+    onVignetteClick() {
+        if (this.panoramaPlayer.comfort) {
+            this.panoramaPlayer.comfort.toggleVignette();
+        }
+    }
+    
+    onRecenterClick() {
+        if (this.panoramaPlayer.comfort) {
+            this.panoramaPlayer.comfort.recenter();
+        }
+    }
+    
+    onGazeModeClick() {
+        if (this.panoramaPlayer.gazeDwell) {
+            this.panoramaPlayer.gazeDwell.cycleMode();
+        }
+    }
+    
+    onDwellTimeClick() {
+        if (this.panoramaPlayer.gazeDwell) {
+            this.panoramaPlayer.gazeDwell.cycleDwellTime();
+        }
+    }
+    
     onRestartClick() {
         if (this.video) {
             this.video.currentTime = 0;
@@ -408,6 +612,23 @@ export default class VRMenu {
         }
     }
     
+    // Scene history - the same entries as the browser's back/forward, kept within the tour
+    onBackClick() {
+        const sceneManager = window.app && window.app.sceneManager;
+        if (sceneManager && sceneManager.canGoBack()) {
+            console.log('⬅️ Previous scene');
+            sceneManager.goBack();
+        }
+    }
+    
+    onForwardClick() {
+        const sceneManager = window.app && window.app.sceneManager;
+        if (sceneManager && sceneManager.canGoForward()) {
+            console.log('➡️ Next scene in history');
+            sceneManager.goForward();
+        }
+    }
+    
     onExitVRClick() {
         console.log('🚪 Exiting VR...');
         // Get the WebXR session from window.panoramaPlayer
@@ -435,6 +656,18 @@ export default class VRMenu {
                 newContent = this.video && !this.video.paused ? 'Pause' : 'Play';
             } else if (action === 'mute') {
                 newContent = this.video && this.video.muted ? 'Unmute' : 'Mute';
+            } else if (action === 'captions') {
+                newContent = this.getCaptionsText();
+            } else if (action === 'captionPlacement') {
+                newContent = this.getCaptionPlacementText();
+            } else if (action === 'turnMode') {
+                newContent = this.getTurnModeText();
+            } else if (action === 'vignette') {
+                newContent = this.getVignetteText();
+            } else if (action === 'gazeMode') {
+                newContent = this.getGazeModeText();
+            } else if (action === 'dwellTime') {
+                newContent = this.getDwellTimeText();
             }
             
             // Update content using set() method which triggers a refresh
@@ -467,10 +700,34 @@ export default class VRMenu {
         if (this.container) {
             this.container.visible = false;
             this.isVisible = false;
+            this.resetPlacement(); // A menu brought within reach goes back for the next time
             console.log('👁️ VR Menu hidden');
         }
     }
     
+    // Floating in front of the user, out of reach - pointed at with a ray
+    resetPlacement() {
+        this.container.position.set(0, 1.55, -2.2);
+        this.container.rotation.set(-0.15, 0, 0, 'YXZ'); // Slight tilt for better viewing angle
+        this.container.scale.setScalar(1);
+    }
+    
+    // Small and at arm's length, facing where the user looks, so a fingertip can press the buttons
+    // (hand tracking - see HandTracking.js). Stays there until the menu is hidden
+    placeWithinReach(camera) {
+        if (!this.container) return;
+        
+        const position = new THREE.Vector3();
+        const heading = new THREE.Euler().setFromQuaternion(camera.getWorldQuaternion(new THREE.Quaternion()), 'YXZ');
+        camera.getWorldPosition(position);
+        
+        const forward = new THREE.Vector3(0, 0, -HAND_CONFIG.menuReachDistance).applyAxisAngle(new THREE.Vector3(0, 1, 0), heading.y);
+        this.container.position.copy(position).add(forward);
+        this.container.position.y -= HAND_CONFIG.menuReachDrop;
+        this.container.rotation.set(-0.35, heading.y, 0, 'YXZ'); // Tilted back towards the eyes
+        this.container.scale.setScalar(HAND_CONFIG.menuReachScale);
+    }
+    
     toggle() {
         if (this.isVisible) {
             this.hide();
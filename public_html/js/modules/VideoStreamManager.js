@@ -2,17 +2,85 @@
  * VideoStreamManager.js
  * Handles adaptive video streaming for WebXR 360° experiences
  * Supports HLS streaming and quality switching based on device/bandwidth
+ * Streaming order: native HLS (Safari) > HLS/DASH via Media Source Extensions > progressive MP4
+ * AdaptiveBitrateController moves between quality rungs during playback
  */
 
+import { MediaSourceStreamer } from './MediaSourceStreamer.js';
+import { AdaptiveBitrateController } from './AdaptiveBitrateController.js';
+import { ABR_CONFIG } from '../utils/constants.js';
+
+/**
+ * Resolve on the next `type` event; reject on a media error or after `timeout` ms
+ */
+function waitForEvent(target, type, timeout) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            clearTimeout(timer);
+            target.removeEventListener(type, onEvent);
+            target.removeEventListener('error', onError);
+        };
+        const onEvent = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = () => {
+            cleanup();
+            reject(new Error(target.error?.message || `Media error while waiting for ${type}`));
+        };
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error(`Timed out waiting for ${type}`));
+        }, timeout);
+        
+        target.addEventListener(type, onEvent);
+        target.addEventListener('error', onError);
+    });
+}
+
+/**
+ * Resolve when a playing video reaches `time` (or stalls before it); reject if it pauses or seeks
+ * Polls with timers - window.requestAnimationFrame doesn't run during immersive WebXR sessions
+ */
+function waitForPlayhead(video, time, timeout) {
+    return new Promise((resolve, reject) => {
+        const started = performance.now();
+        const timer = setInterval(() => {
+            if (video.paused || video.seeking) {
+                clearInterval(timer);
+                reject(new Error('Playback paused or seeked during swap'));
+            } else if (video.currentTime >= time - 0.02 || video.readyState < 3) {
+                clearInterval(timer);
+                resolve();
+            } else if (performance.now() - started > timeout) {
+                clearInterval(timer);
+                reject(new Error('Playhead did not reach the cue point'));
+            }
+        }, 10);
+    });
+}
+
 class VideoStreamManager {
     constructor() {
         this.videos = new Map();
         this.currentVideo = null;
         this.currentQuality = 'auto';
         this.videoCache = new Map();
+        this.videoInfo = new Map(); // info.json promises by video name
         this.preloadQueue = [];
         this.isVR = false;
         
+        // MSE streamers by video element
+        this.streamers = new Map();
+        this.streamingEnabled = new URLSearchParams(window.location.search).get('streaming') !== 'off';
+        
+        // Adaptive bitrate
+        this.adaptive = null;
+        this.pinnedQuality = null; // Set by a manual changeQuality() - ABR leaves it alone
+        this.maxQuality = '4k';
+        this.unavailableQualities = new Set(); // MP4 rungs of the current video ABR must skip
+        this.onVideoSwap = null; // (video, previous) - the playing element was replaced by another rung
+        
         // Video quality configurations
         this.qualities = {
             '4k': { width: 3840, height: 1920, bitrate: 15000000 },
@@ -37,6 +105,7 @@ class VideoStreamManager {
         // Mobile devices get 720p max for better performance
         if (isMobile) {
             this.currentQuality = '720p';
+            this.maxQuality = '720p';
             console.log('📱 Mobile device detected, using 720p quality');
             return;
         }
@@ -77,9 +146,16 @@ class VideoStreamManager {
     }
 
     /**
-     * Load video metadata from info.json
+     * Load video metadata from info.json (fetched once per video)
      */
-    async loadVideoInfo(videoName) {
+    loadVideoInfo(videoName) {
+        if (!this.videoInfo.has(videoName)) {
+            this.videoInfo.set(videoName, this.fetchVideoInfo(videoName));
+        }
+        return this.videoInfo.get(videoName);
+    }
+
+    async fetchVideoInfo(videoName) {
         const infoURL = `${this.getVideoBaseURL()}${videoName}/info.json`;
         try {
             const response = await fetch(infoURL);
@@ -106,7 +182,9 @@ class VideoStreamManager {
         video.loop = false; // Disable loop so end screen can show
         video.muted = true; // Start muted for autoplay
         video.playsInline = true;
-        video.src = src;
+        if (src) {
+            video.src = src; // MSE streams attach their own source
+        }
         
         // Add error handling
         video.addEventListener('error', (e) => {
@@ -150,6 +228,78 @@ class VideoStreamManager {
         return video.canPlayType('application/vnd.apple.mpegurl') !== '';
     }
 
+    /**
+     * Segmented stream for a video, from info.json ("hls.master" / "dash.manifest")
+     * Without info.json the conventional master.m3u8 is tried
+     * @returns {Promise<{type: string, url: string}|null>}
+     */
+    async getStreamingSource(videoName) {
+        const baseURL = `${this.getVideoBaseURL()}${videoName}/`;
+        const info = await this.loadVideoInfo(videoName);
+        
+        if (this.supportsHLS()) {
+            // Native HLS - Safari handles adaptation itself
+            return { type: 'native-hls', url: baseURL + (info?.hls?.master || 'master.m3u8') };
+        }
+        if (!MediaSourceStreamer.isSupported()) {
+            return null;
+        }
+        
+        if (info?.dash?.manifest) {
+            return { type: 'dash', url: baseURL + info.dash.manifest };
+        }
+        if (!info || info.hls?.master) {
+            return { type: 'hls', url: baseURL + (info?.hls?.master || 'master.m3u8') };
+        }
+        return null;
+    }
+
+    /**
+     * Create a video element fed by MSE; rejects if the stream can't be played here
+     */
+    async createStreamingVideo(videoName, source) {
+        const streamer = new MediaSourceStreamer(source.url, {
+            startHeight: this.qualities[this.currentQuality]?.height
+        });
+        await streamer.load();
+        
+        const video = this.createVideoElement(null, 'auto');
+        video.dataset.videoName = videoName;
+        streamer.onError = () => this.fallbackToMP4(video, videoName);
+        await streamer.attach(video);
+        
+        this.streamers.set(video, streamer);
+        video.addEventListener('emptied', () => this.streamers.delete(video), { once: true });
+        return video;
+    }
+
+    /**
+     * MSE failed mid-playback - switch the same element to the MP4 rung, keeping position
+     * (same element, so PanoramaPlayer's VideoTexture keeps working)
+     */
+    fallbackToMP4(video, videoName) {
+        const currentTime = video.currentTime;
+        const wasPlaying = !video.paused;
+        console.warn(`⚠️ Streaming failed for ${videoName}, falling back to MP4 (${this.currentQuality})`);
+        
+        this.streamers.delete(video);
+        video.src = this.getVideoURL(videoName, this.currentQuality);
+        video.dataset.quality = this.currentQuality;
+        video.addEventListener('loadedmetadata', () => {
+            video.currentTime = currentTime;
+            if (wasPlaying) {
+                video.play().catch(error => console.warn('Resume after fallback prevented:', error));
+            }
+        }, { once: true });
+    }
+
+    /**
+     * MSE streamer feeding a video element (null for native HLS / MP4)
+     */
+    getStreamer(video = this.currentVideo) {
+        return video ? this.streamers.get(video) || null : null;
+    }
+
     /**
      * Preload a video
      */
@@ -157,17 +307,43 @@ class VideoStreamManager {
         const cacheKey = `${videoName}_${quality || this.currentQuality}`;
         
         if (this.videoCache.has(cacheKey)) {
-            console.log(`✅ Video cached: ${videoName}`);
-            return this.videoCache.get(cacheKey);
+            const cached = this.videoCache.get(cacheKey);
+            // PanoramaPlayer empties videos it is done with - those can't be reused
+            if (cached.getAttribute('src')) {
+                console.log(`✅ Video cached: ${videoName}`);
+                return cached;
+            }
+            this.videoCache.delete(cacheKey);
         }
 
         console.log(`⏳ Preloading video: ${videoName} (${quality || this.currentQuality})`);
         
-        const videoURL = this.getVideoURL(videoName, quality);
-        const video = this.createVideoElement(videoURL, quality || this.currentQuality);
+        // Adaptive streaming unless a fixed quality was asked for
+        let video = null;
+        const source = !quality && this.streamingEnabled ? await this.getStreamingSource(videoName) : null;
+        if (source?.type === 'native-hls') {
+            video = this.createVideoElement(source.url, 'auto');
+        } else if (source) {
+            try {
+                video = await this.createStreamingVideo(videoName, source);
+            } catch (error) {
+                console.warn(`⚠️ ${source.type.toUpperCase()} streaming unavailable for ${videoName}, using MP4:`, error.message);
+            }
+        }
+        
+        const videoURL = video ? video.src : this.getVideoURL(videoName, quality);
+        if (!video) {
+            video = this.createVideoElement(videoURL, quality || this.currentQuality);
+        }
+        video.dataset.videoName = videoName;
 
         // Wait for metadata to load
-        await new Promise((resolve, reject) => {
+        const loaded = new Promise((resolve, reject) => {
+            if (video.readyState >= 1) {
+                resolve();
+                return;
+            }
+            
             video.addEventListener('loadedmetadata', () => {
                 console.log(`✅ Metadata loaded: ${videoName} (${video.videoWidth}x${video.videoHeight})`);
                 resolve();
@@ -181,6 +357,19 @@ class VideoStreamManager {
             // Increased timeout to 30 seconds for large 360 videos
             setTimeout(() => reject(new Error(`Preload timeout after 30s: ${videoURL}`)), 30000);
         });
+        
+        try {
+            await loaded;
+        } catch (error) {
+            if (!source) throw error;
+            
+            // Stream didn't start (e.g. no playlist on the server) - use the MP4 rung instead
+            console.warn(`⚠️ Stream failed to load for ${videoName}, using MP4:`, error.message);
+            this.getStreamer(video)?.destroy();
+            video.removeAttribute('src');
+            video.load();
+            return this.preloadVideo(videoName, this.currentQuality);
+        }
 
         this.videoCache.set(cacheKey, video);
         return video;
@@ -202,6 +391,7 @@ class VideoStreamManager {
         try {
             const video = await this.preloadVideo(videoName, quality);
             this.currentVideo = video;
+            this.unavailableQualities = await this.getUnavailableQualities(videoName);
 
             // Start playing
             const playPromise = video.play();
@@ -219,7 +409,7 @@ class VideoStreamManager {
     }
 
     /**
-     * Change quality of current video
+     * Change quality of current video (manual choice - pauses ABR until enableAdaptiveQuality())
      */
     async changeQuality(quality) {
         if (!this.qualities[quality]) {
@@ -228,41 +418,191 @@ class VideoStreamManager {
         }
 
         console.log(`🎬 Changing quality to: ${quality}`);
+        this.pinnedQuality = quality;
         
-        const currentTime = this.currentVideo ? this.currentVideo.currentTime : 0;
-        const wasPlaying = this.currentVideo ? !this.currentVideo.paused : false;
-        const currentVideoName = this.getCurrentVideoName();
-
-        if (!currentVideoName) {
+        if (!this.getCurrentVideoName()) {
             console.error('No video currently playing');
             return false;
         }
+        return this.switchQuality(quality);
+    }
 
-        // Load new quality version
+    /**
+     * Move the current video to another rung: a variant switch for MSE streams,
+     * a seamless element hot-swap for MP4 (native HLS adapts by itself)
+     */
+    async switchQuality(quality) {
+        const streamer = this.getStreamer();
+        if (streamer) {
+            streamer.setVariant(this.getVariantIndex(streamer, quality));
+            this.currentQuality = quality;
+            return true;
+        }
+        
+        if (!this.currentVideo || !this.qualities[this.currentVideo.dataset.quality]) {
+            return false;
+        }
+        return this.hotSwapQuality(quality);
+    }
+
+    /**
+     * Stream variant closest in height to a quality rung
+     */
+    getVariantIndex(streamer, quality) {
+        const targetHeight = this.qualities[quality].height;
+        const variants = streamer.getVariants();
+        return variants.reduce((best, variant, i) =>
+            Math.abs(variant.height - targetHeight) < Math.abs(variants[best].height - targetHeight) ? i : best, 0);
+    }
+
+    /**
+     * Replace the playing MP4 with another rung without a visible stall or audio gap:
+     * the rung loads in a hidden element cued just ahead of the playhead, starts when the
+     * playhead gets there, takes over the texture (onVideoSwap) and crossfades the audio
+     */
+    async hotSwapQuality(quality) {
+        const previous = this.currentVideo;
+        const videoName = this.getCurrentVideoName();
+        if (previous.dataset.quality === quality) {
+            this.currentQuality = quality;
+            return true;
+        }
+        
+        const next = this.createVideoElement(this.getVideoURL(videoName, quality), quality);
+        next.dataset.videoName = videoName;
+        next.setAttribute('preload', 'auto');
+        next.style.display = 'none';
+        document.body.appendChild(next);
+        
         try {
-            const video = await this.preloadVideo(currentVideoName, quality);
-            video.currentTime = currentTime;
+            await waitForEvent(next, 'loadedmetadata', ABR_CONFIG.swapTimeout);
+            if (Math.abs(next.duration - previous.duration) > 1) {
+                this.unavailableQualities.add(quality);
+                throw new Error(`${quality} is a ${Math.round(next.duration)}s clip, not the full video`);
+            }
             
-            if (wasPlaying) {
-                await video.play();
+            // A paused video is matched exactly; a playing one is met at the cue point
+            const playing = !previous.paused;
+            const target = Math.min(previous.currentTime + (playing ? ABR_CONFIG.swapLead : 0), next.duration);
+            next.currentTime = target;
+            await waitForEvent(next, 'seeked', ABR_CONFIG.swapTimeout);
+            if (next.readyState < 3) {
+                await waitForEvent(next, 'canplay', ABR_CONFIG.swapTimeout);
             }
-
-            this.currentVideo = video;
-            this.currentQuality = quality;
             
-            console.log(`✅ Quality changed to: ${quality}`);
-            return true;
+            if (this.currentVideo !== previous) throw new Error('Video changed during swap');
+            if (playing) {
+                if (previous.currentTime > target) throw new Error('Playhead passed the cue point while loading');
+                await waitForPlayhead(previous, target, ABR_CONFIG.swapTimeout);
+                await next.play();
+                
+                // Unmuting without a user gesture pauses the element in some browsers - keep the old one then
+                next.volume = 0;
+                next.muted = previous.muted;
+                if (next.paused) throw new Error('Unmuted playback was blocked');
+            } else {
+                if (!previous.paused || Math.abs(previous.currentTime - target) > 0.1) throw new Error('Playback moved during swap');
+                next.muted = previous.muted;
+            }
+            if (this.currentVideo !== previous) throw new Error('Video changed during swap');
         } catch (error) {
-            console.error('Failed to change quality:', error);
+            console.warn(`⚠️ Quality swap to ${quality} abandoned:`, error.message);
+            this.releaseVideo(next);
             return false;
         }
+        
+        // Hand over the texture first, then retire the old element once the audio has crossfaded
+        this.currentVideo = next;
+        this.currentQuality = quality;
+        this.videoCache.set(`${videoName}_${quality}`, next);
+        if (this.onVideoSwap) {
+            this.onVideoSwap(next, previous);
+        }
+        
+        await this.crossfadeAudio(previous, next);
+        this.releaseVideo(previous);
+        
+        console.log(`✅ Quality changed to: ${quality}`);
+        return true;
+    }
+
+    /**
+     * Fade the outgoing element's audio into the incoming one (timer-driven, works in WebXR)
+     */
+    crossfadeAudio(from, to) {
+        const volume = from.volume;
+        if (from.paused || from.muted || ABR_CONFIG.crossfade <= 0) {
+            to.volume = volume;
+            return Promise.resolve();
+        }
+        
+        return new Promise(resolve => {
+            const started = performance.now();
+            const timer = setInterval(() => {
+                const progress = Math.min(1, (performance.now() - started) / ABR_CONFIG.crossfade);
+                to.volume = volume * progress;
+                from.volume = volume * (1 - progress);
+                if (progress >= 1) {
+                    clearInterval(timer);
+                    resolve();
+                }
+            }, 25);
+        });
+    }
+
+    /**
+     * Stop and detach an element that is no longer needed
+     */
+    releaseVideo(video) {
+        this.videoCache.forEach((cached, key) => {
+            if (cached === video) this.videoCache.delete(key);
+        });
+        video.pause();
+        video.removeAttribute('src');
+        video.load();
+        video.remove();
+    }
+
+    /**
+     * MP4 rungs ABR must skip: missing from info.json, or short clips (the 60s preview)
+     */
+    async getUnavailableQualities(videoName) {
+        const unavailable = new Set();
+        const info = await this.loadVideoInfo(videoName);
+        if (!info?.qualities) return unavailable;
+        
+        Object.keys(this.qualities).forEach(quality => {
+            const entry = info.qualities[quality];
+            if (!entry || entry.duration) unavailable.add(quality);
+        });
+        return unavailable;
+    }
+
+    /**
+     * Rungs ABR may use for the current video, lowest bitrate first
+     * Streams are rated by the matching variant's bandwidth, MP4 rungs by their nominal bitrate
+     */
+    getLadder() {
+        const streamer = this.getStreamer();
+        const maxBitrate = this.qualities[this.maxQuality].bitrate;
+        
+        return Object.entries(this.qualities)
+            .filter(([quality, config]) => config.bitrate <= maxBitrate &&
+                (streamer || quality === this.currentQuality || !this.unavailableQualities.has(quality)))
+            .map(([quality, config]) => ({
+                quality,
+                bitrate: streamer ? streamer.getVariants()[this.getVariantIndex(streamer, quality)].bandwidth || config.bitrate : config.bitrate
+            }))
+            .sort((a, b) => a.bitrate - b.bitrate);
     }
 
     /**
      * Get the name of the currently playing video
      */
     getCurrentVideoName() {
-        if (!this.currentVideo || !this.currentVideo.src) return null;
+        if (!this.currentVideo) return null;
+        if (this.currentVideo.dataset.videoName) return this.currentVideo.dataset.videoName;
+        if (!this.currentVideo.src) return null;
         
         const matches = this.currentVideo.src.match(/\/([^\/]+)\/[^\/]+\.mp4$/);
         return matches ? matches[1] : null;
@@ -294,6 +634,10 @@ class VideoStreamManager {
      * Clean up resources
      */
     dispose() {
+        this.adaptive?.stop();
+        this.streamers.forEach(streamer => streamer.destroy());
+        this.streamers.clear();
+        
         if (this.currentVideo) {
             this.currentVideo.pause();
             this.currentVideo.src = '';
@@ -323,28 +667,31 @@ class VideoStreamManager {
     }
 
     /**
-     * Monitor network conditions and adjust quality
+     * Adapt quality to measured throughput and buffer health during playback
+     * Also resumes ABR after a manual changeQuality()
      */
     enableAdaptiveQuality() {
-        if (!navigator.connection) return;
-
-        navigator.connection.addEventListener('change', () => {
-            const effectiveType = navigator.connection.effectiveType;
-            let recommendedQuality = this.currentQuality;
-
-            if (effectiveType === '4g' || effectiveType === 'wifi') {
-                recommendedQuality = '1080p';
-            } else if (effectiveType === '3g') {
-                recommendedQuality = '720p';
-            } else {
-                recommendedQuality = 'preview';
+        this.pinnedQuality = null;
+        
+        if (!this.adaptive) {
+            this.adaptive = new AdaptiveBitrateController(this);
+            
+            // New network - measure again instead of trusting the old link's numbers
+            if (navigator.connection) {
+                navigator.connection.addEventListener('change', () => {
+                    console.log(`📡 Network changed to ${navigator.connection.effectiveType}, re-measuring throughput`);
+                    this.adaptive.reset();
+                });
             }
+        }
+        this.adaptive.start();
+    }
 
-            if (recommendedQuality !== this.currentQuality) {
-                console.log(`📡 Network changed to ${effectiveType}, recommending ${recommendedQuality}`);
-                // You could auto-switch here or notify the user
-            }
-        });
+    /**
+     * Stop ABR while no processed video is showing (photo scenes)
+     */
+    disableAdaptiveQuality() {
+        this.adaptive?.stop();
     }
 }
 
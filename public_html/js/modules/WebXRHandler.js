@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { HandTracking } from './HandTracking.js';
 
 export class WebXRHandler {
     constructor(renderer) {
@@ -9,7 +10,7 @@ export class WebXRHandler {
         this.referenceSpace = null;
         this.controllers = [];
         this.controllerGrips = [];
-        this.handModels = [];
+        this.handTracking = null; // Pinch, poke and palm-up menu - see setupHandTracking()
         
         // Button state tracking for VR controllers
         this.aButtonPressed = false;
@@ -277,7 +278,7 @@ export class WebXRHandler {
                 options.optionalFeatures.push('hand-tracking');
             }
             
-            // Add layers for better video performance (if supported)
+            // Add layers for sharper video on a media layer (if supported) - see XRMediaLayer.js
             if (this.supportsLayers) {
                 options.optionalFeatures.push('layers');
             }
@@ -285,8 +286,8 @@ export class WebXRHandler {
             // Meta Quest specific features
             options.optionalFeatures.push('viewer', 'local');
         } else {
-            // Generic WebXR features for other devices
-            options.optionalFeatures.push('local-floor', 'local', 'viewer', 'bounded-floor');
+            // Generic WebXR features for other devices (layers: video on a media layer, see XRMediaLayer.js)
+            options.optionalFeatures.push('local-floor', 'local', 'viewer', 'bounded-floor', 'layers');
         }
 
         return options;
@@ -524,6 +525,12 @@ export class WebXRHandler {
                     gamepadButtons: inputSource.gamepad?.buttons?.length
                 });
                 
+                // Tracked hands get joint spheres and a pinch ray from HandTracking instead
+                if (inputSource.hand) {
+                    console.log(`✋ [DEBUG] Controller ${i} is a tracked hand - no controller model`);
+                    return;
+                }
+                
                 // Determine color based on controller index (not handedness, since WebXR mapping varies)
                 // Controller 0 = LEFT = RED (0xff0000)
                 // Controller 1 = RIGHT = GREEN (0x00ff00)
@@ -570,6 +577,8 @@ export class WebXRHandler {
         
         console.log(`✅ [DEBUG] ${this.controllers.length} VR controllers set up complete`);
         
+        this.setupHandTracking();
+        
         // Expose debug function globally
         window.debugVRControllers = () => {
             console.log('🔍 [DEBUG] VR Controller Status:');
@@ -614,6 +623,11 @@ export class WebXRHandler {
                 return;
             }
             
+            // The system reports pinches as selects too - HandTracking selects on pinch release instead
+            if (controller.userData.inputSource?.hand) {
+                return;
+            }
+            
             // Check if VR menu is visible and handle button clicks
             if (this.panoramaPlayer && this.panoramaPlayer.vrMenuVisible) {
                 console.log('🎮 [VR] Checking for VR menu click...');
@@ -1287,11 +1301,13 @@ export class WebXRHandler {
     }
 
     setupHandTracking() {
-        if (!this.supportsHandTracking) return;
+        // Once - three.js keeps the same hand objects across sessions. HandTracking only acts on
+        // input sources that are hands, so it sits idle on headsets without hand tracking
+        if (this.handTracking || !this.panoramaPlayer?.scene) return;
         
-        console.log('Setting up hand tracking for Meta Quest');
-        // Hand tracking implementation would go here
-        // This requires additional Three.js hand tracking modules
+        console.log('✋ Setting up hand tracking (pinch, poke, palm-up menu)');
+        this.handTracking = new HandTracking(this.panoramaPlayer);
+        this.panoramaPlayer.handTracking = this.handTracking; // Updated from its animation loop
     }
 
     render() {
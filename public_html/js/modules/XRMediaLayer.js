@@ -0,0 +1,297 @@
+/**
+ * XRMediaLayer.js
+ * Video on a WebXR composition layer instead of the sphere. Sampled through the sphere, each frame is
+ * resampled into the eye buffers and again by the compositor's lens correction, which blurs 4K footage
+ * in the headset; a layer is sampled once, by the compositor, at display resolution.
+ *   equirect / vr180 - XRMediaBinding.createEquirectLayer: the compositor reads the video element directly
+ *   eac / cubemap    - XRWebGLBinding.createCubeLayer: faces rendered from the cube projection mesh
+ *                      whenever the video has a new frame (EAC's warp and face layout stay in one place)
+ *   fisheye          - no layer equivalent, stays on the sphere
+ * The layer sits below the three.js projection layer, so hotspots, VRMenu and controllers composite
+ * on top wherever the scene is transparent. Anything unsupported or failing leaves the sphere in use.
+ */
+
+import * as THREE from 'three';
+import { MEDIA_LAYER_CONFIG } from '../utils/constants.js';
+import { isCubeProjection, HALF_DOME_CENTER } from '../utils/projection.js';
+
+// Where the equirect frame's centre lands on the sphere (see utils/projection.js)
+const EQUIRECT_CENTER = new THREE.Vector3(1, 0, 0);
+
+const EQUIRECT_LAYOUTS = {
+    'mono': 'mono',
+    'top-bottom': 'stereo-top-bottom',
+    'side-by-side': 'stereo-left-right'
+};
+
+/**
+ * Cube map faces in WebGL order (+X, -X, +Y, -Y, +Z, -Z): the direction each face's s and t axes run.
+ * A camera looking down the face axis with these as screen right/up renders the face as the
+ * compositor samples it, since framebuffer row 0 is copied to texel row 0.
+ */
+const CUBE_FACES = [
+    { right: [0, 0, -1], up: [0, -1, 0] },
+    { right: [0, 0, 1], up: [0, -1, 0] },
+    { right: [1, 0, 0], up: [0, 0, 1] },
+    { right: [1, 0, 0], up: [0, 0, -1] },
+    { right: [1, 0, 0], up: [0, -1, 0] },
+    { right: [-1, 0, 0], up: [0, -1, 0] }
+];
+
+/**
+ * Yaw turning a layer's -Z (the centre of an equirect layer) towards `direction`
+ */
+function yawTowards(direction) {
+    return new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.atan2(-direction.x, -direction.z));
+}
+
+function createFaceCamera({ right, up }) {
+    const camera = new THREE.PerspectiveCamera(90, 1, 0.1, 100);
+    const x = new THREE.Vector3(...right);
+    const y = new THREE.Vector3(...up);
+    // Cameras look down their -Z
+    const z = new THREE.Vector3().crossVectors(x, y);
+    camera.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(x, y, z));
+    camera.updateMatrixWorld();
+    return camera;
+}
+
+export class XRMediaLayer {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - with xr enabled; its projection layer draws over the video
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.session = null;
+        this.layer = null;
+        this.video = null;
+        this.formatKey = null;
+        this.baseOrientation = new THREE.Quaternion(); // Frame centre relative to the sphere
+        this.orientation = new THREE.Quaternion();
+        this.sphereQuaternion = new THREE.Quaternion();
+
+        // Cube layers only
+        this.cube = null; // { scene, mesh, cameras, target, size, eyes }
+        this.lastFrameTime = -1;
+
+        // The layers go with the session - only forget them
+        this.renderer.xr.addEventListener('sessionend', () => this.release());
+    }
+
+    get active() {
+        return this.layer !== null;
+    }
+
+    /**
+     * Per frame while presenting: show `video` on a layer matching `format`, following the sphere's rotation.
+     * Returns true while the layer shows the video (the sphere should be hidden), false to keep the sphere.
+     * @param {HTMLVideoElement|null} video - null to go back to the sphere
+     * @param {Object} format - resolveVideoFormat() result
+     * @param {THREE.Mesh} sphere - the projection mesh (cube layers render its geometry and material)
+     * @param {THREE.Mesh|null} rightEye - stereo formats: the mesh showing the right eye
+     */
+    update(video, format, sphere, rightEye = null) {
+        const session = this.renderer.xr.getSession();
+        if (!MEDIA_LAYER_CONFIG.enabled || !session || !video || !sphere) {
+            this.detach();
+            return false;
+        }
+
+        const formatKey = `${format.projection}/${format.stereo}/${format.fov}`;
+        if (session !== this.session || video !== this.video || formatKey !== this.formatKey) {
+            this.detach();
+            // Cube faces are sized from the frame - wait for metadata
+            if (isCubeProjection(format) && !video.videoWidth) return false;
+
+            // Tried once per video and format, so a failure isn't retried every frame
+            this.session = session;
+            this.video = video;
+            this.formatKey = formatKey;
+            this.attach(session, video, format, sphere);
+        }
+        if (!this.layer) return false;
+
+        this.followSphere(sphere);
+        if (this.cube) this.drawCube(sphere, rightEye);
+        return true;
+    }
+
+    /**
+     * Composition layers need the session's 'layers' feature, and three.js rendering into a projection layer
+     */
+    isSupported(session) {
+        const layers = session.renderState.layers;
+        const enabled = !session.enabledFeatures || session.enabledFeatures.includes('layers');
+        return enabled && Boolean(layers && layers.length > 0);
+    }
+
+    attach(session, video, format, sphere) {
+        if (!this.isSupported(session)) return;
+
+        try {
+            if (isCubeProjection(format)) {
+                this.layer = this.createCubeLayer(video, format, sphere);
+            } else if (format.projection === 'equirect' || format.projection === 'vr180') {
+                this.layer = this.createEquirectLayer(session, video, format);
+            }
+        } catch (error) {
+            console.warn('⚠️ Media layer unavailable, using the sphere:', error.message);
+            this.disposeCube();
+            this.layer = null;
+        }
+        if (!this.layer) return;
+
+        this.orientation.set(0, 0, 0, 0); // Not a rotation, so the first followSphere() always sets it
+        session.updateRenderState({ layers: [this.layer, this.renderer.xr.getBaseLayer()] });
+        console.log(`🎞️ Video on a WebXR ${this.cube ? 'cube' : 'equirect'} layer (${format.projection}, ${format.stereo})`);
+    }
+
+    createEquirectLayer(session, video, format) {
+        if (typeof XRMediaBinding === 'undefined') return null;
+
+        const halfDome = format.projection === 'vr180';
+        const fov = THREE.MathUtils.degToRad(halfDome ? Math.min(format.fov, 360) : 360);
+        this.baseOrientation.copy(yawTowards(halfDome ? HALF_DOME_CENTER : EQUIRECT_CENTER));
+
+        return new XRMediaBinding(session).createEquirectLayer(video, {
+            space: this.renderer.xr.getReferenceSpace(),
+            layout: EQUIRECT_LAYOUTS[format.stereo],
+            centralHorizontalAngle: fov,
+            upperVerticalAngle: Math.min(fov, Math.PI) / 2,
+            lowerVerticalAngle: -Math.min(fov, Math.PI) / 2,
+            radius: 0 // Infinitely far, like the sphere is meant to look
+        });
+    }
+
+    createCubeLayer(video, format, sphere) {
+        const binding = this.renderer.xr.getBinding();
+        if (!binding || typeof binding.createCubeLayer !== 'function') return null;
+
+        // 3×2 frame: a face is a third of an eye's width
+        const stereo = format.stereo !== 'mono';
+        const eyeWidth = format.stereo === 'side-by-side' ? video.videoWidth / 2 : video.videoWidth;
+        const gl = this.renderer.getContext();
+        const size = Math.min(Math.round(eyeWidth / 3), MEDIA_LAYER_CONFIG.maxCubeFaceSize, gl.getParameter(gl.MAX_CUBE_MAP_TEXTURE_SIZE));
+
+        const layer = binding.createCubeLayer({
+            space: this.renderer.xr.getReferenceSpace(),
+            viewPixelWidth: size,
+            viewPixelHeight: size,
+            layout: stereo ? 'stereo' : 'mono',
+            isStatic: false
+        });
+
+        const scene = new THREE.Scene();
+        const mesh = new THREE.Mesh(sphere.geometry, sphere.material);
+        scene.add(mesh);
+        const target = new THREE.WebGLRenderTarget(size, size, { depthBuffer: false });
+        target.texture.colorSpace = THREE.SRGBColorSpace;
+
+        this.cube = {
+            scene,
+            mesh,
+            target,
+            size,
+            cameras: CUBE_FACES.map(createFaceCamera),
+            eyes: stereo ? ['left', 'right'] : [undefined]
+        };
+        this.baseOrientation.identity(); // Faces are rendered in the sphere's own space
+        this.lastFrameTime = -1;
+        return layer;
+    }
+
+    /**
+     * The sphere turns with lon/lat in VR - turn the layer with it
+     */
+    followSphere(sphere) {
+        sphere.getWorldQuaternion(this.sphereQuaternion);
+        const orientation = this.sphereQuaternion.multiply(this.baseOrientation);
+        if (orientation.equals(this.orientation)) return;
+        this.orientation.copy(orientation);
+
+        const { x, y, z, w } = orientation;
+        if (this.cube) {
+            this.layer.orientation = new DOMPointReadOnly(x, y, z, w);
+        } else {
+            this.layer.transform = new XRRigidTransform({ x: 0, y: 0, z: 0 }, { x, y, z, w });
+        }
+    }
+
+    /**
+     * Render the six faces per eye into the cube layer - only when the video moved on (or the compositor lost them)
+     */
+    drawCube(sphere, rightEye) {
+        const frame = this.renderer.xr.getFrame();
+        const time = this.video.currentTime;
+        if (!frame || (time === this.lastFrameTime && !this.layer.needsRedraw)) return;
+        this.lastFrameTime = time;
+
+        const renderer = this.renderer;
+        const gl = renderer.getContext();
+        const binding = renderer.xr.getBinding();
+        const { scene, mesh, target, size, cameras, eyes } = this.cube;
+        const previousTarget = renderer.getRenderTarget();
+        const material = mesh.material;
+        const materialVisible = material.visible;
+
+        // Face cameras, not the headset's, and the material the hidden sphere shares
+        renderer.xr.enabled = false;
+        material.visible = true;
+
+        eyes.forEach(eye => {
+            // Right eye: the stereo child's geometry, same material
+            mesh.geometry = eye === 'right' && rightEye ? rightEye.geometry : sphere.geometry;
+            const subImage = eye ? binding.getSubImage(this.layer, frame, eye) : binding.getSubImage(this.layer, frame);
+
+            cameras.forEach((camera, face) => {
+                renderer.setRenderTarget(target);
+                renderer.render(scene, camera);
+
+                const framebuffer = renderer.properties.get(target).__webglFramebuffer;
+                gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+                gl.bindTexture(gl.TEXTURE_CUBE_MAP, subImage.colorTexture);
+                gl.copyTexSubImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, 0, 0, 0, 0, 0, size, size);
+                // Raw GL calls - three.js's cached bindings are stale now
+                renderer.resetState();
+            });
+        });
+
+        material.visible = materialVisible;
+        renderer.xr.enabled = true;
+        renderer.setRenderTarget(previousTarget);
+    }
+
+    /**
+     * Back to the sphere
+     */
+    detach() {
+        if (this.layer && this.session) {
+            this.session.updateRenderState({ layers: [this.renderer.xr.getBaseLayer()] });
+            if (typeof this.layer.destroy === 'function') this.layer.destroy();
+            console.log('🎞️ Media layer removed, video back on the sphere');
+        }
+        this.release();
+    }
+
+    /**
+     * Drop the layer without touching the session (it has ended)
+     */
+    release() {
+        this.disposeCube();
+        this.layer = null;
+        this.session = null;
+        this.video = null;
+        this.formatKey = null;
+    }
+
+    disposeCube() {
+        if (!this.cube) return;
+        this.cube.target.dispose();
+        this.cube.scene.remove(this.cube.mesh);
+        this.cube = null;
+    }
+
+    dispose() {
+        this.detach();
+    }
+}
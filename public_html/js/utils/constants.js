@@ -18,3 +18,153 @@ export const VR_CONFIG = {
         'layers'
     ]
 };
+
+export const COLLAB_CONFIG = {
+    defaultPort: 8787,              // server/collab-server.js
+    heartbeatInterval: 5000,        // Server drops players after ~15s of silence
+    reconnectBaseDelay: 1000,
+    reconnectMaxDelay: 30000,
+    roomCodeLength: 6,
+    roomCodeAlphabet: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789', // No 0/O or 1/I
+    
+    // Watch party (host-controlled playback)
+    playbackBroadcastInterval: 2000, // Host re-sends its timeline even without play/pause/seek
+    syncTolerance: 0.3,             // Seconds of drift accepted without correction
+    syncHardSeekThreshold: 2.0,     // Beyond this, seek instead of nudging playbackRate
+    syncMaxRateAdjust: 0.05,        // playbackRate 0.95-1.05 while catching up
+    gazeFollowThreshold: 3,         // Degrees the host must look away before we follow
+    
+    // Discovery rules for the room (host picks, ?mode= on invite links)
+    roomModes: {
+        free: { label: 'Free explore', icon: '🧭' },   // Everyone discovers on their own
+        coop: { label: 'Co-op', icon: '🤝' },          // One find reveals the hotspot to all
+        race: { label: 'Race', icon: '🏁' }            // First finder claims it, others see it greyed out
+    },
+    defaultRoomMode: 'free',
+    claimedHotspotColor: 0x555566
+};
+
+export const TTS_CONFIG = {
+    endpoint: 'api/tts.php',                    // PHP stand-in deployed with the site (holds the ElevenLabs key)
+    devEndpoint: 'http://localhost:8788/tts',   // server/tts-proxy.js for local development
+    clientIdKey: 'eyetrip_tts_client',          // localStorage - identifies the user for server rate limits
+    libraryURL: 'assets/affirmations.json'      // Affirmation texts - the proxies build the spoken text from the same file
+};
+
+export const AFFIRMATION_STORE_CONFIG = {
+    dbName: 'eyetrip-affirmations',
+    dbVersion: 1,
+    storeName: 'journeys',
+    maxEntries: 24,                     // Oldest-played journeys are evicted beyond this
+    maxBytes: 80 * 1024 * 1024,         // Audio budget across all journeys
+    quotaUsage: 0.8                     // Never fill more than this share of the origin's storage quota
+};
+
+export const STREAMING_CONFIG = {
+    bufferAhead: 30,            // Seconds of video to keep buffered ahead of the playhead
+    backBuffer: 20,             // Seconds kept behind the playhead before being evicted
+    pumpInterval: 250,          // ms between buffer checks
+    segmentTimeout: 20000,      // ms before a segment request is abandoned
+    maxSegmentRetries: 3
+};
+
+export const ABR_CONFIG = {
+    checkInterval: 1000,        // ms between quality decisions
+    fastHalfLife: 3,            // Seconds - throughput average that reacts quickly to drops
+    slowHalfLife: 10,           // Seconds - average that ignores short spikes (the lower of the two is used)
+    upSwitchFactor: 1.4,        // Step up only with this much headroom over the next rung's bitrate...
+    upSwitchHold: 8000,         // ...sustained for this long (ms)...
+    upSwitchBuffer: 15,         // ...and at least this many seconds buffered ahead
+    downSwitchFactor: 0.9,      // Step down when throughput stays below this share of the current bitrate...
+    downSwitchHold: 3000,       // ...for this long (ms)
+    panicBuffer: 4,             // Seconds ahead - below this (or on a stall) step down without waiting
+    minSwitchInterval: 10000,   // ms between ordinary switches
+    swapLead: 1.5,              // Seconds ahead of the playhead the incoming element is cued to
+    swapTimeout: 15000,         // ms for the incoming element to become playable
+    crossfade: 250,             // ms audio crossfade between the outgoing and incoming elements
+    probeInterval: 15000,       // ms between ranged fetches of the next MP4 rung once the buffer is full
+    probeBytes: 1000000,        // Bytes per probe
+    probeTimeout: 8000          // ms before a probe is abandoned
+};
+
+export const PROJECTION_CONFIG = {
+    sphereRadius: 15,           // Roomier feel than the old 500-unit spheres (camera far plane is 20)
+    backdrop: '#05050d',        // Shown past the 180° edge of half-dome videos (color or image URL)
+    fisheyeFov: 190,            // Lens field of view assumed for fisheye footage without "fov"
+    hemisphereMargin: 10        // Degrees inside the 180° edge that hotspots are kept to
+};
+
+export const PHOTO_CONFIG = {
+    maxTiles: 96,               // Multi-resolution tiles kept loaded before the least recently seen are dropped
+    maxConcurrentLoads: 4,      // Parallel tile requests
+    vrPixelsPerDegree: 20,      // Headset display density used to pick the tile level in VR
+    vrFov: 100                  // Degrees of view assumed for tile visibility in VR
+};
+
+export const TRANSITION_CONFIG = {
+    duration: 800,              // ms the outgoing scene takes to fade once the next one is ready
+    zoomDistance: 0.5,          // 'zoom' portals: share of the sphere radius the old scene slides past the viewer
+    snapshotWidth: 2048         // Max width of the frame captured for the outgoing scene
+};
+
+export const MEDIA_LAYER_CONFIG = {
+    enabled: true,              // Video on a WebXR composition layer in the headset when available (see XRMediaLayer.js)
+    maxCubeFaceSize: 2048       // Cap on cube layer faces (EAC/cubemap) - otherwise a third of the frame's eye width
+};
+
+export const AMBISONIC_CONFIG = {
+    speakerDistance: 1,         // Virtual speakers' distance from the listener (direction is all that matters)
+    syncTolerance: 0.1,         // Seconds a sidecar ambisonic track may drift from the video before it is re-seeked
+    rotationSmoothing: 0.01     // Time constant (s) of the decoder gain ramps when the sound field turns
+};
+
+export const CAPTION_CONFIG = {
+    enabled: true,              // Until the viewer turns captions off (remembered in localStorage)
+    vrPlacement: 'head-locked', // VR panel: 'head-locked' follows the view, 'world-anchored' stays where a caption appeared
+    maxLines: 3,                // Most recent cues shown at once
+    secondsPerWord: 0.4,        // One-off cues (narrative, sound descriptions) stay up for their reading time...
+    minCueDuration: 2.5,        // ...but at least this many seconds
+    panelDistance: 1.6,         // Metres from the viewer to the VR caption panel
+    panelDrop: 0.35,            // Metres below the line of sight
+    followSmoothing: 0.1        // Head-locked panel's catch-up per frame (1 = rigidly locked)
+};
+
+export const DWELL_CONFIG = {
+    mode: 'auto',               // Gaze dwell selection: 'auto' (XR without a tracked controller), 'on' or 'off'
+    dwellTime: 1500,            // ms of steady gaze that selects by default - hotspots scale it by AdaptiveDifficulty's dwellScale
+    reticleDistance: 1.5,       // Metres in front of the eyes
+    reticleColor: 0xffffff
+};
+
+export const HAND_CONFIG = {
+    jointColor: 0x00eeff,       // Joint spheres and the pinch ray
+    rayLength: 5,               // Metres of hand ray drawn along the aim pose
+    palmUpHold: 500,            // ms the palm faces up before the VR menu opens within reach
+    palmUpThreshold: 0.8,       // How squarely the palm must face up (cosine of its angle to straight up)
+    pokeDepth: 0.01,            // Metres a fingertip must reach towards a button (or past it) to press it
+    pokeHover: 0.05,            // Metres in front of a button at which the fingertip highlights it
+    menuReachDistance: 0.45,    // Palm-opened menu: metres in front of the eyes...
+    menuReachDrop: 0.25,        // ...this far below them...
+    menuReachScale: 0.3         // ...at this share of its full size
+};
+
+export const COMFORT_CONFIG = {
+    turnMode: 'snap',           // Thumbstick turning in the headset: 'snap' (jumps of snapAngle) or 'smooth'
+    snapAngle: 45,              // Degrees per snap - the VR menu cycles through SNAP_ANGLES
+    snapThreshold: 0.7,         // Stick deflection that snaps...
+    snapRelease: 0.3,           // ...and the deflection it must drop below before snapping again
+    smoothSpeed: 90,            // Degrees per second at full deflection
+    deadzone: 0.2,              // Smooth turning ignores smaller deflections
+    vignette: true,             // Smooth turning narrows the view while it turns
+    vignetteDistance: 0.3,      // Metres in front of the eyes
+    vignetteSmoothing: 0.15     // Vignette catch-up per frame as turning starts and stops
+};
+
+export const MAGIC_WINDOW_CONFIG = {
+    enabledByDefault: {         // Until the viewer toggles it (remembered in localStorage)
+        app: true,              // Capacitor Android shell
+        android: true,          // Android browsers
+        ios: false              // iOS asks permission for motion first - left to the viewer to turn on
+    },
+    maxHeadingPitch: 80         // Degrees up/down past which turning the phone stops turning the view (heading is unreliable there)
+};
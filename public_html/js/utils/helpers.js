@@ -29,3 +29,41 @@ export function getVideoQuality() {
     
     return 'medium';
 }
+
+/**
+ * Convert PanoramaPlayer lon/lat (degrees) to an [x, y, z] position on a sphere
+ * Matches the camera lookAt math in PanoramaPlayer.animate()
+ */
+export function lonLatToPosition(lon, lat, radius = 1) {
+    const phi = (90 - lat) * Math.PI / 180;
+    const theta = lon * Math.PI / 180;
+    return [
+        radius * Math.sin(phi) * Math.sin(theta),
+        radius * Math.cos(phi),
+        radius * Math.sin(phi) * Math.cos(theta)
+    ];
+}
+
+/**
+ * Convert an [x, y, z] array or {x, y, z} vector to PanoramaPlayer lon/lat (degrees)
+ */
+export function positionToLonLat(position) {
+    const [x, y, z] = Array.isArray(position) ? position : [position.x, position.y, position.z];
+    const radius = Math.sqrt(x * x + y * y + z * z) || 1;
+    const lat = 90 - Math.acos(Math.max(-1, Math.min(1, y / radius))) * 180 / Math.PI;
+    const lon = Math.atan2(x, z) * 180 / Math.PI;
+    return { lon, lat, radius };
+}
+
+/**
+ * Escape text for innerHTML templates (player names and other remote strings)
+ */
+export function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
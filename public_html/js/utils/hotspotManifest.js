@@ -0,0 +1,239 @@
+/**
+ * Hotspot Manifest
+ * Per-video hotspot definitions stored next to info.json in
+ * assets/videos/processed/<name>/hotspots.json so content can change without a redeploy.
+ * Photo scenes use assets/photos/<id>/hotspots.json; their hotspots need no time.
+ * Portal hotspots ({ portal: { scene, time?, lon?, lat?, transition? } }) lead to another
+ * scene when selected instead of being collected, and need no sound.
+ * An optional "description" ("metallic scrape") is captioned with the sound's direction when
+ * the hotspot is found; the label stands in without one.
+ */
+
+export const HOTSPOT_MANIFEST_FILENAME = 'hotspots.json';
+
+/**
+ * Manifest versions this build understands
+ */
+export const SUPPORTED_MANIFEST_VERSIONS = [1];
+
+/**
+ * How a portal hands over to its scene (the first is the default)
+ */
+export const PORTAL_TRANSITIONS = ['crossfade', 'zoom'];
+
+/**
+ * Get manifest URL for a processed video
+ */
+export function getHotspotManifestURL(videoName) {
+    return `assets/videos/processed/${encodeURIComponent(videoName)}/${HOTSPOT_MANIFEST_FILENAME}`;
+}
+
+/**
+ * Get manifest URL for a still 360° photo scene
+ */
+export function getPhotoHotspotManifestURL(photoId) {
+    return `assets/photos/${encodeURIComponent(photoId)}/${HOTSPOT_MANIFEST_FILENAME}`;
+}
+
+/**
+ * Parse a hotspot color
+ * Accepts 0xRRGGBB numbers or '#RRGGBB' / '0xRRGGBB' strings (JSON has no hex literals)
+ */
+export function parseHotspotColor(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && value >= 0 && value <= 0xffffff ? value : null;
+    }
+    if (typeof value === 'string') {
+        const match = value.trim().match(/^(?:#|0x)([0-9a-f]{6})$/i);
+        return match ? parseInt(match[1], 16) : null;
+    }
+    return null;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Validate a portal target
+ * scene: tour scene id or gallery video id; time: start position in seconds; lon/lat: starting view
+ */
+function validatePortal(portal, path, errors) {
+    if (!portal || typeof portal !== 'object' || Array.isArray(portal)) {
+        errors.push(`${path}: expected an object`);
+        return null;
+    }
+
+    const startErrors = errors.length;
+
+    if (!isNonEmptyString(portal.scene)) {
+        errors.push(`${path}.scene: expected a scene id`);
+    }
+    if (portal.time !== undefined && (!isFiniteNumber(portal.time) || portal.time < 0)) {
+        errors.push(`${path}.time: expected a number of seconds >= 0 when present, got ${JSON.stringify(portal.time)}`);
+    }
+    ['lon', 'lat'].forEach(key => {
+        if (portal[key] !== undefined && !isFiniteNumber(portal[key])) {
+            errors.push(`${path}.${key}: expected degrees when present, got ${JSON.stringify(portal[key])}`);
+        }
+    });
+    if (portal.transition !== undefined && !PORTAL_TRANSITIONS.includes(portal.transition)) {
+        errors.push(`${path}.transition: expected one of ${PORTAL_TRANSITIONS.join(', ')}, got ${JSON.stringify(portal.transition)}`);
+    }
+
+    if (errors.length > startErrors) return null;
+
+    const target = { scene: portal.scene };
+    ['time', 'lon', 'lat', 'transition'].forEach(key => {
+        if (portal[key] !== undefined) target[key] = portal[key];
+    });
+    return target;
+}
+
+/**
+ * Validate a single hotspot entry
+ * Pushes human-readable errors and returns the normalized entry (or null)
+ */
+function validateHotspotEntry(entry, path, errors) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        errors.push(`${path}: expected an object`);
+        return null;
+    }
+
+    const startErrors = errors.length;
+
+    if (entry.id !== undefined && !isNonEmptyString(entry.id)) {
+        errors.push(`${path}.id: expected a non-empty string when present`);
+    }
+    // No time = positional: shown from the start until found
+    if (entry.time !== undefined && (!isFiniteNumber(entry.time) || entry.time < 0)) {
+        errors.push(`${path}.time: expected a number of seconds >= 0 when present, got ${JSON.stringify(entry.time)}`);
+    }
+    if (!Array.isArray(entry.position) || entry.position.length !== 3 || !entry.position.every(isFiniteNumber)) {
+        errors.push(`${path}.position: expected [x, y, z] numbers, got ${JSON.stringify(entry.position)}`);
+    }
+    // Portals lead elsewhere, so their sound is optional
+    const portal = entry.portal !== undefined ? validatePortal(entry.portal, `${path}.portal`, errors) : null;
+    if (entry.sound !== undefined || entry.portal === undefined) {
+        if (!isNonEmptyString(entry.sound)) {
+            errors.push(`${path}.sound: expected a file name in assets/sound/`);
+        } else if (/(^|\/)\.\.(\/|$)/.test(entry.sound)) {
+            errors.push(`${path}.sound: must not point outside assets/sound/`);
+        }
+    }
+    if (!isNonEmptyString(entry.label)) {
+        errors.push(`${path}.label: expected a non-empty string`);
+    }
+    if (entry.description !== undefined && !isNonEmptyString(entry.description)) {
+        errors.push(`${path}.description: expected a non-empty string when present`);
+    }
+    if (entry.time === undefined && (entry.endTime !== undefined || entry.duration !== undefined)) {
+        errors.push(`${path}: endTime/duration need a time`);
+    } else if (entry.endTime !== undefined && entry.duration !== undefined) {
+        errors.push(`${path}: use either endTime or duration, not both`);
+    } else if (entry.endTime !== undefined && (!isFiniteNumber(entry.endTime) || !(entry.endTime > entry.time))) {
+        errors.push(`${path}.endTime: expected a number of seconds after time, got ${JSON.stringify(entry.endTime)}`);
+    } else if (entry.duration !== undefined && (!isFiniteNumber(entry.duration) || entry.duration <= 0)) {
+        errors.push(`${path}.duration: expected a number of seconds > 0, got ${JSON.stringify(entry.duration)}`);
+    }
+    const color = parseHotspotColor(entry.color);
+    if (color === null) {
+        errors.push(`${path}.color: expected 0xRRGGBB number or "#RRGGBB" string, got ${JSON.stringify(entry.color)}`);
+    }
+
+    if (errors.length > startErrors) return null;
+
+    const hotspot = {
+        time: entry.time, // undefined for positional hotspots
+        position: [...entry.position],
+        sound: entry.sound, // undefined for silent portals
+        label: entry.label,
+        color
+    };
+    if (entry.id !== undefined) hotspot.id = entry.id;
+    if (entry.description !== undefined) hotspot.description = entry.description;
+    if (portal) hotspot.portal = portal;
+    if (entry.endTime !== undefined) hotspot.endTime = entry.endTime;
+    if (entry.duration !== undefined) hotspot.duration = entry.duration;
+    return hotspot;
+}
+
+/**
+ * Validate a parsed hotspots.json document
+ * Returns { valid, errors, hotspots } - hotspots use the same shape as HotspotManager.getHotspotConfigs()
+ */
+export function validateHotspotManifest(manifest) {
+    const errors = [];
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        return { valid: false, errors: ['manifest: expected a JSON object'], hotspots: [] };
+    }
+
+    if (!SUPPORTED_MANIFEST_VERSIONS.includes(manifest.version)) {
+        errors.push(`version: expected one of ${SUPPORTED_MANIFEST_VERSIONS.join(', ')}, got ${JSON.stringify(manifest.version)}`);
+    }
+    if (manifest.video !== undefined && !isNonEmptyString(manifest.video)) {
+        errors.push('video: expected a non-empty string when present');
+    }
+
+    const hotspots = [];
+    if (!Array.isArray(manifest.hotspots) || manifest.hotspots.length === 0) {
+        errors.push('hotspots: expected a non-empty array');
+    } else {
+        const seenIds = new Set();
+        manifest.hotspots.forEach((entry, index) => {
+            const hotspot = validateHotspotEntry(entry, `hotspots[${index}]`, errors);
+            if (!hotspot) return;
+            if (hotspot.id !== undefined) {
+                if (seenIds.has(hotspot.id)) {
+                    errors.push(`hotspots[${index}].id: duplicate id "${hotspot.id}"`);
+                    return;
+                }
+                seenIds.add(hotspot.id);
+            }
+            hotspots.push(hotspot);
+        });
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        hotspots: errors.length === 0 ? hotspots : []
+    };
+}
+
+/**
+ * Build a hotspots.json manifest object from live HotspotManager hotspots
+ * Inverse of validateHotspotManifest() - output always validates
+ */
+export function createHotspotManifest(videoName, hotspots) {
+    const round = (value, digits) => Number(value.toFixed(digits));
+
+    return {
+        version: SUPPORTED_MANIFEST_VERSIONS[SUPPORTED_MANIFEST_VERSIONS.length - 1],
+        video: videoName,
+        hotspots: hotspots.map(hotspot => {
+            const entry = {
+                id: hotspot.id,
+                ...(hotspot.time != null && { time: round(hotspot.time, 2) }),
+                position: [hotspot.position.x, hotspot.position.y, hotspot.position.z].map(v => round(v, 3)),
+                ...(hotspot.sound && { sound: hotspot.sound }),
+                label: hotspot.label,
+                ...(hotspot.description && { description: hotspot.description }),
+                color: `#${hotspot.color.toString(16).padStart(6, '0')}`
+            };
+            if (hotspot.portal) entry.portal = { ...hotspot.portal };
+            // Positional hotspots have no time, and so no lifetime
+            if (hotspot.time == null) return entry;
+            // Lifetime is optional - omitted entries use the default/adaptive window.
+            // Rounding can collapse a very short one, so keep it at least 0.01s to stay valid
+            if (hotspot.endTime != null) entry.endTime = round(Math.max(hotspot.endTime, entry.time + 0.01), 2);
+            else if (hotspot.duration != null) entry.duration = Math.max(round(hotspot.duration, 2), 0.01);
+            return entry;
+        })
+    };
+}
@@ -0,0 +1,299 @@
+/**
+ * Video projections and the sphere meshes that display them
+ *   equirect - full 360×180 equirectangular frame
+ *   vr180    - 180×180 half equirect (front hemisphere), optionally stereo side-by-side
+ *   fisheye  - dual circular fisheye: mono = front/back lenses of a 360 camera,
+ *              stereo = one lens per eye looking forward (VR180 fisheye rigs)
+ *   eac      - YouTube-style equi-angular cubemap, 3×2 faces
+ *   cubemap  - standard 3×2 cubemap
+ * UVs follow the equirect sphere's convention, so the same scene lines up in every projection:
+ * lon 0 looks down +Z and half-dome formats are centred there. Cube formats put their front face
+ * where the equirect frame's centre lands (+X, lon 90), so an equirect and its cube conversion match.
+ */
+
+import * as THREE from 'three';
+import { PROJECTION_CONFIG } from './constants.js';
+import { normalizeStereoLayout, applyStereoUVs, getEyeRegion } from './stereoLayout.js';
+
+export const PROJECTIONS = ['equirect', 'vr180', 'fisheye', 'eac', 'cubemap'];
+
+const PROJECTION_ALIASES = {
+    'equirect': 'equirect',
+    'equirectangular': 'equirect',
+    'latlong': 'equirect',
+    '360': 'equirect',
+    'vr180': 'vr180',
+    '180': 'vr180',
+    'half-equirect': 'vr180',
+    'fisheye': 'fisheye',
+    'dual-fisheye': 'fisheye',
+    'eac': 'eac',
+    'equi-angular-cubemap': 'eac',
+    'cubemap': 'cubemap',
+    'cube': 'cubemap',
+    'c3x2': 'cubemap'
+};
+
+/**
+ * Where each cube face sits in a 3×2 frame: [column, row (0 = top), clockwise quarter turns]
+ * Faces by index: 0 front (+X), 1 right (-Z), 2 back (-X), 3 left (+Z), 4 top (+Y), 5 bottom (-Y).
+ * Unrotated side faces are upright; the top face has the front edge at its bottom, the bottom face at its top.
+ */
+const CUBE_LAYOUTS = {
+    // Left, front, right over bottom, back, top - the bottom row lies on its side
+    eac: [[1, 0, 0], [2, 0, 0], [1, 1, 1], [0, 0, 0], [2, 1, 3], [0, 1, 3]],
+    // Right, left, top over bottom, front, back (ffmpeg's c3x2)
+    cubemap: [[1, 1, 0], [0, 0, 0], [2, 1, 0], [1, 0, 0], [2, 0, 0], [0, 1, 0]]
+};
+
+// Direction -> frame UV for cube formats. Sampling by direction rather than by vertex UVs keeps
+// the face seams exact and lets EAC undo its equal-angle warp per pixel.
+const CUBE_PROJECTION_VERTEX = `
+attribute vec4 projectionRegion;
+varying vec3 vProjectionDirection;
+varying vec4 vProjectionRegion;
+`;
+
+const CUBE_PROJECTION_FRAGMENT = `
+uniform vec3 projectionSlots[ 6 ];
+varying vec3 vProjectionDirection;
+varying vec4 vProjectionRegion;
+
+vec2 cubeProjectionUv( vec3 direction ) {
+    vec3 a = abs( direction );
+    int face;
+    float depth;
+    vec3 right;
+    vec3 up = vec3( 0.0, 1.0, 0.0 );
+
+    if ( a.x >= a.y && a.x >= a.z ) {
+        face = direction.x > 0.0 ? 0 : 2;
+        depth = a.x;
+        right = vec3( 0.0, 0.0, -sign( direction.x ) );
+    } else if ( a.z >= a.y ) {
+        face = direction.z < 0.0 ? 1 : 3;
+        depth = a.z;
+        right = vec3( sign( direction.z ), 0.0, 0.0 );
+    } else {
+        face = direction.y > 0.0 ? 4 : 5;
+        depth = a.y;
+        right = vec3( 0.0, 0.0, -1.0 );
+        up = vec3( -sign( direction.y ), 0.0, 0.0 );
+    }
+
+    vec2 st = vec2( dot( direction, right ), dot( direction, up ) ) / depth;
+    #ifdef CUBE_PROJECTION_EAC
+        st = atan( st ) * 4.0 / PI;
+    #endif
+    // Stay off the face edge so linear filtering doesn't bleed in the neighbouring face
+    st = clamp( st * 0.5 + 0.5, 0.001, 0.999 );
+
+    vec3 slot = projectionSlots[ face ];
+    if ( slot.z == 1.0 ) st = vec2( st.y, 1.0 - st.x );
+    else if ( slot.z == 2.0 ) st = 1.0 - st;
+    else if ( slot.z == 3.0 ) st = vec2( 1.0 - st.y, st.x );
+
+    vec2 uv = vec2( ( slot.x + st.x ) / 3.0, ( 1.0 - slot.y + st.y ) / 2.0 );
+    return vProjectionRegion.xy + uv * vProjectionRegion.zw;
+}
+`;
+
+// Centre of the visible hemisphere for half-dome formats (lon 0, lat 0)
+export const HALF_DOME_CENTER = new THREE.Vector3(0, 0, 1);
+
+export function normalizeProjection(value) {
+    if (!value) return 'equirect';
+    return PROJECTION_ALIASES[String(value).trim().toLowerCase()] || 'equirect';
+}
+
+/**
+ * Frame format from info.json / gallery entries - earlier sources win
+ * @returns {{projection: string, stereo: string, fov: number, backdrop: string}}
+ */
+export function resolveVideoFormat(...sources) {
+    const pick = (key) => sources.find(source => source && source[key] != null)?.[key];
+    const projection = normalizeProjection(pick('projection'));
+
+    return {
+        projection,
+        stereo: normalizeStereoLayout(pick('stereo')),
+        fov: Number(pick('fov')) || (projection === 'fisheye' ? PROJECTION_CONFIG.fisheyeFov : 180),
+        backdrop: pick('backdrop') || PROJECTION_CONFIG.backdrop
+    };
+}
+
+/**
+ * Cube formats render on a cube mesh through applyProjectionMaterial()
+ */
+export function isCubeProjection(format) {
+    return format.projection === 'eac' || format.projection === 'cubemap';
+}
+
+/**
+ * Formats that only cover the front hemisphere
+ */
+export function isHalfDome(format) {
+    return format.projection === 'vr180' || (format.projection === 'fisheye' && format.stereo !== 'mono');
+}
+
+/**
+ * SphereGeometry slice - phiStart 0 is the front (+Z) hemisphere, Math.PI the back one
+ */
+function createHemisphere(radius, phiStart) {
+    return new THREE.SphereGeometry(radius, 64, 48, phiStart, Math.PI);
+}
+
+/**
+ * Map a hemisphere onto one fisheye circle inscribed in `region` (equidistant lens model)
+ */
+function applyFisheyeUVs(geometry, region, fov, back) {
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    const halfFov = THREE.MathUtils.degToRad(fov) / 2;
+    const direction = new THREE.Vector3();
+
+    for (let i = 0; i < uv.count; i++) {
+        direction.fromBufferAttribute(position, i).normalize();
+
+        // Lens frame: optical axis forward, image x running the same way as the equirect's u
+        const forward = back ? -direction.z : direction.z;
+        const side = back ? -direction.x : direction.x;
+        const theta = Math.acos(THREE.MathUtils.clamp(forward, -1, 1));
+        const psi = Math.atan2(direction.y, side);
+        const r = theta / halfFov;
+
+        uv.setXY(i,
+            region.x + region.width * (0.5 + 0.5 * r * Math.cos(psi)),
+            region.y + region.height * (0.5 + 0.5 * r * Math.sin(psi)));
+    }
+    uv.needsUpdate = true;
+    return geometry;
+}
+
+/**
+ * Cube inscribed in the projection sphere (corners stay inside the camera's far plane).
+ * Every vertex carries the eye's frame region for the cube shader.
+ */
+function createCube(radius, region) {
+    const size = radius * 2 / Math.sqrt(3);
+    const geometry = new THREE.BoxGeometry(size, size, size);
+    const count = geometry.attributes.position.count;
+    const regions = new Float32Array(count * 4);
+    for (let i = 0; i < count; i++) {
+        regions.set([region.x, region.y, region.width, region.height], i * 4);
+    }
+    geometry.setAttribute('projectionRegion', new THREE.BufferAttribute(regions, 4));
+    return geometry;
+}
+
+/**
+ * Join two indexed geometries with position/normal/uv attributes
+ */
+function mergeGeometries(first, second) {
+    const merged = new THREE.BufferGeometry();
+    ['position', 'normal', 'uv'].forEach(name => {
+        const a = first.attributes[name];
+        const b = second.attributes[name];
+        const array = new Float32Array(a.array.length + b.array.length);
+        array.set(a.array);
+        array.set(b.array, a.array.length);
+        merged.setAttribute(name, new THREE.BufferAttribute(array, a.itemSize));
+    });
+
+    const offset = first.attributes.position.count;
+    merged.setIndex([...first.index.array, ...Array.from(second.index.array, i => i + offset)]);
+
+    first.dispose();
+    second.dispose();
+    return merged;
+}
+
+/**
+ * Sphere (or hemisphere) geometry showing one eye of a video format
+ * @param {Object} format - resolveVideoFormat() result
+ * @param {string} eye - 'left' (also used for mono) | 'right'
+ */
+export function createProjectionGeometry(format, eye = 'left', radius = PROJECTION_CONFIG.sphereRadius) {
+    switch (format.projection) {
+        case 'vr180':
+            return applyStereoUVs(createHemisphere(radius, 0), format.stereo, eye);
+
+        case 'fisheye':
+            if (format.stereo !== 'mono') {
+                return applyFisheyeUVs(createHemisphere(radius, 0), getEyeRegion(format.stereo, eye), format.fov, false);
+            }
+            // 360 camera: front lens in the left half of the frame, back lens in the right half
+            return mergeGeometries(
+                applyFisheyeUVs(createHemisphere(radius, 0), getEyeRegion('side-by-side', 'left'), format.fov, false),
+                applyFisheyeUVs(createHemisphere(radius, Math.PI), getEyeRegion('side-by-side', 'right'), format.fov, true)
+            );
+
+        case 'eac':
+        case 'cubemap':
+            return createCube(radius, getEyeRegion(format.stereo, eye));
+
+        default:
+            return applyStereoUVs(new THREE.SphereGeometry(radius, 60, 40), format.stereo, eye);
+    }
+}
+
+/**
+ * Point a MeshBasicMaterial's map lookup at the cube shader for cube formats (or back to plain UVs).
+ * The material keeps its map/color, so texture swaps work the same for every projection.
+ * Cube corners come closer than the sphere did, so cube meshes skip depth writes and should be
+ * drawn first (renderOrder -1) - hotspots then never end up hidden behind a wall.
+ */
+export function applyProjectionMaterial(material, format) {
+    const cube = isCubeProjection(format);
+    if (cube) {
+        const slots = CUBE_LAYOUTS[format.projection].map(([column, row, turns]) => new THREE.Vector3(column, row, turns));
+        const eac = format.projection === 'eac';
+
+        material.onBeforeCompile = (shader) => {
+            shader.uniforms.projectionSlots = { value: slots };
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', `#include <common>\n${CUBE_PROJECTION_VERTEX}`)
+                .replace('#include <begin_vertex>', '#include <begin_vertex>\nvProjectionDirection = position;\nvProjectionRegion = projectionRegion;');
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>\n${eac ? '#define CUBE_PROJECTION_EAC\n' : ''}${CUBE_PROJECTION_FRAGMENT}`)
+                .replace('#include <map_fragment>', THREE.ShaderChunk.map_fragment.replace('vMapUv', 'cubeProjectionUv( normalize( vProjectionDirection ) )'));
+        };
+        material.customProgramCacheKey = () => `projection-${format.projection}`;
+    } else {
+        // Back to the prototype's no-op hooks
+        delete material.onBeforeCompile;
+        delete material.customProgramCacheKey;
+    }
+
+    material.depthWrite = !cube;
+    material.needsUpdate = true;
+}
+
+/**
+ * Back hemisphere shown behind half-dome formats
+ */
+export function createBackdropGeometry(radius = PROJECTION_CONFIG.sphereRadius) {
+    return createHemisphere(radius, Math.PI);
+}
+
+/**
+ * Pull a point into the visible hemisphere, keeping its distance from the viewer
+ * Points already inside (by `marginDeg` from the edge) are returned unchanged
+ */
+export function constrainToHemisphere(position, center = HALF_DOME_CENTER, marginDeg = PROJECTION_CONFIG.hemisphereMargin) {
+    const length = position.length();
+    if (length === 0) return position.clone();
+
+    const direction = position.clone().divideScalar(length);
+    const minDot = Math.sin(THREE.MathUtils.degToRad(marginDeg));
+    const dot = direction.dot(center);
+    if (dot >= minDot) return position.clone();
+
+    // Keep the bearing around the centre axis, move it to the margin; straight behind goes straight ahead
+    const tangent = direction.sub(center.clone().multiplyScalar(dot));
+    if (tangent.lengthSq() < 1e-6) {
+        return center.clone().multiplyScalar(length);
+    }
+    tangent.normalize().multiplyScalar(Math.cos(THREE.MathUtils.degToRad(marginDeg)));
+    return tangent.add(center.clone().multiplyScalar(minDot)).normalize().multiplyScalar(length);
+}
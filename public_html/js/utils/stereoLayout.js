@@ -0,0 +1,60 @@
+/**
+ * Stereo 360° frame layouts
+ * A stereo equirect packs both eyes into one frame - over-under (left eye on top) or side-by-side (left eye left).
+ * Each eye gets its own sphere whose UVs sample that eye's half of the shared video texture.
+ */
+
+export const STEREO_LAYOUTS = ['mono', 'top-bottom', 'side-by-side'];
+
+const LAYOUT_ALIASES = {
+    'tb': 'top-bottom',
+    'ou': 'top-bottom',
+    'over-under': 'top-bottom',
+    'top-bottom': 'top-bottom',
+    'sbs': 'side-by-side',
+    'lr': 'side-by-side',
+    'left-right': 'side-by-side',
+    'side-by-side': 'side-by-side',
+    'mono': 'mono'
+};
+
+/**
+ * 'TB', 'over-under', 'sbs', ... -> one of STEREO_LAYOUTS (unknown values are mono)
+ */
+export function normalizeStereoLayout(value) {
+    if (!value) return 'mono';
+    return LAYOUT_ALIASES[String(value).trim().toLowerCase()] || 'mono';
+}
+
+/**
+ * Part of the frame (in UV units) holding one eye's image
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getEyeRegion(layout, eye) {
+    if (layout === 'top-bottom') {
+        // Texture v runs bottom-to-top, so the top half (left eye) is 0.5..1
+        return { x: 0, y: eye === 'left' ? 0.5 : 0, width: 1, height: 0.5 };
+    }
+    if (layout === 'side-by-side') {
+        return { x: eye === 'left' ? 0 : 0.5, y: 0, width: 0.5, height: 1 };
+    }
+    return { x: 0, y: 0, width: 1, height: 1 };
+}
+
+/**
+ * Remap a sphere's UVs (full frame 0..1) onto one eye's half of a stereo frame
+ * @param {THREE.BufferGeometry} geometry - fresh geometry, remapped in place
+ * @param {string} layout - normalized layout
+ * @param {string} eye - 'left' | 'right'
+ */
+export function applyStereoUVs(geometry, layout, eye) {
+    if (layout === 'mono') return geometry;
+
+    const region = getEyeRegion(layout, eye);
+    const uv = geometry.attributes.uv;
+    for (let i = 0; i < uv.count; i++) {
+        uv.setXY(i, region.x + uv.getX(i) * region.width, region.y + uv.getY(i) * region.height);
+    }
+    uv.needsUpdate = true;
+    return geometry;
+}
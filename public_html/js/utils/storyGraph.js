@@ -0,0 +1,313 @@
+/**
+ * Story Graph
+ * "Choose your path" experiences: a graph whose nodes are video segments and whose edges are choices.
+ * Stored in assets/stories/<id>/story.json and played by StoryRuntime (open with ?story=<id>).
+ *
+ * {
+ *   "version": 1,
+ *   "title": "The Forest Path",
+ *   "start": "intro",
+ *   "scenes": [{ "type": "photo", "id": "clearing", "image": "assets/photos/clearing/pano.jpg" }], // optional, tour format
+ *   "nodes": {
+ *     "intro": {
+ *       "scene": "stumpy_latlong_01_waves_61Mbps-003",  // tour scene id or gallery video id
+ *       "start": 0, "end": 42,                          // segment in seconds (no end = to the end of the video)
+ *       "lon": 60, "lat": 0,                            // optional view on entering
+ *       "decision": {
+ *         "prompt": "Which way?",
+ *         "at": 42,                                     // defaults to end
+ *         "mode": "loop", "loopFrom": 30,               // 'pause' (default) holds the frame, 'loop' replays loopFrom..at
+ *         "timeout": 20, "default": "river",            // optional: pick `default` after timeout seconds
+ *         "choices": [
+ *           { "id": "river", "label": "Follow the river", "position": [10, 0, 0], "color": "#1e90ff", "to": "river" },
+ *           { "id": "cave", "label": "Enter the cave", "position": [-10, 0, 0], "to": "cave", "transition": "zoom",
+ *             "requires": { "hotspots": ["glow"], "achievements": ["first_discovery"], "visited": ["river"] } }
+ *         ]
+ *       },
+ *       "next": "outro"                                 // no decision (or no choice available): continue here
+ *     },
+ *     "outro": { "scene": "...", "start": 90 }          // no decision and no next: an ending
+ *   }
+ * }
+ *
+ * A choice is only offered when every `requires` condition holds: hotspots discovered during the story,
+ * achievements unlocked, nodes already visited on this path.
+ */
+
+import { parseHotspotColor, PORTAL_TRANSITIONS } from './hotspotManifest.js';
+
+export const STORY_FILENAME = 'story.json';
+
+/**
+ * Story graph versions this build understands
+ */
+export const SUPPORTED_STORY_VERSIONS = [1];
+
+export const DECISION_MODES = ['pause', 'loop'];
+
+// Choices without a color
+const DEFAULT_CHOICE_COLOR = 0xffffff;
+
+/**
+ * Get the graph URL for a story
+ */
+export function getStoryURL(storyId) {
+    return `assets/stories/${encodeURIComponent(storyId)}/${STORY_FILENAME}`;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(isNonEmptyString);
+}
+
+/**
+ * Validate a choice's `requires` conditions
+ */
+function validateRequires(requires, path, nodeIds, errors) {
+    if (!isPlainObject(requires)) {
+        errors.push(`${path}: expected an object`);
+        return;
+    }
+
+    ['hotspots', 'achievements', 'visited'].forEach(key => {
+        if (requires[key] !== undefined && !isStringArray(requires[key])) {
+            errors.push(`${path}.${key}: expected an array of ids`);
+        }
+    });
+    if (isStringArray(requires.visited)) {
+        requires.visited
+            .filter(id => !nodeIds.includes(id))
+            .forEach(id => errors.push(`${path}.visited: unknown node "${id}"`));
+    }
+}
+
+/**
+ * Validate one choice, returning the normalized choice (or null)
+ */
+function validateChoice(choice, path, nodeIds, errors) {
+    if (!isPlainObject(choice)) {
+        errors.push(`${path}: expected an object`);
+        return null;
+    }
+
+    const startErrors = errors.length;
+
+    if (!isNonEmptyString(choice.id)) {
+        errors.push(`${path}.id: expected a non-empty string`);
+    }
+    if (!isNonEmptyString(choice.label)) {
+        errors.push(`${path}.label: expected a non-empty string`);
+    }
+    if (!Array.isArray(choice.position) || choice.position.length !== 3 || !choice.position.every(isFiniteNumber)) {
+        errors.push(`${path}.position: expected [x, y, z] numbers, got ${JSON.stringify(choice.position)}`);
+    }
+    const color = choice.color === undefined ? DEFAULT_CHOICE_COLOR : parseHotspotColor(choice.color);
+    if (color === null) {
+        errors.push(`${path}.color: expected 0xRRGGBB number or "#RRGGBB" string, got ${JSON.stringify(choice.color)}`);
+    }
+    if (!nodeIds.includes(choice.to)) {
+        errors.push(`${path}.to: expected a node id, got ${JSON.stringify(choice.to)}`);
+    }
+    if (choice.transition !== undefined && !PORTAL_TRANSITIONS.includes(choice.transition)) {
+        errors.push(`${path}.transition: expected one of ${PORTAL_TRANSITIONS.join(', ')}, got ${JSON.stringify(choice.transition)}`);
+    }
+    if (choice.requires !== undefined) {
+        validateRequires(choice.requires, `${path}.requires`, nodeIds, errors);
+    }
+
+    if (errors.length > startErrors) return null;
+
+    return {
+        id: choice.id,
+        label: choice.label,
+        position: [...choice.position],
+        color,
+        to: choice.to,
+        transition: choice.transition || PORTAL_TRANSITIONS[0],
+        requires: choice.requires || null
+    };
+}
+
+/**
+ * Validate a node's decision point
+ */
+function validateDecision(decision, node, path, nodeIds, errors) {
+    if (!isPlainObject(decision)) {
+        errors.push(`${path}: expected an object`);
+        return null;
+    }
+
+    const startErrors = errors.length;
+    const mode = decision.mode === undefined ? DECISION_MODES[0] : decision.mode;
+    const at = decision.at === undefined ? node.end : decision.at;
+
+    if (decision.prompt !== undefined && !isNonEmptyString(decision.prompt)) {
+        errors.push(`${path}.prompt: expected a non-empty string when present`);
+    }
+    if (!DECISION_MODES.includes(mode)) {
+        errors.push(`${path}.mode: expected one of ${DECISION_MODES.join(', ')}, got ${JSON.stringify(decision.mode)}`);
+    }
+    if (decision.at !== undefined && (!isFiniteNumber(decision.at) || decision.at < (node.start || 0))) {
+        errors.push(`${path}.at: expected a number of seconds within the segment, got ${JSON.stringify(decision.at)}`);
+    }
+    if (decision.loopFrom !== undefined) {
+        if (mode !== 'loop') {
+            errors.push(`${path}.loopFrom: only used with mode "loop"`);
+        } else if (!isFiniteNumber(decision.loopFrom) || decision.loopFrom < 0 || (isFiniteNumber(at) && decision.loopFrom >= at)) {
+            errors.push(`${path}.loopFrom: expected a number of seconds before the decision point, got ${JSON.stringify(decision.loopFrom)}`);
+        }
+    }
+
+    const choices = [];
+    if (!Array.isArray(decision.choices) || decision.choices.length === 0) {
+        errors.push(`${path}.choices: expected a non-empty array`);
+    } else {
+        const seenIds = new Set();
+        decision.choices.forEach((entry, index) => {
+            const choice = validateChoice(entry, `${path}.choices[${index}]`, nodeIds, errors);
+            if (!choice) return;
+            if (seenIds.has(choice.id)) {
+                errors.push(`${path}.choices[${index}].id: duplicate id "${choice.id}"`);
+                return;
+            }
+            seenIds.add(choice.id);
+            choices.push(choice);
+        });
+    }
+
+    if (decision.timeout !== undefined || decision.default !== undefined) {
+        if (!isFiniteNumber(decision.timeout) || decision.timeout <= 0) {
+            errors.push(`${path}.timeout: expected a number of seconds > 0 alongside default`);
+        }
+        if (!choices.some(choice => choice.id === decision.default)) {
+            errors.push(`${path}.default: expected one of the choice ids alongside timeout, got ${JSON.stringify(decision.default)}`);
+        }
+    }
+
+    if (errors.length > startErrors) return null;
+
+    return {
+        prompt: decision.prompt || null,
+        mode,
+        at: at ?? null, // null = when the video ends
+        loopFrom: mode === 'loop' ? (decision.loopFrom ?? node.start ?? 0) : null,
+        timeout: decision.timeout ?? null,
+        default: decision.default ?? null,
+        choices
+    };
+}
+
+/**
+ * Validate one node, returning the normalized node (or null)
+ */
+function validateNode(node, path, nodeIds, errors) {
+    if (!isPlainObject(node)) {
+        errors.push(`${path}: expected an object`);
+        return null;
+    }
+
+    const startErrors = errors.length;
+
+    if (!isNonEmptyString(node.scene)) {
+        errors.push(`${path}.scene: expected a scene id`);
+    }
+    if (node.start !== undefined && (!isFiniteNumber(node.start) || node.start < 0)) {
+        errors.push(`${path}.start: expected a number of seconds >= 0 when present, got ${JSON.stringify(node.start)}`);
+    }
+    if (node.end !== undefined && (!isFiniteNumber(node.end) || !(node.end > (node.start || 0)))) {
+        errors.push(`${path}.end: expected a number of seconds after start, got ${JSON.stringify(node.end)}`);
+    }
+    ['lon', 'lat'].forEach(key => {
+        if (node[key] !== undefined && !isFiniteNumber(node[key])) {
+            errors.push(`${path}.${key}: expected degrees when present, got ${JSON.stringify(node[key])}`);
+        }
+    });
+    if (node.next !== undefined && !nodeIds.includes(node.next)) {
+        errors.push(`${path}.next: expected a node id, got ${JSON.stringify(node.next)}`);
+    }
+    const decision = node.decision !== undefined ? validateDecision(node.decision, node, `${path}.decision`, nodeIds, errors) : null;
+
+    if (errors.length > startErrors) return null;
+
+    return {
+        scene: node.scene,
+        start: node.start ?? 0,
+        end: node.end ?? null, // null = to the end of the video
+        lon: node.lon ?? null,
+        lat: node.lat ?? null,
+        decision,
+        next: node.next ?? null
+    };
+}
+
+/**
+ * Validate a parsed story.json document
+ * Returns { valid, errors, story } - story has every default filled in (see validateNode/validateDecision)
+ */
+export function validateStoryGraph(graph) {
+    const errors = [];
+
+    if (!isPlainObject(graph)) {
+        return { valid: false, errors: ['story: expected a JSON object'], story: null };
+    }
+
+    if (!SUPPORTED_STORY_VERSIONS.includes(graph.version)) {
+        errors.push(`version: expected one of ${SUPPORTED_STORY_VERSIONS.join(', ')}, got ${JSON.stringify(graph.version)}`);
+    }
+    if (graph.title !== undefined && !isNonEmptyString(graph.title)) {
+        errors.push('title: expected a non-empty string when present');
+    }
+    if (graph.scenes !== undefined) {
+        if (!Array.isArray(graph.scenes)) {
+            errors.push('scenes: expected an array of tour scenes when present');
+        } else {
+            graph.scenes.forEach((scene, index) => {
+                if (!isPlainObject(scene) || !['photo', 'video'].includes(scene.type) || !isNonEmptyString(scene.id)) {
+                    errors.push(`scenes[${index}]: expected { type: 'photo' | 'video', id, ... }`);
+                } else if (scene.type === 'photo' && !isNonEmptyString(scene.image) && !isPlainObject(scene.tiles)) {
+                    errors.push(`scenes[${index}]: photo scenes need an image or tiles`);
+                }
+            });
+        }
+    }
+
+    const nodes = {};
+    if (!isPlainObject(graph.nodes) || Object.keys(graph.nodes).length === 0) {
+        errors.push('nodes: expected a non-empty object of nodes by id');
+    } else {
+        const nodeIds = Object.keys(graph.nodes);
+        nodeIds.forEach(id => {
+            const node = validateNode(graph.nodes[id], `nodes.${id}`, nodeIds, errors);
+            if (node) nodes[id] = node;
+        });
+        if (!nodeIds.includes(graph.start)) {
+            errors.push(`start: expected a node id, got ${JSON.stringify(graph.start)}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors, story: null };
+    }
+
+    return {
+        valid: true,
+        errors,
+        story: {
+            title: graph.title || null,
+            start: graph.start,
+            scenes: graph.scenes ? graph.scenes.map(scene => ({ ...scene })) : [],
+            nodes
+        }
+    };
+}
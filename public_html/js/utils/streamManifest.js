@@ -0,0 +1,257 @@
+/**
+ * Parsers for segmented streaming manifests (HLS playlists and DASH MPDs)
+ * Both produce the same model for MediaSourceStreamer:
+ *   { type, duration, video: [variant], audio: variant|null }
+ *   variant = { id, bandwidth, width, height, codecs, mimeType, init: { url, range }, segments: [{ url, range, start, duration }] }
+ * Only fragmented MP4 (CMAF) segments are usable with Media Source Extensions.
+ */
+
+export const DEFAULT_VIDEO_CODECS = 'avc1.640028,mp4a.40.2';
+
+function resolveURL(uri, baseURL) {
+    return new URL(uri, baseURL).toString();
+}
+
+/**
+ * Parse an attribute list: BANDWIDTH=800000,RESOLUTION=1920x960,CODECS="avc1.640028,mp4a.40.2"
+ */
+function parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attributes;
+}
+
+/**
+ * EXT-X-BYTERANGE / BYTERANGE="length@offset" -> { start, end } (inclusive), continuing from the previous range
+ */
+function parseByteRange(value, previous) {
+    const [length, offset] = value.split('@').map(Number);
+    const start = Number.isFinite(offset) ? offset : (previous ? previous.end + 1 : 0);
+    return { start, end: start + length - 1 };
+}
+
+function playlistLines(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines[0] !== '#EXTM3U') {
+        throw new Error('Not an HLS playlist (missing #EXTM3U)');
+    }
+    return lines;
+}
+
+export function isHLSMasterPlaylist(text) {
+    return text.includes('#EXT-X-STREAM-INF');
+}
+
+/**
+ * HLS master playlist -> variants (uri still unresolved to segments) + audio rendition groups
+ */
+export function parseHLSMaster(text, baseURL) {
+    const lines = playlistLines(text);
+    const variants = [];
+    const audioGroups = {};
+
+    lines.forEach((line, i) => {
+        if (line.startsWith('#EXT-X-STREAM-INF:')) {
+            const attrs = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+            const uri = lines[i + 1];
+            if (!uri || uri.startsWith('#')) return;
+
+            const [width, height] = (attrs.RESOLUTION || '0x0').split('x').map(Number);
+            variants.push({
+                id: `v${variants.length}`,
+                bandwidth: Number(attrs['AVERAGE-BANDWIDTH'] || attrs.BANDWIDTH) || 0,
+                width,
+                height,
+                codecs: attrs.CODECS || DEFAULT_VIDEO_CODECS,
+                audioGroup: attrs.AUDIO || null,
+                uri: resolveURL(uri, baseURL)
+            });
+        } else if (line.startsWith('#EXT-X-MEDIA:')) {
+            const attrs = parseAttributes(line.slice('#EXT-X-MEDIA:'.length));
+            if (attrs.TYPE === 'AUDIO' && attrs.URI) {
+                const group = audioGroups[attrs['GROUP-ID']] || (audioGroups[attrs['GROUP-ID']] = []);
+                group.push({ name: attrs.NAME, isDefault: attrs.DEFAULT === 'YES', uri: resolveURL(attrs.URI, baseURL) });
+            }
+        }
+    });
+
+    if (variants.length === 0) {
+        throw new Error('HLS master playlist has no variants');
+    }
+
+    return { variants: variants.sort((a, b) => a.bandwidth - b.bandwidth), audioGroups };
+}
+
+/**
+ * HLS media playlist -> { init, segments, duration }
+ * Throws for MPEG-TS playlists (no EXT-X-MAP) - browsers can't append TS to a SourceBuffer
+ */
+export function parseHLSMediaPlaylist(text, baseURL) {
+    const lines = playlistLines(text);
+    const segments = [];
+    let init = null;
+    let pendingDuration = null;
+    let pendingRange = null;
+    let lastRange = null;
+    let start = 0;
+
+    for (const line of lines) {
+        if (line.startsWith('#EXT-X-MAP:')) {
+            const attrs = parseAttributes(line.slice('#EXT-X-MAP:'.length));
+            init = {
+                url: resolveURL(attrs.URI, baseURL),
+                range: attrs.BYTERANGE ? parseByteRange(attrs.BYTERANGE, null) : null
+            };
+        } else if (line.startsWith('#EXTINF:')) {
+            pendingDuration = parseFloat(line.slice('#EXTINF:'.length));
+        } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+            pendingRange = parseByteRange(line.slice('#EXT-X-BYTERANGE:'.length), lastRange);
+        } else if (!line.startsWith('#') && pendingDuration !== null) {
+            segments.push({ url: resolveURL(line, baseURL), range: pendingRange, start, duration: pendingDuration });
+            start += pendingDuration;
+            lastRange = pendingRange || lastRange;
+            pendingDuration = null;
+            pendingRange = null;
+        }
+    }
+
+    if (!init) {
+        throw new Error('HLS playlist uses MPEG-TS segments - MSE playback needs fMP4 (hls_segment_type fmp4)');
+    }
+
+    return { init, segments, duration: start };
+}
+
+/**
+ * ISO 8601 duration (PT1H2M3.5S) -> seconds
+ */
+function parseISODuration(value) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/.exec(value || '');
+    if (!match) return 0;
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+function fillTemplate(template, representation, values) {
+    return template.replace(/\$(RepresentationID|Number|Time|Bandwidth)(?:%0(\d+)d)?\$/g, (_, name, width) => {
+        const value = name === 'RepresentationID' ? representation.getAttribute('id')
+            : name === 'Bandwidth' ? representation.getAttribute('bandwidth')
+            : String(values[name]);
+        return width ? value.padStart(Number(width), '0') : value;
+    }).replace(/\$\$/g, '$');
+}
+
+/**
+ * Closest SegmentTemplate: Representation > AdaptationSet > Period
+ */
+function findSegmentTemplate(representation) {
+    for (let node = representation; node && node.nodeType === 1; node = node.parentNode) {
+        const template = Array.from(node.children).find(child => child.localName === 'SegmentTemplate');
+        if (template) return template;
+    }
+    return null;
+}
+
+function dashVariant(representation, adaptationSet, baseURL, duration) {
+    const template = findSegmentTemplate(representation);
+    if (!template) {
+        throw new Error('DASH representation without SegmentTemplate is not supported');
+    }
+
+    const timescale = Number(template.getAttribute('timescale')) || 1;
+    const startNumber = Number(template.getAttribute('startNumber') ?? 1);
+    const media = template.getAttribute('media');
+    const segments = [];
+
+    const timeline = Array.from(template.children).find(child => child.localName === 'SegmentTimeline');
+    if (timeline) {
+        let time = 0;
+        let number = startNumber;
+        for (const s of Array.from(timeline.children).filter(child => child.localName === 'S')) {
+            time = s.hasAttribute('t') ? Number(s.getAttribute('t')) : time;
+            const d = Number(s.getAttribute('d'));
+            const repeat = Number(s.getAttribute('r') || 0);
+            for (let i = 0; i <= repeat; i++) {
+                segments.push({
+                    url: resolveURL(fillTemplate(media, representation, { Number: number, Time: time }), baseURL),
+                    range: null,
+                    start: time / timescale,
+                    duration: d / timescale
+                });
+                time += d;
+                number++;
+            }
+        }
+    } else {
+        const segmentDuration = Number(template.getAttribute('duration')) / timescale;
+        const count = Math.ceil(duration / segmentDuration);
+        for (let i = 0; i < count; i++) {
+            segments.push({
+                url: resolveURL(fillTemplate(media, representation, { Number: startNumber + i, Time: i * segmentDuration * timescale }), baseURL),
+                range: null,
+                start: i * segmentDuration,
+                duration: Math.min(segmentDuration, duration - i * segmentDuration)
+            });
+        }
+    }
+
+    const attr = (name) => representation.getAttribute(name) || adaptationSet.getAttribute(name);
+    return {
+        id: representation.getAttribute('id'),
+        bandwidth: Number(representation.getAttribute('bandwidth')) || 0,
+        width: Number(attr('width')) || 0,
+        height: Number(attr('height')) || 0,
+        codecs: attr('codecs'),
+        mimeType: attr('mimeType') || (attr('contentType') === 'audio' ? 'audio/mp4' : 'video/mp4'),
+        init: {
+            url: resolveURL(fillTemplate(template.getAttribute('initialization'), representation, {}), baseURL),
+            range: null
+        },
+        segments
+    };
+}
+
+/**
+ * DASH MPD (static, SegmentTemplate with $Number$/$Time$ or SegmentTimeline) -> stream model
+ * Uses the first Period; the first audio AdaptationSet becomes the audio track
+ */
+export function parseDASHManifest(text, manifestURL) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const mpd = doc.documentElement;
+    if (!mpd || mpd.localName !== 'MPD') {
+        throw new Error('Not a DASH manifest');
+    }
+    if (mpd.getAttribute('type') === 'dynamic') {
+        throw new Error('Live DASH manifests are not supported');
+    }
+
+    const duration = parseISODuration(mpd.getAttribute('mediaPresentationDuration'));
+    const period = Array.from(mpd.children).find(child => child.localName === 'Period');
+    const baseElement = Array.from(mpd.children).find(child => child.localName === 'BaseURL');
+    const baseURL = baseElement ? resolveURL(baseElement.textContent.trim(), manifestURL) : manifestURL;
+
+    const video = [];
+    let audio = null;
+    for (const adaptationSet of Array.from(period?.children || []).filter(child => child.localName === 'AdaptationSet')) {
+        const type = adaptationSet.getAttribute('contentType') || (adaptationSet.getAttribute('mimeType') || '').split('/')[0];
+        const representations = Array.from(adaptationSet.children).filter(child => child.localName === 'Representation');
+
+        if (type === 'video') {
+            representations.forEach(rep => video.push(dashVariant(rep, adaptationSet, baseURL, duration)));
+        } else if (type === 'audio' && !audio && representations.length > 0) {
+            // Highest-bandwidth audio - it's small next to 360° video
+            const best = representations.reduce((a, b) => Number(b.getAttribute('bandwidth')) > Number(a.getAttribute('bandwidth')) ? b : a);
+            audio = dashVariant(best, adaptationSet, baseURL, duration);
+        }
+    }
+
+    if (video.length === 0) {
+        throw new Error('DASH manifest has no video representations');
+    }
+
+    return { type: 'dash', duration, video: video.sort((a, b) => a.bandwidth - b.bandwidth), audio };
+}
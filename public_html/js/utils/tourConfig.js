@@ -0,0 +1,35 @@
+/**
+ * Tour Configuration
+ * A tour is an ordered list of scenes that SceneManager steps through (next/previous, scene selector).
+ * Photo and video scenes can be mixed freely. Open a tour with ?tour=<id> or sessionStorage 'selectedTour'.
+ *
+ * Video scene: { type: 'video', id } - a processed video from videoGalleryConfig (title/duration come from there)
+ * Photo scene: {
+ *   type: 'photo',
+ *   id: 'harbour',                           // hotspots from assets/photos/<id>/hotspots.json
+ *   title: 'Harbour at Dawn',
+ *   image: 'assets/photos/harbour/pano.jpg', // single image, or `tiles` for multi-resolution (see TiledPanorama.js)
+ *   projection, stereo,                      // optional frame format, as for videos (see utils/projection.js)
+ *   audio: 'assets/sound/harbour.mp3',       // optional ambient loop
+ *   hotspots: 'assets/photos/harbour/hotspots.json', // optional manifest URL override
+ *   lon: 0, lat: 0                           // optional starting view
+ * }
+ * Scenes link to each other with portal hotspots in their manifests ({ portal: { scene: '<scene id>' } }).
+ */
+
+export const tours = {
+    // 'harbour-walk': {
+    //     title: 'Harbour Walk',
+    //     scenes: [
+    //         { type: 'photo', id: 'harbour', title: 'Harbour at Dawn', image: 'assets/photos/harbour/pano.jpg', audio: 'assets/sound/harbour.mp3' },
+    //         { type: 'video', id: 'stumpy_latlong_01_waves_61Mbps-003' }
+    //     ]
+    // }
+};
+
+/**
+ * Get tour by ID
+ */
+export function getTourById(id) {
+    return tours[id] || null;
+}
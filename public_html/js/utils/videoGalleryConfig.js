@@ -40,6 +40,17 @@ export const videoNarratives = {
     }
 };
 
+/**
+ * Gallery entries
+ * Optional frame format fields (the same fields in the video's info.json take precedence):
+ *   stereo: 'top-bottom' | 'side-by-side' - stereoscopic footage (left eye on top / on the left)
+ *   projection: 'equirect' (default) | 'vr180' | 'fisheye' | 'eac' | 'cubemap' - see utils/projection.js
+ *   fov: fisheye lens field of view in degrees (default 190)
+ *   backdrop: color or image URL shown past the 180° edge of half-dome formats
+ *   ambisonic: true (the video's audio is 4-channel AmbiX) or a sidecar file in the video's folder - see AmbisonicAudio.js
+ * Optional captions (also read from info.json first):
+ *   captions: WebVTT file in the video's folder, or { language: file } - see utils/webvtt.js
+ */
 export const videoGallery = [
     {
         id: '4klatlong_05b_offsetOverture1',
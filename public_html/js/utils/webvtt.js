@@ -0,0 +1,175 @@
+/**
+ * WebVTT
+ * Caption tracks for CaptionSystem. Processed videos name theirs in info.json or the gallery entry,
+ * next to the video's info.json:
+ *   "captions": "captions.vtt"
+ *   "captions": { "en": "captions.en.vtt", "de": "captions.de.vtt" }   // picked by the browser's languages
+ * Generated affirmation sets carry one built from their segment times (ElevenLabsService).
+ *
+ * Only cue timings and text are read: cue settings (position, align...) are ignored and
+ * NOTE, STYLE and REGION blocks skipped. Cue text keeps its markup - see stripCueTags().
+ * As in browsers, a malformed cue is dropped on its own - the rest of the track still shows.
+ */
+
+// hh:mm:ss.ttt, hours optional
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+
+const SKIPPED_BLOCKS = /^(NOTE|STYLE|REGION)([ \t]|$)/;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': '\u00a0', '&lrm;': '\u200e', '&rlm;': '\u200f' };
+
+/**
+ * Seconds for a WebVTT timestamp (null when malformed)
+ */
+export function parseTimestamp(value) {
+    const match = TIMESTAMP_PATTERN.exec(value);
+    if (!match) return null;
+    const [, hours = '0', minutes, seconds, millis] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+}
+
+/**
+ * WebVTT timestamp for a number of seconds
+ */
+export function formatTimestamp(seconds) {
+    const millis = Math.max(0, Math.round(seconds * 1000));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:${pad(Math.floor(millis / 1000) % 60)}.${pad(millis % 1000, 3)}`;
+}
+
+/**
+ * Plain text of a cue: voice/class/italic... tags dropped and entities decoded
+ */
+export function stripCueTags(text) {
+    return text
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => ENTITIES[entity]);
+}
+
+/**
+ * Parse a WebVTT document
+ * Returns { valid, errors, cues } - cues are { id, start, end, text } sorted by start.
+ * valid is false only without a WEBVTT header (no cues); malformed cue blocks are skipped and listed in errors
+ */
+export function parseWebVTT(text) {
+    if (typeof text !== 'string') {
+        return { valid: false, errors: ['captions: expected WebVTT text'], cues: [] };
+    }
+
+    const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    if (!/^WEBVTT([ \t].*)?$/.test(lines[0])) {
+        return { valid: false, errors: ['line 1: expected a "WEBVTT" header'], cues: [] };
+    }
+
+    const errors = [];
+    const cues = [];
+    let index = 1;
+    // The header runs to the first blank line
+    while (index < lines.length && lines[index].trim() !== '') index++;
+
+    while (index < lines.length) {
+        if (lines[index].trim() === '') {
+            index++;
+            continue;
+        }
+
+        const blockStart = index;
+        const block = [];
+        while (index < lines.length && lines[index].trim() !== '') {
+            block.push(lines[index++]);
+        }
+        if (SKIPPED_BLOCKS.test(block[0])) continue;
+
+        // An optional identifier line precedes the timings
+        const timingIndex = block[0].includes('-->') ? 0 : 1;
+        const timing = block[timingIndex];
+        const line = blockStart + timingIndex + 1;
+        const match = timing && /^\s*(\S+)\s+-->\s+(\S+)/.exec(timing);
+        if (!match) {
+            errors.push(`line ${line}: expected "start --> end" cue timings`);
+            continue;
+        }
+
+        const start = parseTimestamp(match[1]);
+        const end = parseTimestamp(match[2]);
+        if (start === null || end === null) {
+            errors.push(`line ${line}: expected hh:mm:ss.ttt timestamps, got ${JSON.stringify(timing.trim())}`);
+        } else if (end <= start) {
+            errors.push(`line ${line}: cue ends at or before its start`);
+        } else {
+            cues.push({
+                id: timingIndex === 1 ? block[0] : null,
+                start,
+                end,
+                text: block.slice(timingIndex + 1).join('\n')
+            });
+        }
+    }
+
+    cues.sort((a, b) => a.start - b.start);
+    return { valid: true, errors, cues };
+}
+
+/**
+ * WebVTT document for { id?, start, end, text } cues - inverse of parseWebVTT()
+ */
+export function buildWebVTT(cues) {
+    const blocks = cues.map(cue => {
+        // Blank lines would end the cue, and "-->" would read as timings
+        const text = cue.text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\n\s*\n/g, '\n');
+        const id = cue.id != null ? `${cue.id}\n` : '';
+        return `${id}${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${text}`;
+    });
+    return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * Caption file URL for a processed video (info.json takes precedence over the gallery entry),
+ * or null when it has none
+ * @param {string} baseURL - the video's folder, for relative file names
+ * @param {string[]} languages - preferred languages, best first
+ */
+export function resolveCaptionSource(info, entry, baseURL, languages = navigator.languages || [navigator.language]) {
+    let value = [info, entry].find(source => source && source.captions != null)?.captions;
+    if (value && typeof value === 'object') {
+        const tracks = Object.keys(value);
+        const language = languages
+            .flatMap(tag => [tag, tag.split('-')[0]])
+            .find(tag => tracks.includes(tag));
+        value = value[language || tracks[0]];
+    }
+    if (typeof value !== 'string' || !value) return null;
+    return /^(https?:)?\//.test(value) ? value : baseURL + value;
+}
+
+/**
+ * Fetch and parse a .vtt file - resolves to its cues, or null when missing or not WebVTT
+ */
+export async function loadWebVTT(url) {
+    let text;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            console.warn(`⚠️ No captions at ${url} (${response.status})`);
+            return null;
+        }
+        text = await response.text();
+    } catch (error) {
+        console.warn(`⚠️ Could not load captions ${url}: ${error.message}`);
+        return null;
+    }
+
+    const result = parseWebVTT(text);
+    if (!result.valid) {
+        console.error(`❌ Captions ${url} failed validation:\n  - ${result.errors.join('\n  - ')}`);
+        return null;
+    }
+    if (result.errors.length) {
+        console.warn(`⚠️ Captions ${url}: skipped ${result.errors.length} malformed cue(s):\n  - ${result.errors.join('\n  - ')}`);
+    }
+    return result.cues;
+}
@@ -0,0 +1,551 @@
+#!/usr/bin/env node
+/**
+ * EyeTrip Collaborative Relay - reference WebSocket server for CollaborativeMode
+ *
+ * Rooms, presence, heartbeats, leave-on-timeout, a per-room host for
+ * synchronized playback and first-finder arbitration for co-op/race rounds,
+ * with zero npm dependencies (implements the small
+ * subset of RFC 6455 the browser client needs).
+ *
+ * Usage:
+ *   node server/collab-server.js            # ws://localhost:8787
+ *   PORT=9000 node server/collab-server.js
+ *
+ * Then open a video page with ?room=<code>&collabServer=ws://localhost:8787
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const HOST = process.env.HOST || '0.0.0.0';
+const HEARTBEAT_TIMEOUT_MS = parseInt(process.env.HEARTBEAT_TIMEOUT_MS || '15000', 10); // Client pings every 5s
+const SWEEP_INTERVAL_MS = 5000;
+const MAX_ROOM_SIZE = parseInt(process.env.MAX_ROOM_SIZE || '16', 10);
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_:-]{1,80}$/;
+const ROOM_MODES = ['free', 'coop', 'race'];
+// Client messages the relay forwards to the room - everything else it sends is its own
+const RELAYED_TYPES = ['camera-update', 'hotspot-discovered', 'playback-state', 'round-start'];
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Player ids are assigned here when a socket connects - ids in client messages are ignored.
+// Each connection also gets a secret resume token: a reconnecting tab presents it in 'join-room'
+// to take its old id (and host role) back from the stale connection.
+// roomId -> { players: Map(playerId -> client), hostId, playback, round }
+// playback is the host's last 'playback-state' so late joiners can catch up
+// round is { id, mode, finds: Map('videoId:hotspotId' -> first find) } - the relay decides who was first
+const rooms = new Map();
+let nextClientId = 1;
+
+// ===== Minimal WebSocket framing =====
+
+/**
+ * Encode a server -> client frame (servers never mask)
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode; // FIN + opcode
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Pull complete frames out of a client's receive buffer
+ * Returns [{ fin, opcode, payload }] and leaves partial data buffered
+ */
+function decodeFrames(client) {
+    const frames = [];
+
+    while (client.buffer.length >= 2) {
+        const buffer = client.buffer;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            const bigLength = buffer.readBigUInt64BE(2);
+            if (bigLength > BigInt(MAX_MESSAGE_BYTES)) {
+                throw new Error('Frame too large');
+            }
+            length = Number(bigLength);
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE_BYTES) {
+            throw new Error('Frame too large');
+        }
+        if (!masked) {
+            throw new Error('Client frames must be masked');
+        }
+
+        if (buffer.length < offset + 4 + length) break;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        frames.push({ fin, opcode, payload });
+        client.buffer = buffer.subarray(offset + 4 + length);
+    }
+
+    return frames;
+}
+
+// ===== Client handling =====
+
+function send(client, data) {
+    if (client.closed) return;
+    client.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(data))));
+}
+
+function closeClient(client, code = 1000, reason = '') {
+    if (client.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    client.socket.write(encodeFrame(0x8, payload));
+    client.closed = true;
+    client.socket.end();
+}
+
+/**
+ * Send to everyone in a room except `exceptClient`
+ */
+function broadcast(roomId, data, exceptClient = null) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    room.players.forEach(member => {
+        if (member !== exceptClient) send(member, data);
+    });
+}
+
+function describePlayer(client) {
+    return {
+        playerId: client.playerId,
+        playerName: client.playerName,
+        joinTime: client.joinTime,
+        state: client.state
+    };
+}
+
+function createId(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * The room member whose resume token this is (a stale connection of the same tab), if any
+ */
+function findResumedPlayer(room, resumeToken) {
+    if (typeof resumeToken !== 'string') return null;
+    const token = Buffer.from(resumeToken);
+    if (token.length !== 32) return null;
+    return [...room.players.values()].find(member =>
+        crypto.timingSafeEqual(Buffer.from(member.resumeToken), token)) || null;
+}
+
+function joinRoom(client, message) {
+    const { roomId } = message;
+
+    if (typeof roomId !== 'string' || !ROOM_ID_PATTERN.test(roomId)) {
+        send(client, { type: 'error', code: 'invalid-room', message: 'Room ids are 1-80 letters, digits, _ : -' });
+        return;
+    }
+
+    // Switching rooms counts as leaving the old one
+    if (client.roomId && client.roomId !== roomId) {
+        leaveRoom(client, 'switched');
+    }
+
+    let room = rooms.get(roomId);
+    if (!room) {
+        room = { players: new Map(), hostId: null, playback: null, round: createRound('free') };
+        rooms.set(roomId, room);
+    }
+
+    // Same tab reconnecting (new socket, old resume token) replaces the stale connection silently
+    const existing = room.players.get(client.playerId) || findResumedPlayer(room, message.resumeToken);
+    const isRejoin = Boolean(existing);
+    if (existing && existing !== client) {
+        existing.roomId = null;
+        closeClient(existing, 4000, 'Replaced by a newer connection');
+        client.playerId = existing.playerId;
+        client.resumeToken = existing.resumeToken;
+    }
+    const playerId = client.playerId;
+
+    if (!isRejoin && room.players.size >= MAX_ROOM_SIZE) {
+        send(client, { type: 'error', code: 'room-full', message: `Room is full (${MAX_ROOM_SIZE} players)` });
+        return;
+    }
+
+    client.roomId = roomId;
+    client.playerId = playerId;
+    client.playerName = String(message.playerName || 'Explorer').slice(0, 40);
+    client.joinTime = existing ? existing.joinTime : Date.now();
+    client.state = existing ? existing.state : {};
+    room.players.set(playerId, client);
+
+    // First one in hosts the watch party
+    if (!room.hostId) {
+        room.hostId = playerId;
+    }
+
+    // Joiner gets the current presence list
+    send(client, {
+        type: 'room-state',
+        roomId,
+        assignedPlayerId: playerId, // Not playerId - relayed messages carry that, server ones never do
+        resumeToken: client.resumeToken,
+        players: [...room.players.values()].filter(member => member !== client).map(describePlayer),
+        hostId: room.hostId,
+        playback: room.playback,
+        round: describeRound(room.round),
+        timestamp: Date.now()
+    });
+
+    if (!isRejoin) {
+        broadcast(roomId, {
+            type: 'join-room',
+            roomId,
+            playerId,
+            playerName: client.playerName,
+            timestamp: client.joinTime
+        }, client);
+    }
+
+    console.log(`👋 ${client.playerName} (${playerId}) ${isRejoin ? 'rejoined' : 'joined'} ${roomId} - ${room.players.size} player(s)`);
+}
+
+function leaveRoom(client, reason) {
+    const roomId = client.roomId;
+    if (!roomId) return;
+
+    const room = rooms.get(roomId);
+    client.roomId = null;
+    if (!room || room.players.get(client.playerId) !== client) return;
+
+    room.players.delete(client.playerId);
+    broadcast(roomId, {
+        type: 'leave-room',
+        roomId,
+        playerId: client.playerId,
+        playerName: client.playerName,
+        reason,
+        timestamp: Date.now()
+    });
+
+    if (room.players.size === 0) {
+        rooms.delete(roomId);
+    } else if (room.hostId === client.playerId) {
+        // Hand the remote to whoever has been here longest
+        const nextHost = [...room.players.values()].sort((a, b) => a.joinTime - b.joinTime)[0];
+        room.hostId = nextHost.playerId;
+        broadcast(roomId, {
+            type: 'host-changed',
+            roomId,
+            hostId: nextHost.playerId,
+            hostName: nextHost.playerName,
+            timestamp: Date.now()
+        });
+        console.log(`👑 ${nextHost.playerName} is now hosting ${roomId}`);
+    }
+
+    console.log(`👋 ${client.playerName} left ${roomId} (${reason})`);
+}
+
+function handleMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        send(client, { type: 'error', code: 'invalid-json', message: 'Messages must be JSON' });
+        return;
+    }
+    if (!message || typeof message.type !== 'string') return;
+
+    client.lastSeen = Date.now();
+
+    switch (message.type) {
+        case 'join-room':
+            joinRoom(client, message);
+            break;
+        case 'leave-room':
+            leaveRoom(client, 'left');
+            break;
+        case 'heartbeat':
+            send(client, { type: 'heartbeat-ack', timestamp: Date.now(), clientTimestamp: message.timestamp });
+            break;
+        default:
+            if (!RELAYED_TYPES.includes(message.type)) {
+                send(client, { type: 'error', code: 'invalid-type', message: `Clients can't send '${message.type}' messages` });
+                return;
+            }
+            if (!client.roomId) {
+                send(client, { type: 'error', code: 'not-in-room', message: 'Join a room first' });
+                return;
+            }
+            if (message.type === 'playback-state' && !acceptPlaybackState(client, message)) {
+                return;
+            }
+            if (message.type === 'round-start' && !acceptRoundStart(client, message)) {
+                return;
+            }
+            if (message.type === 'hotspot-discovered') {
+                recordFind(client, message);
+            }
+            // Relay to the room - identity comes from the session, not the message
+            broadcast(client.roomId, {
+                ...message,
+                roomId: client.roomId,
+                playerId: client.playerId,
+                playerName: client.playerName,
+                serverTime: Date.now()
+            }, client);
+    }
+}
+
+/**
+ * Only the host drives the shared timeline; remember its latest state for late joiners
+ */
+function acceptPlaybackState(client, message) {
+    const room = rooms.get(client.roomId);
+    if (!room || room.hostId !== client.playerId) {
+        send(client, { type: 'error', code: 'not-host', message: 'Only the host controls playback' });
+        return false;
+    }
+
+    room.playback = {
+        ...message,
+        roomId: client.roomId,
+        playerId: client.playerId,
+        playerName: client.playerName,
+        serverTime: Date.now()
+    };
+    return true;
+}
+
+// ===== Discovery rounds =====
+
+function createRound(mode) {
+    return { id: createId(4), mode, finds: new Map() };
+}
+
+function describeRound(round) {
+    return { id: round.id, mode: round.mode, finds: [...round.finds.values()] };
+}
+
+/**
+ * Host starts a new round (mode change or replay) - everyone's claims are cleared
+ */
+function acceptRoundStart(client, message) {
+    const room = rooms.get(client.roomId);
+    if (!room || room.hostId !== client.playerId) {
+        send(client, { type: 'error', code: 'not-host', message: 'Only the host starts rounds' });
+        return false;
+    }
+    if (!ROOM_MODES.includes(message.mode)) {
+        send(client, { type: 'error', code: 'invalid-mode', message: `Mode must be one of ${ROOM_MODES.join(', ')}` });
+        return false;
+    }
+
+    room.round = createRound(message.mode);
+    message.roundId = room.round.id; // Stamped onto the relayed message
+    send(client, { type: 'round-started', roomId: client.roomId, roundId: room.round.id, mode: room.round.mode });
+    console.log(`🏁 ${client.roomId}: new ${room.round.mode} round ${room.round.id}`);
+    return true;
+}
+
+/**
+ * First message for a hotspot wins it; later finders learn who beat them
+ */
+function recordFind(client, message) {
+    const room = rooms.get(client.roomId);
+    if (!room || typeof message.hotspotId !== 'string') return;
+
+    const key = `${message.videoId}:${message.hotspotId}`;
+    if (!room.round.finds.has(key)) {
+        room.round.finds.set(key, {
+            videoId: message.videoId,
+            hotspotId: message.hotspotId,
+            hotspotLabel: message.hotspotLabel,
+            playerId: client.playerId,
+            playerName: client.playerName,
+            serverTime: Date.now()
+        });
+    }
+
+    const first = room.round.finds.get(key);
+    message.roundId = room.round.id;
+    message.firstFinderId = first.playerId;
+    message.firstFinderName = first.playerName;
+    send(client, {
+        type: 'discovery-ack',
+        roomId: client.roomId,
+        roundId: room.round.id,
+        videoId: message.videoId,
+        hotspotId: message.hotspotId,
+        hotspotLabel: message.hotspotLabel,
+        firstFinderId: first.playerId,
+        firstFinderName: first.playerName
+    });
+}
+
+function handleUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = {
+        id: nextClientId++,
+        socket,
+        buffer: Buffer.alloc(0),
+        fragments: [], // Payloads of the message being reassembled
+        fragmentBytes: 0,
+        roomId: null,
+        playerId: `player_${createId(6)}`,
+        resumeToken: createId(16),
+        playerName: null,
+        lastSeen: Date.now(),
+        closed: false
+    };
+    send(client, { type: 'welcome', assignedPlayerId: client.playerId });
+
+    socket.on('data', chunk => {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+
+        let frames;
+        try {
+            frames = decodeFrames(client);
+        } catch (error) {
+            closeClient(client, 1009, error.message);
+            return;
+        }
+
+        frames.forEach(frame => {
+            if (client.closed) return;
+            switch (frame.opcode) {
+                case 0x0: // Continuation
+                case 0x1: // Text
+                    // Continuations only follow an unfinished message, and a new message can't interrupt one
+                    if ((frame.opcode === 0x0) !== (client.fragments.length > 0)) {
+                        closeClient(client, 1002, 'Unexpected frame in fragmented message');
+                        return;
+                    }
+                    client.fragmentBytes += frame.payload.length;
+                    if (client.fragmentBytes > MAX_MESSAGE_BYTES) {
+                        closeClient(client, 1009, 'Message too large');
+                        return;
+                    }
+                    client.fragments.push(frame.payload);
+                    if (frame.fin) {
+                        const text = Buffer.concat(client.fragments).toString('utf8');
+                        client.fragments = [];
+                        client.fragmentBytes = 0;
+                        handleMessage(client, text);
+                    }
+                    break;
+                case 0x8: // Close
+                    leaveRoom(client, 'left');
+                    closeClient(client);
+                    break;
+                case 0x9: // Ping
+                    client.lastSeen = Date.now();
+                    if (!client.closed) client.socket.write(encodeFrame(0xa, frame.payload));
+                    break;
+                case 0xa: // Pong
+                    client.lastSeen = Date.now();
+                    break;
+                default:
+                    closeClient(client, 1003, 'Unsupported frame');
+            }
+        });
+    });
+
+    const onGone = () => {
+        client.closed = true;
+        leaveRoom(client, 'disconnected');
+    };
+    socket.on('close', onGone);
+    socket.on('error', onGone);
+}
+
+// ===== HTTP + timeouts =====
+
+const server = http.createServer((request, response) => {
+    // Health/debug endpoint: room and player counts only (no names)
+    if (request.url === '/health') {
+        const summary = [...rooms.entries()].map(([roomId, room]) => ({ roomId, players: room.players.size }));
+        response.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        });
+        response.end(JSON.stringify({ ok: true, rooms: summary }));
+        return;
+    }
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('EyeTrip collaborative relay - connect with a WebSocket\n');
+});
+
+server.on('upgrade', handleUpgrade);
+
+// Drop players that stopped sending heartbeats (closed laptop, lost network)
+const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    rooms.forEach(room => {
+        room.players.forEach(client => {
+            if (now - client.lastSeen > HEARTBEAT_TIMEOUT_MS) {
+                leaveRoom(client, 'timeout');
+                closeClient(client, 4001, 'Heartbeat timeout');
+            }
+        });
+    });
+}, SWEEP_INTERVAL_MS);
+
+function shutdown() {
+    console.log('🛑 Shutting down collaborative relay');
+    clearInterval(sweepTimer);
+    rooms.forEach(room => room.players.forEach(client => closeClient(client, 1001, 'Server shutting down')));
+    server.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 1000).unref();
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+server.listen(PORT, HOST, () => {
+    console.log(`🌐 EyeTrip collaborative relay listening on ws://${HOST === '0.0.0.0' ? 'localhost' : HOST}:${PORT}`);
+});
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+/**
+ * EyeTrip TTS Proxy - local stand-in for the affirmation voice backend
+ *
+ * Holds the ElevenLabs API key so the browser never sees it, limits how many
+ * generations each user can trigger and caches audio per survey combination
+ * (emotionalTone_focusArea_currentMood). The spoken text is built here from
+ * assets/affirmations.json, so the proxy only ever voices our own affirmations.
+ * Zero npm dependencies (Node 18+ fetch).
+ * api/tts.php implements the same protocol for PHP hosting.
+ *
+ * Usage:
+ *   ELEVENLABS_API_KEY=sk_... node server/tts-proxy.js     # http://localhost:8788/tts
+ *
+ * Then open the affirmation page with ?ttsEndpoint=http://localhost:8788/tts
+ * (localhost pages use that endpoint by default).
+ *
+ * Protocol:
+ *   POST /tts              { voiceId, voiceSettings, emotionalTone, focusArea, currentMood }
+ *                          -> audio/mpeg, X-Cache: HIT | MISS
+ *   GET  /tts?action=voices -> [{ voice_id, name }]
+ *   GET  /tts?action=usage  -> { character_count, character_limit, tier }
+ *   Errors are JSON { error, message } - 429 adds Retry-After
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT || '8788', 10);
+const HOST = process.env.HOST || '127.0.0.1';
+const API_KEY = process.env.ELEVENLABS_API_KEY || '';
+const UPSTREAM_URL = (process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io/v1').replace(/\/$/, '');
+const MODEL_ID = process.env.ELEVENLABS_MODEL || 'eleven_turbo_v2_5';
+const CACHE_DIR = process.env.TTS_CACHE_DIR || path.join(__dirname, '.tts-cache');
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || String(60 * 60 * 1000), 10);
+const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX || '10', 10); // Generations per user per window
+const RATE_LIMIT_IP_MAX = parseInt(process.env.RATE_LIMIT_IP_MAX || '30', 10); // Stops client-id rotation
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const AFFIRMATIONS_FILE = path.join(__dirname, '..', 'assets', 'affirmations.json');
+const AFFIRMATION_PAUSE = '.......... '; // Long runs of periods make ElevenLabs pause between affirmations
+// The default voices in TTSProviders.js - TTS_VOICE_IDS=id1,id2 replaces the list
+const ALLOWED_VOICE_IDS = (process.env.TTS_VOICE_IDS || 'EXAVITQu4vr4xnSDxMaL,pNInz6obpgDQGcFmaJgB,21m00Tcm4TlvDq8ikWAM')
+    .split(',').map(id => id.trim()).filter(Boolean);
+const MAX_BODY_BYTES = 32 * 1024;
+const UPSTREAM_TIMEOUT_MS = 30000;
+const KEY_PART_PATTERN = /^[a-z0-9-]{1,40}$/;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// "tone_focus" -> [affirmation texts], shared with the client's ElevenLabsService
+const affirmationLibrary = JSON.parse(fs.readFileSync(AFFIRMATIONS_FILE, 'utf8'));
+// userKey -> [timestamps] of upstream generations (cache hits are free)
+const generationLog = new Map();
+// cacheKey -> Promise, so two users picking the same combination share one generation
+const inFlight = new Map();
+
+// ===== Helpers =====
+
+function sendJSON(response, status, body, headers = {}) {
+    response.writeHead(status, { ...corsHeaders(), 'Content-Type': 'application/json', ...headers });
+    response.end(JSON.stringify(body));
+}
+
+function sendError(response, status, error, message, headers = {}) {
+    sendJSON(response, status, { error, message }, headers);
+}
+
+function corsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, X-EyeTrip-Client',
+        'Access-Control-Expose-Headers': 'X-Cache, X-Cache-Key, Retry-After'
+    };
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function clamp01(value, fallback) {
+    return typeof value === 'number' && Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : fallback;
+}
+
+/**
+ * Validate a generation request; returns { error } or the normalized fields
+ */
+function parseGenerationRequest(body) {
+    const { voiceId, voiceSettings = {} } = body;
+
+    if (!ALLOWED_VOICE_IDS.includes(voiceId)) {
+        return { error: 'voiceId is not one of the affirmation voices' };
+    }
+
+    const parts = [body.emotionalTone, body.focusArea, body.currentMood].map(part => String(part || '').toLowerCase());
+    if (!parts.every(part => KEY_PART_PATTERN.test(part))) {
+        return { error: 'emotionalTone, focusArea and currentMood are required (letters, digits, dashes)' };
+    }
+
+    // Mood only personalizes the cache key - the texts depend on tone and focus
+    const libraryKey = `${parts[0]}_${parts[1]}`;
+    if (!Object.hasOwn(affirmationLibrary, libraryKey)) {
+        return { error: `No affirmations for ${parts[0]} / ${parts[1]}` };
+    }
+    const text = affirmationLibrary[libraryKey].join(AFFIRMATION_PAUSE);
+
+    return {
+        text,
+        voiceId,
+        cacheKey: parts.join('_'),
+        // Another allowed voice, or an edited affirmations.json, regenerates the entry under the same key
+        textHash: crypto.createHash('sha256').update(`${voiceId}\n${text}`).digest('hex'),
+        voiceSettings: {
+            stability: clamp01(voiceSettings.stability, 0.7),
+            similarity_boost: clamp01(voiceSettings.similarity_boost, 0.8),
+            style: clamp01(voiceSettings.style, 0.2),
+            use_speaker_boost: voiceSettings.use_speaker_boost !== false
+        }
+    };
+}
+
+// ===== Rate limiting =====
+
+function getUserKeys(request) {
+    const ip = request.socket.remoteAddress || 'unknown';
+    const clientId = request.headers['x-eyetrip-client'];
+    return {
+        ip: `ip:${ip}`,
+        user: CLIENT_ID_PATTERN.test(clientId || '') ? `client:${clientId}` : `ip:${ip}`
+    };
+}
+
+function recentGenerations(key, now) {
+    const log = (generationLog.get(key) || []).filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+    generationLog.set(key, log);
+    return log;
+}
+
+/**
+ * Seconds until this user may generate again (0 = allowed)
+ */
+function getRetryAfter(keys) {
+    const now = Date.now();
+    const checks = [[keys.user, RATE_LIMIT_MAX], [keys.ip, RATE_LIMIT_IP_MAX]];
+    let retryAfter = 0;
+
+    checks.forEach(([key, max]) => {
+        const log = recentGenerations(key, now);
+        if (log.length >= max) {
+            retryAfter = Math.max(retryAfter, Math.ceil((log[0] + RATE_LIMIT_WINDOW_MS - now) / 1000));
+        }
+    });
+    return retryAfter;
+}
+
+function recordGeneration(keys) {
+    const now = Date.now();
+    new Set([keys.user, keys.ip]).forEach(key => recentGenerations(key, now).push(now));
+}
+
+// ===== Cache =====
+
+function cachePaths(cacheKey) {
+    return {
+        audio: path.join(CACHE_DIR, `${cacheKey}.mp3`),
+        meta: path.join(CACHE_DIR, `${cacheKey}.json`)
+    };
+}
+
+function readCache(cacheKey, textHash) {
+    const paths = cachePaths(cacheKey);
+    try {
+        const meta = JSON.parse(fs.readFileSync(paths.meta, 'utf8'));
+        if (meta.textHash !== textHash) return null;
+        return fs.readFileSync(paths.audio);
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeCache(cacheKey, textHash, voiceId, audio) {
+    const paths = cachePaths(cacheKey);
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(paths.audio, audio);
+    fs.writeFileSync(paths.meta, JSON.stringify({
+        textHash,
+        voiceId,
+        bytes: audio.length,
+        createdAt: new Date().toISOString()
+    }, null, 2));
+}
+
+// ===== Upstream =====
+
+async function callUpstream(pathname, options = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS);
+    try {
+        return await fetch(`${UPSTREAM_URL}${pathname}`, {
+            ...options,
+            headers: { 'xi-api-key': API_KEY, ...options.headers },
+            signal: controller.signal
+        });
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+async function generateSpeech({ text, voiceId, voiceSettings }) {
+    const response = await callUpstream(`/text-to-speech/${voiceId}`, {
+        method: 'POST',
+        headers: { 'Accept': 'audio/mpeg', 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            text,
+            model_id: MODEL_ID,
+            output_format: 'mp3_44100_128',
+            voice_settings: voiceSettings
+        })
+    });
+
+    if (!response.ok) {
+        const detail = await response.text();
+        throw Object.assign(new Error(`ElevenLabs error (${response.status}): ${detail.slice(0, 300)}`), {
+            status: 502,
+            upstreamStatus: response.status
+        });
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+// ===== Handlers =====
+
+async function handleGenerate(request, response) {
+    let body;
+    try {
+        body = JSON.parse(await readBody(request));
+    } catch (error) {
+        sendError(response, error.status || 400, 'invalid-request', error.status ? error.message : 'Body must be JSON');
+        return;
+    }
+
+    const params = parseGenerationRequest(body || {});
+    if (params.error) {
+        sendError(response, 400, 'invalid-request', params.error);
+        return;
+    }
+
+    const sendAudio = (audio, cacheStatus) => {
+        response.writeHead(200, {
+            ...corsHeaders(),
+            'Content-Type': 'audio/mpeg',
+            'Content-Length': audio.length,
+            'X-Cache': cacheStatus,
+            'X-Cache-Key': params.cacheKey
+        });
+        response.end(audio);
+    };
+
+    const cached = readCache(params.cacheKey, params.textHash);
+    if (cached) {
+        console.log(`💾 HIT ${params.cacheKey} (${cached.length} bytes)`);
+        sendAudio(cached, 'HIT');
+        return;
+    }
+
+    const flightKey = `${params.cacheKey}:${params.textHash}`;
+    if (inFlight.has(flightKey)) {
+        try {
+            sendAudio(await inFlight.get(flightKey), 'HIT');
+        } catch (error) {
+            sendError(response, error.status || 500, 'generation-failed', error.message);
+        }
+        return;
+    }
+
+    const keys = getUserKeys(request);
+    const retryAfter = getRetryAfter(keys);
+    if (retryAfter > 0) {
+        console.log(`⏱️ Rate limited ${keys.user} for ${retryAfter}s`);
+        sendJSON(response, 429, {
+            error: 'rate-limited',
+            message: 'Too many new affirmation tracks - please try again later',
+            retryAfter
+        }, { 'Retry-After': String(retryAfter) });
+        return;
+    }
+
+    if (!API_KEY) {
+        sendError(response, 503, 'not-configured', 'ELEVENLABS_API_KEY is not set on the server');
+        return;
+    }
+
+    recordGeneration(keys);
+    console.log(`🎙️ MISS ${params.cacheKey} - generating ${params.text.length} characters with ${params.voiceId}`);
+
+    const generation = generateSpeech(params);
+    inFlight.set(flightKey, generation);
+    try {
+        const audio = await generation;
+        writeCache(params.cacheKey, params.textHash, params.voiceId, audio);
+        sendAudio(audio, 'MISS');
+    } catch (error) {
+        console.error(`❌ ${params.cacheKey}: ${error.message}`);
+        const status = error.name === 'AbortError' ? 504 : (error.status || 500);
+        sendError(response, status, 'generation-failed', error.name === 'AbortError' ? 'ElevenLabs timed out' : error.message);
+    } finally {
+        inFlight.delete(flightKey);
+    }
+}
+
+async function handleInfo(action, response) {
+    if (!API_KEY) {
+        sendError(response, 503, 'not-configured', 'ELEVENLABS_API_KEY is not set on the server');
+        return;
+    }
+
+    try {
+        if (action === 'voices') {
+            const upstream = await callUpstream('/voices');
+            if (!upstream.ok) throw new Error(`ElevenLabs error (${upstream.status})`);
+            const data = await upstream.json();
+            sendJSON(response, 200, (data.voices || []).map(voice => ({ voice_id: voice.voice_id, name: voice.name })));
+        } else {
+            // Quota only - account details stay on the server
+            const upstream = await callUpstream('/user/subscription');
+            if (!upstream.ok) throw new Error(`ElevenLabs error (${upstream.status})`);
+            const data = await upstream.json();
+            sendJSON(response, 200, {
+                character_count: data.character_count,
+                character_limit: data.character_limit,
+                tier: data.tier
+            });
+        }
+    } catch (error) {
+        sendError(response, 502, 'upstream', error.message);
+    }
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, corsHeaders());
+        response.end();
+        return;
+    }
+
+    if (url.pathname === '/health') {
+        sendJSON(response, 200, { ok: true, configured: Boolean(API_KEY) });
+        return;
+    }
+
+    if (url.pathname !== '/tts') {
+        sendError(response, 404, 'not-found', 'Use /tts');
+        return;
+    }
+
+    if (request.method === 'POST') {
+        handleGenerate(request, response).catch(error => {
+            console.error('❌ Unexpected error:', error);
+            if (!response.headersSent) sendError(response, 500, 'internal', 'Unexpected server error');
+        });
+        return;
+    }
+
+    const action = url.searchParams.get('action');
+    if (request.method === 'GET' && (action === 'voices' || action === 'usage')) {
+        handleInfo(action, response);
+        return;
+    }
+
+    sendError(response, 405, 'method-not-allowed', 'POST a survey combination to generate, or GET ?action=voices|usage');
+});
+
+// Forget rate-limit entries for users who have gone quiet
+const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    generationLog.forEach((log, key) => {
+        if (recentGenerations(key, now).length === 0) generationLog.delete(key);
+    });
+}, RATE_LIMIT_WINDOW_MS);
+
+function shutdown() {
+    console.log('🛑 Shutting down TTS proxy');
+    clearInterval(pruneTimer);
+    server.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 1000).unref();
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+server.listen(PORT, HOST, () => {
+    console.log(`🎙️ EyeTrip TTS proxy listening on http://${HOST}:${PORT}/tts`);
+    if (!API_KEY) {
+        console.warn('⚠️ ELEVENLABS_API_KEY is not set - only cached audio can be served');
+    }
+});
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'eyetrip-vr-v3';
+const CACHE_NAME = 'eyetrip-vr-v6';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -16,6 +16,10 @@ const urlsToCache = [
   '/js/modules/VRMenu.js',
   '/js/modules/WebXRHandler.js',
   '/js/modules/VideoStreamManager.js',
+  '/js/modules/MediaSourceStreamer.js',
+  '/js/modules/AdaptiveBitrateController.js',
+  '/js/modules/TiledPanorama.js',
+  '/js/utils/streamManifest.js',
   '/js/vendor/VRButton.js',
   '/assets/icons/icon-192x192.png',
   '/assets/icons/icon-512x512.png',
@@ -56,7 +60,11 @@ self.addEventListener('activate', event => {
 // Fetch event - serve from cache, fallback to network
 self.addEventListener('fetch', event => {
   // Skip video files and large assets - always fetch from network
+  // Photos live beside their hotspots.json and tile folders, and story graphs are re-authored
+  // in place - a cached copy would never update
   if (event.request.url.includes('/assets/videos/') || 
+      event.request.url.includes('/assets/photos/') ||
+      event.request.url.includes('/assets/stories/') ||
       event.request.url.includes('/original-videos/') ||
       event.request.url.endsWith('.mp4') ||
       event.request.url.endsWith('.webm')) {
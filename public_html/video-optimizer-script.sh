@@ -16,11 +16,22 @@ fi
 # Input video file
 INPUT_VIDEO="$1"
 
+# Frame layout: mono, top-bottom (stereo over-under) or side-by-side
+STEREO_LAYOUT="${2:-mono}"
+
 if [ -z "$INPUT_VIDEO" ]; then
-    echo "Usage: ./optimize-video.sh <input-video.mp4>"
+    echo "Usage: ./optimize-video.sh <input-video.mp4> [mono|top-bottom|side-by-side]"
     exit 1
 fi
 
+case "$STEREO_LAYOUT" in
+    mono|top-bottom|side-by-side) ;;
+    *)
+        echo "❌ Unknown stereo layout: $STEREO_LAYOUT (use mono, top-bottom or side-by-side)"
+        exit 1
+        ;;
+esac
+
 if [ ! -f "$INPUT_VIDEO" ]; then
     echo "❌ File not found: $INPUT_VIDEO"
     exit 1
@@ -81,7 +92,8 @@ create_quality_version "720p" "1920x960" "4M"
 echo ""
 echo "📡 Creating HLS streaming version..."
 
-# Create HLS playlist
+# Create HLS playlist - fMP4 segments so Chrome/Firefox/Quest can stream them through
+# Media Source Extensions (MediaSourceStreamer); Safari plays them natively
 ffmpeg -i "$INPUT_VIDEO" \
     -c:v libx264 \
     -preset fast \
@@ -103,7 +115,10 @@ ffmpeg -i "$INPUT_VIDEO" \
     -f hls \
     -hls_time 10 \
     -hls_list_size 0 \
-    -hls_segment_filename "$OUTPUT_DIR/$BASENAME/segment_%v_%03d.ts" \
+    -hls_playlist_type vod \
+    -hls_segment_type fmp4 \
+    -hls_fmp4_init_filename "init_%v.mp4" \
+    -hls_segment_filename "$OUTPUT_DIR/$BASENAME/segment_%v_%03d.m4s" \
     "$OUTPUT_DIR/$BASENAME/playlist_%v.m3u8"
 
 echo "✅ HLS streaming files created"
@@ -139,6 +154,7 @@ echo "📄 Creating metadata file..."
 cat > "$OUTPUT_DIR/$BASENAME/info.json" << EOF
 {
   "original": "$BASENAME.mp4",
+  "stereo": "$STEREO_LAYOUT",
   "qualities": {
     "4k": {
       "file": "${BASENAME}_4k.mp4",
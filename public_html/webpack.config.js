@@ -52,6 +52,12 @@ module.exports = (env, argv) => {
             noErrorOnMissing: true,
             context: 'src'
           },
+          { 
+            from: 'assets/videos/processed/**/hotspots.json',
+            to: 'assets/videos/processed/[path][name][ext]',
+            noErrorOnMissing: true,
+            context: 'src'
+          },
           { 
             from: 'assets/videos/processed/**/*_preview.mp4',
             to: 'assets/videos/processed/[path][name][ext]',